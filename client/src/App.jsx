@@ -1,17 +1,223 @@
 import React, { useEffect, useMemo, useState } from 'react'
 import Dropzone from './components/Dropzone.jsx'
 import PlanEditor from './components/PlanEditor.jsx'
+import StagePanels from './components/StagePanels.jsx'
+import BriefText from './components/BriefText.jsx'
+import NarrativeReview from './components/NarrativeReview.jsx'
+import BriefQuestions from './components/BriefQuestions.jsx'
+import VariantsCompare from './components/VariantsCompare.jsx'
+import EditChat from './components/EditChat.jsx'
+import VoiceEditor from './components/VoiceEditor.jsx'
 
-async function apiPlan({ file, text, options }) {
+// OCR confidence (0–100) below which the extracted text should be proofread.
+const OCR_PROOFREAD_BELOW = 80
+
+// Paused approval session (options.approval), restored on reload.
+const REVIEW_SESSION_KEY = 'deck.reviewSession'
+
+// Shown until /api/providers answers (or if it can't be reached).
+const DEFAULT_PROVIDERS = [
+  { name: 'openai', label: 'ChatGPT + DALL·E (OpenAI)', configured: true, capabilities: { json: true, image: true } },
+  { name: 'gemini', label: 'Gemini (Nano Banana Pro)', configured: true, capabilities: { json: true, image: true } }
+]
+
+// Shown until /api/voices answers.
+const DEFAULT_VOICES = [
+  { id: 'witty_agency', name: 'Witty Agency', builtin: true },
+  { id: 'cinematic_minimal', name: 'Cinematic Minimal', builtin: true },
+  { id: 'corporate_clear', name: 'Corporate Clear', builtin: true },
+  { id: 'academic_formal', name: 'Academic Formal', builtin: true }
+]
+
+function briefFormData({ files, text, options }) {
   const fd = new FormData()
-  if (file) fd.append('file', file)
+  for (const { file } of files || []) fd.append('files', file)
+  if (files?.length) fd.append('sources', JSON.stringify(files.map(({ file, role }) => ({ name: file.name, role }))))
   if (text) fd.append('text', text)
   fd.append('options', JSON.stringify(options || {}))
-  const res = await fetch('/api/plan', { method: 'POST', body: fd })
+  return fd
+}
+
+async function apiStartPlanJob({ files, text, options }) {
+  const res = await fetch('/api/plan_job', { method: 'POST', body: briefFormData({ files, text, options }) })
   if (!res.ok) throw new Error((await res.json()).error || 'Plan failed')
   return res.json()
 }
 
+async function apiStartVariantsJob({ files, text, options }) {
+  const res = await fetch('/api/plan_job/variants', { method: 'POST', body: briefFormData({ files, text, options }) })
+  if (!res.ok) throw new Error((await res.json()).error || 'Planning the outlines failed')
+  return res.json()
+}
+
+async function apiStartRerunJob({ plan, from, options, briefText, tables }) {
+  const res = await fetch('/api/plan_job/rerun', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ plan, from, options, briefText, tables })
+  })
+  if (!res.ok) throw new Error((await res.json()).error || 'Re-run failed')
+  return res.json()
+}
+
+async function apiGetPlanSession(id) {
+  const res = await fetch(`/api/plan_session/${id}`)
+  if (!res.ok) throw new Error((await res.json()).error || 'Session not found')
+  return res.json()
+}
+
+async function apiSavePlanSession(id, edits) {
+  const res = await fetch(`/api/plan_session/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(edits)
+  })
+  if (!res.ok) throw new Error((await res.json()).error || 'Save failed')
+  return res.json()
+}
+
+async function apiResumePlanSession(id, { edits, options }) {
+  const res = await fetch(`/api/plan_session/${id}/resume`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...edits, options })
+  })
+  if (!res.ok) throw new Error((await res.json()).error || 'Resume failed')
+  return res.json()
+}
+
+async function apiAnswerPlanSession(id, { answers, options }) {
+  const res = await fetch(`/api/plan_session/${id}/answer`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ answers, options })
+  })
+  if (!res.ok) throw new Error((await res.json()).error || 'Sending the answers failed')
+  return res.json()
+}
+
+async function apiRegenerateSlide({ plan, index, instruction, options, tables }) {
+  const res = await fetch('/api/slide/regenerate', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ plan, index, instruction, options, tables })
+  })
+  if (!res.ok) throw new Error((await res.json()).error || 'Regenerate failed')
+  return res.json()
+}
+
+async function apiChatEdit({ plan, message, history, options }) {
+  const res = await fetch('/api/plan/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ plan, message, history, options })
+  })
+  if (!res.ok) throw new Error((await res.json()).error || 'Edit failed')
+  return res.json()
+}
+
+async function apiLintPlan({ plan, options }) {
+  const res = await fetch('/api/plan/lint', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ plan, options })
+  })
+  if (!res.ok) throw new Error((await res.json()).error || 'Lint failed')
+  return res.json()
+}
+
+async function apiVerifyPlan({ plan, briefText }) {
+  const res = await fetch('/api/plan/verify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ plan, briefText })
+  })
+  if (!res.ok) throw new Error((await res.json()).error || 'Figure check failed')
+  return res.json()
+}
+
+async function apiCitePlan({ plan, briefText }) {
+  const res = await fetch('/api/plan/cite', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ plan, briefText })
+  })
+  if (!res.ok) throw new Error((await res.json()).error || 'Matching sources failed')
+  return res.json()
+}
+
+async function apiFixLint({ plan, options, slides, briefText }) {
+  const res = await fetch('/api/plan/lint/fix', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ plan, options, slides, briefText })
+  })
+  if (!res.ok) throw new Error((await res.json()).error || 'Fixing the copy failed')
+  return res.json()
+}
+
+async function apiCancelPlanJob(jobId) {
+  await fetch(`/api/plan_job/${jobId}/cancel`, { method: 'POST' })
+}
+
+function formatMs(ms) {
+  if (!Number.isFinite(ms)) return ''
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`
+}
+
+async function apiProviders() {
+  const res = await fetch('/api/providers')
+  if (!res.ok) throw new Error('Providers unavailable')
+  return (await res.json()).providers || []
+}
+
+async function apiVoices() {
+  const res = await fetch('/api/voices')
+  if (!res.ok) throw new Error('Voices unavailable')
+  return (await res.json()).voices || []
+}
+
+async function apiSaveVoice(voice) {
+  const res = await fetch('/api/voices', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(voice)
+  })
+  if (!res.ok) throw new Error((await res.json()).error || 'Saving the voice failed')
+  return (await res.json()).voice
+}
+
+async function apiDeleteVoice(id) {
+  const res = await fetch(`/api/voices/${encodeURIComponent(id)}`, { method: 'DELETE' })
+  if (!res.ok) throw new Error((await res.json()).error || 'Deleting the voice failed')
+}
+
+async function apiInferVoice({ text, file, name, options }) {
+  const fd = new FormData()
+  if (file) fd.append('file', file)
+  fd.append('text', text || '')
+  fd.append('name', name || '')
+  fd.append('options', JSON.stringify(options || {}))
+  const res = await fetch('/api/voices/infer', { method: 'POST', body: fd })
+  if (!res.ok) throw new Error((await res.json()).error || 'Voice inference failed')
+  return (await res.json()).voice
+}
+
+async function apiRecipes() {
+  const res = await fetch('/api/recipes')
+  if (!res.ok) throw new Error('Recipes unavailable')
+  return (await res.json()).recipes || []
+}
+
+async function apiImportPptx({ file, options }) {
+  const fd = new FormData()
+  fd.append('file', file)
+  fd.append('options', JSON.stringify(options || {}))
+  const res = await fetch('/api/import_pptx', { method: 'POST', body: fd })
+  if (!res.ok) throw new Error((await res.json()).error || 'Import failed')
+  return res.json()
+}
+
 async function apiStartExportJob({ plan, options }) {
   const res = await fetch('/api/export_job', {
     method: 'POST',
@@ -57,7 +263,7 @@ function thumbBg(kind = '') {
 }
 
 export default function App() {
-  const [file, setFile] = useState(null)
+  const [files, setFiles] = useState([]) // [{ file, role }]
   const [extraText, setExtraText] = useState('')
   const [options, setOptions] = useState({
     provider: 'openai',
@@ -73,9 +279,26 @@ export default function App() {
 
   const [status, setStatus] = useState('')
   const [planning, setPlanning] = useState(false)
-  const [planPct, setPlanPct] = useState(0)
+  const [planJobId, setPlanJobId] = useState(null)
+  const [planStages, setPlanStages] = useState([]) // [{ id, label, status, ms, error }]
   const [extractedText, setExtractedText] = useState('')
+  const [plannedText, setPlannedText] = useState('') // brief text the plan was made from; citations point into it
+  const [briefTables, setBriefTables] = useState([]) // the brief's spreadsheet tables, for re-runs to refill data slides
+  const [sources, setSources] = useState([])
+  const [ocr, setOcr] = useState(null)
   const [plan, setPlan] = useState(null)
+  const [undoStack, setUndoStack] = useState([]) // plans replaced by accepted assistant edits, newest last
+  const [partial, setPartial] = useState(null) // extract / narrative / messaging of a run that failed before any slides
+  const [review, setReview] = useState(null) // paused session: { id, status, _extract, _narrative, _messaging, completeness }
+  const [providers, setProviders] = useState(DEFAULT_PROVIDERS)
+  const [recipes, setRecipes] = useState([]) // narrative recipes from /api/recipes
+  const [voices, setVoices] = useState(DEFAULT_VOICES)
+  const [lint, setLint] = useState(null) // copy lint report for the current plan: { issues, counts }
+  const [figures, setFigures] = useState(null) // figure check against the brief: { issues, checked, counts }
+  const [voiceEditorOpen, setVoiceEditorOpen] = useState(false)
+  const [variants, setVariants] = useState(null) // alternative outlines: [{ id, label, angle, recipe, rationale, summary, plan }]
+  const [variantCount, setVariantCount] = useState(3)
+  const [sourceFocus, setSourceFocus] = useState(null) // { slide, field } whose cited brief passages are highlighted
 
   const [exportJobId, setExportJobId] = useState(null)
   const [exportRunning, setExportRunning] = useState(false)
@@ -83,29 +306,344 @@ export default function App() {
   const [exportPhase, setExportPhase] = useState('')
   const [exportFilename, setExportFilename] = useState('Deck.pptx')
 
-  const canPlan = useMemo(()=> Boolean(file || extraText.trim()), [file, extraText])
+  useEffect(() => {
+    apiProviders().then(list => { if (list.length) setProviders(list) }).catch(() => {})
+    apiRecipes().then(setRecipes).catch(() => {})
+    apiVoices().then(list => { if (list.length) setVoices(list) }).catch(() => {})
+  }, [])
 
   useEffect(() => {
-    if (!planning) { setPlanPct(0); return }
-    const start = Date.now()
-    setPlanPct(0)
-    const t = setInterval(() => {
-      const elapsed = Date.now() - start
-      // Ease to 92% while waiting for the API response
-      const pct = Math.min(92, Math.round((elapsed / 6500) * 92))
-      setPlanPct(pct)
-    }, 120)
-    return () => clearInterval(t)
-  }, [planning])
+    const id = localStorage.getItem(REVIEW_SESSION_KEY)
+    if (!id) return
+    apiGetPlanSession(id)
+      .then(session => {
+        if (!['awaiting_answers', 'awaiting_approval'].includes(session.status)) throw new Error('Already approved')
+        setReview(session)
+        setStatus(session.status === 'awaiting_answers' ? 'Questions about the brief are waiting for you.' : 'Story waiting for your review.')
+      })
+      .catch(() => localStorage.removeItem(REVIEW_SESSION_KEY))
+  }, [])
+
+  const onSaveVoice = async (voice) => {
+    const saved = await apiSaveVoice(voice)
+    setVoices(list => [...list.filter(v => v.id !== saved.id), saved])
+    setOptions(o => ({ ...o, voiceProfile: saved.id }))
+    return saved
+  }
+
+  const onDeleteVoice = async (id) => {
+    await apiDeleteVoice(id)
+    // A deleted override of a built-in brings the built-in back.
+    setVoices(await apiVoices().catch(() => voices.filter(v => v.id !== id)))
+    setOptions(o => (o.voiceProfile === id ? { ...o, voiceProfile: 'witty_agency' } : o))
+  }
+
+  const closeReview = () => {
+    localStorage.removeItem(REVIEW_SESSION_KEY)
+    setReview(null)
+  }
+
+  const textProvider = providers.find(p => p.name === options.provider)
+  // What the planner read (sent along for re-runs, the figure check and citations): the server's copy once a
+  // plan exists, so citation offsets line up; before that, file text plus pasted notes.
+  const briefText = plannedText || [extractedText, extraText].map(t => (t || '').trim()).filter(Boolean).join('\n\n---\n\n')
+  const citedSpans = useMemo(() => (sourceFocus
+    ? (plan?.slides?.[sourceFocus.slide]?.citations || []).filter(c => !sourceFocus.field || c.field === sourceFocus.field)
+    : []), [plan, sourceFocus])
+  // Same choice the server makes: the picked recipe, else an auto recipe for the presentation type.
+  const activeRecipe = options.recipe
+    ? recipes.find(r => r.id === options.recipe)
+    : recipes.find(r => r.auto && r.deck_type === options.deckType)
+  const lockedRecipe = activeRecipe?.locked ? activeRecipe : null
+  const canPlan = useMemo(()=> Boolean(files.length || extraText.trim()), [files, extraText])
+
+  // Follow a planning job's SSE stream until it finishes; partial results land in the editor on failure.
+  const followPlanJob = (started, doneMessage) => new Promise((resolve) => {
+    const jobId = started.jobId
+    setPlanJobId(jobId)
+    setPlanStages((started.stages || []).map(st => ({ ...st, status: 'pending' })))
+
+    const es = new EventSource(`/api/plan_job/${jobId}/stream`)
+    const parse = (ev) => { try { return JSON.parse(ev.data) } catch { return null } }
+    const finish = () => {
+      es.close()
+      setPlanJobId(null)
+      resolve()
+    }
+
+    es.addEventListener('stage', (ev) => {
+      const d = parse(ev)
+      if (!d?.stage) return
+      setPlanStages((prev) => {
+        const known = prev.some(st => st.id === d.stage)
+        const next = known ? prev : [...prev, { id: d.stage, label: d.stage, status: 'pending' }]
+        return next.map(st => (st.id === d.stage ? { ...st, status: d.status, ms: d.ms, error: d.error } : st))
+      })
+    })
+
+    es.addEventListener('sources', (ev) => {
+      const d = parse(ev)
+      if (!d) return
+      setExtractedText(d.extractedText || '')
+      setPlannedText(d.briefText || '')
+      setBriefTables(Array.isArray(d.tables) ? d.tables : [])
+      setSourceFocus(null)
+      setSources(Array.isArray(d.sources) ? d.sources : [])
+      setOcr(d.ocr || null)
+    })
+
+    // Approval mode: the run paused after messaging; the story goes to the review panel.
+    es.addEventListener('review', (ev) => {
+      const d = parse(ev)
+      if (d?.session) {
+        setReview(d.session)
+        localStorage.setItem(REVIEW_SESSION_KEY, d.session.id)
+      }
+      setStatus(`Story ready for review (${formatMs(d?.timings?.total)}). Approve it to write the slides.`)
+      finish()
+    })
+
+    // Clarify mode: the brief has gaps; the questions go to the form, answers continue the run.
+    es.addEventListener('clarify', (ev) => {
+      const d = parse(ev)
+      if (d?.session) {
+        setReview(d.session)
+        localStorage.setItem(REVIEW_SESSION_KEY, d.session.id)
+      }
+      setStatus(`The brief is ${d?.session?.completeness?.score ?? '—'}% complete. Answer what you can to continue.`)
+      finish()
+    })
+
+    es.addEventListener('done', (ev) => {
+      const d = parse(ev)
+      if (d?.plan) setPlan(d.plan)
+      if (Array.isArray(d?.variants)) setVariants(d.variants)
+      // A resumed review session brings back the brief its citations point into.
+      if (d?.briefText) setPlannedText(d.briefText)
+      if (Array.isArray(d?.tables)) setBriefTables(d.tables)
+      setStatus(`${doneMessage} (${formatMs(d?.timings?.total)})`)
+      finish()
+    })
+
+    // Server-sent 'error' carries data; a bare 'error' is EventSource losing the connection.
+    const onStopped = (cancelled) => (ev) => {
+      const d = ev?.data ? parse(ev) : null
+      if (!d && !cancelled) {
+        if (es.readyState === EventSource.CLOSED) { setStatus('Lost connection to the planner.'); finish() }
+        return
+      }
+      const stageLabel = d?.stage || 'planning'
+      const stopped = cancelled ? 'Cancelled' : `Failed at ${stageLabel}: ${d.message}`
+      if (d?.partial?.plan) {
+        setPlan(d.partial.plan)
+        setStatus(`${stopped}. Showing the draft from the last finished stage.`)
+      } else if (d?.partial?._extract) {
+        // No slides yet: keep the finished stages so they can be corrected and re-run instead of starting over.
+        setPartial({ _extract: d.partial._extract, _narrative: d.partial._narrative, _messaging: d.partial._messaging })
+        setStatus(`${stopped}. Showing the stages that finished.`)
+      } else {
+        setStatus(cancelled ? 'Planning cancelled.' : `Failed at ${stageLabel}: ${d?.message || 'Plan failed'}`)
+      }
+      finish()
+    }
+    es.addEventListener('error', onStopped(false))
+    es.addEventListener('cancelled', onStopped(true))
+  })
 
   const onGenerateOutline = async () => {
+    closeReview()
+    setVariants(null)
+    setPartial(null)
+    setUndoStack([])
     setPlanning(true)
+    setPlanStages([])
     setStatus('Generating outline…')
     try {
-      const data = await apiPlan({ file, text: extraText, options })
-      setExtractedText(data.extractedText || '')
+      const started = await apiStartPlanJob({ files, text: extraText, options })
+      await followPlanJob(started, 'Outline ready. Edit it, then export.')
+    } catch (e) {
+      setStatus(e.message)
+    } finally {
+      setPlanning(false)
+    }
+  }
+
+  // Variants mode: several outlines of the brief with different recipes / angles, compared before picking one.
+  const onGenerateVariants = async () => {
+    closeReview()
+    setVariants(null)
+    setPartial(null)
+    setPlanning(true)
+    setPlanStages([])
+    setStatus(`Planning ${variantCount} alternative outlines…`)
+    try {
+      const started = await apiStartVariantsJob({ files, text: extraText, options: { ...options, variantCount } })
+      await followPlanJob(started, 'Outlines ready. Compare them, then promote one or merge slides.')
+    } catch (e) {
+      setStatus(e.message)
+    } finally {
+      setPlanning(false)
+    }
+  }
+
+  // A promoted or merged outline replaces the plan; the previous one stays on the undo stack.
+  const adoptPlan = (next, message) => {
+    if (plan) setUndoStack(stack => [...stack, plan])
+    setPlan(next)
+    setVariants(null)
+    setStatus(message)
+  }
+
+  // Re-run the planner from one stage with the (edited) artifacts on the current plan (or a failed run's stages).
+  const onRerun = async (from, base = plan) => {
+    if (!base) return
+    setPlanning(true)
+    setPlanStages([])
+    setStatus(`Re-running from ${from}…`)
+    try {
+      const started = await apiStartRerunJob({ plan: base, from, options, briefText, tables: briefTables })
+      await followPlanJob(started, `Re-ran from ${from}.`)
+    } catch (e) {
+      setStatus(e.message)
+    } finally {
+      setPlanning(false)
+    }
+  }
+
+  const onSaveReview = async (edits) => {
+    if (!review) return false
+    try {
+      setReview(await apiSavePlanSession(review.id, edits))
+      setStatus('Review saved.')
+      return true
+    } catch (e) {
+      setStatus(e.message)
+      return false
+    }
+  }
+
+  // Approve the (edited) story: assembly, editor pass and refine run on the server-side session.
+  const onApproveReview = async (edits) => {
+    if (!review) return
+    setPlanning(true)
+    setPlanStages([])
+    setStatus('Writing slides from the approved story…')
+    try {
+      const started = await apiResumePlanSession(review.id, { edits, options: { ...options, approval: false } })
+      closeReview()
+      await followPlanJob(started, 'Outline ready. Edit it, then export.')
+    } catch (e) {
+      setStatus(e.message)
+    } finally {
+      setPlanning(false)
+    }
+  }
+
+  // Merge the answers into the brief and plan on from the narrative (pausing again for review in approval mode).
+  const onAnswerQuestions = async (answers) => {
+    if (!review) return
+    setPlanning(true)
+    setPlanStages([])
+    setStatus('Writing the story with your answers…')
+    try {
+      const started = await apiAnswerPlanSession(review.id, { answers, options: { ...options, clarify: false } })
+      closeReview()
+      await followPlanJob(started, 'Outline ready. Edit it, then export.')
+    } catch (e) {
+      setStatus(e.message)
+    } finally {
+      setPlanning(false)
+    }
+  }
+
+  // Rewrite one slide in place; PlanEditor applies the slide and offers the headline alternatives.
+  const onRegenerateSlide = async (index, instruction) => {
+    const out = await apiRegenerateSlide({ plan, index, instruction, options, tables: briefTables })
+    setStatus(`Slide ${index + 1} regenerated.`)
+    return out
+  }
+
+  // A plan supersedes the stages of an earlier failed run.
+  useEffect(() => { if (plan) setPartial(null) }, [plan])
+
+  // Copy linter: re-checked shortly after every plan edit (deterministic, no model call).
+  useEffect(() => {
+    if (!plan?.slides) { setLint(null); return }
+    const t = setTimeout(() => {
+      apiLintPlan({ plan, options: { voiceProfile: options.voiceProfile } }).then(setLint).catch(() => setLint(null))
+    }, 400)
+    return () => clearTimeout(t)
+  }, [plan, options.voiceProfile])
+
+  // Figure check: numbers, dates and names on the slides that the brief doesn't support.
+  useEffect(() => {
+    if (!plan?.slides || !briefText) { setFigures(null); return }
+    const t = setTimeout(() => {
+      apiVerifyPlan({ plan, briefText }).then(setFigures).catch(() => setFigures(null))
+    }, 400)
+    return () => clearTimeout(t)
+  }, [plan, briefText])
+
+  // Re-match slide claims to brief passages after edits (no model call).
+  const onRefreshSources = async () => {
+    const out = await apiCitePlan({ plan, briefText })
+    setPlan(out.plan)
+  }
+
+  // Auto-fix rewrites only the flagged fields; the previous plan goes on the undo stack.
+  const onFixLint = async (slides) => {
+    const out = await apiFixLint({ plan, options, slides, briefText })
+    setUndoStack(stack => [...stack, plan])
+    setPlan(out.plan)
+    setLint(out.lint)
+    setStatus(out.fixed.length ? `Fixed copy on ${out.fixed.length} slide(s).` : 'Nothing to fix.')
+  }
+
+  // Editing assistant: proposals only replace the plan when accepted; every accepted edit can be undone.
+  const onChatEdit = (message, history) => apiChatEdit({ plan, message, history, options })
+
+  const onAcceptEdit = (next) => {
+    setUndoStack(stack => [...stack, plan])
+    setPlan(next)
+    setStatus('Edit applied.')
+  }
+
+  const onUndoEdit = () => {
+    if (!undoStack.length) return
+    setPlan(undoStack[undoStack.length - 1])
+    setUndoStack(stack => stack.slice(0, -1))
+    setStatus('Edit undone.')
+  }
+
+  const onCancelPlanning = () => {
+    if (planJobId) apiCancelPlanJob(planJobId).catch(() => {})
+  }
+
+  const planPct = useMemo(() => {
+    if (!planStages.length) return 0
+    const finished = planStages.filter(st => ['done', 'skipped', 'reused'].includes(st.status)).length
+    return Math.round((finished / planStages.length) * 100)
+  }, [planStages])
+
+  // Restyle an existing deck: its slides become the plan, no AI planning involved.
+  const importFile = files.find(({ file }) => (file.name || '').toLowerCase().endsWith('.pptx'))?.file || null
+
+  const onImportPptx = async () => {
+    if (!importFile) return
+    setPlanning(true)
+    setStatus(`Importing ${importFile.name}…`)
+    try {
+      const data = await apiImportPptx({ file: importFile, options })
+      setExtractedText('')
+      setPlannedText('')
+      setBriefTables([])
+      setSourceFocus(null)
+      setSources([])
+      setOcr(null)
       setPlan(data.plan)
-      setStatus('Outline ready. Edit it, then export.')
+      setStatus(data.truncated
+        ? `Imported the first ${data.plan?.slides?.length || 0} slides; ${data.truncated} more didn’t fit the slide limit. Edit them, then export.`
+        : `Imported ${data.plan?.slides?.length || 0} slides. Edit them, then export.`)
     } catch (e) {
       setStatus(e.message)
     } finally {
@@ -115,6 +653,8 @@ export default function App() {
 
   const onExport = async () => {
     if (!plan) return
+    const unsupported = figures?.counts?.unsupported || 0
+    if (unsupported && !window.confirm(`${unsupported} figure(s) on the slides are not in the brief (marked in the outline). Export anyway?`)) return
     setExportRunning(true)
     setExportJobId(null)
     setExportPhase('Starting export…')
@@ -218,7 +758,9 @@ export default function App() {
           <div className="w-[min(560px,92vw)] rounded-3xl border border-white/50 bg-white/55 p-6 shadow-[0_20px_80px_rgba(0,0,0,0.12)] backdrop-blur-2xl ring-1 ring-white/40">
             <div className="text-sm font-semibold text-zinc-800">{planning ? 'Generating outline' : 'Exporting PPTX'}</div>
             <div className="mt-1 text-xs text-zinc-600">
-              {planning ? 'Turning your brief into a clean slide plan…' : (exportPhase || 'Rendering slides…')}
+              {planning
+                ? (planStages.find(st => st.status === 'running')?.label || 'Turning your brief into a clean slide plan') + '…'
+                : (exportPhase || 'Rendering slides…')}
             </div>
 
             <div className="mt-4">
@@ -234,6 +776,36 @@ export default function App() {
               </div>
             </div>
 
+            {planning && planStages.length ? (
+              <ul className="mt-4 space-y-1.5">
+                {planStages.map(st => (
+                  <li key={st.id} className="flex items-center justify-between gap-3 text-xs">
+                    <span className={st.status === 'running' ? 'font-semibold text-zinc-800' : (st.status === 'pending' ? 'text-zinc-400' : 'text-zinc-600')}>
+                      <span className="mr-2 inline-block w-3 text-center">
+                        {st.status === 'done' ? '✓' : st.status === 'running' ? '…' : st.status === 'failed' ? '✕' : st.status === 'skipped' ? '–' : st.status === 'reused' ? '↺' : '·'}
+                      </span>
+                      {st.label}
+                    </span>
+                    <span className="font-mono text-[10px] text-zinc-400">
+                      {['skipped', 'reused'].includes(st.status) ? st.status : formatMs(st.ms)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+
+            {planning && (
+              <div className="mt-4 flex justify-end">
+                <button
+                  onClick={onCancelPlanning}
+                  disabled={!planJobId}
+                  className="rounded-xl border border-white/60 bg-white/55 px-3 py-1.5 text-xs font-semibold text-zinc-700 hover:bg-white/80 disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
+
             {!planning && (
               <div className="mt-4 text-[11px] text-zinc-500">
                 Thumbnails render live during export. Keep this tab open.
@@ -266,7 +838,7 @@ export default function App() {
       <main className="mx-auto max-w-6xl px-5 pb-14">
         <div className="grid gap-6 lg:grid-cols-2">
           <div className="space-y-6">
-            <Dropzone file={file} setFile={setFile} />
+            <Dropzone files={files} setFiles={setFiles} />
 
             <div className="rounded-2xl border border-white/50 bg-white/45 p-5 shadow-sm backdrop-blur-2xl ring-1 ring-white/40">
               <div className="text-sm font-semibold">Optional extra notes</div>
@@ -291,6 +863,36 @@ export default function App() {
                   Generate outline
                 </button>
 
+                <div className="flex items-center overflow-hidden rounded-xl border border-white/70 bg-white/70">
+                  <button
+                    disabled={!canPlan || planning || exportRunning}
+                    onClick={onGenerateVariants}
+                    title="Plan alternative outlines with different recipes or story angles and compare them"
+                    className="px-4 py-2 text-sm font-semibold text-zinc-900 hover:bg-white disabled:opacity-50"
+                  >
+                    Compare outlines
+                  </button>
+                  <select
+                    value={variantCount}
+                    onChange={(e) => setVariantCount(Number(e.target.value))}
+                    disabled={planning}
+                    className="border-l border-white/70 bg-transparent px-2 py-2 text-sm"
+                  >
+                    {[2, 3, 4].map(n => <option key={n} value={n}>{n}</option>)}
+                  </select>
+                </div>
+
+                {importFile && (
+                  <button
+                    disabled={planning || exportRunning}
+                    onClick={onImportPptx}
+                    title={`Use the slides of ${importFile.name} as the plan`}
+                    className="rounded-xl border border-white/70 bg-white/70 px-4 py-2 text-sm font-semibold text-zinc-900 hover:bg-white"
+                  >
+                    Import PPTX as plan
+                  </button>
+                )}
+
                 <button
                   disabled={!plan || exportRunning || planning}
                   onClick={onExport}
@@ -318,27 +920,46 @@ export default function App() {
                     onChange={(e)=>setOptions(o=>({...o, provider: e.target.value}))}
                     className="w-full rounded-xl border border-white/60 bg-white/55 px-3 py-2 text-sm"
                   >
-                    <option value="openai">ChatGPT + DALL·E (OpenAI)</option>
-                    <option value="gemini">Gemini (Nano Banana Pro)</option>
+                    {providers.filter(p => p.capabilities?.json).map(p => (
+                      <option key={p.name} value={p.name}>{p.label}{p.configured ? '' : ' (not configured)'}</option>
+                    ))}
                   </select>
                   <div className="mt-1 text-[11px] text-zinc-500">
-                    Gemini requires <span className="font-mono">GEMINI_API_KEY</span> set in <span className="font-mono">server/.env</span>.
+                    Keys and endpoints are set in <span className="font-mono">server/.env</span>; single stages can be routed elsewhere with <span className="font-mono">LLM_PROVIDER_&lt;STAGE&gt;</span>.
                   </div>
                 </label>
+                <label className="block md:col-span-2">
+                  <div className="mb-1 text-xs font-semibold text-zinc-600">Image provider</div>
+                  <select
+                    value={options.providers?.images || ''}
+                    onChange={(e)=>setOptions(o=>({...o, providers: { ...(o.providers || {}), images: e.target.value || undefined }}))}
+                    className="w-full rounded-xl border border-white/60 bg-white/55 px-3 py-2 text-sm"
+                  >
+                    <option value="">Same as AI provider</option>
+                    {providers.filter(p => p.capabilities?.image).map(p => (
+                      <option key={p.name} value={p.name}>{p.label}{p.configured ? '' : ' (not configured)'}</option>
+                    ))}
+                  </select>
+                  {!options.providers?.images && textProvider && !textProvider.capabilities?.image ? (
+                    <div className="mt-1 text-[11px] text-amber-700">
+                      {textProvider.label} can't generate images — pick an image provider before exporting.
+                    </div>
+                  ) : null}
+                </label>
                 <label className="block">
                   <div className="mb-1 text-xs font-semibold text-zinc-600">Slides</div>
                   <input
                     type="number"
                     min={5}
                     max={30}
-                    value={options.nSlides}
-                    disabled={options.deckType === 'ad_agency'}
+                    value={lockedRecipe ? lockedRecipe.beats.length : options.nSlides}
+                    disabled={!!lockedRecipe}
                     onChange={(e)=>setOptions(o=>({...o, nSlides: Number(e.target.value)}))}
                     className="w-full rounded-xl border border-white/60 bg-white/55 px-3 py-2 text-sm"
                   />
-                  {options.deckType === 'ad_agency' && (
+                  {lockedRecipe && (
                     <div className="mt-1 text-[11px] text-zinc-500">
-                      Agency creative decks are locked to a 10‑slide flow.
+                      {lockedRecipe.name} is locked to a {lockedRecipe.beats.length}‑slide flow.
                     </div>
                   )}
                 </label>
@@ -349,11 +970,7 @@ export default function App() {
                     value={options.deckType}
                     onChange={(e)=>{
                       const v = e.target.value
-                      setOptions(o=>({
-                        ...o,
-                        deckType: v,
-                        nSlides: v === 'ad_agency' ? 10 : o.nSlides
-                      }))
+                      setOptions(o=>({ ...o, deckType: v }))
                     }}
                     className="w-full rounded-xl border border-white/60 bg-white/55 px-3 py-2 text-sm"
                   >
@@ -372,6 +989,25 @@ export default function App() {
                   </select>
                 </label>
 
+                <label className="block">
+                  <div className="mb-1 text-xs font-semibold text-zinc-600">Story recipe</div>
+                  <select
+                    value={options.recipe || ''}
+                    onChange={(e)=>setOptions(o=>({...o, recipe: e.target.value || undefined}))}
+                    className="w-full rounded-xl border border-white/60 bg-white/55 px-3 py-2 text-sm"
+                  >
+                    <option value="">Auto (by presentation type)</option>
+                    {recipes.map(r => (
+                      <option key={r.id} value={r.id}>{r.name}{r.locked ? ' · locked' : ''}{r.builtin ? '' : ' · house'}</option>
+                    ))}
+                  </select>
+                  <div className="mt-1 text-[11px] text-zinc-500">
+                    {activeRecipe
+                      ? activeRecipe.beats.map(b => b.name).join(' → ')
+                      : 'The planner picks the story beats. House recipes live in server/recipes.'}
+                  </div>
+                </label>
+
                 <label className="block">
                   <div className="mb-1 text-xs font-semibold text-zinc-600">Copy voice</div>
                   <select
@@ -379,15 +1015,30 @@ export default function App() {
                     onChange={(e)=>setOptions(o=>({...o, voiceProfile: e.target.value}))}
                     className="w-full rounded-xl border border-white/60 bg-white/55 px-3 py-2 text-sm"
                   >
-                    <option value="witty_agency">Witty agency (default)</option>
-                    <option value="cinematic_minimal">Cinematic minimal</option>
-                    <option value="corporate_clear">Corporate clear</option>
-                    <option value="academic_formal">Academic formal</option>
+                    {voices.map(v => (
+                      <option key={v.id} value={v.id}>
+                        {v.name}{v.id === 'witty_agency' ? ' (default)' : ''}{v.builtin ? '' : ' · house'}
+                      </option>
+                    ))}
                   </select>
                   <div className="mt-1 text-[11px] text-zinc-500">
-                    Controls copy rules (headlines as claims, section pacing, callbacks). Visual style is set by Deck style.
+                    Controls copy rules (headlines as claims, section pacing, callbacks). Visual style is set by Deck style.{' '}
+                    <button type="button" onClick={() => setVoiceEditorOpen(v => !v)} className="font-semibold text-zinc-700 underline">
+                      Manage voices
+                    </button>
                   </div>
                 </label>
+                {voiceEditorOpen ? (
+                  <div className="md:col-span-2">
+                    <VoiceEditor
+                      voices={voices}
+                      onSave={onSaveVoice}
+                      onDelete={onDeleteVoice}
+                      onInfer={(input) => apiInferVoice({ ...input, options: { provider: options.provider, providers: options.providers } })}
+                      onClose={() => setVoiceEditorOpen(false)}
+                    />
+                  </div>
+                ) : null}
 
                 <label className="block">
                   <div className="mb-1 text-xs font-semibold text-zinc-600">Language</div>
@@ -431,6 +1082,51 @@ export default function App() {
                     className="w-full rounded-xl border border-white/60 bg-white/55 px-3 py-2 text-sm"
                   />
                 </label>
+
+                <label className="flex items-start gap-2 md:col-span-2">
+                  <input
+                    type="checkbox"
+                    checked={!!options.sourcesAppendix}
+                    onChange={(e)=>setOptions(o=>({...o, sourcesAppendix: e.target.checked}))}
+                    className="mt-0.5"
+                  />
+                  <div>
+                    <div className="text-xs font-semibold text-zinc-600">Sources appendix &amp; footnotes</div>
+                    <div className="mt-0.5 text-[11px] text-zinc-500">
+                      Numbers cited bullets, adds a source line to their slides and lists the brief passages on closing “Sources” slides.
+                    </div>
+                  </div>
+                </label>
+
+                <label className="flex items-start gap-2 md:col-span-2">
+                  <input
+                    type="checkbox"
+                    checked={!!options.clarify}
+                    onChange={(e)=>setOptions(o=>({...o, clarify: e.target.checked}))}
+                    className="mt-0.5"
+                  />
+                  <div>
+                    <div className="text-xs font-semibold text-zinc-600">Ask about gaps in the brief</div>
+                    <div className="mt-0.5 text-[11px] text-zinc-500">
+                      Scores the brief against what the presentation type needs (an investor pitch needs traction, market and an ask) and asks about what’s missing before the story is written.
+                    </div>
+                  </div>
+                </label>
+
+                <label className="flex items-start gap-2 md:col-span-2">
+                  <input
+                    type="checkbox"
+                    checked={!!options.approval}
+                    onChange={(e)=>setOptions(o=>({...o, approval: e.target.checked}))}
+                    className="mt-0.5"
+                  />
+                  <div>
+                    <div className="text-xs font-semibold text-zinc-600">Review the story before slides are written</div>
+                    <div className="mt-0.5 text-[11px] text-zinc-500">
+                      Pauses after narrative and messaging so you can reorder, cut or rewrite sections, then resume.
+                    </div>
+                  </div>
+                </label>
               </div>
 
               <div className="mt-5 flex flex-wrap items-center gap-3">
@@ -464,30 +1160,82 @@ export default function App() {
               )}
             </div>
 
-            {extractedText && (
+            {(plannedText || extractedText) && (
               <div className="rounded-2xl border border-white/50 bg-white/45 p-5 shadow-sm backdrop-blur-2xl ring-1 ring-white/40">
                 <div className="flex items-center justify-between">
                   <div className="text-sm font-semibold">Extracted text (read-only)</div>
                   <button
-                    onClick={()=>navigator.clipboard.writeText(extractedText)}
+                    onClick={()=>navigator.clipboard.writeText(plannedText || extractedText)}
                     className="rounded-xl border border-white/60 px-3 py-2 text-xs hover:bg-white/80"
                   >
                     Copy
                   </button>
                 </div>
-                <pre className="mt-3 max-h-56 overflow-auto whitespace-pre-wrap rounded-2xl bg-white/50 p-3 text-xs text-zinc-700">
-                  {extractedText}
-                </pre>
+                {ocr && (
+                  <div className={`mt-3 rounded-xl px-3 py-2 text-xs ${ocr.confidence != null && ocr.confidence >= OCR_PROOFREAD_BELOW ? 'bg-white/60 text-zinc-700' : 'bg-amber-100/80 text-amber-900'}`}>
+                    Read {ocr.pages} scanned page{ocr.pages === 1 ? '' : 's'} with OCR · confidence {ocr.confidence ?? '—'}%
+                    {(ocr.confidence == null || ocr.confidence < OCR_PROOFREAD_BELOW) && ' — proofread names and numbers before relying on them.'}
+                  </div>
+                )}
+                {sources.length > 1 && (
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    {sources.map((src) => (
+                      <span key={src.filename} className="rounded-lg bg-white/70 px-2 py-1 text-[11px] text-zinc-700">
+                        <span className="font-semibold">{src.filename}</span>{src.attachedTo && <span> (in {src.attachedTo})</span>} · {src.role} · {src.chars.toLocaleString()} chars
+                        {src.ocr && <span className={src.ocr.confidence >= OCR_PROOFREAD_BELOW ? '' : 'text-amber-700'}> · OCR {src.ocr.confidence ?? '—'}%</span>}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {sourceFocus && (
+                  <div className="mt-3 flex items-center gap-2 text-[11px] text-zinc-600">
+                    <span>
+                      {citedSpans.length
+                        ? `Highlighting the source of slide ${sourceFocus.slide + 1}${sourceFocus.field ? ` · ${sourceFocus.field}` : ''}`
+                        : 'No cited passage for this claim.'}
+                    </span>
+                    <button type="button" onClick={() => setSourceFocus(null)} className="underline hover:text-zinc-900">Clear</button>
+                  </div>
+                )}
+                <BriefText text={plannedText || extractedText} spans={plannedText ? citedSpans : []} />
               </div>
             )}
           </div>
 
-          <div>
-            {!plan ? (
+          <div className="space-y-6">
+            {review?.status === 'awaiting_answers' ? (
+              <BriefQuestions
+                session={review}
+                busy={planning}
+                onAnswer={onAnswerQuestions}
+                onDiscard={() => { closeReview(); setStatus('Questions discarded.') }}
+              />
+            ) : review ? (
+              <NarrativeReview
+                session={review}
+                busy={planning}
+                onSave={onSaveReview}
+                onApprove={onApproveReview}
+                onDiscard={() => { closeReview(); setStatus('Review discarded.') }}
+              />
+            ) : null}
+            {variants?.length ? (
+              <VariantsCompare
+                variants={variants}
+                busy={planning || exportRunning}
+                onPromote={(v) => adoptPlan(v.plan, `Using “${v.label}”. Edit it, then export.`)}
+                onMerge={(merged) => adoptPlan(merged, `Merged ${merged.slides.length} slides. Edit them, then export.`)}
+                onClose={() => setVariants(null)}
+              />
+            ) : null}
+            {!plan && partial && !planning ? (
+              <StagePanels plan={partial} setPlan={setPartial} onRerun={(from) => onRerun(from, partial)} busy={planning} />
+            ) : null}
+            {!plan ? ((review || variants?.length || partial) ? null : (
               <div className="rounded-2xl border border-white/50 bg-white/45 p-8 shadow-sm backdrop-blur-2xl ring-1 ring-white/40">
                 <div className="text-sm font-semibold">Your outline will appear here</div>
                 <p className="mt-2 text-sm text-zinc-600">
-                  Upload a brief (PDF/DOC/DOCX/PPTX) or paste notes, then click <span className="font-semibold">Generate outline</span>.
+                  Upload a brief (PDF, Word, PPTX, XLSX/CSV, Markdown, HTML, RTF, ODT, TXT, a scanned PNG/JPG, a call transcript or an email thread) or paste notes, then click <span className="font-semibold">Generate outline</span>.
                   You’ll be able to edit every slide before exporting.
                 </p>
                 <div className="mt-6 rounded-2xl bg-white/50 p-4 text-xs text-zinc-600">
@@ -497,7 +1245,7 @@ export default function App() {
                   </div>
                 </div>
               </div>
-            ) : (
+            )) : (
               <div className="space-y-6">
                 {exportRunning && (
                   <div className="rounded-2xl border border-white/60 bg-white/55 p-5 shadow-sm backdrop-blur-xl">
@@ -568,7 +1316,16 @@ export default function App() {
                   </div>
                 )}
 
-                <PlanEditor plan={plan} setPlan={setPlan} />
+                <EditChat
+                  plan={plan}
+                  onSend={onChatEdit}
+                  onAccept={onAcceptEdit}
+                  onUndo={onUndoEdit}
+                  undoCount={undoStack.length}
+                  busy={planning || exportRunning}
+                />
+
+                <PlanEditor plan={plan} setPlan={setPlan} onRerun={onRerun} onRegenerateSlide={onRegenerateSlide} lint={lint} onFixLint={onFixLint} figures={figures} sourceFocus={sourceFocus} onSelectSource={setSourceFocus} onRefreshSources={briefText ? onRefreshSources : null} busy={planning || exportRunning} />
               </div>
             )}
           </div>
@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react'
+
+// Clarify checkpoint: how complete the brief is for the deck type, and questions about what it lacks.
+// Answers are merged into the brief on the server before the story is written; blank ones are skipped.
+
+const inputClass = 'w-full rounded-xl border border-white/60 bg-white px-3 py-2 text-sm'
+
+export default function BriefQuestions({ session, busy, onAnswer, onDiscard }) {
+  const completeness = session?.completeness || {}
+  const questions = Array.isArray(completeness.questions) ? completeness.questions : []
+  const needs = Array.isArray(completeness.needs) ? completeness.needs : []
+  const score = Number.isFinite(completeness.score) ? completeness.score : 0
+  const [answers, setAnswers] = useState({})
+
+  useEffect(() => { setAnswers({}) }, [session?.id])
+
+  const answered = questions.filter(q => (answers[q.id] || '').trim()).length
+
+  return (
+    <div className="rounded-2xl border border-white/60 bg-white/60 p-5 shadow-sm backdrop-blur-xl">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold">A few questions about the brief</div>
+          <div className="mt-1 text-xs text-zinc-500">
+            Answers go into the brief before the story is written, so the deck needs fewer placeholders.
+          </div>
+        </div>
+        <div className="text-right">
+          <div className={`text-lg font-semibold ${score >= 80 ? 'text-emerald-600' : score >= 50 ? 'text-amber-600' : 'text-rose-600'}`}>{score}%</div>
+          <div className="text-[11px] text-zinc-500">complete for {(completeness.deckType || 'this deck').replace(/_/g, ' ')}</div>
+        </div>
+      </div>
+
+      <div className="mt-3 h-1.5 w-full overflow-hidden rounded-full bg-white/70">
+        <div className="h-1.5 bg-gradient-to-r from-fuchsia-500 to-sky-400" style={{ width: `${score}%` }} />
+      </div>
+
+      {needs.length > 0 && (
+        <div className="mt-3 flex flex-wrap gap-1.5">
+          {needs.map(need => (
+            <span
+              key={need.id}
+              className={`rounded-md px-1.5 py-0.5 text-[11px] font-semibold ${need.met ? 'bg-emerald-50 text-emerald-700' : 'bg-rose-50 text-rose-700'}`}
+            >
+              {need.met ? '✓' : '✕'} {need.label}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="mt-4 space-y-3">
+        {questions.map(q => (
+          <label key={q.id} className="block">
+            <div className="mb-1 text-xs font-semibold text-zinc-600">{q.question}</div>
+            <textarea
+              value={answers[q.id] || ''}
+              onChange={(e) => setAnswers(a => ({ ...a, [q.id]: e.target.value }))}
+              placeholder="Leave blank to skip"
+              className={`${inputClass} h-16`}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => onAnswer?.(answers)}
+          disabled={busy}
+          className="rounded-xl bg-gradient-to-r from-fuchsia-500 to-sky-400 px-4 py-2 text-xs font-semibold text-white shadow-sm disabled:opacity-50"
+        >
+          {answered ? `Add ${answered} answer${answered === 1 ? '' : 's'} & continue` : 'Continue without answers'}
+        </button>
+        <button
+          onClick={() => onDiscard?.()}
+          disabled={busy}
+          className="rounded-xl border border-white/60 bg-white px-4 py-2 text-xs font-semibold text-zinc-500 hover:bg-white/70 disabled:opacity-50"
+        >
+          Discard
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,42 @@
+import React, { useEffect, useRef } from 'react'
+
+// The brief as the planner read it, with the passages cited by the selected slide claim marked.
+// spans: [{ start, end }] character offsets into text (slide.citations); the first one scrolls into view.
+export default function BriefText({ text, spans }) {
+  const boxRef = useRef(null)
+  const firstRef = useRef(null)
+
+  useEffect(() => {
+    const box = boxRef.current
+    const mark = firstRef.current
+    if (!box || !mark) return
+    // Scroll the panel only, not the page (the <pre> is the mark's offsetParent).
+    box.scrollTop = Math.max(0, mark.offsetTop - 24)
+  }, [spans, text])
+
+  const sorted = [...(spans || [])]
+    .filter(s => s.end > s.start && s.start < text.length)
+    .sort((a, b) => a.start - b.start)
+
+  const parts = []
+  let at = 0
+  for (const s of sorted) {
+    const start = Math.max(s.start, at)
+    const end = Math.min(s.end, text.length)
+    if (end <= start) continue
+    if (start > at) parts.push(text.slice(at, start))
+    parts.push(
+      <mark key={start} ref={parts.some(p => typeof p !== 'string') ? null : firstRef} className="rounded bg-amber-200/80 px-0.5 text-zinc-900">
+        {text.slice(start, end)}
+      </mark>
+    )
+    at = end
+  }
+  if (at < text.length) parts.push(text.slice(at))
+
+  return (
+    <pre ref={boxRef} className="relative mt-3 max-h-56 overflow-auto whitespace-pre-wrap rounded-2xl bg-white/50 p-3 text-xs text-zinc-700">
+      {parts}
+    </pre>
+  )
+}
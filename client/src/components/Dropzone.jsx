@@ -1,26 +1,45 @@
 import React, { useCallback, useRef, useState } from 'react'
 
-export default function Dropzone({ file, setFile }) {
+const BRIEF_EXTS = ['.pdf', '.doc', '.docx', '.pptx', '.xlsx', '.csv', '.tsv', '.md', '.markdown', '.txt', '.html', '.htm', '.rtf', '.odt', '.png', '.jpg', '.jpeg', '.vtt', '.srt', '.eml', '.mbox']
+const MAX_FILES = 10
+
+// Document roles the server understands ('' = let the server guess from the filename).
+const ROLE_OPTIONS = [
+  { value: '', label: 'Auto role' },
+  { value: 'RFP', label: 'RFP / requirements' },
+  { value: 'brief', label: 'Brief' },
+  { value: 'brand book', label: 'Brand book' },
+  { value: 'notes', label: 'Notes' },
+  { value: 'data', label: 'Data' },
+  { value: 'reference', label: 'Background / reference' }
+]
+
+export default function Dropzone({ files, setFiles }) {
   const inputRef = useRef(null)
   const [dragOver, setDragOver] = useState(false)
 
   const onPick = useCallback(() => inputRef.current?.click(), [])
 
   const onFiles = useCallback(
-    (files) => {
-      const f = files?.[0]
-      if (!f) return
-      const name = (f.name || '').toLowerCase();
-      const ok = ['.pdf', '.doc', '.docx', '.pptx'].some(ext => name.endsWith(ext));
-      if (!ok) {
-        alert('Please choose a PDF, DOC/DOCX, or PPTX brief.');
-        return;
+    (picked) => {
+      const list = Array.from(picked || [])
+      if (!list.length) return
+      const rejected = list.filter(f => !BRIEF_EXTS.some(ext => (f.name || '').toLowerCase().endsWith(ext)))
+      if (rejected.length) {
+        alert(`Skipping ${rejected.map(f => f.name).join(', ')}. Please choose PDF, DOC/DOCX, PPTX, XLSX/CSV, Markdown, TXT, HTML, RTF, ODT, PNG/JPG, VTT/SRT transcript, or EML/MBOX email briefs.`)
       }
-      setFile(f)
+      const accepted = list.filter(f => !rejected.includes(f))
+      setFiles((prev) => {
+        // Same filename replaces the earlier upload (the server matches roles by filename).
+        const kept = prev.filter(p => !accepted.some(f => f.name === p.file.name))
+        return [...kept, ...accepted.map(file => ({ file, role: '' }))].slice(0, MAX_FILES)
+      })
     },
-    [setFile]
+    [setFiles]
   )
 
+  const setRole = (idx, role) => setFiles(prev => prev.map((p, i) => (i === idx ? { ...p, role } : p)))
+
   return (
     <div
       className={`rounded-2xl border bg-white/60 p-5 shadow-sm backdrop-blur-xl transition ${
@@ -41,44 +60,61 @@ export default function Dropzone({ file, setFile }) {
       onDrop={(e) => {
         e.preventDefault()
         setDragOver(false)
-        onFiles(Array.from(e.dataTransfer.files || []))
+        onFiles(e.dataTransfer.files)
       }}
     >
       <div className="flex items-center justify-between gap-3">
         <div>
-          <div className="text-sm font-semibold">Upload brief file</div>
+          <div className="text-sm font-semibold">Upload brief files</div>
           <div className="mt-1 text-xs text-zinc-600">
-            Drag & drop a PDF, DOC/DOCX, or PPTX — or click to select.
+            Drag & drop up to {MAX_FILES} files (RFP, brand book, notes…) — PDF, Word, PPTX, spreadsheet, Markdown, HTML, RTF, ODT, TXT, scanned PNG/JPG, call transcripts (VTT/SRT) or email threads (EML/MBOX).
           </div>
         </div>
         <button
           onClick={onPick}
           className="rounded-xl border border-white/60 bg-white px-4 py-2 text-sm font-semibold text-zinc-800 hover:bg-white/50"
         >
-          Choose file
+          Choose files
         </button>
       </div>
 
       <input
         ref={inputRef}
         type="file"
-        accept=".pdf,.doc,.docx,.pptx,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,application/vnd.ms-word,application/vnd.openxmlformats-officedocument.presentationml.presentation"
+        multiple
+        accept={BRIEF_EXTS.join(',')}
         className="hidden"
-        onChange={(e) => onFiles(Array.from(e.target.files || []))}
+        onChange={(e) => {
+          onFiles(e.target.files)
+          e.target.value = ''
+        }}
       />
 
-      {file && (
-        <div className="mt-4 flex items-center justify-between rounded-xl border border-white/60 bg-white/50 px-3 py-2">
-          <div className="min-w-0">
-            <div className="truncate text-sm font-semibold text-zinc-800">{file.name}</div>
-            <div className="text-xs text-zinc-600">{Math.round(file.size / 1024)} KB</div>
-          </div>
-          <button
-            onClick={() => setFile(null)}
-            className="rounded-lg px-2 py-1 text-xs font-semibold text-zinc-600 hover:bg-white"
-          >
-            Remove
-          </button>
+      {files.length > 0 && (
+        <div className="mt-4 space-y-2">
+          {files.map(({ file, role }, idx) => (
+            <div key={file.name} className="flex items-center justify-between gap-3 rounded-xl border border-white/60 bg-white/50 px-3 py-2">
+              <div className="min-w-0">
+                <div className="truncate text-sm font-semibold text-zinc-800">{file.name}</div>
+                <div className="text-xs text-zinc-600">{Math.round(file.size / 1024)} KB</div>
+              </div>
+              <div className="flex shrink-0 items-center gap-2">
+                <select
+                  value={role}
+                  onChange={(e) => setRole(idx, e.target.value)}
+                  className="rounded-lg border border-white/60 bg-white px-2 py-1 text-xs text-zinc-700"
+                >
+                  {ROLE_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                </select>
+                <button
+                  onClick={() => setFiles(prev => prev.filter((_, i) => i !== idx))}
+                  className="rounded-lg px-2 py-1 text-xs font-semibold text-zinc-600 hover:bg-white"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
         </div>
       )}
     </div>
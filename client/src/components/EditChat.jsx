@@ -0,0 +1,164 @@
+import React, { useState } from 'react'
+
+// Editing assistant: each message comes back as a proposed plan + diff. Nothing touches the deck until the
+// proposal is accepted; accepted edits can be undone one by one.
+
+const HISTORY_TURNS = 6
+
+function DiffList({ diff }) {
+  const changed = (diff?.slides || []).filter(s => s.status !== 'unchanged' || s.moved)
+  const removed = diff?.removed || []
+  if (!changed.length && !removed.length) {
+    return <div className="text-[11px] text-zinc-500">No changes to the slides.</div>
+  }
+  return (
+    <ul className="space-y-1 text-xs">
+      {changed.map(s => (
+        <li key={`n${s.index}`} className="flex gap-2">
+          <span className={`w-4 shrink-0 text-center font-semibold ${
+            s.status === 'added' ? 'text-emerald-600' : s.status === 'changed' ? 'text-amber-600' : 'text-sky-600'
+          }`}>
+            {s.status === 'added' ? '+' : s.status === 'changed' ? '~' : '↕'}
+          </span>
+          <span className="min-w-0 text-zinc-700">
+            <span className="font-semibold">{s.index}.</span> {s.title || 'Untitled'}
+            <span className="text-zinc-400">
+              {s.status === 'added' ? ' — new slide' : ''}
+              {s.moved ? ` — moved from ${s.from}` : ''}
+              {s.status === 'changed' ? ` — ${s.fields.join(', ')}` : ''}
+            </span>
+          </span>
+        </li>
+      ))}
+      {removed.map(s => (
+        <li key={`r${s.from}`} className="flex gap-2">
+          <span className="w-4 shrink-0 text-center font-semibold text-rose-600">−</span>
+          <span className="min-w-0 text-zinc-500 line-through">{s.from}. {s.title || 'Untitled'}</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default function EditChat({ plan, onSend, onAccept, onUndo, undoCount, busy }) {
+  const [messages, setMessages] = useState([]) // [{ role, text, proposal?: { base, plan, diff, ops, skipped, state } }]
+  const [input, setInput] = useState('')
+  const [sending, setSending] = useState(false)
+
+  const setProposalState = (idx, state) => {
+    setMessages(list => list.map((m, i) => (i === idx ? { ...m, proposal: { ...m.proposal, state } } : m)))
+  }
+
+  const send = async () => {
+    const text = input.trim()
+    if (!text || sending) return
+    const history = messages.slice(-HISTORY_TURNS).map(({ role, text }) => ({ role, text }))
+    setMessages(list => [...list, { role: 'user', text }])
+    setInput('')
+    setSending(true)
+    try {
+      const out = await onSend(text, history)
+      const hasChanges = out?.ops?.length > 0
+      setMessages(list => [
+        // Only the newest proposal can be accepted; older pending ones are superseded.
+        ...list.map(m => (m.proposal?.state === 'pending' ? { ...m, proposal: { ...m.proposal, state: 'superseded' } } : m)),
+        {
+          role: 'assistant',
+          text: out?.reply || (hasChanges ? 'Here is the change.' : 'Nothing to change.'),
+          proposal: hasChanges ? { base: plan, plan: out.plan, diff: out.diff, ops: out.ops, skipped: out.skipped || [], state: 'pending' } : null
+        }
+      ])
+    } catch (e) {
+      setMessages(list => [...list, { role: 'assistant', text: e.message, error: true }])
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div className="rounded-2xl border border-white/60 bg-white/60 p-5 shadow-sm backdrop-blur-xl">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold">Editing assistant</div>
+          <div className="mt-1 text-xs text-zinc-500">
+            “Merge slides 4 and 5”, “add a pricing slide after the solution”, “cut the deck to 8 slides”.
+          </div>
+        </div>
+        <button
+          onClick={onUndo}
+          disabled={!undoCount || busy}
+          className="rounded-xl border border-white/60 bg-white px-3 py-1.5 text-xs font-semibold text-zinc-700 hover:bg-white/70 disabled:opacity-50"
+        >
+          Undo{undoCount ? ` (${undoCount})` : ''}
+        </button>
+      </div>
+
+      {messages.length > 0 && (
+        <div className="mt-4 max-h-96 space-y-3 overflow-auto">
+          {messages.map((m, idx) => (
+            <div key={idx} className={m.role === 'user' ? 'flex justify-end' : ''}>
+              <div className={`max-w-[90%] rounded-2xl px-3 py-2 text-sm ${
+                m.role === 'user' ? 'bg-zinc-900 text-white' : m.error ? 'bg-rose-50 text-rose-700' : 'bg-white/80 text-zinc-800'
+              }`}>
+                <div>{m.text}</div>
+                {m.proposal && (
+                  <div className="mt-2 rounded-xl border border-white/70 bg-white p-2">
+                    <DiffList diff={m.proposal.diff} />
+                    {m.proposal.skipped.length > 0 && (
+                      <div className="mt-2 text-[11px] text-amber-700">
+                        Skipped: {m.proposal.skipped.map(s => s.summary || s.op).join('; ')} ({m.proposal.skipped[0].reason})
+                      </div>
+                    )}
+                    {m.proposal.state === 'pending' ? (
+                      m.proposal.base !== plan ? (
+                        <div className="mt-2 text-[11px] text-zinc-500">The deck changed since this was proposed — ask again.</div>
+                      ) : (
+                        <div className="mt-2 flex gap-2">
+                          <button
+                            onClick={() => { onAccept(m.proposal.plan); setProposalState(idx, 'accepted') }}
+                            disabled={busy}
+                            className="rounded-lg bg-gradient-to-r from-fuchsia-500 to-sky-400 px-3 py-1 text-xs font-semibold text-white disabled:opacity-50"
+                          >
+                            Apply
+                          </button>
+                          <button
+                            onClick={() => setProposalState(idx, 'rejected')}
+                            className="rounded-lg border border-white/70 bg-white px-3 py-1 text-xs font-semibold text-zinc-600 hover:bg-white/70"
+                          >
+                            Discard
+                          </button>
+                        </div>
+                      )
+                    ) : (
+                      <div className="mt-2 text-[11px] text-zinc-500">
+                        {m.proposal.state === 'accepted' ? 'Applied.' : m.proposal.state === 'rejected' ? 'Discarded.' : 'Superseded by a newer proposal.'}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+          {sending && <div className="text-xs text-zinc-500">Thinking…</div>}
+        </div>
+      )}
+
+      <div className="mt-4 flex items-center gap-2">
+        <input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') send() }}
+          placeholder="Tell the assistant what to change…"
+          className="min-w-0 flex-1 rounded-xl border border-white/60 bg-white px-3 py-2 text-sm"
+        />
+        <button
+          onClick={send}
+          disabled={sending || busy || !input.trim()}
+          className="rounded-xl bg-gradient-to-r from-fuchsia-500 to-sky-400 px-4 py-2 text-xs font-semibold text-white shadow-sm disabled:opacity-50"
+        >
+          Send
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from 'react'
+
+// Approval checkpoint: the story (narrative sections + messaging) before any slide is written.
+// Edits stay local until Save or Approve; the server keeps the session so a reload can pick it up again.
+
+const inputClass = 'w-full rounded-xl border border-white/60 bg-white px-3 py-2 text-sm'
+
+function Field({ label, value, onChange, multiline }) {
+  return (
+    <label className="block">
+      <div className="mb-1 text-[11px] font-semibold text-zinc-500">{label}</div>
+      {multiline ? (
+        <textarea value={(value || '').toString()} onChange={(e) => onChange(e.target.value)} className={`${inputClass} h-16`} />
+      ) : (
+        <input value={(value || '').toString()} onChange={(e) => onChange(e.target.value)} className={inputClass} />
+      )}
+    </label>
+  )
+}
+
+export default function NarrativeReview({ session, busy, onSave, onApprove, onDiscard }) {
+  const [narrative, setNarrative] = useState(session?._narrative || {})
+  const [messaging, setMessaging] = useState(session?._messaging || {})
+  const [dirty, setDirty] = useState(false)
+
+  useEffect(() => {
+    setNarrative(session?._narrative || {})
+    setMessaging(session?._messaging || {})
+    setDirty(false)
+  }, [session?.id])
+
+  const sections = Array.isArray(narrative.sections) ? narrative.sections : []
+  const concepts = Array.isArray(messaging.section_concepts) ? messaging.section_concepts : []
+  const anchors = Array.isArray(messaging.anchors) ? messaging.anchors : []
+
+  const patchNarrative = (patch) => { setNarrative(n => ({ ...n, ...patch })); setDirty(true) }
+  const patchMessaging = (patch) => { setMessaging(m => ({ ...m, ...patch })); setDirty(true) }
+
+  const setSections = (next) => patchNarrative({ sections: next })
+  const patchSection = (idx, patch) => setSections(sections.map((sec, i) => (i === idx ? { ...sec, ...patch } : sec)))
+  const moveSection = (idx, dir) => {
+    const to = idx + dir
+    if (to < 0 || to >= sections.length) return
+    const next = [...sections]
+    ;[next[idx], next[to]] = [next[to], next[idx]]
+    setSections(next)
+  }
+  // The server drops (and reorders) section concepts to match the narrative on resume.
+  const deleteSection = (idx) => setSections(sections.filter((_, i) => i !== idx))
+
+  const patchConcept = (sectionId, patch) => patchMessaging({
+    section_concepts: concepts.map(c => (c.section_id === sectionId ? { ...c, ...patch } : c))
+  })
+  const setAnchors = (next) => patchMessaging({ anchors: next })
+
+  const edits = () => ({ _narrative: narrative, _messaging: messaging })
+
+  return (
+    <div className="rounded-2xl border border-white/60 bg-white/60 p-5 shadow-sm backdrop-blur-xl">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold">Review the story</div>
+          <div className="mt-1 text-xs text-zinc-500">
+            Reorder, cut or rewrite sections and anchors. Slides are written only after you approve.
+          </div>
+        </div>
+        <div className="text-[11px] text-zinc-500">
+          {session?.status === 'resumed' ? 'Approved' : dirty ? 'Unsaved changes' : 'Saved'}
+        </div>
+      </div>
+
+      <div className="mt-4 space-y-3">
+        <Field label="Thesis" value={narrative.thesis} onChange={(v) => patchNarrative({ thesis: v })} multiline />
+
+        <div>
+          <div className="mb-1 text-xs font-semibold text-zinc-600">Anchors (repeated verbatim as callbacks)</div>
+          <div className="space-y-1.5">
+            {anchors.map((a, idx) => (
+              <div key={idx} className="flex items-center gap-2">
+                <input
+                  value={a}
+                  onChange={(e) => setAnchors(anchors.map((x, i) => (i === idx ? e.target.value : x)))}
+                  className={inputClass}
+                />
+                <button
+                  type="button"
+                  onClick={() => setAnchors(anchors.filter((_, i) => i !== idx))}
+                  disabled={anchors.length <= 1}
+                  className="rounded-md border border-white/70 bg-white px-2 py-1 text-xs hover:bg-white/70 disabled:opacity-40"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            {anchors.length < 3 ? (
+              <button
+                type="button"
+                onClick={() => setAnchors([...anchors, ''])}
+                className="rounded-md border border-white/70 bg-white px-2 py-1 text-xs hover:bg-white/70"
+              >
+                + Anchor
+              </button>
+            ) : null}
+          </div>
+        </div>
+
+        <div>
+          <div className="mb-1 text-xs font-semibold text-zinc-600">Sections</div>
+          <ol className="space-y-2">
+            {sections.map((sec, idx) => {
+              const concept = concepts.find(c => c.section_id === sec.id)
+              return (
+                <li key={sec.id || idx} className="rounded-xl border border-white/60 bg-white/70 p-3">
+                  <div className="flex items-center gap-2">
+                    <span className="w-5 text-xs font-semibold text-zinc-400">{idx + 1}</span>
+                    <input
+                      value={(sec.name || '').toString()}
+                      onChange={(e) => patchSection(idx, { name: e.target.value })}
+                      className="min-w-0 flex-1 rounded-lg border border-white/60 bg-white px-2 py-1 text-sm font-semibold"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => moveSection(idx, -1)}
+                      disabled={idx === 0}
+                      className="rounded-md border border-white/70 bg-white px-2 py-0.5 text-xs hover:bg-white/70 disabled:opacity-40"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => moveSection(idx, 1)}
+                      disabled={idx === sections.length - 1}
+                      className="rounded-md border border-white/70 bg-white px-2 py-0.5 text-xs hover:bg-white/70 disabled:opacity-40"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => deleteSection(idx)}
+                      disabled={sections.length <= 1}
+                      className="rounded-md border border-white/70 bg-white px-2 py-0.5 text-xs text-rose-600 hover:bg-white/70 disabled:opacity-40"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                  <div className="mt-2 grid gap-2 md:grid-cols-2">
+                    <Field label="Goal" value={sec.goal} onChange={(v) => patchSection(idx, { goal: v })} multiline />
+                    <Field label="Key message" value={sec.key_message} onChange={(v) => patchSection(idx, { key_message: v })} multiline />
+                    {concept ? (
+                      <>
+                        <Field label="Concept" value={concept.concept} onChange={(v) => patchConcept(sec.id, { concept: v })} />
+                        <Field label="Bridge to next" value={concept.required_bridge} onChange={(v) => patchConcept(sec.id, { required_bridge: v })} />
+                      </>
+                    ) : null}
+                  </div>
+                </li>
+              )
+            })}
+          </ol>
+        </div>
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => onApprove?.(edits())}
+          disabled={busy || !sections.length}
+          className="rounded-xl bg-gradient-to-r from-fuchsia-500 to-sky-400 px-4 py-2 text-xs font-semibold text-white shadow-sm disabled:opacity-50"
+        >
+          Approve &amp; write slides
+        </button>
+        <button
+          onClick={async () => { if (await onSave?.(edits())) setDirty(false) }}
+          disabled={busy || !dirty}
+          className="rounded-xl border border-white/60 bg-white px-4 py-2 text-xs font-semibold text-zinc-700 hover:bg-white/70 disabled:opacity-50"
+        >
+          Save
+        </button>
+        <button
+          onClick={() => onDiscard?.()}
+          disabled={busy}
+          className="rounded-xl border border-white/60 bg-white px-4 py-2 text-xs font-semibold text-zinc-500 hover:bg-white/70 disabled:opacity-50"
+        >
+          Discard
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -1,4 +1,5 @@
 import React, { useMemo, useState } from 'react'
+import StagePanels from './StagePanels.jsx'
 
 function safeArray(v) {
   return Array.isArray(v) ? v : v ? [String(v)] : []
@@ -15,9 +16,167 @@ function thumbClass(kind) {
   return 'bg-gradient-to-br from-amber-100 via-white to-pink-100'
 }
 
-export default function PlanEditor({ plan, setPlan }) {
+// Per-slide "Regenerate": an instruction for the model, then the new slide plus other headlines to pick from.
+function SlideRegenerate({ idx, title, onRegenerate, onApply, onClose, disabled }) {
+  const [instruction, setInstruction] = useState('')
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState('')
+  const [alternatives, setAlternatives] = useState([])
+
+  const run = async () => {
+    setRunning(true)
+    setError('')
+    try {
+      const out = await onRegenerate(idx, instruction)
+      if (out?.slide) onApply(out.slide)
+      setAlternatives(Array.isArray(out?.headline_alternatives) ? out.headline_alternatives : [])
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  return (
+    <div className="mt-3 rounded-xl border border-fuchsia-100 bg-fuchsia-50/40 p-3">
+      <div className="flex items-center gap-2">
+        <input
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter' && !running) run() }}
+          placeholder='e.g. "make this a comparison matrix against the two competitors" or "punchier headline"'
+          className="min-w-0 flex-1 rounded-xl border border-white/60 bg-white px-3 py-2 text-sm"
+        />
+        <button
+          type="button"
+          onClick={run}
+          disabled={running || disabled}
+          className="rounded-xl bg-gradient-to-r from-fuchsia-500 to-sky-400 px-3 py-2 text-xs font-semibold text-white shadow-sm disabled:opacity-50"
+        >
+          {running ? 'Rewriting…' : 'Regenerate'}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="rounded-xl border border-white/60 bg-white px-3 py-2 text-xs font-semibold text-zinc-500 hover:bg-white/70"
+        >
+          Close
+        </button>
+      </div>
+      {error ? <div className="mt-2 text-[11px] text-rose-600">{error}</div> : null}
+      {alternatives.length > 0 && (
+        <div className="mt-3">
+          <div className="mb-1 text-[11px] font-semibold text-zinc-600">Other headlines</div>
+          <div className="flex flex-wrap gap-1.5">
+            {alternatives.map(h => (
+              <button
+                key={h}
+                type="button"
+                onClick={() => {
+                  // Swap: the current title becomes an alternative, so nothing is lost.
+                  setAlternatives(list => list.map(x => (x === h ? title : x)).filter(Boolean))
+                  onApply({ title: h })
+                }}
+                className="rounded-lg border border-white/70 bg-white px-2 py-1 text-left text-xs text-zinc-700 hover:bg-white/70"
+              >
+                {h}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Copy lint issues for one slide (from /api/plan/lint), errors first.
+function SlideLint({ issues, onFix, fixing, disabled }) {
+  if (!issues.length) return null
+  const sorted = [...issues].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1))
+  return (
+    <div className="mt-3 rounded-xl border border-amber-100 bg-amber-50/50 p-2">
+      <ul className="space-y-0.5 text-[11px]">
+        {sorted.map((i, n) => (
+          <li key={n} className="flex gap-2">
+            <span className={`shrink-0 font-semibold ${i.severity === 'error' ? 'text-rose-600' : 'text-amber-600'}`}>
+              {i.severity === 'error' ? 'Error' : 'Warning'}
+            </span>
+            <span className="text-zinc-700">{i.message}</span>
+          </li>
+        ))}
+      </ul>
+      {onFix && (
+        <button
+          type="button"
+          onClick={onFix}
+          disabled={disabled || fixing}
+          className="mt-2 rounded-md border border-white/70 bg-white px-2 py-0.5 text-[11px] font-semibold text-zinc-700 hover:bg-white/70 disabled:opacity-50"
+        >
+          {fixing ? 'Fixing…' : 'Fix this slide'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+// Figures on one slide that the brief doesn't support (red) or that read differently elsewhere (amber).
+function SlideFigures({ issues }) {
+  if (!issues.length) return null
+  return (
+    <div className="mt-2 flex flex-wrap gap-1.5">
+      {issues.map((i, n) => (
+        <span
+          key={n}
+          title={i.message}
+          className={`rounded-md px-1.5 py-0.5 text-[11px] font-semibold ${
+            i.reason === 'unsupported' ? 'bg-rose-50 text-rose-700' : 'bg-amber-50 text-amber-700'
+          }`}
+        >
+          {i.reason === 'unsupported' ? 'Not in brief' : 'Inconsistent'}: {i.text}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+// Brief passages behind a slide's claims (slide.citations); clicking one highlights it in the extracted text.
+function SlideSources({ citations, active, onSelect }) {
+  if (!citations.length) return null
+  const fields = [...new Set(citations.map(c => c.field))]
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-1.5">
+      <span className="text-[11px] font-semibold text-zinc-500">Sources</span>
+      {fields.map((field) => {
+        const c = citations.find(x => x.field === field)
+        const where = c.page ? `p. ${c.page}` : c.slide ? `slide ${c.slide}` : ''
+        return (
+          <button
+            key={field}
+            type="button"
+            title={c.excerpt}
+            onClick={() => onSelect(active === field ? null : field)}
+            className={`rounded-md px-1.5 py-0.5 text-[11px] font-semibold ${
+              active === field ? 'bg-amber-200 text-zinc-900' : 'bg-sky-50 text-sky-700 hover:bg-sky-100'
+            }`}
+          >
+            {field}{where ? ` · ${where}` : ''}{c.source ? ` · ${c.source}` : ''}
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+export default function PlanEditor({ plan, setPlan, onRerun, onRegenerateSlide, lint, onFixLint, figures, sourceFocus, onSelectSource, onRefreshSources, busy }) {
   const [view, setView] = useState('slides') // slides | json
+  const [regenerating, setRegenerating] = useState(null) // index of the slide with the Regenerate panel open
+  const [fixing, setFixing] = useState(null) // 'all' or the index of the slide being fixed
+  const [fixError, setFixError] = useState('')
+  const [citing, setCiting] = useState(false)
+  const [citeError, setCiteError] = useState('')
   const slides = useMemo(() => safeArray(plan?.slides), [plan])
+  // Images pulled out of the brief files; a slide uses one via asset_id instead of a generated image.
+  const assets = useMemo(() => (Array.isArray(plan?.assets) ? plan.assets : []), [plan])
 
   if (!plan) {
     return (
@@ -36,6 +195,39 @@ export default function PlanEditor({ plan, setPlan }) {
     })
   }
 
+  const lintIssues = Array.isArray(lint?.issues) ? lint.issues : []
+  const figureIssues = Array.isArray(figures?.issues) ? figures.issues : []
+  const cited = slides.reduce((n, s) => n + new Set(safeArray(s?.citations).map(c => c.field)).size, 0)
+  const refreshSources = async () => {
+    setCiting(true)
+    setCiteError('')
+    try {
+      await onRefreshSources()
+    } catch (e) {
+      setCiteError(e.message)
+    } finally {
+      setCiting(false)
+    }
+  }
+  // Selecting a bullet line highlights the brief passage it was cited from.
+  const selectBullet = (idx, e) => {
+    if (!onSelectSource) return
+    const line = e.target.value.slice(0, e.target.selectionStart).split('\n').length - 1
+    onSelectSource({ slide: idx, field: `bullets[${line}]` })
+  }
+
+  const fix = async (target) => {
+    setFixing(target)
+    setFixError('')
+    try {
+      await onFixLint(target === 'all' ? null : [target])
+    } catch (e) {
+      setFixError(e.message)
+    } finally {
+      setFixing(null)
+    }
+  }
+
   const scrollToSlide = (idx) => {
     const el = document.getElementById(`slide-${idx}`)
     if (el) el.scrollIntoView({ behavior: 'smooth', block: 'start' })
@@ -43,6 +235,8 @@ export default function PlanEditor({ plan, setPlan }) {
 
   return (
     <div className="space-y-6">
+      <StagePanels plan={plan} setPlan={setPlan} onRerun={onRerun} busy={busy} />
+
       {/* Outline editor */}
       <div className="rounded-2xl border border-white/60 bg-white/60 p-5 shadow-sm backdrop-blur-xl">
         <div className="flex items-center justify-between gap-3">
@@ -89,6 +283,82 @@ export default function PlanEditor({ plan, setPlan }) {
           </label>
         </div>
 
+        {assets.length > 0 && (
+          <div className="mt-4">
+            <div className="mb-2 text-xs font-semibold text-zinc-600">Images from your brief ({assets.length})</div>
+            <div className="flex gap-2 overflow-x-auto pb-1">
+              {assets.map((a) => {
+                const usedOn = slides.map((s, i) => (s?.asset_id === a.id ? i + 1 : null)).filter(Boolean)
+                return (
+                  <div key={a.id} className="w-28 shrink-0 rounded-xl border border-white/60 bg-white/70 p-1.5" title={[a.source, a.context].filter(Boolean).join(' — ')}>
+                    <img src={`/api/assets/${a.id}`} alt={a.name} className="h-16 w-full rounded-lg object-cover" />
+                    <div className="mt-1 truncate text-[10px] font-semibold text-zinc-700">{a.name}</div>
+                    <div className="text-[10px] text-zinc-500">
+                      {a.kind === 'logo' ? 'Logo' : `${a.width}×${a.height}`}{usedOn.length ? ` • slide ${usedOn.join(', ')}` : ''}
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+        )}
+
+        {lint && (
+          <div className="mt-4 flex flex-wrap items-center gap-3 rounded-xl border border-white/60 bg-white/70 px-3 py-2 text-xs">
+            <span className="font-semibold text-zinc-700">Copy check</span>
+            {lintIssues.length ? (
+              <>
+                <span className="text-rose-600">{lint.counts?.error || 0} errors</span>
+                <span className="text-amber-600">{lint.counts?.warning || 0} warnings</span>
+                {onFixLint && (
+                  <button
+                    type="button"
+                    onClick={() => fix('all')}
+                    disabled={busy || fixing !== null}
+                    className="rounded-md border border-white/70 bg-white px-2 py-0.5 font-semibold text-zinc-700 hover:bg-white/70 disabled:opacity-50"
+                  >
+                    {fixing === 'all' ? 'Fixing…' : 'Auto-fix all'}
+                  </button>
+                )}
+              </>
+            ) : (
+              <span className="text-emerald-600">No issues</span>
+            )}
+            {fixError ? <span className="text-rose-600">{fixError}</span> : null}
+          </div>
+        )}
+
+        {figures && (
+          <div className="mt-2 flex flex-wrap items-center gap-3 rounded-xl border border-white/60 bg-white/70 px-3 py-2 text-xs">
+            <span className="font-semibold text-zinc-700">Figure check</span>
+            <span className="text-zinc-500">{figures.checked} figures</span>
+            {figureIssues.length ? (
+              <>
+                <span className="text-rose-600">{figures.counts?.unsupported || 0} not in the brief</span>
+                <span className="text-amber-600">{figures.counts?.inconsistent || 0} inconsistent</span>
+              </>
+            ) : (
+              <span className="text-emerald-600">All supported by the brief</span>
+            )}
+          </div>
+        )}
+
+        {onRefreshSources && (
+          <div className="mt-2 flex flex-wrap items-center gap-3 rounded-xl border border-white/60 bg-white/70 px-3 py-2 text-xs">
+            <span className="font-semibold text-zinc-700">Sources</span>
+            <span className="text-zinc-500">{cited} claims traced to the brief</span>
+            <button
+              type="button"
+              onClick={refreshSources}
+              disabled={busy || citing}
+              className="rounded-md border border-white/70 bg-white px-2 py-0.5 text-[11px] font-semibold text-zinc-700 hover:bg-white/70 disabled:opacity-50"
+            >
+              {citing ? 'Matching…' : 'Refresh sources'}
+            </button>
+            {citeError ? <span className="text-rose-600">{citeError}</span> : null}
+          </div>
+        )}
+
         {view === 'json' ? (
           <textarea
             className="mt-4 h-[520px] w-full rounded-2xl border border-white/60 bg-white p-3 font-mono text-[12px] outline-none focus:border-white/80"
@@ -110,6 +380,7 @@ export default function PlanEditor({ plan, setPlan }) {
               const subtitle = (s?.subtitle || '').toString()
               const bullets = safeArray(s?.bullets)
               const imagePrompt = (s?.image_prompt || '').toString()
+              const asset = assets.find(a => a.id === s?.asset_id) || null
 
               return (
                 <div key={idx} id={`slide-${idx}`} className="rounded-2xl border border-white/60 p-4">
@@ -118,8 +389,53 @@ export default function PlanEditor({ plan, setPlan }) {
                       <div className="text-xs font-semibold text-zinc-500">Slide {idx + 1} • {type}</div>
                       <div className="mt-1 text-sm font-semibold text-zinc-900">{title || 'Untitled'}</div>
                     </div>
+                    <div className="flex shrink-0 items-center gap-2">
+                      {s?.data_ref?.sheet && (
+                        <div className="rounded-lg bg-emerald-50 px-2 py-1 font-mono text-[11px] text-emerald-700" title="Chart/table/KPI values come from these spreadsheet cells">
+                          {s.data_ref.sheet}!{s.data_ref.range}
+                        </div>
+                      )}
+                      {onRegenerateSlide && regenerating !== idx && (
+                        <button
+                          type="button"
+                          onClick={() => setRegenerating(idx)}
+                          disabled={busy}
+                          className="rounded-lg border border-white/70 bg-white px-2 py-1 text-[11px] font-semibold text-zinc-700 hover:bg-white/70 disabled:opacity-50"
+                        >
+                          Regenerate
+                        </button>
+                      )}
+                    </div>
                   </div>
 
+                  <SlideFigures issues={figureIssues.filter(i => i.slide === idx)} />
+
+                  {onSelectSource && (
+                    <SlideSources
+                      citations={safeArray(s?.citations)}
+                      active={sourceFocus?.slide === idx ? sourceFocus.field : null}
+                      onSelect={(field) => onSelectSource(field ? { slide: idx, field } : null)}
+                    />
+                  )}
+
+                  <SlideLint
+                    issues={lintIssues.filter(i => i.slide === idx)}
+                    onFix={onFixLint ? () => fix(idx) : null}
+                    fixing={fixing === idx}
+                    disabled={busy || fixing !== null}
+                  />
+
+                  {onRegenerateSlide && regenerating === idx && (
+                    <SlideRegenerate
+                      idx={idx}
+                      title={title}
+                      onRegenerate={onRegenerateSlide}
+                      onApply={(patch) => updateSlide(idx, patch)}
+                      onClose={() => setRegenerating(null)}
+                      disabled={busy}
+                    />
+                  )}
+
                   <div className="mt-3 grid gap-3 md:grid-cols-2">
                     <label className="block md:col-span-2">
                       <div className="mb-1 text-xs font-semibold text-zinc-600">Title</div>
@@ -142,40 +458,65 @@ export default function PlanEditor({ plan, setPlan }) {
                       <textarea
                         value={bullets.join('\n')}
                         onChange={(e) => updateSlide(idx, { bullets: e.target.value.split(/\r?\n/).map(v=>v.trim()).filter(Boolean) })}
+                        onClick={(e) => selectBullet(idx, e)}
+                        onKeyUp={(e) => selectBullet(idx, e)}
                         className="h-28 w-full rounded-xl border border-white/60 bg-white px-3 py-2 text-sm"
                         placeholder="• ..."
                       />
                     </label>
-                    <label className="block md:col-span-2">
-                      <div className="flex items-center justify-between">
-                        <div className="mb-1 text-xs font-semibold text-zinc-600">Background image prompt</div>
-                        <div className="flex items-center gap-2 text-[11px] font-semibold text-zinc-500">
-                          <button
-                            type="button"
-                            onClick={() => updateSlide(idx, { image_prompt: 'NONE' })}
-                            className="rounded-md border border-white/70 bg-white px-2 py-0.5 hover:bg-white/70"
-                          >
-                            Use none
-                          </button>
-                          <button
-                            type="button"
-                            onClick={() => updateSlide(idx, { image_prompt: '' })}
-                            className="rounded-md border border-white/70 bg-white px-2 py-0.5 hover:bg-white/70"
+                    {assets.length > 0 && (
+                      <label className="block md:col-span-2">
+                        <div className="mb-1 text-xs font-semibold text-zinc-600">Visual</div>
+                        <div className="flex items-center gap-3">
+                          <select
+                            value={asset?.id || ''}
+                            onChange={(e) => updateSlide(idx, e.target.value ? { asset_id: e.target.value, image_prompt: 'NONE' } : { asset_id: null, image_prompt: '' })}
+                            className="min-w-0 flex-1 rounded-xl border border-white/60 bg-white px-3 py-2 text-sm"
                           >
-                            Clear
-                          </button>
+                            <option value="">Generate from prompt</option>
+                            {assets.map(a => (
+                              <option key={a.id} value={a.id}>{a.name} ({a.source}){a.kind === 'logo' ? ' — logo' : ''}</option>
+                            ))}
+                          </select>
+                          {asset && <img src={`/api/assets/${asset.id}`} alt={asset.name} className="h-12 w-20 shrink-0 rounded-lg object-cover" />}
                         </div>
-                      </div>
-                      <textarea
-                        value={imagePrompt}
-                        onChange={(e) => updateSlide(idx, { image_prompt: e.target.value })}
-                        className="h-24 w-full rounded-xl border border-white/60 bg-white px-3 py-2 text-sm"
-                        placeholder="Describe the background image you want for this slide."
-                      />
-                      <div className="mt-1 text-[11px] text-zinc-500">
-                        This prompt replaces the background image for this slide on export.
-                      </div>
-                    </label>
+                        <div className="mt-1 text-[11px] text-zinc-500">
+                          Brief images are cropped to the layout on export; no image is generated for this slide.
+                        </div>
+                      </label>
+                    )}
+                    {!asset && (
+                      <label className="block md:col-span-2">
+                        <div className="flex items-center justify-between">
+                          <div className="mb-1 text-xs font-semibold text-zinc-600">Background image prompt</div>
+                          <div className="flex items-center gap-2 text-[11px] font-semibold text-zinc-500">
+                            <button
+                              type="button"
+                              onClick={() => updateSlide(idx, { image_prompt: 'NONE' })}
+                              className="rounded-md border border-white/70 bg-white px-2 py-0.5 hover:bg-white/70"
+                            >
+                              Use none
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => updateSlide(idx, { image_prompt: '' })}
+                              className="rounded-md border border-white/70 bg-white px-2 py-0.5 hover:bg-white/70"
+                            >
+                              Clear
+                            </button>
+                          </div>
+                        </div>
+                        <textarea
+                          value={imagePrompt}
+                          onChange={(e) => updateSlide(idx, { image_prompt: e.target.value })}
+                          className="h-24 w-full rounded-xl border border-white/60 bg-white px-3 py-2 text-sm"
+                          placeholder="Describe the background image you want for this slide."
+                        />
+                        <div className="mt-1 text-[11px] text-zinc-500">
+                          This prompt replaces the background image for this slide on export.
+                        </div>
+                      </label>
+                    )}
                   </div>
                 </div>
               )
@@ -0,0 +1,197 @@
+import React, { useEffect, useRef, useState } from 'react'
+
+// Intermediate planner artifacts (plan._extract / _narrative / _messaging) and the stage a re-run starts at
+// after editing each one. Upstream artifacts are reused by the server, never regenerated.
+const TABS = [
+  { id: 'extract', key: '_extract', label: 'Extract', rerunFrom: 'narrative' },
+  { id: 'narrative', key: '_narrative', label: 'Narrative', rerunFrom: 'messaging' },
+  { id: 'messaging', key: '_messaging', label: 'Messaging', rerunFrom: 'assemble' }
+]
+
+const EXTRACT_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'audience', label: 'Audience' },
+  { key: 'objective', label: 'Objective', multiline: true },
+  { key: 'ask_or_cta', label: 'Ask / CTA' },
+  { key: 'language', label: 'Language' }
+]
+
+// JSON editor with a local draft: invalid JSON stays in the box (with an error) instead of snapping back.
+function JsonBox({ value, onChange }) {
+  const [draft, setDraft] = useState(() => JSON.stringify(value, null, 2))
+  const [error, setError] = useState('')
+  const applied = useRef(value)
+
+  // Only outside changes (a re-run, the form fields) replace the draft; our own edits keep the cursor.
+  useEffect(() => {
+    if (value === applied.current) return
+    applied.current = value
+    setDraft(JSON.stringify(value, null, 2))
+    setError('')
+  }, [value])
+
+  return (
+    <div>
+      <textarea
+        className="h-64 w-full rounded-2xl border border-white/60 bg-white p-3 font-mono text-[12px] outline-none focus:border-white/80"
+        value={draft}
+        onChange={(e) => {
+          setDraft(e.target.value)
+          try {
+            const parsed = JSON.parse(e.target.value)
+            setError('')
+            applied.current = parsed
+            onChange(parsed)
+          } catch (err) {
+            setError(err.message)
+          }
+        }}
+      />
+      {error ? <div className="mt-1 text-[11px] text-rose-600">Not applied: {error}</div> : null}
+    </div>
+  )
+}
+
+export default function StagePanels({ plan, setPlan, onRerun, busy }) {
+  const [tab, setTab] = useState('extract')
+  const available = TABS.filter(t => plan?.[t.key])
+  if (!available.length) return null
+
+  const current = available.find(t => t.id === tab) || available[0]
+  const artifact = plan[current.key]
+  const setArtifact = (next) => setPlan(p => ({ ...(p || {}), [current.key]: next }))
+  const patchArtifact = (patch) => setArtifact({ ...(artifact || {}), ...patch })
+
+  const sections = Array.isArray(plan._narrative?.sections) ? plan._narrative.sections : []
+  const moveSection = (idx, dir) => {
+    const to = idx + dir
+    if (to < 0 || to >= sections.length) return
+    const next = [...sections]
+    ;[next[idx], next[to]] = [next[to], next[idx]]
+    patchArtifact({ sections: next })
+  }
+
+  return (
+    <div className="rounded-2xl border border-white/60 bg-white/60 p-5 shadow-sm backdrop-blur-xl">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold">Planner stages</div>
+          <div className="mt-1 text-xs text-zinc-500">Correct an intermediate result, then re-run only the stages after it.</div>
+        </div>
+        <div className="flex items-center gap-2">
+          {available.map(t => (
+            <button
+              key={t.id}
+              onClick={() => setTab(t.id)}
+              className={`rounded-lg px-3 py-1.5 text-xs font-semibold ${
+                current.id === t.id
+                  ? 'bg-gradient-to-r from-fuchsia-500 to-sky-400 text-white'
+                  : 'border border-white/60 bg-white text-zinc-700 hover:bg-white/70'
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {current.id === 'extract' && (
+        <div className="mt-4 grid gap-3 md:grid-cols-2">
+          {EXTRACT_FIELDS.map(f => (
+            <label key={f.key} className={`block ${f.multiline ? 'md:col-span-2' : ''}`}>
+              <div className="mb-1 text-xs font-semibold text-zinc-600">{f.label}</div>
+              {f.multiline ? (
+                <textarea
+                  value={(artifact?.[f.key] || '').toString()}
+                  onChange={(e) => patchArtifact({ [f.key]: e.target.value })}
+                  className="h-20 w-full rounded-xl border border-white/60 bg-white px-3 py-2 text-sm"
+                />
+              ) : (
+                <input
+                  value={(artifact?.[f.key] || '').toString()}
+                  onChange={(e) => patchArtifact({ [f.key]: e.target.value })}
+                  className="w-full rounded-xl border border-white/60 bg-white px-3 py-2 text-sm"
+                />
+              )}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {current.id === 'narrative' && (
+        <div className="mt-4 space-y-3">
+          <label className="block">
+            <div className="mb-1 text-xs font-semibold text-zinc-600">Thesis</div>
+            <textarea
+              value={(artifact?.thesis || '').toString()}
+              onChange={(e) => patchArtifact({ thesis: e.target.value })}
+              className="h-16 w-full rounded-xl border border-white/60 bg-white px-3 py-2 text-sm"
+            />
+          </label>
+          <div>
+            <div className="mb-1 text-xs font-semibold text-zinc-600">Section order</div>
+            <ol className="space-y-1.5">
+              {sections.map((sec, idx) => (
+                <li key={sec.id || idx} className="flex items-center gap-2 rounded-xl border border-white/60 bg-white/70 px-3 py-2">
+                  <span className="w-5 text-xs font-semibold text-zinc-400">{idx + 1}</span>
+                  <div className="min-w-0 flex-1">
+                    <div className="truncate text-sm font-semibold text-zinc-800">{sec.name || sec.id}</div>
+                    <div className="truncate text-[11px] text-zinc-500">{sec.key_message}</div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => moveSection(idx, -1)}
+                    disabled={idx === 0}
+                    className="rounded-md border border-white/70 bg-white px-2 py-0.5 text-xs hover:bg-white/70 disabled:opacity-40"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveSection(idx, 1)}
+                    disabled={idx === sections.length - 1}
+                    className="rounded-md border border-white/70 bg-white px-2 py-0.5 text-xs hover:bg-white/70 disabled:opacity-40"
+                  >
+                    ↓
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </div>
+        </div>
+      )}
+
+      <details className="mt-4">
+        <summary className="cursor-pointer text-xs font-semibold text-zinc-600">Full {current.label.toLowerCase()} JSON</summary>
+        <div className="mt-2">
+          <JsonBox value={artifact} onChange={setArtifact} />
+        </div>
+      </details>
+
+      <div className="mt-4 flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => onRerun?.(current.rerunFrom)}
+          disabled={busy || !onRerun}
+          className="rounded-xl bg-gradient-to-r from-fuchsia-500 to-sky-400 px-4 py-2 text-xs font-semibold text-white shadow-sm disabled:opacity-50"
+        >
+          Re-run from {current.rerunFrom}
+        </button>
+        {Array.isArray(plan.slides) ? (
+          <>
+            <button
+              onClick={() => onRerun?.('edit')}
+              disabled={busy || !onRerun}
+              className="rounded-xl border border-white/60 bg-white px-4 py-2 text-xs font-semibold text-zinc-700 hover:bg-white/70 disabled:opacity-50"
+              title="Run the editor pass (and agency concept refine) on the slides as they are now"
+            >
+              Polish current slides
+            </button>
+            <div className="text-[11px] text-zinc-500">Re-running replaces the slides below.</div>
+          </>
+        ) : (
+          <div className="text-[11px] text-zinc-500">The last run stopped before writing slides; re-run to continue from here.</div>
+        )}
+      </div>
+    </div>
+  )
+}
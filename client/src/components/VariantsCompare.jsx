@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react'
+
+// Alternative outlines of one brief side by side (from /api/plan_job/variants). Promote one as the plan, or
+// pick slides from several: the merged plan keeps them in the order they were picked.
+
+function slideKey(variantId, idx) {
+  return `${variantId}:${idx}`
+}
+
+export default function VariantsCompare({ variants, busy, onPromote, onMerge, onClose }) {
+  const [picked, setPicked] = useState([]) // [{ variant, index }] in pick order
+
+  useEffect(() => { setPicked([]) }, [variants])
+
+  const toggle = (variant, index) => {
+    setPicked(list => (list.some(p => p.variant === variant && p.index === index)
+      ? list.filter(p => !(p.variant === variant && p.index === index))
+      : [...list, { variant, index }]))
+  }
+
+  const order = new Map(picked.map((p, n) => [slideKey(p.variant, p.index), n + 1]))
+
+  const merge = () => {
+    const slides = picked.map(p => variants.find(v => v.id === p.variant)?.plan?.slides?.[p.index]).filter(Boolean)
+    // Theme, title and story artifacts come from the variant of the first picked slide.
+    const base = variants.find(v => v.id === picked[0]?.variant)?.plan || {}
+    // Picked slides no longer follow one recipe's beats.
+    const { _recipe, ...rest } = base
+    onMerge?.({ ...rest, slides })
+  }
+
+  return (
+    <div className="rounded-2xl border border-white/60 bg-white/60 p-5 shadow-sm backdrop-blur-xl">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-semibold">Compare outlines</div>
+          <div className="mt-1 text-xs text-zinc-500">
+            Promote one, or tick slides across outlines and merge them in the order you picked.
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={merge}
+            disabled={busy || !picked.length}
+            className="rounded-xl bg-gradient-to-r from-fuchsia-500 to-sky-400 px-4 py-2 text-xs font-semibold text-white shadow-sm disabled:opacity-50"
+          >
+            Merge {picked.length || ''} picked slide{picked.length === 1 ? '' : 's'}
+          </button>
+          <button
+            onClick={() => onClose?.()}
+            disabled={busy}
+            className="rounded-xl border border-white/60 bg-white px-4 py-2 text-xs font-semibold text-zinc-500 hover:bg-white/70 disabled:opacity-50"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className={`mt-4 grid gap-3 ${variants.length >= 4 ? 'lg:grid-cols-4' : variants.length === 3 ? 'lg:grid-cols-3' : 'lg:grid-cols-2'}`}>
+        {variants.map(v => {
+          const slides = Array.isArray(v.plan?.slides) ? v.plan.slides : []
+          return (
+            <div key={v.id} className="flex min-w-0 flex-col rounded-xl border border-white/60 bg-white/70 p-3">
+              <div className="text-sm font-semibold text-zinc-900">{v.label}</div>
+              <div className="mt-0.5 text-[11px] text-zinc-500">
+                {v.plan?._recipe?.name || v.recipe || 'Planner’s choice of recipe'} · {slides.length} slides
+              </div>
+              {v.rationale ? <p className="mt-2 text-xs text-zinc-700">{v.rationale}</p> : null}
+              {v.summary ? <p className="mt-2 text-[11px] italic text-zinc-500">{v.summary}</p> : null}
+
+              <ol className="mt-3 flex-1 space-y-1">
+                {slides.map((s, idx) => {
+                  const n = order.get(slideKey(v.id, idx))
+                  return (
+                    <li key={idx}>
+                      <label className={`flex cursor-pointer items-start gap-2 rounded-lg px-2 py-1 text-xs ${n ? 'bg-sky-50' : 'hover:bg-white'}`}>
+                        <input type="checkbox" checked={!!n} onChange={() => toggle(v.id, idx)} disabled={busy} className="mt-0.5" />
+                        <span className="min-w-0">
+                          <span className="text-zinc-400">{idx + 1}.</span> <span className="text-zinc-800">{s?.title || 'Untitled'}</span>
+                          <span className="ml-1 text-[10px] text-zinc-400">{s?.kind || s?.layout}</span>
+                        </span>
+                        {n ? <span className="ml-auto shrink-0 rounded bg-sky-600 px-1 text-[10px] font-semibold text-white">{n}</span> : null}
+                      </label>
+                    </li>
+                  )
+                })}
+              </ol>
+
+              <button
+                onClick={() => onPromote?.(v)}
+                disabled={busy}
+                className="mt-3 rounded-lg border border-white/70 bg-white px-3 py-1.5 text-xs font-semibold text-zinc-700 hover:bg-white/70 disabled:opacity-50"
+              >
+                Use this outline
+              </button>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,173 @@
+import React, { useState } from 'react'
+
+// House copy voices: a client's tone of voice guide as headline / subhead / section / diction rules plus
+// forbidden terms. A draft can be inferred from sample copy or a previous deck, then edited before saving.
+
+const inputClass = 'w-full rounded-xl border border-white/60 bg-white px-3 py-2 text-sm'
+
+const RULE_FIELDS = [
+  ['headline_rules', 'Headline rules'],
+  ['subhead_rules', 'Subhead rules'],
+  ['section_rules', 'Section rules'],
+  ['diction_rules', 'Diction rules']
+]
+
+const EMPTY = { id: '', name: '', tagline: '', headline_rules: '', subhead_rules: '', section_rules: '', diction_rules: '', forbidden_terms: '' }
+
+// Voice <-> form: rules are edited one per line, forbidden terms comma-separated.
+function toForm(voice) {
+  const form = { ...EMPTY, id: voice.id || '', name: voice.name || '', tagline: voice.tagline || '' }
+  for (const [key] of RULE_FIELDS) form[key] = (voice[key] || []).join('\n')
+  form.forbidden_terms = (voice.forbidden_terms || []).join(', ')
+  return form
+}
+
+function fromForm(form) {
+  const voice = { id: form.id.trim(), name: form.name.trim(), tagline: form.tagline.trim() }
+  for (const [key] of RULE_FIELDS) voice[key] = form[key].split('\n').map(s => s.trim()).filter(Boolean)
+  voice.forbidden_terms = form.forbidden_terms.split(',').map(s => s.trim()).filter(Boolean)
+  return voice
+}
+
+export default function VoiceEditor({ voices, onSave, onDelete, onInfer, onClose }) {
+  const house = voices.filter(v => !v.builtin)
+  const [editing, setEditing] = useState('') // id of the house voice being edited, '' for a new one
+  const [form, setForm] = useState(EMPTY)
+  const [sample, setSample] = useState('')
+  const [sampleFile, setSampleFile] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState('')
+
+  const patch = (p) => setForm(f => ({ ...f, ...p }))
+
+  const pick = (id) => {
+    setEditing(id)
+    setMessage('')
+    const voice = voices.find(v => v.id === id)
+    setForm(voice ? toForm(voice) : EMPTY)
+  }
+
+  const run = async (fn) => {
+    setBusy(true)
+    setMessage('')
+    try {
+      await fn()
+    } catch (e) {
+      setMessage(e.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const infer = () => run(async () => {
+    const draft = await onInfer({ text: sample, file: sampleFile, name: form.name })
+    // Keep the id of the voice being edited; a new voice takes the suggested one.
+    setForm(f => toForm({ ...draft, id: editing || f.id || draft.id }))
+    setMessage('Draft ready — review the rules, then save.')
+  })
+
+  const save = () => run(async () => {
+    const saved = await onSave(fromForm(form))
+    setEditing(saved.id)
+    setForm(toForm(saved))
+    setMessage('Saved.')
+  })
+
+  const remove = () => run(async () => {
+    await onDelete(editing)
+    pick('')
+    setMessage('Deleted.')
+  })
+
+  return (
+    <div className="mt-2 space-y-3 rounded-xl border border-white/60 bg-white/70 p-3">
+      <div className="flex items-center gap-2">
+        <select value={editing} onChange={(e) => pick(e.target.value)} className={inputClass}>
+          <option value="">New voice…</option>
+          {house.map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+        </select>
+        <button
+          type="button"
+          onClick={onClose}
+          className="rounded-md border border-white/70 bg-white px-2 py-1 text-xs hover:bg-white/70"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="rounded-lg border border-dashed border-zinc-300 p-2">
+        <div className="mb-1 text-[11px] font-semibold text-zinc-500">Draft from sample copy or a previous deck</div>
+        <textarea
+          value={sample}
+          onChange={(e) => setSample(e.target.value)}
+          placeholder="Paste copy written in the client's voice…"
+          className={`${inputClass} h-20`}
+        />
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          <input type="file" onChange={(e) => setSampleFile(e.target.files?.[0] || null)} className="min-w-0 flex-1 text-xs" />
+          <button
+            type="button"
+            onClick={infer}
+            disabled={busy || (!sample.trim() && !sampleFile)}
+            className="rounded-lg border border-white/70 bg-white px-3 py-1 text-xs font-semibold text-zinc-700 hover:bg-white/70 disabled:opacity-50"
+          >
+            Infer voice
+          </button>
+        </div>
+      </div>
+
+      <div className="grid gap-2 md:grid-cols-2">
+        <label className="block">
+          <div className="mb-1 text-[11px] font-semibold text-zinc-500">Id</div>
+          <input
+            value={form.id}
+            onChange={(e) => patch({ id: e.target.value })}
+            disabled={!!editing}
+            placeholder="acme_voice"
+            className={`${inputClass} disabled:opacity-60`}
+          />
+        </label>
+        <label className="block">
+          <div className="mb-1 text-[11px] font-semibold text-zinc-500">Name</div>
+          <input value={form.name} onChange={(e) => patch({ name: e.target.value })} className={inputClass} />
+        </label>
+        <label className="block md:col-span-2">
+          <div className="mb-1 text-[11px] font-semibold text-zinc-500">Tagline</div>
+          <input value={form.tagline} onChange={(e) => patch({ tagline: e.target.value })} className={inputClass} />
+        </label>
+        {RULE_FIELDS.map(([key, label]) => (
+          <label key={key} className="block">
+            <div className="mb-1 text-[11px] font-semibold text-zinc-500">{label} (one per line)</div>
+            <textarea value={form[key]} onChange={(e) => patch({ [key]: e.target.value })} className={`${inputClass} h-20`} />
+          </label>
+        ))}
+        <label className="block md:col-span-2">
+          <div className="mb-1 text-[11px] font-semibold text-zinc-500">Forbidden terms (comma-separated)</div>
+          <input value={form.forbidden_terms} onChange={(e) => patch({ forbidden_terms: e.target.value })} className={inputClass} />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={save}
+          disabled={busy || !form.id.trim()}
+          className="rounded-lg bg-gradient-to-r from-fuchsia-500 to-sky-400 px-3 py-1 text-xs font-semibold text-white disabled:opacity-50"
+        >
+          Save voice
+        </button>
+        {editing ? (
+          <button
+            type="button"
+            onClick={remove}
+            disabled={busy}
+            className="rounded-lg border border-white/70 bg-white px-3 py-1 text-xs font-semibold text-rose-600 hover:bg-white/70 disabled:opacity-50"
+          >
+            Delete
+          </button>
+        ) : null}
+        {message ? <span className="text-[11px] text-zinc-500">{message}</span> : null}
+      </div>
+    </div>
+  )
+}
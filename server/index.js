@@ -15,9 +15,23 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { nanoid } from 'nanoid';
 
-import { extractBriefText } from './lib/brief.js';
-import { planDeck, normalizePlan } from './lib/planner.js';
+import { extractBrief, extractBriefText, inferSourceRole, SOURCE_ROLES } from './lib/brief.js';
+import { planDeck, replanDeck, normalizePlan, PLAN_STAGES, regenerateSlide, SLIDE_LAYOUTS, DECK_TYPES } from './lib/planner.js';
+import { loadRecipes, listRecipes, saveRecipe, deleteRecipe, RECIPES_DIR } from './lib/recipes.js';
+import { loadVoices, listVoices, saveVoice, deleteVoice, inferVoice, VOICES_DIR } from './lib/voices.js';
+import { importPptxPlan } from './lib/importer.js';
+import { planChatEdit } from './lib/edits.js';
+import { lintPlan, fixLintIssues } from './lib/lint.js';
+import { verifyPlan } from './lib/verify.js';
+import { citePlan } from './lib/citations.js';
+import { applyAnswers, clarificationText } from './lib/completeness.js';
+import { planVariants, MAX_VARIANTS } from './lib/variants.js';
+import { extractBriefAssets, dedupeAssets, assetPath } from './lib/assets.js';
+import { averageConfidence } from './lib/ocr.js';
 import { exportPptx } from './lib/pptx.js';
+import { listProviders } from './lib/providers/index.js';
+import { cancelledError } from './lib/providers/retry.js';
+import { createSession, loadSession, updateSession, sessionView } from './lib/sessions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -40,9 +54,20 @@ app.use(express.json({ limit: '25mb' }));
 
 const TMP_DIR = process.env.TMP_DIR || path.join(__dirname, '.tmp');
 await fs.ensureDir(TMP_DIR);
+// Images pulled out of brief files; plans reference them by id (slide.asset_id).
+const ASSET_DIR = path.join(TMP_DIR, 'assets');
+await fs.ensureDir(ASSET_DIR);
+// Planning sessions paused for approval (see lib/sessions.js).
+const SESSION_DIR = path.join(TMP_DIR, 'sessions');
+await fs.ensureDir(SESSION_DIR);
+// House narrative recipes (see lib/recipes.js); invalid files are skipped with a warning.
+await loadRecipes(RECIPES_DIR, { layouts: SLIDE_LAYOUTS, deckTypes: DECK_TYPES });
+// House copy voices (see lib/voices.js).
+await loadVoices(VOICES_DIR);
 
-// ---------------- Export jobs + SSE progress (thumbnails during export) ----------------
+// ---------------- Export / plan jobs + SSE progress (thumbnails during export, stages while planning) ----------------
 const exportJobs = new Map(); // id -> { id, createdAt, status, events: [], subscribers: Set, filePath, filename, error }
+const planJobs = new Map(); // id -> { id, createdAt, status, events: [], subscribers: Set, abort: AbortController, result, error }
 const JOB_TTL_MS = 1000 * 60 * 30; // 30 minutes
 
 function sseInit(res) {
@@ -66,19 +91,41 @@ function jobPush(job, event, payload) {
   }
 }
 
+// SSE handler for a job map: replays past events so a late subscriber catches up, then streams live ones.
+function jobStream(jobs) {
+  return (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return res.status(404).end();
+    sseInit(res);
+
+    for (const e of job.events) {
+      sseSend(res, e.event, e.payload);
+    }
+
+    // Finished jobs have nothing more to send.
+    if (!['queued', 'running'].includes(job.status)) return res.end();
+    job.subscribers.add(res);
+    req.on('close', () => job.subscribers.delete(res));
+  };
+}
+
 function cleanupJobs() {
   const now = Date.now();
-  for (const [id, job] of exportJobs.entries()) {
-    if (now - job.createdAt > JOB_TTL_MS) {
-      if (job.filePath) fs.remove(job.filePath).catch(()=>{});
-      exportJobs.delete(id);
+  for (const jobs of [exportJobs, planJobs]) {
+    for (const [id, job] of jobs.entries()) {
+      if (now - job.createdAt > JOB_TTL_MS) {
+        if (job.filePath) fs.remove(job.filePath).catch(()=>{});
+        jobs.delete(id);
+      }
     }
   }
 }
 setInterval(cleanupJobs, 60 * 1000).unref?.();
 
 
-// Multer for brief file upload (PDF/DOC/DOCX/PPTX)
+// Multer for brief file upload (PDF/DOC/DOCX/PPTX/XLSX/CSV/MD/TXT/HTML/RTF/ODT/PNG/JPG/VTT/SRT/EML/MBOX)
+const MAX_BRIEF_FILES = 10;
+
 const upload = multer({
   storage: multer.diskStorage({
     destination: async (req, file, cb) => {
@@ -98,44 +145,796 @@ app.get('/api/health', (req, res) => {
 });
 
 /**
- * POST /api/plan
- * multipart/form-data: { file?: PDF, text?: string, options?: JSON string }
- * Returns: { extractedText, plan }
+ * GET /api/providers
+ * Registered LLM providers and whether the server has credentials for them.
+ * Returns: { providers: [{ name, label, configured, capabilities: { json, image, strictSchema } }] }
+ */
+app.get('/api/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// ---------------- Recipes ----------------
+
+/**
+ * GET /api/recipes
+ * Built-in and house narrative recipes.
+ * Returns: { recipes: [{ id, name, description, deck_type, locked, auto, builtin, beats }] }
+ */
+app.get('/api/recipes', (req, res) => {
+  res.json({ recipes: listRecipes() });
+});
+
+/**
+ * POST /api/recipes
+ * Body: recipe JSON ({ id, name, description, deck_type, locked, auto, beats: [{ kind, name, kinds, layout, layouts, ... }] }).
+ * Creates or replaces the house recipe with that id (a built-in id overrides the built-in).
+ * Returns: { recipe }
  */
-app.post('/api/plan', upload.single('file'), async (req, res) => {
+app.post('/api/recipes', async (req, res) => {
+  let recipe;
   try {
-    const extraText = (req.body.text || '').toString();
-    // Handle options as either JSON string (multipart) or already-parsed object (JSON body)
-    let options = {};
-    if (req.body.options) {
-      options = typeof req.body.options === 'string' ? JSON.parse(req.body.options) : req.body.options;
-    }
-    let extractedText = '';
+    recipe = await saveRecipe(req.body, { layouts: SLIDE_LAYOUTS, deckTypes: DECK_TYPES });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({ recipe });
+});
+
+/**
+ * DELETE /api/recipes/:id
+ * Removes a house recipe. Built-ins can't be deleted.
+ */
+app.delete('/api/recipes/:id', async (req, res) => {
+  try {
+    if (!(await deleteRecipe(req.params.id))) return res.status(404).json({ error: 'No house recipe with that id.' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- Copy voices ----------------
 
+/**
+ * GET /api/voices
+ * Built-in and house copy voices.
+ * Returns: { voices: [{ id, name, tagline, headline_rules, subhead_rules, section_rules, diction_rules, forbidden_terms, builtin }] }
+ */
+app.get('/api/voices', (req, res) => {
+  res.json({ voices: listVoices() });
+});
+
+/**
+ * POST /api/voices
+ * Body: voice JSON. Creates or replaces the house voice with that id (a built-in id overrides the built-in).
+ * Returns: { voice }
+ */
+app.post('/api/voices', async (req, res) => {
+  let voice;
+  try {
+    voice = await saveVoice(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({ voice });
+});
+
+/**
+ * POST /api/voices/infer
+ * Multipart: text (sample copy) and/or file (a previous deck or any brief file type), name?, options (JSON, provider).
+ * Drafts a voice from the sample; nothing is saved.
+ * Returns: { voice }
+ */
+app.post('/api/voices/infer', upload.single('file'), async (req, res) => {
+  try {
+    let options;
+    try {
+      options = parseOptions(req.body);
+    } catch {
+      return res.status(400).json({ error: 'Invalid options JSON' });
+    }
+    let sample = (req.body.text || '').toString();
     if (req.file) {
       try {
-        extractedText = await extractBriefText(req.file.path, req.file.originalname);
+        sample = [await extractBriefText(req.file.path, req.file.originalname), sample].filter(s => s.trim()).join('\n\n');
       } catch (e) {
-        return res.status(400).json({ error: e?.message || 'Unsupported brief file type.' });
+        return res.status(400).json({ error: `${req.file.originalname}: ${e?.message || 'Unsupported file type.'}` });
+      }
+    }
+    if (sample.trim().length < 80) return res.status(400).json({ error: 'Paste at least a few sentences of sample copy.' });
+    const voice = await inferVoice(sample, { ...options, name: req.body.name });
+    res.json({ voice });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err?.message || 'Voice inference failed' });
+  } finally {
+    if (req.file) fs.remove(req.file.path).catch(()=>{});
+  }
+});
+
+/**
+ * DELETE /api/voices/:id
+ * Removes a house voice. Built-ins can't be deleted.
+ */
+app.delete('/api/voices/:id', async (req, res) => {
+  try {
+    if (!(await deleteVoice(req.params.id))) return res.status(404).json({ error: 'No house voice with that id.' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------- Planning ----------------
+
+/**
+ * Read the uploaded brief files and pasted text into labelled sources.
+ * Throws with err.status = 400 for unreadable files or an empty brief.
+ */
+async function collectBrief(uploaded, body) {
+  const extraText = (body.text || '').toString();
+  let declared = [];
+  if (body.sources) {
+    try {
+      declared = typeof body.sources === 'string' ? JSON.parse(body.sources) : body.sources;
+    } catch {
+      throw badRequest('Invalid sources JSON');
+    }
+  }
+
+  // Extract each file on its own so the planner can tell an RFP from a brand book from notes.
+  const sources = [];
+  const roleFor = (name) => {
+    const wanted = (Array.isArray(declared) ? declared : []).find(d => d?.name === name)?.role;
+    const guessed = inferSourceRole(name);
+    // A lone upload is the brief unless its name says otherwise.
+    return SOURCE_ROLES.includes(wanted) ? wanted : (uploaded.length === 1 && guessed === 'reference' ? 'brief' : guessed);
+  };
+  for (const f of uploaded) {
+    try {
+      const { text, tables, blocks, ocr, attachments = [] } = await extractBrief(f.path, f.originalname);
+      // Embedded images are a bonus: a broken image never fails the brief.
+      const assets = await extractBriefAssets(f.path, f.originalname, ASSET_DIR).catch(() => []);
+      sources.push({ filename: f.originalname, role: roleFor(f.originalname), text, tables, blocks, assets, ocr });
+      // Email attachments are documents of their own (an attached RFP is weighed as an RFP).
+      for (const a of attachments) {
+        sources.push({ ...a, role: roleFor(a.filename), assets: [], attachedTo: f.originalname });
+      }
+    } catch (e) {
+      throw badRequest(`${f.originalname}: ${e?.message || 'Unsupported brief file type.'}`);
+    }
+  }
+  const fileSources = sources.length;
+  if (extraText.trim()) {
+    sources.push({ filename: 'Pasted notes', role: 'notes', text: extraText.trim(), tables: [], blocks: [], assets: [], ocr: null });
+  }
+
+  const labelled = sources.map(src => `[${src.filename} — ${src.role}]\n${src.text}`);
+  const briefText = (sources.length > 1 ? labelled : sources.map(src => src.text)).filter(Boolean).join('\n\n---\n\n').trim();
+  if (!briefText) throw badRequest('Provide a brief file and/or text.');
+
+  const extractedText = fileSources > 1
+    ? labelled.slice(0, fileSources).join('\n\n---\n\n')
+    : (fileSources ? sources[0].text : '');
+
+  const scanned = sources.filter(src => src.ocr);
+  return {
+    briefText,
+    sources,
+    summary: {
+      extractedText,
+      // The exact text the plan was made from: slide citations are offsets into it.
+      briefText,
+      // Spreadsheet tables: sent back with re-runs and slide regeneration so data_ref'd slides keep the cells.
+      tables: sources.flatMap(src => src.tables),
+      sources: sources.map(src => ({ filename: src.filename, role: src.role, chars: (src.text || '').length, ocr: src.ocr, attachedTo: src.attachedTo || null })),
+      ocr: scanned.length ? {
+        pages: scanned.reduce((n, src) => n + src.ocr.pages, 0),
+        confidence: averageConfidence(scanned.map(src => ({ text: src.text, confidence: src.ocr.confidence })))
+      } : null
+    }
+  };
+}
+
+function planContext({ sources }) {
+  return {
+    sources: sources.length > 1 ? sources : [],
+    tables: sources.flatMap(src => src.tables),
+    // Tag blocks with their file so document tables and page refs stay attributable.
+    blocks: sources.flatMap(src => (sources.length > 1 ? src.blocks.map(b => ({ ...b, source: src.filename })) : src.blocks)),
+    assets: dedupeAssets(sources.map(src => src.assets))
+  };
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseOptions(body) {
+  // Handle options as either JSON string (multipart) or already-parsed object (JSON body)
+  if (!body.options) return {};
+  return typeof body.options === 'string' ? JSON.parse(body.options) : body.options;
+}
+
+/**
+ * Run a planning job in the background and stream its progress (see /api/plan_job/:id/stream).
+ * run({ job, onStage, signal }) resolves to { rawPlan, ...extra }; extra (e.g. sources) goes into 'done'
+ * (variants runs have no rawPlan: their plans travel in extra, already normalized).
+ * A run that resolves to { review } pauses for approval instead: the job ends with a 'review' event; one that
+ * resolves to { clarify } pauses for answers to the brief questions and ends with a 'clarify' event.
+ * A failure that no stage reported (planDeck does its own) is blamed on the stage still running, else on none.
+ */
+function startPlanJob({ stages, options, run, cleanup }) {
+  const jobId = nanoid(12);
+  const job = {
+    id: jobId,
+    createdAt: Date.now(),
+    status: 'queued',
+    events: [],
+    subscribers: new Set(),
+    abort: new AbortController(),
+    result: null,
+    error: null
+  };
+  planJobs.set(jobId, job);
+
+  (async () => {
+    const started = Date.now();
+    const timings = {};
+    let running = null;
+    const onStage = (st) => {
+      if (st.ms != null) timings[st.stage] = st.ms;
+      if (st.status === 'running') running = st.stage;
+      else if (st.stage === running) running = null;
+      jobPush(job, 'stage', st);
+    };
+    try {
+      job.status = 'running';
+      jobPush(job, 'meta', { jobId, stages });
+
+      const { rawPlan, review, clarify, ...extra } = await run({ job, onStage, signal: job.abort.signal });
+      if (review || clarify) {
+        job.status = 'paused';
+        jobPush(job, review ? 'review' : 'clarify', { session: review || clarify, timings: { ...timings, total: Date.now() - started } });
+        return;
+      }
+      job.result = { ...extra, plan: rawPlan ? normalizePlan(rawPlan, options) : null, timings: { ...timings, total: Date.now() - started } };
+      job.status = 'done';
+      jobPush(job, 'done', job.result);
+    } catch (e) {
+      const cancelled = e?.code === 'cancelled';
+      job.status = cancelled ? 'cancelled' : 'error';
+      job.error = e?.message || String(e);
+      if (!cancelled && e?.status !== 400) console.error(e);
+      // planDeck reports its own stage failures; anything else failed in the stage still running, or between stages.
+      const stage = e?.stage || running;
+      if (!e?.stage && running) onStage({ stage: running, status: cancelled ? 'cancelled' : 'failed', error: job.error });
+      // Whatever finished before the failure: extract / narrative / messaging and the latest draft plan.
+      const partial = e?.partial || {};
+      const payload = {
+        message: job.error,
+        stage,
+        timings: { ...timings, total: Date.now() - started },
+        partial: {
+          _extract: partial._extract || null,
+          _narrative: partial._narrative || null,
+          _messaging: partial._messaging || null,
+          plan: partial.plan ? normalizePlan({ ...partial.plan, _extract: partial._extract, _narrative: partial._narrative, _messaging: partial._messaging }, options) : null
+        }
+      };
+      jobPush(job, cancelled ? 'cancelled' : 'error', payload);
+    } finally {
+      cleanup?.();
+      for (const sub of job.subscribers) {
+        try { sub.end(); } catch {}
       }
+      job.subscribers.clear();
     }
+  })();
 
-    const briefText = [extractedText, extraText].filter(Boolean).join('\n\n---\n\n').trim();
-    if (!briefText) return res.status(400).json({ error: 'Provide a PDF and/or text.' });
+  return jobId;
+}
 
-    const rawPlan = await planDeck(briefText, options);
-    const plan = normalizePlan(rawPlan, options);
+const planUpload = upload.fields([{ name: 'files', maxCount: MAX_BRIEF_FILES }, { name: 'file', maxCount: 1 }]);
 
-    res.json({ extractedText, plan });
+/**
+ * POST /api/plan
+ * multipart/form-data: {
+ *   files?: brief files (see extractBriefText), file?: single brief file (legacy field),
+ *   sources?: JSON string [{ name, role }] (role per uploaded file, matched by filename),
+ *   text?: string, options?: JSON string
+ * }
+ * Returns: { extractedText, briefText, tables, sources: [{ filename, role, chars, ocr, attachedTo }], ocr, plan }
+ *   briefText: all sources as the planner read them (citation offsets point into it).
+ *   tables: the brief's spreadsheet tables (see sheets.js), for /api/plan_job/rerun and /api/slide/regenerate.
+ *   attachedTo: the uploaded email a source was attached to, else null.
+ *   ocr: { pages, confidence } (0–100) for scanned PDFs and image briefs, else null — low means proofread.
+ * Blocking; the UI uses /api/plan_job for stage progress.
+ */
+app.post('/api/plan', planUpload, async (req, res) => {
+  const uploaded = [...(req.files?.files || []), ...(req.files?.file || [])];
+  try {
+    const options = parseOptions(req.body);
+    const brief = await collectBrief(uploaded, req.body);
+    const rawPlan = await planDeck(brief.briefText, options, planContext(brief));
+    res.json({ ...brief.summary, plan: normalizePlan(rawPlan, options) });
   } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: err?.message || 'Failed to create plan' });
   } finally {
     // Best-effort cleanup
-    if (req.file?.path) fs.remove(req.file.path).catch(()=>{});
+    for (const f of uploaded) fs.remove(f.path).catch(()=>{});
+  }
+});
+
+/**
+ * POST /api/plan_job
+ * Same multipart body as /api/plan. Starts planning in the background.
+ * Returns: { jobId, stages: [{ id, label }] }
+ */
+app.post('/api/plan_job', planUpload, async (req, res) => {
+  const uploaded = [...(req.files?.files || []), ...(req.files?.file || [])];
+  let options;
+  try {
+    options = parseOptions(req.body);
+  } catch (err) {
+    for (const f of uploaded) fs.remove(f.path).catch(()=>{});
+    return res.status(400).json({ error: 'Invalid options JSON' });
+  }
+  // One-pass planning has no extract / messaging checkpoint to pause at.
+  if ((options.clarify || options.approval) && options.twoPass === false) {
+    for (const f of uploaded) fs.remove(f.path).catch(()=>{});
+    return res.status(400).json({ error: 'Clarifying questions and story review need two-pass planning (options.twoPass)' });
+  }
+
+  const stages = [{ id: 'read', label: 'Read files' }, ...PLAN_STAGES];
+  const jobId = startPlanJob({
+    stages,
+    options,
+    run: async ({ job, onStage, signal }) => {
+      const started = Date.now();
+      onStage({ stage: 'read', status: 'running' });
+      const brief = await collectBrief(uploaded, req.body);
+      onStage({ stage: 'read', status: 'done', ms: Date.now() - started });
+      jobPush(job, 'sources', brief.summary);
+      const ctx = planContext(brief);
+      if (options.clarify) {
+        // Clarify mode: score the brief after extraction and ask about the gaps before the story is written.
+        const paused = await planDeck(brief.briefText, options, { ...ctx, onStage, signal, stopAfter: 'extract' });
+        const session = await createSession(SESSION_DIR, {
+          status: 'awaiting_answers',
+          options,
+          briefText: brief.briefText,
+          summary: brief.summary,
+          tables: ctx.tables,
+          assets: ctx.assets,
+          _extract: paused._extract,
+          completeness: paused.completeness
+        });
+        if (paused.completeness.questions.length) return { clarify: sessionView(session) };
+        return continueFromExtract(session, options, { onStage, signal });
+      }
+      if (!options.approval) {
+        return { ...brief.summary, rawPlan: await planDeck(brief.briefText, options, { ...ctx, onStage, signal }) };
+      }
+
+      // Approval mode: stop after messaging and keep everything assembly needs in a server-side session.
+      const paused = await planDeck(brief.briefText, options, { ...ctx, onStage, signal, stopAfter: 'messaging' });
+      const session = await createSession(SESSION_DIR, {
+        options,
+        briefText: brief.briefText,
+        summary: brief.summary,
+        tables: ctx.tables,
+        assets: ctx.assets,
+        _extract: paused._extract,
+        _narrative: paused._narrative,
+        _messaging: paused._messaging
+      });
+      return { review: sessionView(session) };
+    },
+    cleanup: () => {
+      for (const f of uploaded) fs.remove(f.path).catch(()=>{});
+    }
+  });
+
+  res.json({ jobId, stages });
+});
+
+/**
+ * POST /api/plan_job/variants
+ * Same multipart body as /api/plan; options.variantCount: 2–4 (default 3). Plans alternative outlines of the
+ * brief with different recipes or story angles (see variants.js). Streams like /api/plan_job; 'done' carries
+ * { extractedText, briefText, sources, ocr, variants: [{ id, label, angle, recipe, rationale, summary, plan }] }
+ * and plan: null.
+ * Returns: { jobId, stages }
+ */
+app.post('/api/plan_job/variants', planUpload, async (req, res) => {
+  const uploaded = [...(req.files?.files || []), ...(req.files?.file || [])];
+  let options;
+  try {
+    options = parseOptions(req.body);
+  } catch (err) {
+    for (const f of uploaded) fs.remove(f.path).catch(()=>{});
+    return res.status(400).json({ error: 'Invalid options JSON' });
+  }
+
+  const count = Math.min(MAX_VARIANTS, Math.max(2, Number(options.variantCount) || 3));
+  const stages = [
+    { id: 'read', label: 'Read files' },
+    PLAN_STAGES[0],
+    ...Array.from({ length: count }, (_, i) => ({ id: `v${i + 1}`, label: `Outline ${i + 1}` })),
+    { id: 'compare', label: 'Compare' }
+  ];
+  const jobId = startPlanJob({
+    stages,
+    options,
+    run: async ({ job, onStage, signal }) => {
+      const started = Date.now();
+      onStage({ stage: 'read', status: 'running' });
+      const brief = await collectBrief(uploaded, req.body);
+      onStage({ stage: 'read', status: 'done', ms: Date.now() - started });
+      jobPush(job, 'sources', brief.summary);
+      const out = await planVariants(brief.briefText, { ...options, variantCount: count }, { ...planContext(brief), onStage, signal });
+      return {
+        ...brief.summary,
+        variants: out.variants.map(v => ({ ...v, plan: normalizePlan(v.plan, options) }))
+      };
+    },
+    cleanup: () => {
+      for (const f of uploaded) fs.remove(f.path).catch(()=>{});
+    }
+  });
+
+  res.json({ jobId, stages });
+});
+
+/**
+ * Plan on from a session's extract (after the clarifying questions): narrative onwards, or up to the story
+ * review when options.approval is on (the same session then waits for approval).
+ */
+async function continueFromExtract(session, options, { onStage, signal }) {
+  const plan = { _extract: session._extract, assets: session.assets };
+  const ctx = { briefText: session.briefText, tables: session.tables, assets: session.assets, onStage, signal };
+  if (!options.approval) {
+    await updateSession(SESSION_DIR, session.id, { status: 'resumed' });
+    return { ...session.summary, rawPlan: await replanDeck(plan, 'narrative', options, ctx) };
+  }
+  const paused = await replanDeck(plan, 'narrative', options, { ...ctx, stopAfter: 'messaging' });
+  const next = await updateSession(SESSION_DIR, session.id, {
+    status: 'awaiting_approval',
+    _narrative: paused._narrative,
+    _messaging: paused._messaging
+  });
+  return { review: sessionView(next) };
+}
+
+/**
+ * Checks a re-run request body; returns the error message for a 400, else null.
+ */
+function rerunError({ plan, from, options = {}, tables }) {
+  if (!plan) return 'Missing plan';
+  if (!PLAN_STAGES.some(st => st.id === from) || from === 'extract') return `Unknown stage "${from}"`;
+  // From 'edit' the editor pass is the only model stage left to run.
+  if (from === 'edit' && options.editorPass === false) return 'Re-running from edit needs the editor pass (options.editorPass)';
+  if (tables !== undefined && !Array.isArray(tables)) return 'tables must be an array';
+  return null;
+}
+
+/**
+ * POST /api/plan_job/rerun
+ * JSON body: { plan, from: 'narrative' | 'messaging' | 'assemble' | 'edit' | 'refine', options, briefText?, tables? }
+ * Re-runs the stages from `from` on with the plan's (edited) _extract / _narrative / _messaging; earlier stages
+ * are reused and reported as 'reused'. tables: the brief's spreadsheet tables (from /api/plan), so chart / table /
+ * kpis slides are refilled from the cells. Streams like /api/plan_job.
+ * Returns: { jobId, stages }
+ */
+app.post('/api/plan_job/rerun', (req, res) => {
+  const error = rerunError(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const { plan, from, options = {}, briefText = '', tables = [] } = req.body;
+
+  const jobId = startPlanJob({
+    stages: PLAN_STAGES,
+    options,
+    run: async ({ onStage, signal }) => ({ rawPlan: await replanDeck(plan, from, options, { briefText, tables, onStage, signal }) })
+  });
+  res.json({ jobId, stages: PLAN_STAGES });
+});
+
+/**
+ * POST /api/plan/rerun
+ * Blocking variant of /api/plan_job/rerun (same body). Returns: { plan }
+ */
+app.post('/api/plan/rerun', async (req, res) => {
+  try {
+    const error = rerunError(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const { plan, from, options = {}, briefText = '', tables = [] } = req.body;
+    const rawPlan = await replanDeck(plan, from, options, { briefText, tables });
+    res.json({ plan: normalizePlan(rawPlan, options) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err?.message || 'Failed to re-run plan' });
+  }
+});
+
+/**
+ * POST /api/slide/regenerate
+ * JSON body: { plan, index, instruction, options, tables? } — rewrites plan.slides[index] following the
+ * instruction while keeping its section, messaging anchors and bridge lines; the rest of the deck is untouched.
+ * tables: the brief's spreadsheet tables (from /api/plan); a slide with a data_ref is refilled from the cells.
+ * Returns: { slide, headline_alternatives }
+ */
+app.post('/api/slide/regenerate', async (req, res) => {
+  const { plan, index, instruction = '', options = {}, tables = [] } = req.body || {};
+  if (!Array.isArray(plan?.slides)) return res.status(400).json({ error: 'Missing plan' });
+  if (!Number.isInteger(index) || index < 0 || index >= plan.slides.length) {
+    return res.status(400).json({ error: `No slide at index ${index}` });
+  }
+  if (!Array.isArray(tables)) return res.status(400).json({ error: 'tables must be an array' });
+  try {
+    res.json(await regenerateSlide(plan, index, instruction, options, { tables }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err?.message || 'Failed to regenerate slide' });
+  }
+});
+
+/**
+ * POST /api/plan/chat
+ * JSON body: { plan, message, history?: [{ role, text }], options } — turns a chat command ("merge slides 4
+ * and 5", "cut the deck to 8 slides") into plan operations and applies them to a copy of the plan.
+ * Returns: { reply, ops, skipped, plan, diff } — the client shows diff and replaces its plan only on accept.
+ */
+app.post('/api/plan/chat', async (req, res) => {
+  const { plan, message = '', history = [], options = {} } = req.body || {};
+  if (!Array.isArray(plan?.slides)) return res.status(400).json({ error: 'Missing plan' });
+  if (!message.toString().trim()) return res.status(400).json({ error: 'Missing message' });
+  try {
+    res.json(await planChatEdit(plan, message, options, history));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err?.message || 'Failed to edit plan' });
+  }
+});
+
+/**
+ * POST /api/plan/lint
+ * JSON body: { plan, options } — checks the copy against the voice and structure rules (no model call).
+ * Returns: { issues: [{ slide, rule, severity, field, item, message }], counts: { error, warning } }
+ */
+app.post('/api/plan/lint', (req, res) => {
+  const { plan, options = {} } = req.body || {};
+  if (!Array.isArray(plan?.slides)) return res.status(400).json({ error: 'Missing plan' });
+  res.json(lintPlan(plan, options));
+});
+
+/**
+ * POST /api/plan/verify
+ * JSON body: { plan, briefText } — matches every number, percentage, amount, date and name on the slides
+ * against the brief text (no model call).
+ * Returns: { issues: [{ slide, path, text, kind, reason: 'unsupported' | 'inconsistent', message, related }], checked, counts }
+ */
+app.post('/api/plan/verify', (req, res) => {
+  const { plan, briefText = '' } = req.body || {};
+  if (!Array.isArray(plan?.slides)) return res.status(400).json({ error: 'Missing plan' });
+  if (!briefText.toString().trim()) return res.status(400).json({ error: 'Missing briefText' });
+  res.json(verifyPlan(plan, briefText.toString()));
+});
+
+/**
+ * POST /api/plan/cite
+ * JSON body: { plan, briefText } — re-matches every slide's bullets, stat, quote and KPIs to the brief passages
+ * they come from (no model call), e.g. after edits.
+ * Returns: { plan } with slide.citations: [{ field, source, page, slide, start, end, excerpt }]
+ */
+app.post('/api/plan/cite', (req, res) => {
+  const { plan, briefText = '' } = req.body || {};
+  if (!Array.isArray(plan?.slides)) return res.status(400).json({ error: 'Missing plan' });
+  if (!briefText.toString().trim()) return res.status(400).json({ error: 'Missing briefText' });
+  res.json({ plan: citePlan(plan, briefText.toString()) });
+});
+
+/**
+ * POST /api/plan/lint/fix
+ * JSON body: { plan, options, slides?: [index], briefText? } — rewrites the flagged fields of the given slides
+ * (default: all slides with issues). With briefText the changed slides are cited again, else their bullet
+ * citations are dropped.
+ * Returns: { plan, lint, fixed } — the fixed plan, its new lint report and the slide indexes that changed.
+ */
+app.post('/api/plan/lint/fix', async (req, res) => {
+  const { plan, options = {}, slides = null, briefText = '' } = req.body || {};
+  if (!Array.isArray(plan?.slides)) return res.status(400).json({ error: 'Missing plan' });
+  try {
+    res.json(await fixLintIssues(plan, options, slides, briefText));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err?.message || 'Failed to fix the copy' });
+  }
+});
+
+/**
+ * GET /api/plan_job/:id/stream
+ * SSE stream of planning progress: meta, stage ({ stage, status, ms, error? }), sources, then one of
+ * done ({ extractedText, sources, ocr, plan, timings }), error / cancelled ({ message, stage, timings, partial }),
+ * review (options.approval: the paused session, see /api/plan_session), clarify (options.clarify: the session
+ * with its completeness report, answered through /api/plan_session/:id/answer). An error's stage is null when
+ * it failed between stages.
+ */
+app.get('/api/plan_job/:id/stream', jobStream(planJobs));
+
+/**
+ * POST /api/plan_job/:id/cancel
+ * Stops a running planning job after aborting its in-flight model call.
+ */
+app.post('/api/plan_job/:id/cancel', (req, res) => {
+  const job = planJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Not found' });
+  if (job.status === 'running' || job.status === 'queued') job.abort.abort(cancelledError());
+  res.json({ ok: true, status: job.status });
+});
+
+/**
+ * GET /api/plan_session/:id
+ * A planning session paused for approval (or for answers to the clarifying questions).
+ * Returns: { id, status, createdAt, updatedAt, summary, _extract, _narrative, _messaging, completeness }
+ *   completeness: { deckType, score, needs: [{ id, label, met }], questions: [{ id, label, question }] } or null
+ */
+app.get('/api/plan_session/:id', async (req, res) => {
+  try {
+    const session = await loadSession(SESSION_DIR, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found or expired' });
+    res.json(sessionView(session));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to load session' });
+  }
+});
+
+/**
+ * PUT /api/plan_session/:id
+ * JSON body: { _narrative?, _messaging? } — saves review edits (reordered / deleted / rewritten sections).
+ * Returns: the updated session (as GET)
+ */
+app.put('/api/plan_session/:id', async (req, res) => {
+  try {
+    const session = await updateSession(SESSION_DIR, req.params.id, reviewEdits(req.body));
+    if (!session) return res.status(404).json({ error: 'Session not found or expired' });
+    res.json(sessionView(session));
+  } catch (err) {
+    res.status(400).json({ error: err?.message || 'Invalid session edits' });
   }
 });
 
+/**
+ * POST /api/plan_session/:id/resume
+ * JSON body: { _narrative?, _messaging?, options? } — approves the (edited) story and runs assembly, the
+ * editor pass and the concept refine. Streams like /api/plan_job.
+ * Returns: { jobId, stages }
+ */
+app.post('/api/plan_session/:id/resume', async (req, res) => {
+  try {
+    const current = await loadSession(SESSION_DIR, req.params.id);
+    if (!current) return res.status(404).json({ error: 'Session not found or expired' });
+    // Only a paused story can be approved, and only once (a second tab or a retried request gets a 409).
+    if (current.status !== 'awaiting_approval') return res.status(409).json({ error: 'This session is not waiting for approval' });
+    const session = await updateSession(SESSION_DIR, current.id, { ...reviewEdits(req.body), status: 'resumed' });
+    const options = { ...session.options, ...(req.body?.options || {}), approval: false };
+    const plan = { _extract: session._extract, _narrative: session._narrative, _messaging: session._messaging, assets: session.assets };
+
+    const jobId = startPlanJob({
+      stages: PLAN_STAGES,
+      options,
+      run: async ({ onStage, signal }) => ({
+        ...session.summary,
+        rawPlan: await replanDeck(plan, 'assemble', options, {
+          briefText: session.briefText,
+          tables: session.tables,
+          assets: session.assets,
+          onStage,
+          signal
+        })
+      })
+    });
+    res.json({ jobId, stages: PLAN_STAGES });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || 'Failed to resume session' });
+  }
+});
+
+/**
+ * POST /api/plan_session/:id/answer
+ * JSON body: { answers: { [question id]: text }, options? } — merges the answers to a clarify session's
+ * questions into the extract and the brief text (blank answers are skipped), then plans on from the narrative.
+ * Streams like /api/plan_job; with options.approval the run pauses for story review on the same session.
+ * Returns: { jobId, stages }
+ */
+app.post('/api/plan_session/:id/answer', async (req, res) => {
+  try {
+    const session = await loadSession(SESSION_DIR, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found or expired' });
+    if (session.status !== 'awaiting_answers') return res.status(409).json({ error: 'This session is not waiting for answers' });
+    const answers = req.body?.answers && typeof req.body.answers === 'object' ? req.body.answers : {};
+    const options = { ...session.options, ...(req.body?.options || {}), clarify: false };
+
+    const _extract = applyAnswers(session._extract, session.completeness?.questions || [], answers);
+    const added = clarificationText(_extract.clarifications.slice((session._extract.clarifications || []).length));
+    const briefText = added ? `${session.briefText}\n\n---\n\n${added}` : session.briefText;
+    const answered = await updateSession(SESSION_DIR, session.id, {
+      status: 'answered',
+      options,
+      _extract,
+      briefText,
+      summary: { ...session.summary, briefText }
+    });
+
+    const jobId = startPlanJob({
+      stages: PLAN_STAGES,
+      options,
+      run: ({ onStage, signal }) => continueFromExtract(answered, options, { onStage, signal })
+    });
+    res.json({ jobId, stages: PLAN_STAGES });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || 'Failed to apply the answers' });
+  }
+});
+
+// Only the reviewable artifacts can be changed; a narrative needs at least one section to assemble from.
+function reviewEdits(body = {}) {
+  const edits = {};
+  if (body._narrative) {
+    if (!Array.isArray(body._narrative.sections) || !body._narrative.sections.length) {
+      throw new Error('The narrative needs at least one section.');
+    }
+    edits._narrative = body._narrative;
+  }
+  if (body._messaging) edits._messaging = body._messaging;
+  return edits;
+}
+
+/**
+ * POST /api/import_pptx
+ * multipart/form-data: { file: .pptx, options?: JSON string }
+ * Turns an existing deck into an editable plan (titles, bullets, tables, charts, notes, pictures) without any LLM call.
+ * Returns: { plan, truncated } — truncated: slides dropped past the plan's slide limit (0 when all fit).
+ */
+app.post('/api/import_pptx', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Missing PPTX file' });
+    if (path.extname(req.file.originalname || '').toLowerCase() !== '.pptx') {
+      return res.status(400).json({ error: 'Only .pptx files can be imported.' });
+    }
+    let options = {};
+    if (req.body.options) {
+      options = typeof req.body.options === 'string' ? JSON.parse(req.body.options) : req.body.options;
+    }
+
+    const assets = await extractBriefAssets(req.file.path, req.file.originalname, ASSET_DIR).catch(() => []);
+    const rawPlan = await importPptxPlan(req.file.path, req.file.originalname, { assets });
+    // Keep the deck's own slide count; the slider only applies to generated decks.
+    const plan = normalizePlan(rawPlan, { ...options, nSlides: rawPlan.slides.length });
+    res.json({ plan, truncated: Math.max(0, rawPlan.slides.length - plan.slides.length) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err?.message || 'Failed to import pptx' });
+  } finally {
+    if (req.file) fs.remove(req.file.path).catch(()=>{});
+  }
+});
+
+/**
+ * GET /api/assets/:id
+ * Serves an image extracted from a brief (plan.assets[].id) for previews in the editor.
+ */
+app.get('/api/assets/:id', (req, res) => {
+  const file = assetPath(ASSET_DIR, req.params.id);
+  if (!file) return res.status(404).json({ error: 'Asset not found' });
+  res.sendFile(file);
+});
+
 /**
  * POST /api/export
  * JSON body: { plan, options }
@@ -146,7 +945,7 @@ app.post('/api/export', async (req, res) => {
     const { plan, options } = req.body || {};
     if (!plan) return res.status(400).json({ error: 'Missing plan' });
 
-    const out = await exportPptx(plan, options || {}, { tmpDir: TMP_DIR });
+    const out = await exportPptx(plan, options || {}, { tmpDir: TMP_DIR, assetDir: ASSET_DIR });
 
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.presentationml.presentation');
     res.setHeader('Content-Disposition', `attachment; filename="${(plan.deck_title || 'Deck').replace(/[^a-zA-Z0-9._-]/g,'_')}.pptx"`);
@@ -195,6 +994,7 @@ app.post('/api/export_job', async (req, res) => {
 
         const buf = await exportPptx(plan, options || {}, {
           tmpDir: TMP_DIR,
+          assetDir: ASSET_DIR,
           onStatus: (st) => jobPush(job, 'status', st),
           onSlide: (sl) => jobPush(job, 'slide', sl),
           sofficeThumbs: true,
@@ -235,20 +1035,7 @@ app.post('/api/export_job', async (req, res) => {
  * GET /api/export_job/:id/stream
  * SSE stream of export progress events: meta, status, slide, done, error
  */
-app.get('/api/export_job/:id/stream', (req, res) => {
-  const id = req.params.id;
-  const job = exportJobs.get(id);
-  if (!job) return res.status(404).end();
-  sseInit(res);
-
-  // Replay existing events so UI can catch up
-  for (const e of job.events) {
-    sseSend(res, e.event, e.payload);
-  }
-
-  job.subscribers.add(res);
-  req.on('close', () => job.subscribers.delete(res));
-});
+app.get('/api/export_job/:id/stream', jobStream(exportJobs));
 
 /**
  * GET /api/export_job/:id/pptx
@@ -0,0 +1,270 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import JSZip from 'jszip';
+import sharp from 'sharp';
+import { ensureCleanTmp } from './util.js';
+import { readPptxSlides } from './importer.js';
+import { readEmailThread, forEachAttachmentFile } from './email.js';
+
+/**
+ * Brief asset library: images embedded in PPTX (ppt/media), DOCX (word/media) and PDF (image XObjects).
+ *
+ * Each unique image is written once to the asset directory as `<id>.png|jpg` (id = content hash) and
+ * described as { id, name, source, origin, context, kind: 'photo' | 'logo', width, height, mime }.
+ * Slides reference them through slide.asset_id; the PPTX renderer crops them like generated images.
+ */
+
+const MIN_SIDE = 160; // smaller images are bullets, icons and decorations
+const MAX_ASSETS_PER_FILE = 24;
+const ASSET_TTL_MINUTES = 24 * 60;
+const ZIP_IMAGE_RE = /\.(png|jpe?g|gif|bmp|tiff?|webp)$/i;
+
+/**
+ * Extract embedded images from a brief file into assetDir. Returns [] for formats without images.
+ */
+export async function extractBriefAssets(filePath, originalName = '', assetDir) {
+  const ext = path.extname(originalName || filePath).toLowerCase();
+  await ensureCleanTmp(assetDir, ASSET_TTL_MINUTES);
+
+  let found = [];
+  if (ext === '.pptx') found = await pptxImages(filePath);
+  else if (ext === '.docx') found = await docxImages(filePath);
+  else if (ext === '.pdf') found = pdfImages(fs.readFileSync(filePath));
+  else if (ext === '.eml' || ext === '.mbox') return emailAssets(filePath, ext, assetDir);
+  else return [];
+
+  const source = originalName || path.basename(filePath);
+  const assets = [];
+  const seen = new Set();
+  for (const img of found) {
+    if (assets.length >= MAX_ASSETS_PER_FILE) break;
+    const asset = await saveAsset(img, assetDir).catch(() => null);
+    if (!asset || seen.has(asset.id)) continue;
+    seen.add(asset.id);
+    assets.push({ ...asset, source });
+  }
+  return assets;
+}
+
+/**
+ * Merge asset lists from several files, keeping the first occurrence of each image.
+ */
+export function dedupeAssets(lists = []) {
+  const byId = new Map();
+  for (const a of lists.flat()) if (a?.id && !byId.has(a.id)) byId.set(a.id, a);
+  return Array.from(byId.values());
+}
+
+/**
+ * Absolute path of a stored asset, or null if it is unknown / expired.
+ */
+export function assetPath(assetDir, id) {
+  if (!/^[a-f0-9]{16}$/.test(id || '')) return null;
+  for (const ext of ['jpg', 'png']) {
+    const p = path.join(assetDir, `${id}.${ext}`);
+    if (fs.existsSync(p)) return p;
+  }
+  return null;
+}
+
+// Images inside attached PPTX / DOCX / PDF files, credited to the attachment.
+async function emailAssets(filePath, ext, assetDir) {
+  const thread = await readEmailThread(filePath, ext);
+  thread.attachments = thread.attachments.filter(a => /\.(pptx|docx|pdf)$/i.test(a.filename));
+  const lists = await forEachAttachmentFile(thread, path.dirname(filePath), (tmpPath, filename) => extractBriefAssets(tmpPath, filename, assetDir));
+  return dedupeAssets(lists);
+}
+
+// -------- Storage --------
+
+async function saveAsset(img, assetDir) {
+  const input = img.raw
+    ? sharp(img.data, { raw: { width: img.width, height: img.height, channels: img.channels } })
+    : sharp(img.data);
+  const meta = await input.metadata();
+  const width = img.width || meta.width;
+  const height = img.height || meta.height;
+  if (!width || !height || Math.min(width, height) < MIN_SIDE) return null;
+
+  // JPEG and PNG are stored as-is; everything else (GIF, BMP, TIFF, raw PDF pixels) becomes PNG.
+  const keep = !img.raw && (meta.format === 'jpeg' || meta.format === 'png');
+  const data = keep ? img.data : await input.png().toBuffer();
+  const ext = keep && meta.format === 'jpeg' ? 'jpg' : 'png';
+  const id = crypto.createHash('sha1').update(data).digest('hex').slice(0, 16);
+  const file = path.join(assetDir, `${id}.${ext}`);
+  // Same content, same file: refresh its mtime so the tmp sweep doesn't expire an asset a new plan uses.
+  if (!fs.existsSync(file)) await fs.writeFile(file, data);
+  else await fs.utimes(file, new Date(), new Date());
+
+  const logoish = /logo|brandmark|wordmark/i.test(`${img.name} ${img.context || ''}`)
+    || (meta.hasAlpha && Math.max(width, height) <= 600);
+  return {
+    id,
+    name: img.name,
+    origin: img.origin,
+    context: img.context || '',
+    kind: logoish ? 'logo' : 'photo',
+    width,
+    height,
+    mime: ext === 'jpg' ? 'image/jpeg' : 'image/png'
+  };
+}
+
+// -------- PPTX / DOCX --------
+
+async function pptxImages(filePath) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+  // Where each media file is first used, so the planner knows what the picture was about.
+  const contexts = new Map();
+  for (const s of await readPptxSlides(filePath).catch(() => [])) {
+    for (const media of s.images) {
+      if (!contexts.has(media)) contexts.set(media, `Slide ${s.index + 1}${s.title ? `: ${s.title}` : ''}`);
+    }
+  }
+  return zipImages(zip, /^ppt\/media\//, contexts);
+}
+
+async function docxImages(filePath) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+  const xml = await zip.file('word/document.xml')?.async('string') || '';
+  const relsXml = await zip.file('word/_rels/document.xml.rels')?.async('string') || '';
+  const rels = new Map(Array.from(relsXml.matchAll(/<Relationship\b[^>]*\bId="([^"]+)"[^>]*\bTarget="([^"]+)"/g))
+    .map(m => [m[1], path.posix.normalize(path.posix.join('word', m[2]))]));
+
+  // Nearest heading above each picture.
+  const contexts = new Map();
+  let heading = '';
+  for (const m of xml.matchAll(/<w:p\b[\s\S]*?<\/w:p>/g)) {
+    if (/<w:pStyle w:val="(Heading\d|Title)"/i.test(m[0])) {
+      heading = Array.from(m[0].matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g)).map(t => t[1]).join('').trim() || heading;
+    }
+    for (const e of m[0].matchAll(/r:embed="([^"]+)"/g)) {
+      const target = rels.get(e[1]);
+      if (target && !contexts.has(target)) contexts.set(target, heading ? `Section: ${heading}` : '');
+    }
+  }
+  return zipImages(zip, /^word\/media\//, contexts);
+}
+
+async function zipImages(zip, prefix, contexts) {
+  const names = Object.keys(zip.files)
+    .filter(p => prefix.test(p) && ZIP_IMAGE_RE.test(p))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  const out = [];
+  for (const name of names) {
+    out.push({ name: path.posix.basename(name), origin: name, context: contexts.get(name) || '', data: await zip.file(name).async('nodebuffer') });
+  }
+  return out;
+}
+
+// -------- PDF --------
+
+/**
+ * Image XObjects from the raw PDF bytes: DCTDecode streams are JPEGs already; FlateDecode streams of
+ * 8-bit RGB / gray / CMYK pixels are inflated (PNG predictors undone) and handed to sharp as raw pixels.
+ * Soft masks, JPX, JBIG2, CCITT and indexed-colour images are skipped.
+ */
+function pdfImages(buf) {
+  const raw = buf.toString('latin1');
+  const masks = new Set(Array.from(raw.matchAll(/\/SMask\s+(\d+)\s+0\s+R/g)).map(m => m[1]));
+  const out = [];
+
+  for (const m of raw.matchAll(/\/Subtype\s*\/Image\b/g)) {
+    const objStart = raw.lastIndexOf(' obj', m.index);
+    const head = raw.slice(Math.max(0, objStart - 12), objStart).match(/(\d+)\s+\d+\s*$/);
+    const streamAt = raw.indexOf('stream', m.index);
+    if (objStart < 0 || streamAt < 0 || raw.slice(objStart, streamAt).includes('endobj')) continue;
+    const objNum = head?.[1] || '';
+    if (masks.has(objNum)) continue;
+
+    const dict = raw.slice(objStart, streamAt);
+    const num = (key) => parseInt(dict.match(new RegExp(`/${key}\\s+(\\d+)\\b(?!\\s+\\d+\\s+R)`))?.[1] || '0', 10);
+    const filters = Array.from((dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '').matchAll(/\/(\w+)/g)).map(f => f[1]);
+
+    let dataStart = streamAt + 'stream'.length;
+    if (raw[dataStart] === '\r') dataStart++;
+    if (raw[dataStart] === '\n') dataStart++;
+    const length = num('Length');
+    const dataEnd = length ? dataStart + length : raw.indexOf('endstream', dataStart);
+    if (dataEnd <= dataStart) continue;
+    let data = buf.subarray(dataStart, dataEnd);
+
+    const name = `pdf-image-${objNum || out.length + 1}`;
+    try {
+      if (filters[0] === 'FlateDecode' && filters.length > 1) {
+        data = zlib.inflateSync(data);
+        filters.shift();
+      }
+      if (filters.length === 1 && filters[0] === 'DCTDecode') {
+        out.push({ name: `${name}.jpg`, origin: `pdf:${objNum}`, data });
+        continue;
+      }
+      if (filters.length !== 1 || filters[0] !== 'FlateDecode' || num('BitsPerComponent') !== 8) continue;
+      if (/\/Indexed\b/.test(dict)) continue;
+
+      const width = num('Width');
+      const height = num('Height');
+      if (!width || !height) continue;
+      let pixels = zlib.inflateSync(data);
+      const predictor = num('Predictor');
+      const channels = /\/DeviceGray\b/.test(dict) ? 1 : (/\/DeviceCMYK\b/.test(dict) ? 4 : (/\/DeviceRGB\b/.test(dict) ? 3 : num('Colors') || 3));
+      if (predictor >= 10) pixels = unpredictPng(pixels, width, channels);
+      if (pixels.length < width * height * channels) continue;
+      if (channels === 4) pixels = cmykToRgb(pixels, width * height);
+      out.push({
+        name: `${name}.png`,
+        origin: `pdf:${objNum}`,
+        raw: true,
+        width,
+        height,
+        channels: channels === 4 ? 3 : channels,
+        data: pixels.subarray(0, width * height * (channels === 4 ? 3 : channels))
+      });
+    } catch {
+      // Unreadable stream: skip the image, keep the rest.
+    }
+  }
+  return out;
+}
+
+function unpredictPng(data, width, channels) {
+  const stride = width * channels;
+  const rows = Math.floor(data.length / (stride + 1));
+  const out = Buffer.alloc(rows * stride);
+  for (let r = 0; r < rows; r++) {
+    const type = data[r * (stride + 1)];
+    const src = r * (stride + 1) + 1;
+    const dst = r * stride;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= channels ? out[dst + i - channels] : 0;
+      const up = r > 0 ? out[dst - stride + i] : 0;
+      const upLeft = r > 0 && i >= channels ? out[dst - stride + i - channels] : 0;
+      let pred = 0;
+      if (type === 1) pred = left;
+      else if (type === 2) pred = up;
+      else if (type === 3) pred = (left + up) >> 1;
+      else if (type === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        pred = pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+      }
+      out[dst + i] = (data[src + i] + pred) & 0xff;
+    }
+  }
+  return out;
+}
+
+function cmykToRgb(data, pixelCount) {
+  const out = Buffer.alloc(pixelCount * 3);
+  for (let i = 0; i < pixelCount; i++) {
+    const k = 255 - data[i * 4 + 3];
+    out[i * 3] = ((255 - data[i * 4]) * k) / 255;
+    out[i * 3 + 1] = ((255 - data[i * 4 + 1]) * k) / 255;
+    out[i * 3 + 2] = ((255 - data[i * 4 + 2]) * k) / 255;
+  }
+  return out;
+}
@@ -0,0 +1,560 @@
+import fs from 'fs';
+import JSZip from 'jszip';
+
+/**
+ * Structured brief blocks.
+ *
+ * Text-ish brief formats (Markdown, TXT, HTML, RTF, ODT, DOCX, PDF) are parsed into a flat list of blocks:
+ *   { type: 'heading', level: 1..6, text }
+ *   { type: 'list_item', level: 1..n, ordered: boolean, number?, text }
+ *   { type: 'paragraph', text }
+ *   { type: 'table', rows: [[cell]] }   (first row is the header row)
+ *   { type: 'utterance', speaker, time: 'HH:MM:SS', text }   (meeting transcripts, see transcript.js)
+ * Paginated formats add `page` (1-based) to every block; multi-file briefs add `source` (filename).
+ * blocksToText() renders them back as Markdown so prompts keep the outline visible.
+ */
+
+export function parseMarkdownBlocks(markdown = '') {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let para = [];
+  let fence = false;
+
+  const flush = () => {
+    const text = para.join(' ').replace(/\s+/g, ' ').trim();
+    if (text) blocks.push({ type: 'paragraph', text: stripInlineMarkdown(text) });
+    para = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const ln = lines[i];
+    if (/^\s*(```|~~~)/.test(ln)) { flush(); fence = !fence; continue; }
+    if (fence) { if (ln.trim()) para.push(ln.trim()); continue; }
+
+    const atx = ln.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (atx) {
+      flush();
+      blocks.push({ type: 'heading', level: atx[1].length, text: stripInlineMarkdown(atx[2]) });
+      continue;
+    }
+
+    // Setext headings: "Title" underlined with === or ---
+    const next = lines[i + 1] || '';
+    if (ln.trim() && !para.length && /^\s{0,3}(=+|-+)\s*$/.test(next) && !/^\s*([-*+]|\d+[.)])\s+/.test(ln)) {
+      blocks.push({ type: 'heading', level: next.trim()[0] === '=' ? 1 : 2, text: stripInlineMarkdown(ln.trim()) });
+      i++;
+      continue;
+    }
+
+    const li = ln.match(/^(\s*)([-*+•▪◦]|\d{1,3}[.)])\s+(.+)$/);
+    if (li) {
+      flush();
+      const indent = li[1].replace(/\t/g, '    ').length;
+      const ordered = /\d/.test(li[2]);
+      blocks.push({
+        type: 'list_item',
+        level: Math.floor(indent / 2) + 1,
+        ordered,
+        ...(ordered ? { number: parseInt(li[2], 10) } : {}),
+        text: stripInlineMarkdown(li[3].trim())
+      });
+      continue;
+    }
+
+    if (!ln.trim() || /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(ln)) { flush(); continue; }
+    para.push(ln.trim());
+  }
+  flush();
+  return blocks;
+}
+
+function stripInlineMarkdown(s = '') {
+  return s
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .trim();
+}
+
+// -------- HTML --------
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', bull: '•' };
+
+function decodeEntities(s = '') {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return HTML_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+/**
+ * Tag-walking HTML → blocks converter. Not a full HTML parser, but it handles
+ * what briefs exported from docs tools / CMSs actually contain.
+ */
+export function htmlToBlocks(html = '') {
+  const src = (html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, '');
+
+  const blocks = [];
+  const lists = []; // stack of { ordered }
+  let buf = '';
+  let current = null; // { type, level?, ordered? } for the block being collected
+
+  const flush = () => {
+    const text = decodeEntities(buf).replace(/\s+/g, ' ').trim();
+    if (text) {
+      const base = current || { type: 'paragraph' };
+      blocks.push({ ...base, text });
+    }
+    buf = '';
+    current = null;
+  };
+
+  const re = /<\/?([a-z][a-z0-9]*)\b[^>]*>|([^<]+)/gi;
+  let m;
+  while ((m = re.exec(src)) !== null) {
+    if (m[2] !== undefined) { buf += m[2]; continue; }
+    const tag = m[1].toLowerCase();
+    const closing = m[0][1] === '/';
+
+    if (/^h[1-6]$/.test(tag)) {
+      flush();
+      if (!closing) current = { type: 'heading', level: parseInt(tag[1], 10) };
+    } else if (tag === 'ul' || tag === 'ol') {
+      flush();
+      if (closing) lists.pop();
+      else lists.push({ ordered: tag === 'ol', count: 0 });
+    } else if (tag === 'li') {
+      flush();
+      const list = lists[lists.length - 1];
+      if (!closing) {
+        current = { type: 'list_item', level: Math.max(1, lists.length), ordered: !!list?.ordered };
+        if (list?.ordered) current.number = ++list.count;
+      }
+    } else if (['p', 'div', 'section', 'article', 'header', 'footer', 'blockquote', 'pre', 'tr', 'table', 'dt', 'dd'].includes(tag)) {
+      // Paragraph text nested inside an <li> stays part of that item.
+      if (current?.type === 'list_item' && tag === 'p') continue;
+      flush();
+    } else if (tag === 'br') {
+      if (current) buf += ' ';
+      else flush();
+    } else if (tag === 'td' || tag === 'th') {
+      if (closing) buf += ' | ';
+    }
+  }
+  flush();
+  return blocks.map(b => (b.text.endsWith(' |') ? { ...b, text: b.text.replace(/\s*\|\s*$/, '') } : b));
+}
+
+// -------- RTF --------
+
+// Destinations whose content is never body text.
+const RTF_SKIP = new Set(['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer', 'headerl', 'headerr', 'footerl', 'footerr', 'footnote', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'fldinst']);
+
+const RTF_CONTROL = /([a-z]+)(-?\d+)? ?/iy;
+
+/**
+ * Minimal RTF reader: paragraphs, outline levels / "heading N" styles, and list paragraphs.
+ */
+export function rtfToBlocks(rtf = '') {
+  const src = (rtf || '').toString();
+  const headingStyles = parseRtfHeadingStyles(src);
+
+  const blocks = [];
+  const stack = [];
+  let state = { skip: false, ucSkip: 1 };
+  let para = { text: '', level: 0, style: null, list: false, listLevel: 0 };
+
+  const endPara = () => {
+    const text = para.text.replace(/\s+/g, ' ').trim();
+    if (text) {
+      const styleLevel = para.style !== null ? headingStyles.get(para.style) : undefined;
+      if (para.level) blocks.push({ type: 'heading', level: Math.min(6, para.level), text });
+      else if (styleLevel) blocks.push({ type: 'heading', level: styleLevel, text });
+      else if (para.list) blocks.push({ type: 'list_item', level: para.listLevel + 1, ordered: false, text });
+      else blocks.push({ type: 'paragraph', text });
+    }
+    para = { ...para, text: '' };
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '{') {
+      stack.push(state);
+      state = { ...state };
+      // "{\*\dest ...}" ignorable destinations
+      if (src.startsWith('\\*', i + 1)) state.skip = true;
+      continue;
+    }
+    if (ch === '}') {
+      state = stack.pop() || { skip: false, ucSkip: 1 };
+      continue;
+    }
+    if (ch === '\\') {
+      const next = src[i + 1];
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!state.skip) para.text += next;
+        i++;
+        continue;
+      }
+      if (next === "'") {
+        if (!state.skip) para.text += String.fromCharCode(parseInt(src.substr(i + 2, 2), 16));
+        i += 3;
+        continue;
+      }
+      if (next === '~') { if (!state.skip) para.text += ' '; i++; continue; }
+      if (next === '\n' || next === '\r') { if (!state.skip) endPara(); i++; continue; }
+
+      RTF_CONTROL.lastIndex = i + 1;
+      const cw = RTF_CONTROL.exec(src);
+      if (!cw) { i++; continue; }
+      i += cw[0].length;
+      const word = cw[1].toLowerCase();
+      const arg = cw[2] !== undefined ? parseInt(cw[2], 10) : null;
+
+      if (RTF_SKIP.has(word) || word === 'listtext' || word === 'pntext') {
+        if (word === 'listtext' || word === 'pntext') para.list = true;
+        state.skip = true;
+      } else if (word === 'par' || word === 'sect' || word === 'page' || word === 'row') {
+        if (!state.skip) endPara();
+      } else if (word === 'pard') {
+        para = { text: para.text, level: 0, style: null, list: false, listLevel: 0 };
+      } else if (word === 'outlinelevel') {
+        para.level = (arg ?? 0) + 1;
+      } else if (word === 's') {
+        para.style = arg;
+      } else if (word === 'ls') {
+        para.list = true;
+      } else if (word === 'ilvl') {
+        para.listLevel = arg ?? 0;
+      } else if (word === 'uc') {
+        state.ucSkip = arg ?? 1;
+      } else if (word === 'u') {
+        if (!state.skip) para.text += String.fromCharCode(arg < 0 ? arg + 65536 : arg);
+        i = skipRtfFallback(src, i, state.ucSkip);
+      } else if (word === 'tab' || word === 'cell') {
+        if (!state.skip) para.text += word === 'cell' ? ' | ' : ' ';
+      } else if (word === 'line') {
+        if (!state.skip) para.text += ' ';
+      } else if (['bullet', 'emdash', 'endash', 'lquote', 'rquote', 'ldblquote', 'rdblquote'].includes(word)) {
+        if (!state.skip) para.text += { bullet: '•', emdash: '—', endash: '–', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”' }[word];
+      }
+      continue;
+    }
+    if (ch === '\n' || ch === '\r') continue;
+    if (!state.skip) para.text += ch;
+  }
+  endPara();
+  return blocks;
+}
+
+/**
+ * Skip the fallback after \uN: `count` RTF tokens (a \'hh escape, a control word or one character), never
+ * past a group brace. `i` is the last character of \uN; returns the last character skipped.
+ */
+function skipRtfFallback(src, i, count) {
+  for (let n = 0; n < count && i + 1 < src.length; n++) {
+    const ch = src[i + 1];
+    if (ch === '{' || ch === '}') break;
+    if (ch !== '\\') { i++; continue; }
+    if (src[i + 2] === "'") { i += 4; continue; }
+    RTF_CONTROL.lastIndex = i + 2;
+    const cw = RTF_CONTROL.exec(src);
+    i += cw ? cw[0].length + 1 : 2;
+  }
+  return i;
+}
+
+function parseRtfHeadingStyles(src) {
+  const map = new Map();
+  const start = src.indexOf('{\\stylesheet');
+  if (start < 0) return map;
+
+  // Walk to the matching brace, collecting each top-level style group.
+  let depth = 0;
+  let groupStart = -1;
+  for (let i = start; i < src.length; i++) {
+    if (src[i] === '\\') { i++; continue; }
+    if (src[i] === '{') {
+      depth++;
+      if (depth === 2) groupStart = i;
+    } else if (src[i] === '}') {
+      if (depth === 2 && groupStart >= 0) {
+        const group = src.slice(groupStart, i);
+        const num = group.match(/\\s(\d+)\b/);
+        const name = group.replace(/\{[^{}]*\}/g, '').replace(/\\[a-z]+-?\d* ?/gi, '').replace(/;.*$/s, '').trim();
+        const lvl = name.match(/heading\s*(\d)/i);
+        if (num && lvl) map.set(parseInt(num[1], 10), Math.min(6, parseInt(lvl[1], 10)));
+      }
+      depth--;
+      if (depth === 0) break;
+    }
+  }
+  return map;
+}
+
+// -------- ODT --------
+
+/**
+ * Read content.xml from an ODT package: text:h (with outline level), text:p and nested text:list.
+ */
+export async function extractOdtBlocks(odtPath) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(odtPath));
+  const xml = await zip.file('content.xml')?.async('string');
+  if (!xml) throw new Error('Invalid ODT: missing content.xml.');
+  return odtXmlToBlocks(xml);
+}
+
+function odtXmlToBlocks(xml) {
+  const body = xml.match(/<office:text\b[^>]*>([\s\S]*)<\/office:text>/i)?.[1] || xml;
+  const blocks = [];
+  let listDepth = 0;
+  let current = null;
+  let buf = '';
+
+  const flush = () => {
+    const text = decodeEntities(buf).replace(/\s+/g, ' ').trim();
+    if (current && text) blocks.push({ ...current, text });
+    current = null;
+    buf = '';
+  };
+
+  const re = /<(\/?)(text:[a-z-]+)\b([^>]*?)(\/?)>|([^<]+)/gi;
+  let m;
+  while ((m = re.exec(body)) !== null) {
+    if (m[5] !== undefined) { if (current) buf += m[5]; continue; }
+    const closing = m[1] === '/';
+    const selfClosing = m[4] === '/';
+    const tag = m[2].toLowerCase();
+
+    if (tag === 'text:list') {
+      if (selfClosing) continue;
+      listDepth += closing ? -1 : 1;
+    } else if (tag === 'text:h') {
+      if (closing) flush();
+      else {
+        flush();
+        const lvl = parseInt(m[3].match(/text:outline-level="(\d+)"/)?.[1] || '1', 10);
+        current = { type: 'heading', level: Math.min(6, Math.max(1, lvl)) };
+      }
+    } else if (tag === 'text:p') {
+      if (closing || selfClosing) flush();
+      else {
+        flush();
+        current = listDepth > 0
+          ? { type: 'list_item', level: listDepth, ordered: false }
+          : { type: 'paragraph' };
+      }
+    } else if (tag === 'text:s') {
+      if (current) buf += ' '.repeat(parseInt(m[3].match(/text:c="(\d+)"/)?.[1] || '1', 10));
+    } else if (tag === 'text:tab' || tag === 'text:line-break') {
+      if (current) buf += ' ';
+    }
+  }
+  flush();
+  return blocks;
+}
+
+// -------- DOCX --------
+
+/**
+ * Read word/document.xml: heading styles / outline levels, numbered and bulleted lists (numbering.xml),
+ * tables as rows of cells, and page numbers from rendered / explicit page breaks.
+ */
+export async function extractDocxBlocks(docxPath) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(docxPath));
+  const xml = await zip.file('word/document.xml')?.async('string');
+  if (!xml) throw new Error('Invalid DOCX: missing word/document.xml.');
+  const styles = parseDocxStyles(await zip.file('word/styles.xml')?.async('string') || '');
+  const numbering = parseDocxNumbering(await zip.file('word/numbering.xml')?.async('string') || '');
+  return docxXmlToBlocks(xml, styles, numbering);
+}
+
+function docxXmlToBlocks(xml, styles, numbering) {
+  const body = xml.match(/<w:body\b[^>]*>([\s\S]*)<\/w:body>/)?.[1] || xml;
+  // Word writes lastRenderedPageBreak where it actually broke pages; fall back to explicit breaks.
+  const breakRe = /<w:lastRenderedPageBreak\/>/.test(body)
+    ? /<w:lastRenderedPageBreak\/>/g
+    : /<w:br\b[^>]*w:type="page"[^>]*\/>|<w:pageBreakBefore\/>|<w:pageBreakBefore w:val="(?:1|true|on)"\/>/g;
+
+  const blocks = [];
+  const counters = new Map();
+  let page = 1;
+
+  // Breaks before the first text run start this block's page; later ones start the next block's.
+  const advance = (part) => {
+    const firstText = part.search(/<w:t[ >]/);
+    let after = 0;
+    for (const m of part.matchAll(breakRe)) {
+      if (firstText === -1 || m.index < firstText) page += 1;
+      else after += 1;
+    }
+    return after;
+  };
+
+  for (const m of body.matchAll(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p\b[^>]*\/>|<w:p\b[\s\S]*?<\/w:p>/g)) {
+    const part = m[0];
+    const after = advance(part);
+
+    if (part.startsWith('<w:tbl')) {
+      const rows = Array.from(part.matchAll(/<w:tr\b[\s\S]*?<\/w:tr>/g))
+        .map(tr => Array.from(tr[0].matchAll(/<w:tc>[\s\S]*?<\/w:tc>|<w:tc\b[\s\S]*?<\/w:tc>/g))
+          .map(tc => Array.from(tc[0].matchAll(/<w:p\b[\s\S]*?<\/w:p>/g)).map(p => docxParagraphText(p[0])).filter(Boolean).join(' ')))
+        .filter(r => r.some(Boolean));
+      if (rows.length) blocks.push({ type: 'table', rows, page });
+      page += after;
+      continue;
+    }
+
+    const text = docxParagraphText(part);
+    if (text) {
+      const styleId = part.match(/<w:pStyle w:val="([^"]+)"/)?.[1] || '';
+      const style = styles.get(styleId) || {};
+      const outline = part.match(/<w:outlineLvl w:val="(\d+)"/)?.[1] ?? style.outline;
+      const numId = part.match(/<w:numId w:val="(\d+)"/)?.[1] ?? style.numId;
+      const ilvl = parseInt(part.match(/<w:ilvl w:val="(\d+)"/)?.[1] || '0', 10);
+
+      if (outline !== undefined && outline !== null && parseInt(outline, 10) < 9) {
+        blocks.push({ type: 'heading', level: Math.min(6, parseInt(outline, 10) + 1), text, page });
+      } else if (style.title) {
+        blocks.push({ type: 'heading', level: 1, text, page });
+      } else if ((numId && numId !== '0') || style.list) {
+        const fmt = numbering.get(`${numId}:${ilvl}`);
+        const ordered = fmt ? fmt !== 'bullet' && fmt !== 'none' : style.list === 'ordered';
+        const item = { type: 'list_item', level: ilvl + 1, ordered, text, page };
+        if (ordered) {
+          const key = `${numId}:${ilvl}`;
+          const n = (counters.get(key) || 0) + 1;
+          counters.set(key, n);
+          // A parent item restarts its children's numbering.
+          for (const k of counters.keys()) {
+            const [id, lvl] = k.split(':');
+            if (id === String(numId) && parseInt(lvl, 10) > ilvl) counters.delete(k);
+          }
+          item.number = n;
+        }
+        blocks.push(item);
+      } else {
+        blocks.push({ type: 'paragraph', text, page });
+      }
+    }
+    page += after;
+  }
+  return blocks;
+}
+
+function docxParagraphText(xml) {
+  return Array.from(xml.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|br)\b[^>]*\/>/g))
+    .map(m => (m[2] ? ' ' : decodeEntities(m[1])))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * styleId → { outline (0-based heading level), title, list: 'ordered' | 'bullet', numId }.
+ */
+function parseDocxStyles(xml) {
+  const map = new Map();
+  for (const m of xml.matchAll(/<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g)) {
+    const id = m[1].match(/w:styleId="([^"]+)"/)?.[1];
+    if (!id) continue;
+    const name = (m[2].match(/<w:name w:val="([^"]+)"/)?.[1] || '').toLowerCase();
+    const heading = name.match(/^heading\s*(\d)$/);
+    const outline = m[2].match(/<w:outlineLvl w:val="(\d+)"/)?.[1] ?? (heading ? String(parseInt(heading[1], 10) - 1) : undefined);
+    map.set(id, {
+      outline,
+      title: name === 'title',
+      list: /list number/.test(name) ? 'ordered' : (/list bullet/.test(name) ? 'bullet' : null),
+      numId: m[2].match(/<w:numId w:val="(\d+)"/)?.[1]
+    });
+  }
+  return map;
+}
+
+/**
+ * "numId:ilvl" → numFmt (bullet, decimal, lowerLetter, …).
+ */
+function parseDocxNumbering(xml) {
+  const abstract = new Map();
+  for (const m of xml.matchAll(/<w:abstractNum\b[^>]*w:abstractNumId="(\d+)"[^>]*>([\s\S]*?)<\/w:abstractNum>/g)) {
+    const levels = new Map();
+    for (const l of m[2].matchAll(/<w:lvl\b[^>]*w:ilvl="(\d+)"[^>]*>([\s\S]*?)<\/w:lvl>/g)) {
+      levels.set(l[1], l[2].match(/<w:numFmt w:val="([^"]+)"/)?.[1] || 'decimal');
+    }
+    abstract.set(m[1], levels);
+  }
+  const map = new Map();
+  for (const m of xml.matchAll(/<w:num\b[^>]*w:numId="(\d+)"[^>]*>([\s\S]*?)<\/w:num>/g)) {
+    const levels = abstract.get(m[2].match(/<w:abstractNumId w:val="(\d+)"/)?.[1]);
+    for (const [lvl, fmt] of levels || []) map.set(`${m[1]}:${lvl}`, fmt);
+  }
+  return map;
+}
+
+// -------- Rendering --------
+
+export function blocksToText(blocks = []) {
+  const out = [];
+  let prev = null;
+  let page = null;
+  for (const b of blocks || []) {
+    // Page markers let the extract step cite "p. N".
+    if (b.page && b.page !== page) {
+      out.push(`[Page ${b.page}]`);
+      page = b.page;
+      prev = null;
+    }
+    if (b.type === 'heading') {
+      out.push(`${'#'.repeat(b.level || 1)} ${b.text}`);
+    } else if (b.type === 'list_item') {
+      // Keep consecutive list items together (no blank line between them).
+      const marker = b.ordered ? `${b.number || 1}.` : '-';
+      const line = `${'  '.repeat(Math.max(0, (b.level || 1) - 1))}${marker} ${b.text}`;
+      if (prev?.type === 'list_item') out[out.length - 1] += `\n${line}`;
+      else out.push(line);
+    } else if (b.type === 'table') {
+      out.push(tableToMarkdown(b.rows));
+    } else if (b.type === 'utterance') {
+      out.push(`[${b.time || '--:--:--'}] ${b.speaker || 'Unknown speaker'}: ${b.text}`);
+    } else {
+      out.push(b.text);
+    }
+    prev = b;
+  }
+  return out.join('\n\n');
+}
+
+function tableToMarkdown(rows = []) {
+  const width = Math.max(...rows.map(r => r.length));
+  const line = (r) => `| ${Array.from({ length: width }, (_, i) => (r[i] || '').replace(/\|/g, '/')).join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+export function blocksToHeadings(blocks = []) {
+  return (blocks || [])
+    .filter(b => b.type === 'heading' && b.text)
+    .map(b => ({ level: b.level, text: b.text }));
+}
+
+/**
+ * Document tables (DOCX / PDF) for the planner: [{ id, source?, page?, headers, rows }].
+ */
+export function blocksToTables(blocks = [], { maxTables = 8, maxRows = 12, maxCols = 6 } = {}) {
+  return (blocks || [])
+    .filter(b => b.type === 'table' && Array.isArray(b.rows) && b.rows.length >= 2)
+    .slice(0, maxTables)
+    .map((b, i) => ({
+      id: `T${i + 1}`,
+      ...(b.source ? { source: b.source } : {}),
+      ...(b.page ? { page: b.page } : {}),
+      headers: b.rows[0].slice(0, maxCols),
+      rows: b.rows.slice(1, maxRows + 1).map(r => r.slice(0, maxCols))
+    }));
+}
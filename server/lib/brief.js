@@ -1,21 +1,201 @@
 import fs from 'fs';
 import path from 'path';
-import JSZip from 'jszip';
 import mammoth from 'mammoth';
 import WordExtractor from 'word-extractor';
-import { extractPdfText } from './pdf.js';
+import { extractPdfText, extractPdfBlocks } from './pdf.js';
+import { readPptxSlides } from './importer.js';
+import { ocrPdfPages, ocrImageFile, averageConfidence } from './ocr.js';
+import { parseTranscript, isTranscriptText, transcriptSummary } from './transcript.js';
+import { readEmailThread, emailToBlocks, forEachAttachmentFile } from './email.js';
+import { extractXlsxTables, extractCsvTables, tablesToText } from './sheets.js';
+import { parseMarkdownBlocks, htmlToBlocks, rtfToBlocks, extractOdtBlocks, extractDocxBlocks, blocksToText } from './blocks.js';
+
+const SPREADSHEET_EXTS = ['.xlsx', '.csv', '.tsv'];
+const MARKUP_EXTS = ['.md', '.markdown', '.txt', '.html', '.htm', '.rtf', '.odt'];
+const LAYOUT_EXTS = ['.pdf', '.docx'];
+const IMAGE_EXTS = ['.png', '.jpg', '.jpeg'];
+const TRANSCRIPT_EXTS = ['.vtt', '.srt'];
+const EMAIL_EXTS = ['.eml', '.mbox'];
+// Attached emails are unpacked too, but not endlessly.
+const MAX_EMAIL_DEPTH = 3;
 
 /**
  * Extract brief text from supported file types.
- * Supported: .pdf, .docx, .doc, .pptx
+ * Supported: .pdf, .docx, .doc, .pptx, .xlsx, .csv/.tsv, .md, .txt, .html, .rtf, .odt, .png/.jpg (OCR),
+ * .vtt/.srt and transcript .txt exports (speaker + timestamp per turn), .eml/.mbox (thread + attachments)
  */
 export async function extractBriefText(filePath, originalName = '') {
   const ext = path.extname(originalName || filePath).toLowerCase();
-  if (ext === '.pdf') return extractPdfText(filePath);
-  if (ext === '.docx') return extractDocxText(filePath);
+  if (LAYOUT_EXTS.includes(ext)) return (await extractLayoutBrief(filePath, ext)).text;
   if (ext === '.doc') return extractDocText(filePath);
   if (ext === '.pptx') return extractPptxText(filePath);
-  throw new Error(`Unsupported brief file type: ${ext || '(unknown)'}. Please upload PDF, DOC/DOCX, or PPTX.`);
+  if (SPREADSHEET_EXTS.includes(ext)) return tablesToText(await extractBriefTables(filePath, originalName));
+  if (MARKUP_EXTS.includes(ext)) return (await extractMarkupBrief(filePath, ext)).text;
+  if (IMAGE_EXTS.includes(ext)) return (await extractImageBrief(filePath)).text;
+  if (TRANSCRIPT_EXTS.includes(ext)) return extractTranscriptBrief(readTextFile(filePath), ext).text;
+  if (EMAIL_EXTS.includes(ext)) {
+    const { text, attachments } = await extractEmailBrief(filePath, ext, 0);
+    return [text, ...attachments.map(a => `[Attachment: ${a.filename}]\n${a.text}`)].join('\n\n---\n\n');
+  }
+  throw new Error(`Unsupported brief file type: ${ext || '(unknown)'}. Please upload PDF, DOC/DOCX, PPTX, XLSX/CSV, Markdown, TXT, HTML, RTF, ODT, PNG, JPG, VTT, SRT, EML, or MBOX.`);
+}
+
+/**
+ * Extract typed tables (sheet, headers, rows) from spreadsheet briefs.
+ * Returns [] for file types that carry no tabular data.
+ */
+export async function extractBriefTables(filePath, originalName = '') {
+  const ext = path.extname(originalName || filePath).toLowerCase();
+  if (ext === '.xlsx') return extractXlsxTables(filePath);
+  if (ext === '.csv' || ext === '.tsv') return extractCsvTables(filePath, originalName);
+  return [];
+}
+
+/**
+ * One-stop extraction for /api/plan: text for the prompts, plus whatever structure the format carries.
+ * Returns { text, blocks, tables, ocr } (blocks: see blocks.js, tables: see sheets.js;
+ * ocr: { pages, confidence } when scanned pages or images were read with OCR, else null).
+ * Emails also return attachments: [{ filename, text, blocks, tables, ocr }] — the thread itself is text / blocks.
+ */
+export async function extractBrief(filePath, originalName = '', { depth = 0 } = {}) {
+  const ext = path.extname(originalName || filePath).toLowerCase();
+  if (SPREADSHEET_EXTS.includes(ext)) {
+    const tables = await extractBriefTables(filePath, originalName);
+    return { text: tablesToText(tables), blocks: [], tables, ocr: null };
+  }
+  if (MARKUP_EXTS.includes(ext)) {
+    const { text, blocks } = await extractMarkupBrief(filePath, ext);
+    return { text, blocks, tables: [], ocr: null };
+  }
+  if (LAYOUT_EXTS.includes(ext)) {
+    const { text, blocks, ocr } = await extractLayoutBrief(filePath, ext);
+    return { text, blocks, tables: [], ocr };
+  }
+  if (IMAGE_EXTS.includes(ext)) {
+    const { text, blocks, ocr } = await extractImageBrief(filePath);
+    return { text, blocks, tables: [], ocr };
+  }
+  if (TRANSCRIPT_EXTS.includes(ext)) {
+    const { text, blocks } = extractTranscriptBrief(readTextFile(filePath), ext);
+    return { text, blocks, tables: [], ocr: null };
+  }
+  if (EMAIL_EXTS.includes(ext)) {
+    const { text, blocks, attachments } = await extractEmailBrief(filePath, ext, depth);
+    return { text, blocks, tables: [], ocr: null, attachments };
+  }
+  return { text: await extractBriefText(filePath, originalName), blocks: [], tables: [], ocr: null };
+}
+
+// Roles tell the extract step how to weigh a document (requirements vs. constraints vs. background).
+export const SOURCE_ROLES = ['RFP', 'brief', 'brand book', 'notes', 'data', 'reference'];
+
+/**
+ * Guess a document's role from its filename / type when the uploader didn't pick one.
+ */
+export function inferSourceRole(originalName = '') {
+  const name = (originalName || '').toLowerCase();
+  const ext = path.extname(name);
+  if (/(^|[^a-z])(rfp|rfq|rfi|tender)([^a-z]|$)|request[\s_-]*for/.test(name)) return 'RFP';
+  if (EMAIL_EXTS.includes(ext)) return 'brief';
+  if (/brand|guideline|style[\s_-]*guide|identity|cvi/.test(name)) return 'brand book';
+  if (/note|minutes|transcript|call|meeting/.test(name) || TRANSCRIPT_EXTS.includes(ext)) return 'notes';
+  if (SPREADSHEET_EXTS.includes(ext)) return 'data';
+  if (/brief/.test(name)) return 'brief';
+  return 'reference';
+}
+
+/**
+ * Markdown / TXT / HTML / RTF / ODT → { text, blocks }.
+ * Markdown and TXT keep their own text; the others are rendered back to Markdown from blocks
+ * so headings and list nesting survive into the prompt. Timestamped TXT exports are read as transcripts.
+ */
+async function extractMarkupBrief(filePath, ext) {
+  if (ext === '.odt') {
+    const blocks = await extractOdtBlocks(filePath);
+    return { text: normalizeText(blocksToText(blocks)), blocks };
+  }
+  const raw = readTextFile(filePath);
+  if (ext === '.html' || ext === '.htm') {
+    const blocks = htmlToBlocks(raw);
+    return { text: normalizeText(blocksToText(blocks)), blocks };
+  }
+  if (ext === '.rtf') {
+    const blocks = rtfToBlocks(raw);
+    return { text: normalizeText(blocksToText(blocks)), blocks };
+  }
+  if (ext === '.txt' && isTranscriptText(raw)) return extractTranscriptBrief(raw, ext);
+  return { text: normalizeText(raw), blocks: parseMarkdownBlocks(raw) };
+}
+
+function extractTranscriptBrief(raw, ext) {
+  const blocks = parseTranscript(raw, ext);
+  if (!blocks.length) throw new Error('No transcript cues found.');
+  return { text: normalizeText(`${transcriptSummary(blocks)}\n\n${blocksToText(blocks)}`), blocks };
+}
+
+/**
+ * PDF and DOCX keep headings, lists, tables and page numbers as blocks; the prompt text is
+ * rendered from them with [Page N] markers. PDF pages without a text layer are OCR'd.
+ * Falls back to flat text if no structure comes out.
+ */
+async function extractLayoutBrief(filePath, ext) {
+  let blocks = [];
+  let ocr = null;
+  if (ext === '.pdf') {
+    const layout = await extractPdfBlocks(filePath);
+    blocks = layout.blocks;
+    if (layout.textlessPages.length) {
+      const scanned = await ocrPdfPages(filePath, layout.textlessPages);
+      // Stable sort keeps each page's own block order.
+      blocks = [...blocks, ...scanned.flatMap(r => r.blocks)].sort((a, b) => a.page - b.page);
+      ocr = { pages: scanned.length, confidence: averageConfidence(scanned) };
+    }
+  } else {
+    blocks = await extractDocxBlocks(filePath);
+  }
+  if (blocks.length) return { text: normalizeText(blocksToText(blocks)), blocks, ocr };
+  const text = ext === '.pdf' ? await extractPdfText(filePath) : await extractDocxText(filePath);
+  return { text, blocks: [], ocr };
+}
+
+async function extractImageBrief(filePath) {
+  const result = await ocrImageFile(filePath);
+  return {
+    text: normalizeText(blocksToText(result.blocks)),
+    blocks: result.blocks,
+    ocr: { pages: 1, confidence: averageConfidence([result]) }
+  };
+}
+
+/**
+ * Email thread → { text, blocks, attachments }. Attached documents go through the regular extractors
+ * (attached emails recursively, their attachments flattened into the list); images are left out.
+ */
+async function extractEmailBrief(filePath, ext, depth) {
+  const thread = await readEmailThread(filePath, ext);
+  const blocks = emailToBlocks(thread);
+  const documents = { ...thread, attachments: thread.attachments.filter(a => isDocumentAttachment(a.filename, depth)) };
+  const extracted = await forEachAttachmentFile(documents, path.dirname(filePath), async (tmpPath, filename) => {
+    const { text, blocks: attBlocks, tables, ocr, attachments = [] } = await extractBrief(tmpPath, filename, { depth: depth + 1 });
+    return [{ filename, text, blocks: attBlocks, tables, ocr }, ...attachments];
+  });
+  return {
+    text: normalizeText(blocksToText(blocks)),
+    blocks,
+    attachments: extracted.flat().filter(a => a.text)
+  };
+}
+
+function isDocumentAttachment(filename = '', depth = 0) {
+  const ext = path.extname(filename).toLowerCase();
+  if (EMAIL_EXTS.includes(ext)) return depth + 1 < MAX_EMAIL_DEPTH;
+  return [...LAYOUT_EXTS, '.doc', '.pptx', ...SPREADSHEET_EXTS, ...MARKUP_EXTS, ...TRANSCRIPT_EXTS].includes(ext);
+}
+
+function readTextFile(filePath) {
+  const buf = fs.readFileSync(filePath);
+  if (buf[0] === 0xFF && buf[1] === 0xFE) return buf.slice(2).toString('utf16le');
+  return buf.toString('utf8').replace(/^\uFEFF/, '');
 }
 
 export async function extractDocxText(docxPath) {
@@ -32,66 +212,22 @@ export async function extractDocText(docPath) {
 }
 
 /**
- * Extract text from PPTX by reading slide XML and pulling <a:t> runs.
- * Keeps slide boundaries to preserve some structure.
+ * Extract text from PPTX in presentation order, keeping slide boundaries and each slide's own notes.
  */
 export async function extractPptxText(pptxPath) {
-  const buf = fs.readFileSync(pptxPath);
-  const zip = await JSZip.loadAsync(buf);
-
-  const slideFiles = Object.keys(zip.files)
-    .filter((p) => /^ppt\/slides\/slide\d+\.xml$/i.test(p))
-    .sort((a, b) => {
-      const na = parseInt(a.match(/slide(\d+)\.xml/i)?.[1] || '0', 10);
-      const nb = parseInt(b.match(/slide(\d+)\.xml/i)?.[1] || '0', 10);
-      return na - nb;
-    });
-
-  const notesFiles = Object.keys(zip.files)
-    .filter((p) => /^ppt\/notesSlides\/notesSlide\d+\.xml$/i.test(p))
-    .sort((a, b) => {
-      const na = parseInt(a.match(/notesSlide(\d+)\.xml/i)?.[1] || '0', 10);
-      const nb = parseInt(b.match(/notesSlide(\d+)\.xml/i)?.[1] || '0', 10);
-      return na - nb;
-    });
-
-  const extractRuns = (xml) => {
-    const runs = [];
-    const re = /<a:t[^>]*>([\s\S]*?)<\/a:t>/gi;
-    let m;
-    while ((m = re.exec(xml)) !== null) {
-      const raw = m[1]
-        .replace(/<[^>]+>/g, '')
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&#39;/g, "'")
-        .trim();
-      if (raw) runs.push(raw);
-    }
-    return runs;
-  };
+  const slides = await readPptxSlides(pptxPath);
 
-  const chunks = [];
-  for (let i = 0; i < slideFiles.length; i++) {
-    const slideXml = await zip.file(slideFiles[i]).async('string');
-    const slideText = extractRuns(slideXml).join('\n');
-
-    let notesText = '';
-    if (i < notesFiles.length && zip.file(notesFiles[i])) {
-      const notesXml = await zip.file(notesFiles[i]).async('string');
-      notesText = extractRuns(notesXml).join('\n');
-    }
-
-    const block = [
+  const chunks = slides.map((s, i) => {
+    const tableText = s.tables.map(t => t.map(r => r.join(' | ')).join('\n')).join('\n\n');
+    return [
       `Slide ${i + 1}`,
-      slideText,
-      notesText ? `Notes:\n${notesText}` : ''
-    ].filter(Boolean).join('\n');
-
-    chunks.push(block.trim());
-  }
+      s.title,
+      s.subtitle,
+      s.paragraphs.map(p => `${'  '.repeat(p.level)}${p.level ? '- ' : ''}${p.text}`).join('\n'),
+      tableText,
+      s.notes ? `Notes:\n${s.notes}` : ''
+    ].filter(Boolean).join('\n').trim();
+  });
 
   return normalizeText(chunks.join('\n\n---\n\n'));
 }
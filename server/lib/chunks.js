@@ -0,0 +1,213 @@
+/**
+ * Map-reduce support for very long briefs.
+ *
+ * splitBriefChunks cuts brief documents at section boundaries (Markdown headings, [Page N] markers,
+ * --- separators) into chunks the extract step can read whole. mergeExtracts folds the per-chunk
+ * brief_extract results back into one extract and traces every fact to the chunk(s) it came from.
+ */
+
+// Above this many characters the extract step runs per chunk (≈ 15k tokens).
+export const LONG_BRIEF_CHARS = 60000;
+const CHUNK_CHARS = 24000;
+
+const HEADING_RE = /^#{1,6}\s+\S/;
+const PAGE_RE = /^\[Page (\d+)\]$/;
+const RULE_RE = /^-{3,}$/;
+const PLACEHOLDER_RE = /^(\[[^\]]*\]|tbd|tbc|n\/?a|none|unknown|not (specified|provided|stated|mentioned|given)\b.*)$/i;
+
+// Array-of-object fields and the key that makes two entries the same fact.
+const OBJECT_KEYS = {
+  timeline: t => `${t.date_or_phase} ${t.label}`,
+  kpis: k => k.label,
+  status_items: s => s.item,
+  team: t => t.name,
+  requirements: r => r.requirement,
+  transcript_points: p => `${p.kind} ${p.text}`
+};
+
+/**
+ * Split documents into extract-sized chunks.
+ * docs: [{ text, source?, role? }]. Returns [{ id: 'C1', source, role, heading, pages: [from, to] | null, chars, text }].
+ */
+export function splitBriefChunks(docs = [], { maxChars = CHUNK_CHARS } = {}) {
+  const chunks = [];
+  for (const doc of docs) {
+    let cur = null;
+    const flush = () => {
+      if (cur) chunks.push(finishChunk(cur, doc, chunks.length + 1));
+      cur = null;
+    };
+    for (const sec of splitSections(doc.text || '')) {
+      for (const piece of sec.text.length > maxChars ? splitLong(sec.text, maxChars) : [sec.text]) {
+        if (cur && cur.chars + piece.length > maxChars) flush();
+        if (!cur) {
+          // A chunk that starts mid-section keeps its page and heading so facts stay attributable.
+          const lines = piece.split('\n').map(l => l.trim()).filter(Boolean);
+          const opensPage = PAGE_RE.test(lines[0] || '');
+          const opensSection = HEADING_RE.test(lines.find(l => !PAGE_RE.test(l)) || '');
+          const context = [
+            sec.page && !opensPage ? `[Page ${sec.page}]` : '',
+            sec.heading && !opensSection ? `${sec.heading} (continued)` : ''
+          ].filter(Boolean);
+          cur = { parts: context, chars: 0, pages: [], heading: opensSection ? '' : headingText(sec.heading) };
+        }
+        if (!cur.heading) cur.heading = headingText(piece.split('\n').find(l => HEADING_RE.test(l.trim())) || '');
+        cur.parts.push(piece);
+        cur.chars += piece.length;
+        if (sec.page) cur.pages.push(sec.page);
+      }
+    }
+    flush();
+  }
+  return chunks;
+}
+
+/**
+ * Merge per-chunk extracts (results[i] belongs to chunks[i]) into one.
+ * Lists are deduped and capped at twice the schema's maxItems (limits: { field: maxItems }), preferring facts
+ * repeated across chunks; single values come from the first chunk that states one.
+ * Returns { extract, trace } — trace[field] is the chunk ids behind a single value, or one id list per list item.
+ */
+export function mergeExtracts(results = [], chunks = [], limits = {}) {
+  const extract = {};
+  const trace = {};
+  const fields = Array.from(new Set(results.flatMap(r => Object.keys(r || {}))));
+
+  for (const field of fields) {
+    const values = results.map((r, i) => ({ value: r?.[field], chunk: chunks[i]?.id || `C${i + 1}` }));
+    const sample = values.find(v => v.value != null)?.value;
+
+    if (Array.isArray(sample)) {
+      const key = OBJECT_KEYS[field] || (v => (typeof v === 'string' ? v : JSON.stringify(v)));
+      const items = [];
+      for (const { value, chunk } of values) {
+        for (const item of Array.isArray(value) ? value : []) {
+          if (isBlank(item)) continue;
+          const hit = items.find(it => sameFact(key(it.item), key(item)));
+          if (hit) {
+            if (!hit.chunks.includes(chunk)) hit.chunks.push(chunk);
+            if (typeof item === 'object') hit.item = fillBlanks(hit.item, item);
+          } else {
+            items.push({ item, chunks: [chunk] });
+          }
+        }
+      }
+      const kept = capItems(items, limits[field] ? limits[field] * 2 : Infinity);
+      extract[field] = kept.map(it => it.item);
+      if (kept.length) trace[field] = kept.map(it => it.chunks);
+    } else if (field === 'deck_type_suggestion') {
+      const votes = new Map();
+      for (const { value } of values) if (value && value !== 'other') votes.set(value, (votes.get(value) || 0) + 1);
+      const best = Array.from(votes.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || 'other';
+      extract[field] = best;
+      trace[field] = values.filter(v => v.value === best).map(v => v.chunk);
+    } else if (field === 'source_summary') {
+      const parts = values.filter(v => !isBlank(v.value));
+      extract[field] = Array.from(new Set(parts.map(v => v.value.trim()))).join(' ').slice(0, 1200);
+      if (parts.length) trace[field] = parts.map(v => v.chunk);
+    } else {
+      const first = values.find(v => !isBlank(v.value)) || values.find(v => v.value !== undefined);
+      extract[field] = first ? first.value : null;
+      if (first && !isBlank(first.value)) trace[field] = [first.chunk];
+    }
+  }
+  return { extract, trace };
+}
+
+// -------- Splitting --------
+
+function splitSections(text) {
+  const sections = [];
+  let page = null;
+  let heading = '';
+  let cur = null;
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    const pageHit = trimmed.match(PAGE_RE);
+    // A page marker directly above a heading stays with it.
+    const markerOnly = cur && cur.lines.every(l => !l.trim() || PAGE_RE.test(l.trim()));
+    if (pageHit || (HEADING_RE.test(trimmed) && !markerOnly) || RULE_RE.test(trimmed) || !cur) {
+      if (cur) sections.push(cur);
+      // The section keeps the page / heading in force where it starts.
+      if (pageHit) page = parseInt(pageHit[1], 10);
+      cur = { lines: [], page, heading };
+    }
+    if (HEADING_RE.test(trimmed)) heading = trimmed;
+    cur.lines.push(line);
+  }
+  if (cur) sections.push(cur);
+  return sections
+    .map(s => ({ text: s.lines.join('\n').trim(), page: s.page, heading: s.heading }))
+    .filter(s => s.text && !RULE_RE.test(s.text));
+}
+
+function splitLong(text, maxChars) {
+  const out = [];
+  let cur = '';
+  for (const para of text.split(/\n{2,}/)) {
+    // A single paragraph longer than a chunk is cut hard; better than dropping it.
+    const parts = para.length > maxChars ? para.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g')) : [para];
+    for (const part of parts) {
+      if (cur && cur.length + part.length + 2 > maxChars) {
+        out.push(cur);
+        cur = '';
+      }
+      cur = cur ? `${cur}\n\n${part}` : part;
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+function finishChunk(cur, doc, n) {
+  const text = cur.parts.join('\n\n');
+  const pages = cur.pages.length ? [Math.min(...cur.pages), Math.max(...cur.pages)] : null;
+  return { id: `C${n}`, source: doc.source || null, role: doc.role || null, heading: cur.heading, pages, chars: text.length, text };
+}
+
+function headingText(line = '') {
+  return (line || '').replace(/^#{1,6}\s+/, '').trim();
+}
+
+// -------- Merging --------
+
+function isBlank(v) {
+  if (v == null) return true;
+  if (typeof v === 'string') return !v.trim() || PLACEHOLDER_RE.test(v.trim());
+  if (Array.isArray(v)) return !v.length;
+  if (typeof v === 'object') return Object.values(v).every(isBlank);
+  return false;
+}
+
+function normalizeFact(s = '') {
+  return String(s || '').toLowerCase().replace(/[^\p{L}\p{N}%$€£]+/gu, ' ').trim();
+}
+
+// Same wording, or the same words give or take a few (word-set Jaccard ≥ 0.8).
+function sameFact(a, b) {
+  const na = normalizeFact(a);
+  const nb = normalizeFact(b);
+  if (!na || !nb) return false;
+  if (na === nb) return true;
+  const wa = new Set(na.split(' '));
+  const wb = new Set(nb.split(' '));
+  const shared = Array.from(wa).filter(w => wb.has(w)).length;
+  return shared / (wa.size + wb.size - shared) >= 0.8;
+}
+
+function fillBlanks(target, extra) {
+  const out = { ...target };
+  for (const [k, v] of Object.entries(extra || {})) if (isBlank(out[k]) && !isBlank(v)) out[k] = v;
+  return out;
+}
+
+// Over the cap, facts seen in more chunks win; the survivors keep document order.
+function capItems(items, cap) {
+  if (items.length <= cap) return items;
+  const keep = new Set(items
+    .map((it, i) => ({ i, n: it.chunks.length }))
+    .sort((a, b) => (b.n - a.n) || (a.i - b.i))
+    .slice(0, cap)
+    .map(x => x.i));
+  return items.filter((_, i) => keep.has(i));
+}
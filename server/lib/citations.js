@@ -0,0 +1,201 @@
+/**
+ * Source citations: which passage of the brief each slide claim came from.
+ *
+ * Claims are a slide's bullets, stat, quote and KPIs. Each is matched to the brief passage (sentence or line)
+ * that shares the most distinctive words and figures with it; rare words and numbers weigh more than common
+ * ones. Deterministic, so citations can be refreshed after edits without a model call.
+ *
+ * slide.citations: [{ field, source, page, slide, start, end, excerpt }]
+ *   field   "bullets[2]", "stat", "quote", "kpis[0]"
+ *   source  brief file name (multi-file briefs label each file), else null
+ *   page    PDF / DOCX page from [Page N] markers; slide: PPTX slide from "Slide N" lines; null when unknown
+ *   start / end  character offsets into the brief text the plan was made from; excerpt is that span.
+ */
+
+const MIN_SCORE = 0.35;
+const MAX_PER_CLAIM = 2;
+const MAX_EXCERPT = 300;
+const STOP = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'our', 'your', 'their', 'are', 'was', 'were', 'will',
+  'can', 'has', 'have', 'had', 'not', 'but', 'its', 'it\'s', 'they', 'them', 'than', 'then', 'more', 'most', 'all',
+  'any', 'each', 'every', 'over', 'per', 'via', 'who', 'what', 'when', 'where', 'how', 'why', 'which', 'you', 'we',
+  'also', 'just', 'only', 'very', 'new', 'one', 'out', 'about', 'across', 'through', 'while', 'without', 'within'
+]);
+
+/**
+ * Cite every slide of a plan against briefText. Returns the plan with slide.citations replaced.
+ */
+export function citePlan(plan, briefText = '') {
+  const slides = Array.isArray(plan?.slides) ? plan.slides : [];
+  return { ...plan, slides: citeSlides(slides, briefText) };
+}
+
+export function citeSlides(slides, briefText = '') {
+  const index = indexBrief(briefText || '');
+  if (!index.passages.length) return slides.map(s => ({ ...s, citations: [] }));
+  return slides.map(s => ({ ...s, citations: claimsOf(s).flatMap(({ field, text }) => matchClaim(index, field, text)) }));
+}
+
+/**
+ * Export helper: number the deck's citations ([1], [2] … in slide order, one number per brief span), add the
+ * markers to cited bullets and return a footnote line per slide plus "Sources" appendix slides.
+ * Returns { plan, footnotes: [string | null per slide], appendix: [slide] }.
+ */
+export function withSourceNotes(plan) {
+  const numbers = new Map(); // "start:end" -> n
+  const entries = [];
+  const footnotes = [];
+
+  const slides = (plan.slides || []).map((s) => {
+    const cites = Array.isArray(s?.citations) ? s.citations : [];
+    if (!cites.length) {
+      footnotes.push(null);
+      return s;
+    }
+    const byField = new Map();
+    for (const c of cites) {
+      const key = `${c.start}:${c.end}`;
+      if (!numbers.has(key)) {
+        numbers.set(key, entries.length + 1);
+        entries.push(c);
+      }
+      if (!byField.has(c.field)) byField.set(c.field, []);
+      byField.get(c.field).push(numbers.get(key));
+    }
+    const marks = (field) => [...new Set(byField.get(field) || [])].map(n => `[${n}]`).join('');
+    const bullets = Array.isArray(s.bullets) ? s.bullets.map((b, i) => (marks(`bullets[${i}]`) ? `${b} ${marks(`bullets[${i}]`)}` : b)) : s.bullets;
+    const used = [...new Set([...byField.values()].flat())].sort((a, b) => a - b);
+    footnotes.push(`Sources: ${used.map(n => `[${n}] ${label(entries[n - 1])}`).join(' · ')}`);
+    return { ...s, bullets };
+  });
+
+  // One appendix slide per 8 sources, each line "[n] file, page — excerpt".
+  const appendix = [];
+  for (let i = 0; i < entries.length; i += 8) {
+    appendix.push({
+      kind: 'appendix',
+      layout: 'appendix',
+      title: entries.length > 8 ? `Sources (${Math.floor(i / 8) + 1})` : 'Sources',
+      subtitle: 'Passages of the brief behind the numbered claims.',
+      bullets: entries.slice(i, i + 8).map((c, j) => `[${i + j + 1}] ${label(c)} — “${trim(c.excerpt, 160)}”`),
+      image_prompt: 'NONE',
+      speaker_notes: ''
+    });
+  }
+  return { plan: { ...plan, slides }, footnotes, appendix };
+}
+
+// -------- Claims --------
+
+function claimsOf(s) {
+  const out = [];
+  (Array.isArray(s?.bullets) ? s.bullets : []).forEach((b, i) => out.push({ field: `bullets[${i}]`, text: str(b) }));
+  if (s?.stat) out.push({ field: 'stat', text: `${str(s.stat.value)} ${str(s.stat.label)}` });
+  if (s?.quote) out.push({ field: 'quote', text: str(s.quote.text) });
+  (Array.isArray(s?.kpis) ? s.kpis : []).forEach((k, i) => out.push({ field: `kpis[${i}]`, text: `${str(k?.label)} ${str(k?.value)}` }));
+  return out.filter(c => c.text.trim());
+}
+
+function matchClaim(index, field, text) {
+  const tokens = [...new Set(tokenize(text))];
+  const total = tokens.reduce((sum, t) => sum + weight(index, t), 0);
+  if (!total) return [];
+
+  const scores = new Map(); // passage index -> { score, shared }
+  for (const t of tokens) {
+    for (const p of index.postings.get(t) || []) {
+      const cur = scores.get(p) || { score: 0, shared: 0, number: false };
+      cur.score += weight(index, t) / total;
+      cur.shared += 1;
+      cur.number = cur.number || /\d/.test(t);
+      scores.set(p, cur);
+    }
+  }
+
+  return [...scores.entries()]
+    // One shared word is chance; one shared figure is usually the source.
+    .filter(([, s]) => s.score >= MIN_SCORE && (s.shared >= 2 || s.number))
+    .sort((a, b) => b[1].score - a[1].score)
+    .slice(0, MAX_PER_CLAIM)
+    .map(([p]) => {
+      const passage = index.passages[p];
+      return { field, ...locate(index.markers, passage.start), start: passage.start, end: passage.end, excerpt: trim(passage.text, MAX_EXCERPT) };
+    });
+}
+
+// -------- Brief index --------
+
+function indexBrief(text) {
+  const markers = markersOf(text);
+  const passages = [];
+  // Sentences within lines (a stop ends one only before whitespace, so "1.8%" stays whole); offsets point
+  // into the original text.
+  const re = /(?:[^\n.!?]|[.!?]+(?=[^\s.!?]))+(?:[.!?]+(?=\s|$))?/g;
+  for (const m of text.matchAll(re)) {
+    const raw = m[0];
+    const lead = raw.length - raw.trimStart().length;
+    const body = raw.trim();
+    if (body.length < 12 || isMarker(body)) continue;
+    passages.push({ start: m.index + lead, end: m.index + lead + body.length, text: body });
+  }
+
+  const postings = new Map();
+  passages.forEach((p, i) => {
+    for (const t of new Set(tokenize(p.text))) {
+      if (!postings.has(t)) postings.set(t, []);
+      postings.get(t).push(i);
+    }
+  });
+  return { passages, postings, markers, count: passages.length };
+}
+
+// Rare tokens identify a passage; numbers most of all.
+function weight(index, token) {
+  const df = index.postings.get(token)?.length || 0;
+  if (!df) return 1; // still counts against the claim: an unmatched word lowers every score
+  const idf = Math.log(1 + index.count / df);
+  return /\d/.test(token) ? idf * 2 : idf;
+}
+
+function markersOf(text) {
+  const markers = [];
+  for (const m of text.matchAll(/^\[(.+?) — [^\]]+\]$/gm)) markers.push({ at: m.index, type: 'source', value: m[1] });
+  for (const m of text.matchAll(/^\[Page (\d+)\]$/gm)) markers.push({ at: m.index, type: 'page', value: Number(m[1]) });
+  for (const m of text.matchAll(/^Slide (\d+)$/gm)) markers.push({ at: m.index, type: 'slide', value: Number(m[1]) });
+  return markers.sort((a, b) => a.at - b.at);
+}
+
+function locate(markers, offset) {
+  const out = { source: null, page: null, slide: null };
+  for (const m of markers) {
+    if (m.at > offset) break;
+    // A new file starts its own pages and slides.
+    if (m.type === 'source') Object.assign(out, { source: m.value, page: null, slide: null });
+    else out[m.type] = m.value;
+  }
+  return out;
+}
+
+function isMarker(line) {
+  return /^\[Page \d+\]$/.test(line) || /^Slide \d+$/.test(line) || /^\[.+ — [^\]]+\]$/.test(line);
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'’.,%-]*/gu) || [])
+    .map(t => t.replace(/[.,'’-]+$/, '').replace(/,(?=\d{3})/g, ''))
+    .filter(t => (t.length >= 3 || /\d/.test(t)) && !STOP.has(t));
+}
+
+function label(c) {
+  const where = c.page ? `p. ${c.page}` : c.slide ? `slide ${c.slide}` : '';
+  return [c.source || 'Brief', where].filter(Boolean).join(', ');
+}
+
+function trim(text, max) {
+  const s = str(text);
+  return s.length > max ? `${s.slice(0, max - 1).trimEnd()}…` : s;
+}
+
+function str(v) {
+  return (v ?? '').toString();
+}
@@ -0,0 +1,213 @@
+/**
+ * Brief completeness: what the chosen deck type needs from a brief, which of it the extract found, and the
+ * questions to ask about the rest. Deterministic (reads the extract, no model call).
+ *
+ * assessBrief(extract, deckType) → { deckType, score, needs: [{ id, label, met }], questions: [{ id, label, question }] }
+ *   score: 0–100, needs weighted (an investor pitch without an ask loses more than one without a team slide).
+ * applyAnswers(extract, questions, answers) → the extract with answers merged in, before the narrative stage.
+ */
+
+const MAX_QUESTIONS = 6;
+
+// What a brief can lack. has(extract) reads the extract; apply(extract, answer) merges an answer into the field
+// it belongs in (needs without a plain field, like team or metrics, live on in extract.clarifications only).
+const NEEDS = {
+  audience: {
+    label: 'Audience',
+    question: 'Who exactly will see this deck, and what do they care about most?',
+    has: x => !!text(x.audience) && !/^(general|unknown|n\/?a|tbd)$/i.test(text(x.audience)),
+    apply: (x, a) => ({ ...x, audience: a })
+  },
+  objective: {
+    label: 'Objective',
+    question: 'What should the audience think, decide or do after this deck?',
+    has: x => !!text(x.objective),
+    apply: (x, a) => ({ ...x, objective: a })
+  },
+  ask: {
+    label: 'Ask',
+    question: {
+      default: 'What is the concrete ask or next step at the end?',
+      investor_pitch: 'How much are you raising, on what terms, and what will it fund?',
+      sales_deck: 'What should the buyer agree to next — a pilot, a trial, a signed order?',
+      qbr: 'What decisions or support do you need from this review?'
+    },
+    has: x => !!text(x.ask_or_cta),
+    apply: (x, a) => ({ ...x, ask_or_cta: a })
+  },
+  problem: {
+    label: 'Problem',
+    question: 'What problem or tension does the audience face today, in their words?',
+    has: x => !!text(x.problem),
+    apply: (x, a) => ({ ...x, problem: a })
+  },
+  solution: {
+    label: 'Solution',
+    question: 'What is the product or service, and how does it solve that problem?',
+    has: x => !!text(x.solution) || !!text(x.product_or_service),
+    apply: (x, a) => ({ ...x, solution: a })
+  },
+  market: {
+    label: 'Market',
+    question: 'How big is the market, and which segment do you win first?',
+    has: x => !!text(x.market),
+    apply: (x, a) => ({ ...x, market: a })
+  },
+  traction: {
+    label: 'Traction',
+    question: 'What traction can you show — users, revenue, growth, pilots, notable customers?',
+    has: x => list(x.traction_or_proof).length > 0 || list(x.kpis).length > 0,
+    apply: (x, a) => ({ ...x, traction_or_proof: [...list(x.traction_or_proof), a] })
+  },
+  proof: {
+    label: 'Proof',
+    question: 'Which results, case studies or references prove it works?',
+    has: x => list(x.traction_or_proof).length > 0,
+    apply: (x, a) => ({ ...x, traction_or_proof: [...list(x.traction_or_proof), a] })
+  },
+  business_model: {
+    label: 'Business model',
+    question: 'How do you make money — pricing, margins, who pays?',
+    has: x => !!text(x.business_model) || list(x.pricing?.plans).length > 0,
+    apply: (x, a) => ({ ...x, business_model: a })
+  },
+  team: {
+    label: 'Team',
+    question: 'Who is on the team, and why are they the right people?',
+    has: x => list(x.team).length > 0
+  },
+  differentiators: {
+    label: 'Differentiators',
+    question: 'Why you rather than the alternatives — what do you do that others can’t?',
+    has: x => list(x.differentiators).length > 0,
+    apply: (x, a) => ({ ...x, differentiators: [...list(x.differentiators), a] })
+  },
+  scope: {
+    label: 'Scope',
+    question: 'What is in scope, and what is explicitly out?',
+    has: x => list(x.scope).length > 0,
+    apply: (x, a) => ({ ...x, scope: [...list(x.scope), a] })
+  },
+  deliverables: {
+    label: 'Deliverables',
+    question: 'What exactly will be delivered?',
+    has: x => list(x.deliverables).length > 0,
+    apply: (x, a) => ({ ...x, deliverables: [...list(x.deliverables), a] })
+  },
+  timeline: {
+    label: 'Timeline',
+    question: 'What are the key dates — start, milestones, launch or deadline?',
+    has: x => list(x.timeline).length > 0,
+    apply: (x, a) => ({ ...x, constraints: [...list(x.constraints), `Timeline: ${a}`] })
+  },
+  budget: {
+    label: 'Budget',
+    question: 'What budget (or budget range) is available?',
+    has: x => list(x.pricing?.plans).length > 0 || [...list(x.constraints), text(x.ask_or_cta)].some(c => /budget|[$€£¥]\s?\d|\d\s?(k|m|bn)\b|\b(usd|eur|gbp)\b/i.test(text(c))),
+    apply: (x, a) => ({ ...x, constraints: [...list(x.constraints), `Budget: ${a}`] })
+  },
+  kpis: {
+    label: 'Metrics',
+    question: 'Which metrics matter, with their current values and change since last period?',
+    has: x => list(x.kpis).length > 0
+  },
+  status: {
+    label: 'Status',
+    question: 'Which workstreams are on track, at risk or blocked — and who owns them?',
+    has: x => list(x.status_items).length > 0
+  },
+  risks: {
+    label: 'Risks',
+    question: 'What are the main risks or open issues, and how are they handled?',
+    has: x => list(x.risks).length > 0,
+    apply: (x, a) => ({ ...x, risks: [...list(x.risks), a] })
+  }
+};
+
+// Needs per deck type, most important first; weight 2 marks what the deck can't work without.
+const DECK_NEEDS = {
+  investor_pitch: [['problem', 2], ['solution', 2], ['market', 2], ['traction', 2], ['ask', 2], ['business_model', 1], ['team', 1], ['differentiators', 1]],
+  sales_deck: [['audience', 2], ['problem', 2], ['solution', 2], ['proof', 2], ['ask', 2], ['differentiators', 1], ['business_model', 1]],
+  business_proposal: [['objective', 2], ['scope', 2], ['deliverables', 2], ['timeline', 2], ['budget', 2], ['proof', 1], ['ask', 1]],
+  ad_agency: [['objective', 2], ['audience', 2], ['problem', 1], ['deliverables', 1], ['timeline', 1], ['budget', 1]],
+  marketing_strategy: [['objective', 2], ['audience', 2], ['kpis', 2], ['budget', 1], ['timeline', 1], ['differentiators', 1]],
+  qbr: [['kpis', 2], ['objective', 1], ['status', 1], ['risks', 1], ['ask', 1]],
+  product_roadmap: [['objective', 2], ['timeline', 2], ['audience', 1], ['risks', 1]],
+  company_profile: [['solution', 2], ['differentiators', 2], ['proof', 1], ['team', 1], ['audience', 1]],
+  training_workshop: [['audience', 2], ['objective', 2], ['scope', 1], ['timeline', 1]],
+  project_status_update: [['status', 2], ['timeline', 2], ['risks', 1], ['ask', 1]],
+  keynote_thought_leadership: [['audience', 2], ['objective', 2], ['problem', 1], ['proof', 1]],
+  other: [['audience', 2], ['objective', 2], ['ask', 1]]
+};
+
+export function assessBrief(extract = {}, deckType = '') {
+  const type = DECK_NEEDS[deckType] ? deckType : 'other';
+  const needs = DECK_NEEDS[type].map(([id, weight]) => ({ id, label: NEEDS[id].label, weight, met: !!NEEDS[id].has(extract || {}) }));
+  const total = needs.reduce((n, need) => n + need.weight, 0);
+  const met = needs.filter(need => need.met).reduce((n, need) => n + need.weight, 0);
+
+  const questions = needs
+    .filter(need => !need.met)
+    .sort((a, b) => b.weight - a.weight)
+    .map(need => ({ id: need.id, label: need.label, question: questionFor(need.id, type) }));
+
+  // The extract's own notes on what's missing, unless a question above already covers them.
+  const covered = questions.map(q => q.label.toLowerCase());
+  for (const [i, item] of list(extract?.missing_info).entries()) {
+    const note = text(item);
+    if (!note || covered.some(label => note.toLowerCase().includes(label))) continue;
+    questions.push({ id: `missing_${i}`, label: 'Missing', question: /\?$/.test(note) ? note : `The brief doesn’t cover: ${note}. What should the deck say?` });
+  }
+
+  return {
+    deckType: type,
+    score: total ? Math.round((met / total) * 100) : 100,
+    needs: needs.map(({ id, label, met: ok }) => ({ id, label, met: ok })),
+    questions: questions.slice(0, MAX_QUESTIONS)
+  };
+}
+
+/**
+ * Merge answers ({ [question id]: text }) into the extract: known fields are filled, every answer is kept in
+ * extract.clarifications for the narrative, and the missing_info notes they answer are dropped.
+ */
+export function applyAnswers(extract = {}, questions = [], answers = {}) {
+  let next = { ...extract };
+  const clarifications = [...list(extract.clarifications)];
+  const labels = [];
+  const notes = new Set(); // missing_info indexes answered directly
+  for (const q of questions) {
+    const answer = text(answers?.[q.id]).slice(0, 1000);
+    if (!answer) continue;
+    if (NEEDS[q.id]?.apply) next = NEEDS[q.id].apply(next, answer);
+    clarifications.push({ question: q.question, answer });
+    if (q.id.startsWith('missing_')) notes.add(Number(q.id.slice(8)));
+    else labels.push(q.label.toLowerCase());
+  }
+  next.missing_info = list(extract.missing_info)
+    .filter((item, i) => !notes.has(i) && !labels.some(label => text(item).toLowerCase().includes(label)));
+  next.clarifications = clarifications;
+  return next;
+}
+
+/**
+ * The answers as a brief section ("[Clarifications — answers]"), appended to the brief text so later stages
+ * that quote the brief (concept refine, figure check, citations) see them too.
+ */
+export function clarificationText(clarifications = []) {
+  const lines = list(clarifications).map(c => `${text(c.question)}\n${text(c.answer)}`);
+  return lines.length ? `[Clarifications — answers]\n${lines.join('\n\n')}` : '';
+}
+
+function questionFor(id, deckType) {
+  const q = NEEDS[id].question;
+  return typeof q === 'string' ? q : (q[deckType] || q.default);
+}
+
+function text(v) {
+  return (v ?? '').toString().trim();
+}
+
+function list(v) {
+  return Array.isArray(v) ? v : [];
+}
@@ -0,0 +1,257 @@
+import { generateStageJson } from './providers/index.js';
+import { normalizePlan, buildSlideSchema, SLIDE_LAYOUTS } from './planner.js';
+
+/**
+ * Conversational deck editing ("merge slides 4 and 5", "add a pricing slide after the solution",
+ * "cut the deck to 8 slides").
+ *
+ * The model only proposes operations; applyPlanOps applies them deterministically and diffPlans reports
+ * what changed, so the client can show the diff before the plan is replaced. Operations address slides by
+ * the 1-based numbers the user sees, always as numbered before the command:
+ *   insert        { after, content }        after = 0 puts the slide first
+ *   delete        { slide }
+ *   move          { slide, after }
+ *   rewrite       { slide, content }        content is the complete new slide
+ *   change_layout { slide, layout, content? }
+ */
+
+export const PLAN_OPS = ['insert', 'delete', 'move', 'rewrite', 'change_layout'];
+
+// Earlier chat turns sent back to the model, so "now make it shorter" has something to refer to.
+const MAX_HISTORY_TURNS = 6;
+
+/**
+ * Turn one chat message into plan operations and apply them.
+ * history: [{ role: 'user' | 'assistant', text }] — previous turns, oldest first.
+ * Returns { reply, ops, skipped, plan, diff } — plan is the proposed (normalized) plan; the input plan is untouched.
+ */
+export async function planChatEdit(plan, message, options = {}, history = []) {
+  const text = (message || '').toString().trim();
+  if (!text) throw new Error('Say what to change.');
+  if (!Array.isArray(plan?.slides) || !plan.slides.length) throw new Error('The plan has no slides to edit.');
+
+  const out = await generateStageJson('chat', options, {
+    system: buildChatSystemPrompt(options, plan),
+    user: buildChatUserPrompt(plan, text, history),
+    schema: buildChatSchema(),
+    temperature: 0.4
+  });
+
+  const ops = Array.isArray(out?.ops) ? out.ops : [];
+  // Diff against the plan as normalizePlan would store it, so only real edits show up as changes.
+  const current = normalizePlan(plan, { ...options, nSlides: plan.slides.length, keepSlideList: true });
+  const { plan: next, applied, skipped, origin } = applyPlanOps(current, ops, options);
+  return {
+    reply: (out?.reply || '').toString().trim(),
+    ops: applied.map(describeOp),
+    skipped: skipped.map(({ reason, ...op }) => ({ ...describeOp(op), reason })),
+    plan: next,
+    diff: diffPlans(current, next, origin)
+  };
+}
+
+/**
+ * Apply operations to a plan. Slide numbers refer to the plan as passed in, even after earlier operations
+ * moved things around. Operations that point at a missing slide are returned in skipped with a reason.
+ * Returns { plan, applied, skipped, origin } — origin[i]: original number of the new slide i + 1 (null if inserted).
+ */
+export function applyPlanOps(plan, ops = [], options = {}) {
+  // Each entry remembers its original slide number so later ops still find it.
+  const entries = (plan.slides || []).map((slide, i) => ({ from: i + 1, slide }));
+  const applied = [];
+  const skipped = [];
+  const at = (n) => entries.findIndex(e => e.from === n);
+  // after: original slide number, 0 for the start, null for the end.
+  const insertAfter = (n, entry) => {
+    const pos = n === 0 ? -1 : n == null ? entries.length - 1 : at(n);
+    if (pos < 0 && n !== 0) return false;
+    entries.splice(pos + 1, 0, entry);
+    return true;
+  };
+
+  for (const op of ops) {
+    const kind = op?.op;
+    const target = Number(op?.slide);
+    const after = op?.after == null ? null : Number(op.after);
+    const pos = at(target);
+    const skip = (reason) => skipped.push({ ...op, reason });
+
+    if (!PLAN_OPS.includes(kind)) {
+      skip(`Unknown operation "${kind}"`);
+      continue;
+    }
+    if (kind !== 'insert' && pos < 0) {
+      skip(`There is no slide ${op?.slide} (or it was already removed)`);
+      continue;
+    }
+
+    if (kind === 'insert') {
+      if (!op.content) skip('Insert without slide content');
+      else if (!insertAfter(after, { from: null, slide: op.content })) skip(`There is no slide ${op.after} to insert after`);
+      else applied.push(op);
+    } else if (kind === 'delete') {
+      entries.splice(pos, 1);
+      applied.push(op);
+    } else if (kind === 'move') {
+      if (after == null || after === target) {
+        skip(after == null ? 'Move without a destination' : 'A slide cannot move after itself');
+        continue;
+      }
+      const [entry] = entries.splice(pos, 1);
+      if (insertAfter(after, entry)) {
+        applied.push(op);
+      } else {
+        entries.splice(pos, 0, entry);
+        skip(`There is no slide ${op.after} to move after`);
+      }
+    } else if (kind === 'rewrite') {
+      if (!op.content) skip('Rewrite without slide content');
+      else {
+        entries[pos] = { ...entries[pos], slide: keepReferences(entries[pos].slide, op.content) };
+        applied.push(op);
+      }
+    } else if (kind === 'change_layout') {
+      if (!SLIDE_LAYOUTS.includes(op.layout)) {
+        skip(`Unknown layout "${op.layout}"`);
+        continue;
+      }
+      const base = op.content ? keepReferences(entries[pos].slide, op.content) : entries[pos].slide;
+      entries[pos] = { ...entries[pos], slide: { ...base, layout: op.layout } };
+      applied.push(op);
+    }
+  }
+
+  const slides = entries.map(e => e.slide);
+  const next = normalizePlan(
+    { ...plan, slides, recommended_slide_count: slides.length },
+    { ...options, nSlides: slides.length, keepSlideList: true }
+  );
+  // With keepSlideList normalizePlan only drops slides past the 30-slide cap, so positions line up with entries.
+  const origin = entries.slice(0, next.slides.length).map(e => e.from);
+  return { plan: next, applied, skipped, origin };
+}
+
+/**
+ * Slide-level diff between two plans. origin (from applyPlanOps) pairs new slides with old ones; without
+ * it slides are paired by position.
+ * Returns { slides: [{ index, from, status: 'added' | 'changed' | 'unchanged', moved, fields, title }],
+ *   removed: [{ from, title }] }
+ */
+export function diffPlans(prev, next, origin = null) {
+  const before = Array.isArray(prev?.slides) ? prev.slides : [];
+  const after = Array.isArray(next?.slides) ? next.slides : [];
+  origin = Array.isArray(origin) ? origin : after.map((_, i) => (i < before.length ? i + 1 : null));
+  const inOrder = longestIncreasing(origin.filter(Boolean));
+
+  const slides = after.map((slide, i) => {
+    const from = origin[i] ?? null;
+    const old = from ? before[from - 1] : null;
+    if (!old) return { index: i + 1, from: null, status: 'added', moved: false, fields: [], title: slide.title };
+    const fields = Object.keys({ ...old, ...slide }).filter(k => JSON.stringify(old[k] ?? null) !== JSON.stringify(slide[k] ?? null));
+    return { index: i + 1, from, status: fields.length ? 'changed' : 'unchanged', moved: !inOrder.has(from), fields, title: slide.title };
+  });
+
+  const kept = new Set(origin.filter(Boolean));
+  const removed = before
+    .map((slide, i) => ({ from: i + 1, title: slide?.title || '' }))
+    .filter(s => !kept.has(s.from));
+
+  return { slides, removed };
+}
+
+// Slides that kept their relative order: the longest increasing run of original numbers. Everything else
+// moved (slides that only shifted because others were added or removed did not).
+function longestIncreasing(seq) {
+  const len = seq.map(() => 1);
+  const prev = seq.map(() => -1);
+  seq.forEach((v, i) => {
+    for (let j = 0; j < i; j++) {
+      if (seq[j] < v && len[j] + 1 > len[i]) { len[i] = len[j] + 1; prev[i] = j; }
+    }
+  });
+  const keep = new Set();
+  for (let i = len.indexOf(Math.max(0, ...len)); i >= 0; i = prev[i]) keep.add(seq[i]);
+  return keep;
+}
+
+// An operation without its slide content, for the client's change list.
+function describeOp(op) {
+  return { op: op.op, slide: op.slide ?? null, after: op.after ?? null, layout: op.layout ?? null, summary: (op.summary || '').toString() };
+}
+
+// Spreadsheet cells and brief images are chosen by the planner, not the chat model: keep them unless the
+// new content sets its own.
+function keepReferences(old, content) {
+  return {
+    ...content,
+    section: content.section || old?.section || '',
+    data_ref: content.data_ref ?? old?.data_ref ?? null,
+    asset_id: content.asset_id ?? old?.asset_id ?? null
+  };
+}
+
+function buildChatSchema() {
+  const slide = buildSlideSchema();
+  return {
+    name: 'plan_edit',
+    strict: true,
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        reply: { type: 'string', description: 'One or two sentences telling the user what you changed (or what you need to know).' },
+        ops: {
+          type: 'array',
+          maxItems: 20,
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              op: { type: 'string', enum: PLAN_OPS },
+              slide: { type: ['integer', 'null'], description: 'Slide number (as numbered before this command) for delete / move / rewrite / change_layout.' },
+              after: { type: ['integer', 'null'], description: 'For insert / move: the slide number to place after; 0 = first.' },
+              layout: { type: ['string', 'null'], enum: [...SLIDE_LAYOUTS, null] },
+              content: { ...slide, type: ['object', 'null'] },
+              summary: { type: 'string', description: 'Short description of this operation, e.g. "Merge slide 5 into slide 4".' }
+            },
+            required: ['op', 'slide', 'after', 'layout', 'content', 'summary']
+          }
+        }
+      },
+      required: ['reply', 'ops']
+    }
+  };
+}
+
+function buildChatSystemPrompt(options = {}, plan = {}) {
+  const language = (plan._extract?.language || options.language || 'English').toString().slice(0, 80);
+  return [
+    `You are a presentation editor. The user describes a change to their deck in plain words; you express it as operations on the slide list.`,
+    `Operations: insert (after, content), delete (slide), move (slide, after), rewrite (slide, content), change_layout (slide, layout, content or null).`,
+    `Slide numbers ALWAYS refer to the deck as numbered before this command, even in later operations (after deleting slide 3, slide 4 is still "slide 4").`,
+    `Set fields an operation does not use to null.`,
+    `Merging slides = rewrite the first with the combined content, then delete the others. Cutting the deck to N slides = delete or merge the weakest slides, never the cover or the closing CTA.`,
+    `content is a COMPLETE slide (every field): keep section, setup_line, takeaway and bridge_line consistent with the slides around it, and headlines as declarative claims.`,
+    `For a layout change, fill the field that layout needs (e.g. pricing, matrix, timeline_items) and set unused fields to null.`,
+    `Do not invent facts, numbers, prices, dates or names the deck and brief do not contain; use clearly marked placeholders and explain them in speaker_notes.`,
+    `Keep messaging anchors verbatim. Keep data_ref and asset_id as they are on rewritten slides.`,
+    `If the request is unclear or impossible, return no operations and ask in reply.`,
+    `Language: ${language}.`
+  ].join(' ');
+}
+
+function buildChatUserPrompt(plan, message, history = []) {
+  const slides = plan.slides.map((s, i) => ({ number: i + 1, ...s }));
+  const turns = (Array.isArray(history) ? history : [])
+    .slice(-MAX_HISTORY_TURNS)
+    .map(t => `${t?.role === 'assistant' ? 'Assistant' : 'User'}: ${(t?.text || '').toString().slice(0, 600)}`);
+  return [
+    `Deck: ${plan.deck_title || 'Untitled'} (${plan.deck_type || 'other'}), ${slides.length} slides.`,
+    plan._narrative?.thesis ? `Thesis: ${plan._narrative.thesis}` : '',
+    plan._messaging?.anchors?.length ? `Messaging anchors (verbatim): ${plan._messaging.anchors.join(' | ')}` : '',
+    plan._extract ? `Brief facts:\n${JSON.stringify(plan._extract, null, 2)}` : '',
+    `Slides:\n${JSON.stringify(slides, null, 2)}`,
+    turns.length ? `Conversation so far:\n${turns.join('\n')}` : '',
+    `User: ${message}`
+  ].filter(Boolean).join('\n\n');
+}
@@ -0,0 +1,224 @@
+import fs from 'fs';
+import path from 'path';
+import { simpleParser } from 'mailparser';
+import { parseMarkdownBlocks } from './blocks.js';
+
+/**
+ * Email briefs (.eml / .mbox).
+ *
+ * A forwarded chain usually carries the whole history inside its newest message: quoted replies ("On … wrote:"
+ * plus "> " lines), Outlook "From: / Sent:" header blocks and "Forwarded message" sections. Those are unfolded
+ * into separate messages, deduplicated against the other messages in the file, stripped of signatures and
+ * disclaimers and put in chronological order. Attachments are handed back for the regular brief extractors.
+ */
+
+const MAX_UNFOLD_DEPTH = 20;
+const REPLY_INTRO_RE = /^(?:On\s+(.+?\d{1,2}:\d{2}(?:\s*[AP]M)?|.+?\d{4}),?\s+(.+?)\s+wrote:|Am\s+(.+?)\s+schrieb\s+(.+?):)\s*$/i;
+const SEPARATOR_RE = /^(?:-{2,}\s*(?:Original Message|Forwarded message|Weitergeleitete Nachricht|Ursprüngliche Nachricht)\s*-{2,}|Begin forwarded message:|_{10,})\s*$/i;
+const HEADER_LINE_RE = /^(From|Von|Sent|Date|Gesendet|Datum|To|An|Cc|Subject|Betreff):\s*(.*)$/i;
+const SIGNOFF_RE = /^(best|best regards|kind regards|regards|warm regards|many thanks|thanks|thank you|cheers|sincerely|all the best|mit freundlichen grüßen|viele grüße|beste grüße|liebe grüße|cordialement|saludos)[,.!]?$/i;
+const MOBILE_FOOTER_RE = /^(sent from my \w+|sent from (outlook|mail) for \w+|get outlook for \w+|von meinem \w+ gesendet)\b.*$/i;
+const DISCLAIMER_RE = /\b(confidential|privileged)\b[\s\S]*\b(intended|recipient|addressee)\b|\bif you (have )?received this (e-?mail|message|communication) in error\b|\bplease consider the environment before printing\b|^disclaimer\b/i;
+
+/**
+ * Parse an .eml or .mbox file. Returns { subject, messages: [{ from, date, subject, body }], attachments }
+ * with messages oldest first and attachments as [{ filename, contentType, content: Buffer }].
+ */
+export async function readEmailThread(filePath, ext = '.eml') {
+  const raw = fs.readFileSync(filePath);
+  const parts = ext === '.mbox' ? splitMbox(raw.toString('latin1')).map(m => Buffer.from(m, 'latin1')) : [raw];
+
+  const messages = [];
+  const attachments = [];
+  let subject = '';
+  for (const part of parts) {
+    const mail = await simpleParser(part, { skipImageLinks: true });
+    subject = subject || cleanSubject(mail.subject || '');
+    const header = {
+      from: mail.from?.text || '',
+      date: mail.date || null,
+      subject: mail.subject || ''
+    };
+    const body = (mail.text || '').replace(/\r\n?/g, '\n');
+    messages.push(...withTimes(unfold(body.split('\n'), header, 0)).reverse());
+    for (const a of mail.attachments || []) {
+      // Inline parts are signature logos and tracking pixels, not brief material.
+      if (a.contentDisposition === 'inline' || a.related) continue;
+      attachments.push({
+        filename: a.filename || (a.contentType === 'message/rfc822' ? 'attached-message.eml' : 'attachment'),
+        contentType: a.contentType,
+        content: a.content
+      });
+    }
+  }
+
+  return { subject, messages: chronological(dedupeMessages(messages)).map(({ t, ...m }) => m), attachments };
+}
+
+/**
+ * Thread → brief blocks: one heading per message ("date — sender"), body as paragraphs / lists.
+ */
+export function emailToBlocks(thread) {
+  const blocks = [];
+  if (thread.subject) blocks.push({ type: 'heading', level: 1, text: `Email thread: ${thread.subject}` });
+  for (const m of thread.messages) {
+    const when = m.date ? m.date.toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : 'undated';
+    blocks.push({ type: 'heading', level: 2, text: `${when} — ${m.from || 'unknown sender'}` });
+    blocks.push(...parseMarkdownBlocks(m.body));
+  }
+  return blocks;
+}
+
+/**
+ * Run fn(tmpPath, filename) for each attachment written to a temporary file in dir (removed afterwards).
+ * Attachments that fail in fn are skipped.
+ */
+export async function forEachAttachmentFile(thread, dir, fn) {
+  const out = [];
+  for (const [i, a] of thread.attachments.entries()) {
+    const ext = path.extname(a.filename).toLowerCase();
+    const tmp = path.join(dir, `${Date.now()}_att${i}${ext}`);
+    fs.writeFileSync(tmp, a.content);
+    try {
+      out.push(await fn(tmp, a.filename));
+    } catch {
+      // An unreadable attachment never fails the thread.
+    } finally {
+      fs.rmSync(tmp, { force: true });
+    }
+  }
+  return out;
+}
+
+// -------- Unfolding --------
+
+/**
+ * Split a body into [own message, …older quoted messages], newest first.
+ */
+function unfold(lines, header, depth) {
+  let i = 0;
+  for (; i < lines.length && depth < MAX_UNFOLD_DEPTH; i++) {
+    const line = lines[i].trim();
+    // "On Mon, 2 Mar 2026 at 10:14, Jane Doe <jane@…>" is often wrapped before "wrote:".
+    const intro = line.match(REPLY_INTRO_RE) || (/^(On|Am)\s/.test(line) && lines[i + 1] && `${line} ${lines[i + 1].trim()}`.match(REPLY_INTRO_RE));
+    if (intro) {
+      const skip = intro.input === line ? 1 : 2;
+      const rest = lines.slice(i + skip);
+      const quoted = [];
+      const after = [];
+      for (const l of rest) {
+        if (/^\s*>/.test(l) || (!l.trim() && !after.length)) quoted.push(l.replace(/^\s*> ?/, ''));
+        else after.push(l);
+      }
+      const older = { from: intro[2] || intro[4] || '', date: parseDate(intro[1] || intro[3]), subject: header.subject };
+      // Bottom-posted text below the quote still belongs to this message.
+      return [message(header, [...lines.slice(0, i), ...after]), ...unfold(quoted, older, depth + 1)];
+    }
+    if (SEPARATOR_RE.test(line) || (HEADER_LINE_RE.test(line) && /^(From|Von):/i.test(line) && isHeaderBlock(lines, i))) {
+      let j = SEPARATOR_RE.test(line) ? i + 1 : i;
+      while (j < lines.length && !lines[j].trim()) j++;
+      const older = { from: '', date: null, subject: header.subject };
+      for (; j < lines.length; j++) {
+        const h = lines[j].trim().match(HEADER_LINE_RE);
+        if (!h) break;
+        const key = h[1].toLowerCase();
+        if (key === 'from' || key === 'von') older.from = h[2];
+        else if (['sent', 'date', 'gesendet', 'datum'].includes(key)) older.date = parseDate(h[2]);
+        else if (key === 'subject' || key === 'betreff') older.subject = h[2];
+      }
+      return [message(header, lines.slice(0, i)), ...unfold(lines.slice(j), older, depth + 1)];
+    }
+  }
+  return [message(header, lines)];
+}
+
+function isHeaderBlock(lines, i) {
+  return lines.slice(i + 1, i + 6).some(l => /^(Sent|Date|Gesendet|Datum|Subject|Betreff):/i.test(l.trim()));
+}
+
+function message(header, lines) {
+  return { from: cleanSender(header.from), date: header.date, subject: header.subject, body: cleanBody(lines) };
+}
+
+// -------- Cleanup --------
+
+function cleanBody(lines) {
+  let out = lines.map(l => l.replace(/\s+$/, '')).filter(l => !MOBILE_FOOTER_RE.test(l.trim()));
+
+  // "-- " is the standard signature delimiter.
+  const delim = out.findIndex(l => /^--\s?$/.test(l));
+  if (delim >= 0) out = out.slice(0, delim);
+
+  // A sign-off near the end followed only by short lines (name, title, phone) starts the signature.
+  for (let i = Math.max(0, out.length - 12); i < out.length; i++) {
+    if (SIGNOFF_RE.test(out[i].trim()) && out.slice(i + 1).every(l => l.trim().length <= 60)) {
+      out = out.slice(0, i);
+      break;
+    }
+  }
+
+  return out.join('\n')
+    .split(/\n\s*\n/)
+    .filter(p => !DISCLAIMER_RE.test(p))
+    .join('\n\n')
+    .trim();
+}
+
+function cleanSender(from = '') {
+  return from.replace(/\s*\[mailto:[^\]]*\]/i, '').replace(/"/g, '').trim();
+}
+
+function cleanSubject(subject) {
+  return subject.replace(/^((re|aw|fw|fwd|wg)\s*:\s*)+/i, '').trim();
+}
+
+function parseDate(s = '') {
+  // 02.03.2026 (German mail clients) → 2026-03-02
+  const text = String(s)
+    .replace(/,?\s+(at|um)\s+/i, ' ')
+    .replace(/^(\d{1,2})\.(\d{1,2})\.(\d{4})/, (_, d, m, y) => `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`);
+  const t = Date.parse(text);
+  return Number.isNaN(t) ? null : new Date(t);
+}
+
+// Sort key for each message of one unfolded mail (newest first): undated quotes sit just before the reply that quoted them.
+function withTimes(newestFirst) {
+  let newer = null;
+  return newestFirst.map(m => {
+    const t = m.date ? m.date.getTime() : (newer != null ? newer - 1 : null);
+    if (t != null) newer = t;
+    return { ...m, t };
+  });
+}
+
+// The same message shows up on its own and quoted in every later reply; keep the copy with more metadata.
+function dedupeMessages(messages) {
+  const byKey = new Map();
+  for (const m of messages) {
+    if (!m.body) continue;
+    const key = m.body.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim().slice(0, 300);
+    const prev = byKey.get(key);
+    if (!prev) byKey.set(key, m);
+    else if (!prev.date && m.date) byKey.set(key, { ...m, from: m.from || prev.from });
+  }
+  return Array.from(byKey.values());
+}
+
+// Oldest first; messages without any date keep their place in the file.
+function chronological(messages) {
+  let last = -Infinity;
+  return messages
+    .map(m => {
+      if (m.t != null) last = m.t;
+      return { m, t: m.t ?? last };
+    })
+    .sort((a, b) => a.t - b.t)
+    .map(x => x.m);
+}
+
+function splitMbox(text) {
+  return text
+    .split(/(?:^|\n)From [^\n]*\n/)
+    .map(m => m.replace(/^>(>*From )/gm, '$1'))
+    .filter(m => m.trim());
+}
@@ -1,4 +1,5 @@
 import 'dotenv/config';
+import { httpError, invalidJsonError } from './providers/retry.js';
 
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
@@ -9,7 +10,7 @@ function requireKey() {
   }
 }
 
-async function postGenerateContent(model, body) {
+async function postGenerateContent(model, body, signal) {
   requireKey();
   const url = `${GEMINI_API_BASE}/models/${encodeURIComponent(model)}:generateContent`;
   const res = await fetch(url, {
@@ -19,11 +20,12 @@ async function postGenerateContent(model, body) {
       'x-goog-api-key': GEMINI_API_KEY,
     },
     body: JSON.stringify(body),
+    signal,
   });
 
   if (!res.ok) {
     const txt = await res.text().catch(() => '');
-    throw new Error(`Gemini API error (${res.status}): ${txt || res.statusText}`);
+    throw httpError(`Gemini API error (${res.status}): ${txt || res.statusText}`, res.status, res.headers);
   }
   return res.json();
 }
@@ -50,7 +52,7 @@ function extractFirstInlineImage(responseJson) {
   return null;
 }
 
-export async function geminiGenerateJson({ model, system, user, jsonSchema, temperature = 0.7 }) {
+export async function geminiGenerateJson({ model, system, user, jsonSchema, temperature = 0.7, signal }) {
   // Use Structured Outputs: responseMimeType + responseJsonSchema
   const prompt = `${system}\n\n${user}`;
   const body = {
@@ -64,20 +66,22 @@ export async function geminiGenerateJson({ model, system, user, jsonSchema, temp
     }
   };
 
-  const out = await postGenerateContent(model, body);
+  const out = await postGenerateContent(model, body, signal);
   const txt = extractText(out);
-  if (!txt) throw new Error('No JSON returned from Gemini.');
+  if (!txt) throw invalidJsonError('No JSON returned from Gemini.', '');
   try {
     return JSON.parse(txt);
   } catch {
     // Fallback: try to find the first JSON object in the text
     const m = txt.match(/\{[\s\S]*\}/);
-    if (m) return JSON.parse(m[0]);
-    throw new Error('Gemini returned non-JSON output.');
+    try {
+      if (m) return JSON.parse(m[0]);
+    } catch {}
+    throw invalidJsonError('Gemini returned non-JSON output.', txt);
   }
 }
 
-export async function geminiGenerateImage({ model, prompt, aspectRatio = '16:9', imageSize = '2K' }) {
+export async function geminiGenerateImage({ model, prompt, aspectRatio = '16:9', imageSize = '2K', signal }) {
   const body = {
     contents: [{ parts: [{ text: prompt }] }],
     generationConfig: {
@@ -90,7 +94,7 @@ export async function geminiGenerateImage({ model, prompt, aspectRatio = '16:9',
     }
   };
 
-  const out = await postGenerateContent(model, body);
+  const out = await postGenerateContent(model, body, signal);
   const img = extractFirstInlineImage(out);
   if (!img?.base64) {
     const txt = extractText(out);
@@ -2,19 +2,16 @@ import fs from 'fs-extra';
 import path from 'path';
 import { nanoid } from 'nanoid';
 import pLimit from 'p-limit';
-import { getOpenAIClient, getModels } from './openai.js';
-import { geminiGenerateImage } from './gemini.js';
+import { generateStageImage } from './providers/index.js';
 import { coverTo } from './util.js';
 import { getDeckStylePreset } from './themes.js';
 
 /**
  * Generate slide-supporting images and return file paths.
  * We generate square-ish images then crop/cover to slide needs.
+ * opts.provider / opts.providers.images pick the image provider (see providers/index.js).
  */
 export async function generateImages(slides, theme, tmpDir, opts = {}) {
-  const provider = (opts.provider || 'openai').toString().toLowerCase();
-  const client = provider === 'openai' ? getOpenAIClient() : null;
-  const { image: openaiImageModel, gemini_image: geminiImageModel } = getModels();
   const concurrency = Math.max(1, Math.min(3, Number(opts.imageConcurrency || 2)));
   const limit = pLimit(concurrency);
 
@@ -32,25 +29,12 @@ export async function generateImages(slides, theme, tmpDir, opts = {}) {
     if (!p.prompt) return Promise.resolve({ idx: p.idx, file: null, prompt: null });
 
     return limit(async () => {
-      let b64 = null;
-
-      if (provider === 'gemini') {
-        const img = await geminiGenerateImage({
-          model: geminiImageModel,
-          prompt: p.prompt,
-          aspectRatio: opts.geminiAspectRatio || '16:9',
-          imageSize: opts.geminiImageSize || '2K'
-        });
-        b64 = img.base64;
-      } else {
-        const result = await client.images.generate({
-          model: openaiImageModel,
-          prompt: p.prompt,
-          // We'll resize/crop for PPTX anyway.
-          size: opts.imageSize || '1024x1024'
-        });
-        b64 = result?.data?.[0]?.b64_json || null;
-      }
+      const { base64: b64 } = await generateStageImage(opts, {
+        prompt: p.prompt,
+        aspectRatio: opts.aspectRatio || '16:9',
+        // OpenAI-style "1024x1024" or Gemini "1K" / "2K" / "4K"; each provider falls back to its own default.
+        size: opts.imageSize
+      });
 
       const rawName = `img_${p.idx}_${nanoid(6)}.png`;
       const rawPath = path.join(tmpDir, rawName);
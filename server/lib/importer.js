@@ -0,0 +1,312 @@
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+
+/**
+ * Structured PPTX reader ("restyle this deck").
+ *
+ * Slides are read in presentation order (p:sldIdLst), notes are resolved through each
+ * slide's own notesSlide relationship, and every slide is mapped to the closest
+ * SLIDE_LAYOUTS entry so the result can go straight through normalizePlan().
+ */
+
+const REL_NOTES = /\/notesSlide$/;
+const REL_IMAGE = /\/image$/;
+const REL_CHART = /\/chart$/;
+
+/**
+ * Read a PPTX into per-slide structure:
+ * [{ index, file, title, subtitle, paragraphs: [{ text, level }], tables: [[[cell]]], images: [media path],
+ *    chart: { chart_type, labels, values } | null, notes }]
+ */
+export async function readPptxSlides(pptxPath) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(pptxPath));
+  const slideFiles = await orderedSlideFiles(zip);
+
+  const slides = [];
+  for (let i = 0; i < slideFiles.length; i++) {
+    const file = slideFiles[i];
+    const xml = await readText(zip, file);
+    const rels = await readRels(zip, file);
+
+    const shapes = parseShapes(xml);
+    const titleShape = shapes.find(s => s.ph === 'title' || s.ph === 'ctrTitle')
+      || pickTitleFallback(shapes);
+    const subShape = shapes.find(s => s.ph === 'subTitle');
+    const bodyShapes = shapes.filter(s => s !== titleShape && s !== subShape && !['sldNum', 'dt', 'ftr'].includes(s.ph));
+
+    const images = [];
+    for (const m of xml.matchAll(/<p:pic\b[\s\S]*?<\/p:pic>/g)) {
+      const rid = m[0].match(/<a:blip\b[^>]*r:embed="([^"]+)"/)?.[1];
+      const target = rid ? rels.get(rid) : null;
+      if (target && REL_IMAGE.test(target.type)) images.push(target.path);
+    }
+
+    let chart = null;
+    for (const m of xml.matchAll(/<c:chart\b[^>]*r:id="([^"]+)"/g)) {
+      const target = rels.get(m[1]);
+      if (target && REL_CHART.test(target.type)) {
+        chart = parseChart(await readText(zip, target.path));
+        if (chart) break;
+      }
+    }
+
+    const notesRel = [...rels.values()].find(r => REL_NOTES.test(r.type));
+    const notes = notesRel ? parseNotes(await readText(zip, notesRel.path)) : '';
+
+    slides.push({
+      index: i,
+      file,
+      title: titleShape ? titleShape.paragraphs.map(p => p.text).join(' ') : '',
+      subtitle: subShape ? subShape.paragraphs.map(p => p.text).join(' ') : '',
+      paragraphs: bodyShapes.flatMap(s => s.paragraphs),
+      tables: parseTables(xml),
+      images,
+      chart,
+      notes
+    });
+  }
+  return slides;
+}
+
+/**
+ * Import a PPTX as a normalizePlan-compatible plan (no LLM involved).
+ * opts.assets: the deck's extracted images (see assets.js); each slide keeps its first picture.
+ */
+export async function importPptxPlan(pptxPath, originalName = '', opts = {}) {
+  const slides = await readPptxSlides(pptxPath);
+  if (!slides.length) throw new Error('No slides found in PPTX.');
+
+  const assets = Array.isArray(opts.assets) ? opts.assets : [];
+  const byOrigin = new Map(assets.filter(a => a.kind !== 'logo').map(a => [a.origin, a.id]));
+  const planSlides = slides.map((s, idx) => {
+    const slide = mapSlide(s, idx, slides.length);
+    const assetId = s.images.map(m => byOrigin.get(m)).find(Boolean);
+    return assetId ? { ...slide, asset_id: assetId } : slide;
+  });
+  const first = planSlides[0];
+  const deckName = path.basename(originalName || pptxPath, path.extname(originalName || pptxPath));
+
+  return {
+    deck_type: 'other',
+    deck_title: first?.title || deckName || 'Imported Deck',
+    deck_subtitle: first?.subtitle || '',
+    recommended_slide_count: planSlides.length,
+    theme: null,
+    slides: planSlides,
+    assets,
+    _source: { type: 'pptx_import', filename: originalName || path.basename(pptxPath), slide_count: slides.length }
+  };
+}
+
+// -------- Layout mapping --------
+
+function mapSlide(s, idx, total) {
+  const bullets = s.paragraphs.map(p => p.text).filter(Boolean);
+  const top = s.paragraphs.filter(p => p.level === 0).map(p => p.text);
+  const hasImage = s.images.length > 0;
+  const title = s.title || bullets[0] || `Slide ${idx + 1}`;
+  const body = s.title ? bullets : bullets.slice(1);
+  const titleLc = title.toLowerCase();
+
+  const slide = {
+    kind: 'content',
+    layout: 'split',
+    section: '',
+    title,
+    subtitle: s.subtitle,
+    bullets: body.slice(0, 8),
+    image_prompt: 'NONE',
+    speaker_notes: s.notes
+  };
+
+  if (s.chart) {
+    return { ...slide, kind: 'chart', layout: s.chart.chart_type === 'line' ? 'chart_line' : 'chart_bar', chart: s.chart };
+  }
+
+  if (s.tables.length) {
+    const grid = s.tables[0].filter(r => r.some(Boolean));
+    if (grid.length >= 2 && grid[0].length >= 2) {
+      if (isMatrix(grid)) {
+        return {
+          ...slide,
+          kind: 'comparison',
+          layout: 'comparison_matrix',
+          matrix: {
+            x_labels: grid[0].slice(1, 6),
+            y_labels: grid.slice(1, 8).map(r => r[0]),
+            cells: grid.slice(1, 8).map(r => r.slice(1, 6))
+          }
+        };
+      }
+      return { ...slide, kind: 'table', layout: 'table', table: { headers: grid[0].slice(0, 6), rows: grid.slice(1, 13).map(r => r.slice(0, 6)) } };
+    }
+  }
+
+  if (idx === 0) return { ...slide, kind: 'cover', layout: 'hero', subtitle: slide.subtitle || body.join(' ').slice(0, 240), bullets: [] };
+
+  if (/^(agenda|contents|table of contents|overview)\b/.test(titleLc) && body.length >= 2) {
+    return { ...slide, kind: 'agenda', layout: 'agenda', agenda_items: top.slice(0, 10), bullets: [] };
+  }
+
+  if (idx === total - 1 && /thank|questions|contact|next steps|get in touch/.test(titleLc)) {
+    return { ...slide, kind: 'close', layout: 'cta', cta: { headline: title, primary_action: body[0] || '', secondary_action: body[1] || '' } };
+  }
+
+  const quote = body.length <= 2 && body[0] && /^["“‘']/.test(body[0]) ? body[0] : null;
+  if (quote) {
+    return {
+      ...slide,
+      kind: 'quote',
+      layout: 'quote',
+      quote: { text: quote.replace(/^["“‘']+|["”’']+$/g, ''), attribution: (body[1] || '').replace(/^[—–-]\s*/, '') },
+      bullets: []
+    };
+  }
+
+  const stat = body.find(b => /^[$€£]?\d[\d.,]*\s?(%|x|k|m|bn|b)?$/i.test(b.trim()));
+  if (stat && body.length <= 3) {
+    return { ...slide, kind: 'stat', layout: 'stats', stat: { value: stat.trim(), label: body.filter(b => b !== stat)[0] || '' }, bullets: body.filter(b => b !== stat) };
+  }
+
+  if (!body.length) return { ...slide, kind: 'section', layout: hasImage && !slide.subtitle ? 'full_bleed' : 'section_header' };
+  if (hasImage && body.length <= 2) return { ...slide, kind: 'image', layout: 'image_caption', subtitle: slide.subtitle || body.join(' ') };
+  if (body.length >= 6 && s.paragraphs.some(p => p.level > 0)) return { ...slide, layout: 'two_column' };
+  return slide;
+}
+
+function isMatrix(grid) {
+  const cells = grid.slice(1).flatMap(r => r.slice(1)).filter(Boolean);
+  if (!cells.length || grid[0].length < 3) return false;
+  const marks = cells.filter(c => /^(✓|✔|✗|✘|x|yes|no|y|n|–|-|●|○|partial)$/i.test(c.trim()));
+  return marks.length / cells.length >= 0.6;
+}
+
+// -------- XML parsing --------
+
+async function readText(zip, name) {
+  const f = zip.file(name);
+  return f ? f.async('string') : '';
+}
+
+function decodeXml(s = '') {
+  return s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(parseInt(n, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function resolveTarget(fromFile, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  return path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), target));
+}
+
+/**
+ * Relationships of a part, keyed by rId → { type, path }.
+ */
+async function readRels(zip, partFile) {
+  const relsFile = path.posix.join(path.posix.dirname(partFile), '_rels', `${path.posix.basename(partFile)}.rels`);
+  const xml = await readText(zip, relsFile);
+  const out = new Map();
+  for (const m of xml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const id = m[1].match(/\bId="([^"]+)"/)?.[1];
+    const type = m[1].match(/\bType="([^"]+)"/)?.[1] || '';
+    const target = m[1].match(/\bTarget="([^"]+)"/)?.[1];
+    const external = /TargetMode="External"/.test(m[1]);
+    if (id && target && !external) out.set(id, { type, path: resolveTarget(partFile, target) });
+  }
+  return out;
+}
+
+async function orderedSlideFiles(zip) {
+  const presXml = await readText(zip, 'ppt/presentation.xml');
+  const rels = await readRels(zip, 'ppt/presentation.xml');
+  const ordered = Array.from(presXml.matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g))
+    .map(m => rels.get(m[1])?.path)
+    .filter(p => p && zip.file(p));
+  if (ordered.length) return ordered;
+
+  // Fallback for decks without a usable sldIdLst: file-number order.
+  return Object.keys(zip.files)
+    .filter(p => /^ppt\/slides\/slide\d+\.xml$/i.test(p))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+}
+
+function parseParagraphs(txBody = '') {
+  const paras = [];
+  for (const m of txBody.matchAll(/<a:p>([\s\S]*?)<\/a:p>|<a:p\s[^>]*>([\s\S]*?)<\/a:p>/g)) {
+    const inner = m[1] ?? m[2] ?? '';
+    const text = Array.from(inner.matchAll(/<a:t>([\s\S]*?)<\/a:t>|<a:t\s[^>]*>([\s\S]*?)<\/a:t>/g))
+      .map(t => decodeXml(t[1] ?? t[2] ?? ''))
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!text) continue;
+    const lvl = parseInt(inner.match(/<a:pPr\b[^>]*\blvl="(\d+)"/)?.[1] || '0', 10);
+    paras.push({ text, level: lvl });
+  }
+  return paras;
+}
+
+function parseShapes(xml) {
+  const shapes = [];
+  for (const m of xml.matchAll(/<p:sp\b[\s\S]*?<\/p:sp>/g)) {
+    const sp = m[0];
+    const txBody = sp.match(/<p:txBody\b[\s\S]*?<\/p:txBody>/)?.[0];
+    if (!txBody) continue;
+    const ph = sp.match(/<p:ph\b([^>]*)\/?>/);
+    const phType = ph ? (ph[1].match(/\btype="([^"]+)"/)?.[1] || 'body') : null;
+    const name = sp.match(/<p:cNvPr\b[^>]*\bname="([^"]*)"/)?.[1] || '';
+    const y = parseInt(sp.match(/<a:off\b[^>]*\by="(-?\d+)"/)?.[1] || '0', 10);
+    const size = parseInt(sp.match(/<a:rPr\b[^>]*\bsz="(\d+)"/)?.[1] || '0', 10);
+    const paragraphs = parseParagraphs(txBody);
+    if (paragraphs.length) shapes.push({ ph: phType, name, y, size, paragraphs });
+  }
+  return shapes;
+}
+
+/**
+ * Decks built without placeholders: a shape named "Title…", else the top-most short text
+ * with the largest font.
+ */
+function pickTitleFallback(shapes) {
+  const named = shapes.find(s => /title/i.test(s.name) && !/sub/i.test(s.name));
+  if (named) return named;
+  const candidates = shapes.filter(s => !s.ph && s.paragraphs.length <= 2 && s.paragraphs[0].text.length <= 140);
+  if (!candidates.length) return null;
+  return candidates.sort((a, b) => (b.size - a.size) || (a.y - b.y))[0];
+}
+
+function parseTables(xml) {
+  return Array.from(xml.matchAll(/<a:tbl>([\s\S]*?)<\/a:tbl>/g)).map(t =>
+    Array.from(t[1].matchAll(/<a:tr\b[\s\S]*?<\/a:tr>/g)).map(tr =>
+      Array.from(tr[0].matchAll(/<a:tc\b[\s\S]*?<\/a:tc>/g)).map(tc =>
+        parseParagraphs(tc[0]).map(p => p.text).join(' ')
+      )
+    )
+  );
+}
+
+function parseChart(xml) {
+  if (!xml) return null;
+  const chartType = /<c:lineChart\b/.test(xml) ? 'line' : (/<c:barChart\b/.test(xml) ? 'bar' : null);
+  if (!chartType) return null;
+  const ser = xml.match(/<c:ser>([\s\S]*?)<\/c:ser>/)?.[1] || '';
+  const points = (block) => Array.from((block || '').matchAll(/<c:pt\b[^>]*idx="(\d+)"[^>]*>\s*<c:v>([\s\S]*?)<\/c:v>/g))
+    .sort((a, b) => parseInt(a[1], 10) - parseInt(b[1], 10))
+    .map(p => decodeXml(p[2]));
+  const labels = points(ser.match(/<c:cat>([\s\S]*?)<\/c:cat>/)?.[1]);
+  const values = points(ser.match(/<c:val>([\s\S]*?)<\/c:val>/)?.[1]).map(Number);
+  if (labels.length < 2 || values.length < 2) return null;
+  return { chart_type: chartType, labels: labels.slice(0, 10), values: values.slice(0, 10), value_suffix: '' };
+}
+
+function parseNotes(xml) {
+  if (!xml) return '';
+  const shapes = parseShapes(xml).filter(s => s.ph === 'body' || !s.ph);
+  return shapes.flatMap(s => s.paragraphs.map(p => p.text)).join('\n').trim();
+}
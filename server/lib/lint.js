@@ -0,0 +1,268 @@
+import { generateStageJson } from './providers/index.js';
+import { normalizePlan } from './planner.js';
+import { citeSlides } from './citations.js';
+import { getVoice, DEFAULT_VOICE } from './voices.js';
+
+/**
+ * Copy linter: the voice and structure rules the prompts ask for, checked on the finished plan.
+ *
+ * lintPlan is deterministic (no model call) and runs on any plan, including imported and hand-edited ones.
+ * An issue is { slide, rule, severity, field, item, message }: slide is the 0-based index, item the bullet
+ * index for bullet rules (else null). Severities: 'error' (breaks a hard rule), 'warning' (weakens the copy).
+ * fixLintIssues rewrites only the flagged fields of the flagged slides in one targeted call.
+ */
+
+export const LINT_RULES = {
+  label_headline: 'error',
+  forbidden_term: 'error',
+  placeholder: 'error',
+  empty_bullet: 'error',
+  headline_length: 'warning',
+  headline_and: 'warning',
+  bullet_length: 'warning',
+  duplicate_slide: 'warning',
+  missing_bridge: 'warning'
+};
+
+const HEADLINE_WORDS = { min: 3, max: 9 };
+const BULLET_WORDS = { min: 8, max: 18 };
+
+// Topic labels instead of claims ("The Challenge", "Our Strategy"). Compared after dropping the/our/key.
+const LABELS = new Set([
+  'challenge', 'problem', 'objectives', 'objective', 'goals', 'strategy', 'solution', 'overview', 'introduction',
+  'background', 'context', 'summary', 'executive summary', 'opportunity', 'timeline', 'team', 'about us',
+  'pricing', 'results', 'insights', 'insight', 'approach', 'conclusion', 'recommendations', 'budget', 'kpis',
+  'metrics', 'idea', 'big idea', 'creative concept', 'concept', 'visual identity', 'execution', 'execution example',
+  'communication pillars', 'current audience', 'audience', 'about the brand', 'brand', 'market', 'competition',
+  'traction', 'business model', 'product', 'roadmap', 'benefits', 'features', 'process', 'scope', 'deliverables',
+  'case study', 'proof', 'risks', 'the ask', 'ask', 'next steps'
+]);
+
+const PLACEHOLDER_RE = /\b(TBD|TBC|TODO|lorem ipsum|XXX)\b/i;
+
+// Slides whose headline is a label by design (cover, dividers, agenda, closing).
+const LABEL_LAYOUTS = new Set(['section_header', 'agenda', 'appendix', 'faq', 'logo_wall']);
+const LABEL_KINDS = new Set(['title', 'cover', 'thank_you', 'close', 'closing', 'agenda', 'appendix', 'section_header']);
+
+/**
+ * Check every slide against the voice (options.voiceProfile, else the plan's messaging voice) and the
+ * structure rules. Returns { issues, counts: { error, warning } }.
+ */
+export function lintPlan(plan, options = {}) {
+  const slides = Array.isArray(plan?.slides) ? plan.slides : [];
+  const voice = getVoice(options.voiceProfile || plan?._messaging?.voice_profile) || getVoice(DEFAULT_VOICE);
+  const forbidden = [...new Set([...(voice.forbidden_terms || []), ...(plan?._messaging?.buzzwords_to_avoid || [])]
+    .map(t => (t || '').toString().trim().toLowerCase())
+    .filter(Boolean))];
+
+  const issues = [];
+  const seenTitles = new Map(); // normalized title -> first slide index
+  const seenBullets = new Map();
+
+  slides.forEach((s, idx) => {
+    const add = (rule, field, message, item = null) => issues.push({ slide: idx, rule, severity: LINT_RULES[rule], field, item, message });
+    const title = str(s?.title);
+    const bullets = Array.isArray(s?.bullets) ? s.bullets.map(str) : [];
+    const kind = str(s?.kind).toLowerCase();
+    const labelSlide = idx === 0 || LABEL_KINDS.has(kind) || LABEL_LAYOUTS.has(str(s?.layout));
+    const last = idx === slides.length - 1;
+
+    // Headline
+    if (!labelSlide && title) {
+      const bare = title.toLowerCase().replace(/[.:!?]+$/, '').replace(/^(the|our|key)\s+/, '').trim();
+      const n = words(title);
+      if (LABELS.has(bare)) {
+        add('label_headline', 'title', `“${title}” is a topic label; write the claim this slide makes.`);
+      } else if (n < HEADLINE_WORDS.min || n > HEADLINE_WORDS.max) {
+        add('headline_length', 'title', `Headline has ${plural(n, 'word')} (aim for ${HEADLINE_WORDS.min}–${HEADLINE_WORDS.max}).`);
+      }
+      if (/\band\b|&/i.test(title)) add('headline_and', 'title', 'Headline joins two ideas with “and”; keep one idea.');
+    }
+
+    // Forbidden terms and placeholders, wherever the audience reads them
+    const fields = [['title', title], ['subtitle', str(s?.subtitle)], ['takeaway', str(s?.takeaway)], ...bullets.map((b, i) => ['bullets', b, i])];
+    for (const [field, text, item = null] of fields) {
+      const lower = text.toLowerCase();
+      const hits = forbidden.filter(t => new RegExp(`(^|[^a-z0-9])${escapeRe(t)}($|[^a-z0-9])`, 'i').test(lower));
+      if (hits.length) add('forbidden_term', field, `Uses ${hits.map(h => `“${h}”`).join(', ')}, which the ${voice.name} voice avoids.`, item);
+      if (PLACEHOLDER_RE.test(text)) add('placeholder', field, `Placeholder text (“${text.match(PLACEHOLDER_RE)[0]}”) — move unknowns to speaker notes.`, item);
+    }
+
+    // Bullets
+    bullets.forEach((b, i) => {
+      if (!b) return add('empty_bullet', 'bullets', `Bullet ${i + 1} is empty.`, i);
+      const n = words(b);
+      if (n < BULLET_WORDS.min || n > BULLET_WORDS.max) {
+        add('bullet_length', 'bullets', `Bullet ${i + 1} has ${plural(n, 'word')} (aim for ${BULLET_WORDS.min}–${BULLET_WORDS.max}).`, i);
+      }
+    });
+
+    // Duplicates: same headline, or the same bullet list, as an earlier slide
+    const titleKey = title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    if (titleKey && seenTitles.has(titleKey)) {
+      add('duplicate_slide', 'title', `Same headline as slide ${seenTitles.get(titleKey) + 1}.`);
+    } else if (titleKey) {
+      seenTitles.set(titleKey, idx);
+    }
+    const bulletKey = bullets.filter(Boolean).map(b => b.toLowerCase()).join('\n');
+    if (bullets.filter(Boolean).length >= 2 && seenBullets.has(bulletKey)) {
+      add('duplicate_slide', 'bullets', `Same bullets as slide ${seenBullets.get(bulletKey) + 1}.`);
+    } else if (bulletKey) {
+      seenBullets.set(bulletKey, idx);
+    }
+
+    // Continuity: every content slide but the last tees up the next one
+    const bridge = str(s?.bridge_line).replace(/^next:?$/i, '');
+    const opensOrCloses = idx === 0 || ['title', 'cover', 'thank_you', 'close', 'closing'].includes(kind);
+    if (!last && !opensOrCloses && !bridge) {
+      add('missing_bridge', 'bridge_line', 'No bridge line to the next slide.');
+    }
+  });
+
+  const counts = { error: 0, warning: 0 };
+  for (const i of issues) counts[i.severity]++;
+  return { issues, counts };
+}
+
+/**
+ * Fix lint issues on the given slides (0-based indexes; default: every slide with an issue). Empty bullets
+ * are dropped without a model call; the rest goes to one 'lint' stage call that rewrites only the flagged
+ * fields. Duplicate slides are reworded, never removed.
+ * Rewritten slides are cited again from briefText (see citations.js); without it their bullet citations, which
+ * would point at the old bullets, are dropped.
+ * Returns { plan, lint, fixed } — plan is normalized, lint its new report, fixed the indexes that changed.
+ */
+export async function fixLintIssues(plan, options = {}, slides = null, briefText = '') {
+  if (!Array.isArray(plan?.slides) || !plan.slides.length) throw new Error('The plan has no slides to fix.');
+  const wanted = Array.isArray(slides) ? new Set(slides.map(Number)) : null;
+  const pick = (report) => report.issues.filter(i => !wanted || wanted.has(i.slide));
+
+  const next = { ...plan, slides: plan.slides.map(s => ({ ...s })) };
+  const fixed = new Set();
+
+  // Deterministic first: drop empty bullets.
+  for (const issue of pick(lintPlan(next, options)).filter(i => i.rule === 'empty_bullet')) fixed.add(issue.slide);
+  for (const idx of fixed) next.slides[idx].bullets = next.slides[idx].bullets.filter(b => str(b));
+
+  const remaining = pick(lintPlan(next, options));
+  if (remaining.length) {
+    const bySlide = new Map();
+    for (const issue of remaining) {
+      if (!bySlide.has(issue.slide)) bySlide.set(issue.slide, []);
+      bySlide.get(issue.slide).push(issue);
+    }
+    const voice = getVoice(options.voiceProfile || plan?._messaging?.voice_profile) || getVoice(DEFAULT_VOICE);
+    const out = await generateStageJson('lint', options, {
+      system: buildFixSystemPrompt(voice, plan, options),
+      user: buildFixUserPrompt(next, bySlide),
+      schema: buildFixSchema(),
+      temperature: 0.4
+    });
+
+    for (const fix of Array.isArray(out?.slides) ? out.slides : []) {
+      const idx = Number(fix?.slide) - 1;
+      const flagged = new Set((bySlide.get(idx) || []).map(i => i.field));
+      if (!flagged.size) continue;
+      const slide = next.slides[idx];
+      // Only the fields that had issues change; everything else on the slide stays as written.
+      for (const field of ['title', 'subtitle', 'takeaway', 'bridge_line']) {
+        if (flagged.has(field) && str(fix[field])) slide[field] = str(fix[field]);
+      }
+      if (flagged.has('bullets') && Array.isArray(fix.bullets)) slide.bullets = fix.bullets.map(str).filter(Boolean);
+      fixed.add(idx);
+    }
+  }
+
+  for (const idx of fixed) {
+    const slide = next.slides[idx];
+    next.slides[idx] = briefText
+      ? citeSlides([slide], briefText)[0]
+      : { ...slide, citations: (Array.isArray(slide.citations) ? slide.citations : []).filter(c => !/^bullets\[/.test(c?.field || '')) };
+  }
+
+  const normalized = normalizePlan(next, { ...options, nSlides: next.slides.length, keepSlideList: true });
+  return { plan: normalized, lint: lintPlan(normalized, options), fixed: [...fixed].sort((a, b) => a - b) };
+}
+
+function buildFixSchema() {
+  return {
+    name: 'lint_fixes',
+    strict: true,
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        slides: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              slide: { type: 'integer', description: 'Slide number as given.' },
+              title: { type: 'string' },
+              subtitle: { type: 'string' },
+              takeaway: { type: 'string' },
+              bridge_line: { type: 'string' },
+              bullets: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['slide', 'title', 'subtitle', 'takeaway', 'bridge_line', 'bullets']
+          }
+        }
+      },
+      required: ['slides']
+    }
+  };
+}
+
+function buildFixSystemPrompt(voice, plan = {}, options = {}) {
+  const language = str(plan._extract?.language || options.language || 'English').slice(0, 80);
+  return [
+    `You are a copy editor fixing specific rule violations on presentation slides. Each slide comes with its issues.`,
+    `Rewrite ONLY the fields named in the issues; return the other fields exactly as given.`,
+    `Keep the meaning, facts, numbers and names. Never invent facts; if a placeholder hides an unknown, write around it.`,
+    `Headlines: declarative claims, ${HEADLINE_WORDS.min}–${HEADLINE_WORDS.max} words, one idea (no "and"). Bullets: ${BULLET_WORDS.min}–${BULLET_WORDS.max} words each, specific, no placeholders.`,
+    `Bridge lines: one short sentence that tees up the next slide (its headline is given).`,
+    `Voice: ${voice.name}. ${voice.tagline || ''}`,
+    `Headline rules: ${(voice.headline_rules || []).join(' ')}`,
+    `Diction rules: ${(voice.diction_rules || []).join(' ')}`,
+    voice.forbidden_terms?.length ? `Never use: ${voice.forbidden_terms.join(', ')}.` : '',
+    plan._messaging?.anchors?.length ? `Keep these anchor lines verbatim where they appear: ${plan._messaging.anchors.join(' | ')}.` : '',
+    `Language: ${language}.`
+  ].filter(Boolean).join(' ');
+}
+
+function buildFixUserPrompt(plan, bySlide) {
+  const slides = [...bySlide.entries()].map(([idx, issues]) => {
+    const s = plan.slides[idx] || {};
+    return {
+      slide: idx + 1,
+      kind: s.kind,
+      section: s.section,
+      title: s.title || '',
+      subtitle: s.subtitle || '',
+      takeaway: s.takeaway || '',
+      bridge_line: s.bridge_line || '',
+      bullets: Array.isArray(s.bullets) ? s.bullets : [],
+      next_slide_title: plan.slides[idx + 1]?.title || null,
+      issues: issues.map(i => `${i.field}${i.item != null ? ` #${i.item + 1}` : ''}: ${i.message}`)
+    };
+  });
+  return `Deck: ${plan.deck_title || 'Untitled'}\n\nSlides to fix:\n${JSON.stringify(slides, null, 2)}`;
+}
+
+function str(v) {
+  return (v ?? '').toString().trim();
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+function words(text) {
+  return str(text).split(/\s+/).filter(Boolean).length;
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
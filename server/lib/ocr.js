@@ -0,0 +1,87 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+
+/**
+ * Offline OCR for scanned briefs.
+ *
+ * tesseract.js (WASM) reads with the English model bundled by @tesseract.js-data/eng, and mupdf (WASM)
+ * rasterizes PDF pages that have no text layer. Both are imported lazily so the server starts without them.
+ * Results come back as brief blocks (see blocks.js) plus a 0–100 confidence per page.
+ */
+
+const require = createRequire(import.meta.url);
+
+const RENDER_SCALE = 3; // 72 dpi × 3 ≈ 216 dpi: enough for body text, still quick on one core
+const MAX_OCR_PAGES = 30;
+
+/**
+ * OCR selected PDF pages (1-based). Returns [{ page, blocks, text, confidence }].
+ */
+export async function ocrPdfPages(pdfPath, pages = []) {
+  const mupdf = await import('mupdf');
+  const doc = mupdf.Document.openDocument(fs.readFileSync(pdfPath), 'application/pdf');
+  const wanted = pages.filter(p => p >= 1 && p <= doc.countPages()).slice(0, MAX_OCR_PAGES);
+  if (!wanted.length) return [];
+
+  return withWorker(async (worker) => {
+    const out = [];
+    for (const page of wanted) {
+      const png = doc.loadPage(page - 1)
+        .toPixmap(mupdf.Matrix.scale(RENDER_SCALE, RENDER_SCALE), mupdf.ColorSpace.DeviceGray, false, true)
+        .asPNG();
+      out.push({ page, ...(await recognize(worker, Buffer.from(png), page)) });
+    }
+    return out;
+  });
+}
+
+/**
+ * OCR a PNG / JPG brief. Returns { blocks, text, confidence }.
+ */
+export async function ocrImageFile(imagePath) {
+  return withWorker(worker => recognize(worker, fs.readFileSync(imagePath)));
+}
+
+/**
+ * Character-weighted mean confidence over OCR results, or null if nothing was read.
+ */
+export function averageConfidence(results = []) {
+  const chars = results.reduce((n, r) => n + (r.text || '').length, 0);
+  if (!chars) return null;
+  return Math.round(results.reduce((sum, r) => sum + r.confidence * (r.text || '').length, 0) / chars);
+}
+
+// -------- Engine --------
+
+async function withWorker(fn) {
+  const { createWorker, OEM } = await import('tesseract.js');
+  const eng = require('@tesseract.js-data/eng');
+  // Local language data, no cache writes: nothing is fetched at runtime.
+  const worker = await createWorker(eng.code, OEM.LSTM_ONLY, { langPath: eng.langPath, gzip: eng.gzip, cacheMethod: 'none' });
+  try {
+    return await fn(worker);
+  } finally {
+    await worker.terminate().catch(() => {});
+  }
+}
+
+async function recognize(worker, image, page) {
+  const { data } = await worker.recognize(image);
+  const text = (data.text || '').replace(/\r/g, '').trim();
+  // Blank lines separate paragraphs; inside one, a line starting in lower case continues the previous line.
+  const blocks = [];
+  for (const para of text.split(/\n\s*\n/)) {
+    let prev = null;
+    for (const line of para.split('\n').map(l => l.trim()).filter(Boolean)) {
+      const bullet = line.match(/^[•●▪■◦*-]\s+(.+)$/);
+      if (prev && !bullet && /^[a-z(]/.test(line)) {
+        prev.text = `${prev.text} ${line}`;
+        continue;
+      }
+      prev = bullet ? { type: 'list_item', level: 1, ordered: false, text: bullet[1] } : { type: 'paragraph', text: line };
+      if (page) prev.page = page;
+      blocks.push(prev);
+    }
+  }
+  return { blocks, text, confidence: Math.round(data.confidence || 0) };
+}
@@ -15,3 +15,216 @@ export async function extractPdfText(pdfPath) {
     .trim();
   return text;
 }
+
+/**
+ * Layout-aware PDF extraction into brief blocks (see blocks.js), each tagged with its page.
+ * Uses text positions and font sizes: larger lines become headings, bullet / number prefixes become
+ * list items, and runs of lines split into aligned columns become tables.
+ * Returns { blocks, pageCount, textlessPages } — textlessPages (1-based) are scans that need OCR.
+ */
+export async function extractPdfBlocks(pdfPath) {
+  const pages = [];
+  // A fresh Uint8Array: small Buffers share Node's pool, which pdf.js would read from offset 0.
+  await pdfParse(new Uint8Array(fs.readFileSync(pdfPath)), {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+      pages.push({ page: pageData.pageIndex + 1, lines: groupLines(content.items || []) });
+      return '';
+    }
+  });
+  pages.sort((a, b) => a.page - b.page);
+
+  // A scanned page has no text layer, or only a stamped page number / header.
+  const textlessPages = pages
+    .filter(p => p.lines.reduce((n, l) => n + l.text.length, 0) < MIN_PAGE_CHARS)
+    .map(p => p.page);
+
+  dropRunningLines(pages);
+  const bodySize = dominantSize(pages.flatMap(p => p.lines));
+  const headingSizes = Array.from(new Set(pages.flatMap(p => p.lines)
+    .filter(l => isHeadingLine(l, bodySize))
+    .map(l => Math.round(l.size))))
+    .sort((a, b) => b - a);
+
+  const blocks = pages
+    .filter(p => !textlessPages.includes(p.page))
+    .flatMap(p => linesToBlocks(p.lines, p.page, bodySize, headingSizes));
+  return { blocks, pageCount: pages.length, textlessPages };
+}
+
+// -------- Lines --------
+
+const MIN_PAGE_CHARS = 40;
+// Column gap (in multiples of font size) that splits a line into table cells.
+const CELL_GAP = 1.8;
+const BULLET_RE = /^([•▪◦●○■□◆►‣⁃∙·*–-])\s*(.+)$/;
+const ORDERED_RE = /^(\d{1,2}|[a-z])[.)]\s+(.+)$/i;
+const SECTION_NO_RE = /^(\d+(?:\.\d+)+)\.?\s+(\S.*)$/;
+
+function groupLines(items) {
+  const glyphs = items
+    .filter(it => typeof it.str === 'string' && it.str.trim())
+    .map(it => ({
+      str: it.str,
+      x: it.transform[4],
+      y: it.transform[5],
+      w: it.width || 0,
+      size: Math.abs(it.transform[3]) || Math.abs(it.transform[0]) || it.height || 10
+    }))
+    .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+  const lines = [];
+  for (const g of glyphs) {
+    const line = lines.find(l => Math.abs(l.y - g.y) <= Math.max(l.size, g.size) * 0.4);
+    if (line) {
+      line.items.push(g);
+      line.size = Math.max(line.size, g.size);
+    } else {
+      lines.push({ y: g.y, size: g.size, items: [g] });
+    }
+  }
+  lines.sort((a, b) => b.y - a.y);
+
+  for (const line of lines) {
+    line.items.sort((a, b) => a.x - b.x);
+    const cells = [];
+    let cur = null;
+    for (const it of line.items) {
+      const gap = cur ? it.x - cur.end : 0;
+      if (cur && gap < line.size * CELL_GAP) {
+        cur.text += (gap > line.size * 0.15 && !/\s$/.test(cur.text) && !/^\s/.test(it.str) ? ' ' : '') + it.str;
+        cur.end = Math.max(cur.end, it.x + it.w);
+      } else {
+        cur = { text: it.str, x: it.x, end: it.x + it.w };
+        cells.push(cur);
+      }
+    }
+    line.cells = cells.map(c => ({ x: c.x, text: c.text.replace(/\s+/g, ' ').trim() })).filter(c => c.text);
+    line.x = line.cells[0]?.x ?? 0;
+    line.text = line.cells.map(c => c.text).join(' ');
+  }
+  return lines.filter(l => l.text);
+}
+
+/**
+ * Remove page numbers and running headers/footers (same text on most pages).
+ */
+function dropRunningLines(pages) {
+  const counts = new Map();
+  for (const p of pages) {
+    for (const t of new Set(p.lines.map(l => l.text.replace(/\d+/g, '#')))) counts.set(t, (counts.get(t) || 0) + 1);
+  }
+  const minRepeats = Math.max(3, Math.ceil(pages.length * 0.6));
+  for (const p of pages) {
+    p.lines = p.lines.filter(l => {
+      if (/^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i.test(l.text)) return false;
+      return pages.length < 3 || (counts.get(l.text.replace(/\d+/g, '#')) || 0) < minRepeats;
+    });
+  }
+}
+
+function dominantSize(lines) {
+  const weight = new Map();
+  for (const l of lines) {
+    const k = Math.round(l.size);
+    weight.set(k, (weight.get(k) || 0) + l.text.length);
+  }
+  let best = 10;
+  let bestW = -1;
+  for (const [k, w] of weight) if (w > bestW) { best = k; bestW = w; }
+  return best;
+}
+
+function isHeadingLine(line, bodySize) {
+  return line.cells.length === 1
+    && line.size >= bodySize * 1.15
+    && line.text.length <= 120
+    && !/[.,;:]$/.test(line.text);
+}
+
+// -------- Blocks --------
+
+function linesToBlocks(lines, page, bodySize, headingSizes) {
+  const blocks = [];
+  const minX = Math.min(...lines.map(l => l.x));
+  const listX = Math.min(...lines.filter(l => BULLET_RE.test(l.text) || ORDERED_RE.test(l.text)).map(l => l.x));
+  let prev = null;
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Tables: 2+ consecutive lines split into 2+ cells that share column starts.
+    if (line.cells.length >= 2) {
+      let j = i + 1;
+      while (j < lines.length && lines[j].cells.length >= 2 && sharesColumns(lines[j], lines[i])) j++;
+      if (j - i >= 2) {
+        const cols = columnStarts(lines.slice(i, j), bodySize);
+        const rows = lines.slice(i, j).map(l => {
+          const row = cols.map(() => '');
+          for (const c of l.cells) {
+            const k = nearestColumn(cols, c.x);
+            row[k] = row[k] ? `${row[k]} ${c.text}` : c.text;
+          }
+          return row;
+        });
+        blocks.push({ type: 'table', rows, page });
+        prev = null;
+        i = j;
+        continue;
+      }
+    }
+
+    const gapAbove = prev ? prev.y - line.y : Infinity;
+    const level = 1 + Math.min(2, Math.max(0, Math.round((line.x - listX) / (bodySize * 1.5))));
+    const last = blocks[blocks.length - 1];
+    let m;
+
+    if (isHeadingLine(line, bodySize)) {
+      const rank = headingSizes.indexOf(Math.round(line.size));
+      // A wrapped heading continues on the next line at the same size.
+      if (last?.type === 'heading' && prev && Math.round(prev.size) === Math.round(line.size) && gapAbove < line.size * 1.6) {
+        last.text = `${last.text} ${line.text}`;
+      } else {
+        blocks.push({ type: 'heading', level: Math.min(6, (rank < 0 ? 0 : rank) + 1), text: line.text, page });
+      }
+    } else if ((m = line.text.match(SECTION_NO_RE)) && line.text.length <= 100 && !/[.,;:]$/.test(line.text)) {
+      blocks.push({ type: 'heading', level: Math.min(6, m[1].split('.').length), text: line.text, page });
+    } else if ((m = line.text.match(BULLET_RE))) {
+      blocks.push({ type: 'list_item', level, ordered: false, text: m[2].trim(), page });
+    } else if ((m = line.text.match(ORDERED_RE))) {
+      const number = /^\d+$/.test(m[1]) ? parseInt(m[1], 10) : undefined;
+      blocks.push({ type: 'list_item', level, ordered: true, ...(number ? { number } : {}), text: m[2].trim(), page });
+    } else if (last && prev && gapAbove < bodySize * 1.8 && (last.type === 'paragraph' || (last.type === 'list_item' && line.x > minX + 1))) {
+      // Wrapped line: continue the paragraph or the list item above.
+      last.text = `${last.text} ${line.text}`;
+    } else {
+      blocks.push({ type: 'paragraph', text: line.text, page });
+    }
+
+    prev = line;
+    i++;
+  }
+  return blocks;
+}
+
+function sharesColumns(line, first) {
+  const tol = first.size * 1.5;
+  const hits = line.cells.filter(c => first.cells.some(f => Math.abs(f.x - c.x) <= tol)).length;
+  return hits >= 2 || hits >= Math.min(line.cells.length, first.cells.length);
+}
+
+function columnStarts(lines, bodySize) {
+  const xs = lines.flatMap(l => l.cells.map(c => c.x)).sort((a, b) => a - b);
+  const cols = [];
+  for (const x of xs) {
+    if (!cols.length || x - cols[cols.length - 1] > bodySize * 1.5) cols.push(x);
+  }
+  return cols;
+}
+
+function nearestColumn(cols, x) {
+  let best = 0;
+  for (let k = 1; k < cols.length; k++) if (Math.abs(cols[k] - x) < Math.abs(cols[best] - x)) best = k;
+  return best;
+}
@@ -1,72 +1,17 @@
-import { getOpenAIClient, getModels } from './openai.js';
-import { geminiGenerateJson } from './gemini.js';
+import { generateStageJson } from './providers/index.js';
+import { cancelledError } from './providers/retry.js';
+import { applyDataRefs, summarizeTables } from './sheets.js';
+import { blocksToHeadings, blocksToTables } from './blocks.js';
+import { LONG_BRIEF_CHARS, splitBriefChunks, mergeExtracts } from './chunks.js';
+import { hasTranscriptLines } from './transcript.js';
+import { resolveRecipe, listRecipes, beatForStyle } from './recipes.js';
+import { getVoice, listVoices, DEFAULT_VOICE } from './voices.js';
+import { citeSlides } from './citations.js';
+import { assessBrief } from './completeness.js';
+import pLimit from 'p-limit';
 
 const SAFE_MAX_SLIDES = 30;
 
-// Copy voice profiles ("agency brain" constraints live here).
-// These are *writing* constraints (headlines, transitions, diction), not visual style.
-export const VOICE_PROFILES = [
-  'witty_agency',
-  'cinematic_minimal',
-  'corporate_clear',
-  'academic_formal'
-];
-
-const VOICE_RULES = {
-  witty_agency: {
-    name: 'Witty Agency',
-    tagline: 'Clever, confident, punchy. Feels like a CD wrote it the night before the client pitch — tight, not try-hard.',
-    headline_rules: [
-      'Every slide headline must be a declarative claim (no labels like “The Challenge”, “Objectives”, “Strategy”).',
-      'One idea per headline. Avoid “and”.',
-      'Keep headlines short (3–9 words), high-contrast, a little surprising.',
-      'Prefer contrast and reframes (e.g., “Not X. Y.” / “From __ to __”).'
-    ],
-    subhead_rules: [
-      'Subhead (subtitle) explains the headline in one sentence. No new concept introduced here.',
-      'If you need more context, put it in bullets or speaker notes, not a second thesis.'
-    ],
-    section_rules: [
-      'Each narrative section introduces ONE new concept only. Everything else in the section is proof, implication, or example.',
-      'Every section must end with a bridge line that tees up the next section.',
-      'Callbacks: pick 1–3 anchor lines (platform phrases) and repeat them verbatim later (no paraphrases).'
-    ],
-    diction_rules: [
-      'Avoid corporate filler and buzzwords. No “synergy”, “leverage”, “stakeholders”, “robust”, “seamless”, “omnichannel” unless the brief explicitly wants corporate tone.',
-      'No cringe jokes, no slang, no memes. Witty = smart and minimal.',
-      'Use specific nouns/verbs; limit adjectives.'
-    ],
-    forbidden_terms: ['synergy', 'leverage', 'stakeholders', 'robust', 'seamless', 'omnichannel', 'best-in-class', 'world-class'],
-  },
-  cinematic_minimal: {
-    name: 'Cinematic Minimal',
-    tagline: 'Sparse, visual, emotionally driven. Big claims, few words.',
-    headline_rules: ['3–7 words, declarative, cinematic.'],
-    subhead_rules: ['Optional. If used, 6–12 words max.'],
-    section_rules: ['One new concept per section. Strong bridges.'],
-    diction_rules: ['No jargon. No jokes.'],
-    forbidden_terms: []
-  },
-  corporate_clear: {
-    name: 'Corporate Clear',
-    tagline: 'Executive clarity, structured, direct. Less personality, more proof.',
-    headline_rules: ['Declarative, specific, no hype.'],
-    subhead_rules: ['Explain claim, quantify where possible.'],
-    section_rules: ['One new concept per section. Strong bridges.'],
-    diction_rules: ['Avoid fluff.'],
-    forbidden_terms: ['game-changer', 'revolutionary']
-  },
-  academic_formal: {
-    name: 'Academic Formal',
-    tagline: 'Neutral tone, careful claims, definitions first.',
-    headline_rules: ['Declarative, precise, no punchlines.'],
-    subhead_rules: ['Define terms, state assumptions.'],
-    section_rules: ['One new concept per section. Clear bridges.'],
-    diction_rules: ['No jokes. No hype.'],
-    forbidden_terms: []
-  }
-};
-
 // High-level deck intents your system can plan for.
 export const DECK_TYPES = [
   'ad_agency',
@@ -126,172 +71,75 @@ export const SLIDE_LAYOUTS = [
   'infographic_3'
 ];
 
-// Narrative templates (story-first), not visual templates.
-// These are used by the narrative step to enforce slide-to-slide flow.
-const DECK_RECIPES = {
-  // Fixed 10-slide agency creative story (what you requested):
-  // Title → Current Audience → About the Brand → Challenge → Opportunity → Communication Pillars/Media Types → Creative Concept → Visual Identity → Execution Example → Thank You
-  agency_creative_10: [
-    'title',
-    'current_audience',
-    'about_brand',
-    'challenge',
-    'opportunity',
-    'communication_pillars',
-    'creative_concept',
-    'visual_identity',
-    'execution_example',
-    'thank_you'
-  ],
-  // The exact arc your MDLBEAST case study reference follows:
-  // proof of signal → align to brand → articulate challenge → reframe to opportunity → pillars → platform → visual system → executions → objectives → next steps → close
-  marketing_case_study: [
-    'cover',
-    'proof_or_current_state',
-    'brand_alignment',
-    'challenge',
-    'insight_or_reframe',
-    'strategy_pillars',
-    'creative_platform',
-    'visual_direction',
-    'execution_examples',
-    'rollout_or_system',
-    'measurement_objectives',
-    'next_steps',
-    'close'
-  ],
-  investor_pitch: ['cover', 'problem', 'solution', 'market', 'product', 'business_model', 'traction', 'go_to_market', 'competition', 'team', 'ask', 'close'],
-  sales_deck: ['cover', 'customer_pain', 'why_now', 'solution', 'how_it_works', 'benefits', 'proof', 'pricing', 'implementation', 'cta', 'close'],
-  business_proposal: ['cover', 'context', 'objectives', 'scope', 'approach', 'deliverables', 'timeline', 'investment', 'team', 'risks', 'next_steps', 'close'],
-  marketing_strategy: ['cover', 'context', 'audience', 'insights', 'strategy_pillars', 'big_idea', 'channel_plan', 'content_system', 'measurement', 'timeline', 'next_steps', 'close'],
-  qbr: ['cover', 'agenda', 'kpi_dashboard', 'wins', 'losses', 'insights', 'pipeline', 'priorities_next_quarter', 'asks', 'close'],
-  product_roadmap: ['cover', 'vision', 'now_next_later', 'timeline', 'themes', 'milestones', 'dependencies_risks', 'asks', 'close'],
-  company_profile: ['cover', 'who_we_are', 'mission_vision', 'capabilities', 'proof_clients', 'case_study', 'team', 'process', 'cta', 'close'],
-  training_workshop: ['cover', 'objectives', 'agenda', 'concepts', 'steps', 'exercise', 'quiz', 'summary', 'cta', 'close'],
-  project_status_update: ['cover', 'agenda', 'traffic_light', 'progress', 'blockers', 'timeline', 'decisions', 'next_steps', 'close'],
-  keynote_thought_leadership: ['cover', 'hook', 'tension', 'insight', 'big_idea', 'proof', 'implications', 'call_to_action', 'close']
-};
-
-// --- Strict structure for ad-agency creative decks (10 slides, fixed order) ---
-// This is intentionally *rigid* because agency decks often need a reliable client-friendly narrative.
-const AGENCY_CREATIVE_10 = [
-  { id: 's1_title', name: 'Title', kind: 'title', slide_kinds: ['title', 'cover'] },
-  { id: 's2_current_audience', name: 'Current Audience', kind: 'current_audience', slide_kinds: ['current_audience', 'audience'] },
-  { id: 's3_about_brand', name: 'About the Brand', kind: 'about_brand', slide_kinds: ['about_brand', 'brand'] },
-  { id: 's4_challenge', name: 'The Challenge / The Problem', kind: 'challenge', slide_kinds: ['challenge', 'problem'] },
-  { id: 's5_opportunity', name: 'The Opportunity', kind: 'opportunity', slide_kinds: ['opportunity', 'insight_or_reframe'] },
-  { id: 's6_pillars', name: 'Communication Pillars / Media Types', kind: 'communication_pillars', slide_kinds: ['communication_pillars', 'strategy_pillars'] },
-  { id: 's7_concept', name: 'Creative Concept', kind: 'creative_concept', slide_kinds: ['creative_concept', 'big_idea'] },
-  { id: 's8_visual_identity', name: 'Visual Identity', kind: 'visual_identity', slide_kinds: ['visual_identity', 'visual_direction'] },
-  { id: 's9_execution', name: 'Execution Example', kind: 'execution_example', slide_kinds: ['execution_example', 'execution_examples'] },
-  { id: 's10_thanks', name: 'Thank You', kind: 'thank_you', slide_kinds: ['thank_you', 'close'] }
-];
+// -------- Recipes (see recipes.js) --------
 
-function shouldLockAgency10(extractJson, options = {}) {
-  const requested = asStr(options.deckType || options.deck_type || '', 80).trim();
-  if (requested.toLowerCase() === 'ad_agency') return true;
-  const suggested = asStr(extractJson?.deck_type_suggestion || extractJson?.deck_type || '', 80).trim();
-  return suggested.toLowerCase() === 'ad_agency';
+// The recipe this deck follows, when it is locked (exact beats, exact order); null otherwise.
+function lockedRecipe(extractJson, options = {}) {
+  const recipe = resolveRecipe(extractJson, options);
+  return recipe?.locked ? recipe : null;
 }
 
-function lockNarrativeToAgency10(narrativeJson, extractJson) {
-  const thesis = asStr(narrativeJson?.thesis || extractJson?.objective || extractJson?.title || 'A campaign story that earns attention.', 220);
+// Locked recipes with a creative concept beat get the agency concept refine pass.
+function hasConceptBeat(recipe) {
+  return !!recipe?.beats.some(b => b.kinds.includes('creative_concept'));
+}
+
+/**
+ * Force the narrative onto a locked recipe: one section per beat, in order. Sections the model wrote for a
+ * beat (same id, or overlapping slide_kinds) keep their goal / key message / transition.
+ */
+function lockNarrativeToRecipe(narrativeJson, extractJson, recipe) {
+  const thesis = asStr(narrativeJson?.thesis || extractJson?.objective || extractJson?.title || 'A story that earns attention.', 220);
+  const written = Array.isArray(narrativeJson?.sections) ? narrativeJson.sections : [];
+  const used = new Set();
+  const takeSection = (beat) => {
+    const i = written.findIndex((sec, j) => !used.has(j) && (
+      sec?.id === beat.id ||
+      (Array.isArray(sec?.slide_kinds) && sec.slide_kinds.some(k => beat.kinds.includes((k || '').toString().toLowerCase())))
+    ));
+    if (i < 0) return null;
+    used.add(i);
+    return written[i];
+  };
+
   return {
     ...narrativeJson,
-    deck_type: 'ad_agency',
-    recipe_name: 'agency_creative_10',
+    deck_type: recipe.deck_type || narrativeJson?.deck_type,
+    recipe_name: recipe.id,
     thesis,
-    sections: AGENCY_CREATIVE_10.map((s, idx) => ({
-      id: s.id,
-      name: s.name,
-      goal: `Deliver ${s.name.toLowerCase()} with one clear idea.`,
-      key_message: '',
-      must_include: [],
-      slide_kinds: s.slide_kinds,
-      transition_to_next: idx === AGENCY_CREATIVE_10.length - 1 ? '' : 'Next: we build the case.'
-    }))
+    sections: recipe.beats.map((beat, idx) => {
+      const match = takeSection(beat);
+      const last = idx === recipe.beats.length - 1;
+      return {
+        id: beat.id,
+        name: beat.name,
+        goal: asStr(match?.goal || beat.goal || `Deliver ${beat.name.toLowerCase()} with one clear idea.`, 300),
+        key_message: asStr(match?.key_message || '', 300),
+        must_include: Array.isArray(match?.must_include) ? match.must_include : [],
+        slide_kinds: beat.kinds,
+        transition_to_next: last ? '' : asStr(match?.transition_to_next || 'Next: we build the case.', 200)
+      };
+    })
   };
 }
 
-function isAgencyTypographic(options = {}) {
-  const ds = asStr(options.deckStyle || options.deck_style || '', 80).trim().toLowerCase();
-  return ds === 'agency_typographic';
-}
-
-function lockDeckPlanToAgency10(deckPlan, extractJson, options = {}) {
-  const title = asStr(deckPlan?.deck_title || extractJson?.title || 'Creative Campaign', 120);
+/**
+ * Force a deck plan onto a locked recipe: exactly one slide per beat, in order. The first unused slide whose
+ * kind counts for the beat fills it (its layout kept when the beat allows it); missing beats get placeholder
+ * slides the editor pass can polish.
+ */
+function lockDeckPlanToRecipe(deckPlan, extractJson, recipe, options = {}) {
+  const title = asStr(deckPlan?.deck_title || extractJson?.title || recipe.name, 120);
   const subtitle = asStr(deckPlan?.deck_subtitle || extractJson?.subtitle || '', 140);
-
-  const typographic = isAgencyTypographic(options);
-
-  // Map desired slide kind -> default layout
-  const defaultLayoutByKind = typographic
-    ? {
-      title: 'agency_center',
-      cover: 'agency_center',
-      current_audience: 'agency_infographic',
-      audience: 'agency_infographic',
-      about_brand: 'agency_half',
-      brand: 'agency_half',
-      challenge: 'agency_half',
-      problem: 'agency_half',
-      opportunity: 'agency_infographic',
-      insight_or_reframe: 'agency_infographic',
-      communication_pillars: 'agency_infographic',
-      strategy_pillars: 'agency_infographic',
-      creative_concept: 'agency_center',
-      big_idea: 'agency_center',
-      visual_identity: 'agency_half',
-      visual_direction: 'agency_half',
-      execution_example: 'full_bleed',
-      execution_examples: 'full_bleed',
-      thank_you: 'agency_center',
-      close: 'agency_center'
-    }
-    : {
-      title: 'hero',
-      cover: 'hero',
-      current_audience: 'cards',
-      audience: 'cards',
-      about_brand: 'split',
-      brand: 'split',
-      challenge: 'full_bleed',
-      problem: 'full_bleed',
-      opportunity: 'two_column',
-      insight_or_reframe: 'two_column',
-      communication_pillars: 'process_steps',
-      strategy_pillars: 'process_steps',
-      creative_concept: 'hero',
-      big_idea: 'hero',
-      visual_identity: 'image_caption',
-      visual_direction: 'image_caption',
-      execution_example: 'full_bleed',
-      execution_examples: 'full_bleed',
-      thank_you: 'hero',
-      close: 'hero'
-    };
-
-  const defaultImagePromptByKind = {
-    title: 'High-contrast abstract campaign key visual, premium editorial lighting, minimal, no text',
-    current_audience: 'Modern editorial audience collage, diverse silhouettes, premium lighting, minimal, no text',
-    about_brand: 'Premium brand essence key visual, clean minimal composition, no text',
-    challenge: 'Dramatic abstract tension visual, high contrast, minimal, no text',
-    opportunity: 'Optimistic breakthrough abstract visual, premium lighting, minimal, no text',
-    communication_pillars: 'Minimal bento-style abstract icons and shapes, premium, high contrast, no text',
-    creative_concept: 'Signature campaign platform key visual, iconic, bold, minimal, no text',
-    visual_identity: 'Design system moodboard: materials, textures, color swatches, minimal, no text',
-    execution_example: 'Cinematic outdoor advertising mockup scene, generic, premium lighting, no logos, no text',
-    thank_you: 'Soft gradient background, premium minimal, no text'
-  };
+  const deckStyle = asStr(options.deckStyle || options.deck_style || '', 80).trim().toLowerCase();
 
   const existing = Array.isArray(deckPlan?.slides) ? deckPlan.slides : [];
   const used = new Set();
-
   const takeFirstMatch = (kinds) => {
     for (let i = 0; i < existing.length; i++) {
       if (used.has(i)) continue;
       const k = (existing[i]?.kind || '').toString().toLowerCase();
-      if (kinds.map(x=>x.toLowerCase()).includes(k)) {
+      if (kinds.includes(k)) {
         used.add(i);
         return existing[i];
       }
@@ -299,53 +147,49 @@ function lockDeckPlanToAgency10(deckPlan, extractJson, options = {}) {
     return null;
   };
 
-  const slides = AGENCY_CREATIVE_10.map((s, idx) => {
-    const match = takeFirstMatch(s.slide_kinds);
-    const baseKind = s.kind;
-    const layout = match?.layout || defaultLayoutByKind[baseKind] || 'split';
+  const slides = recipe.beats.map((base, idx) => {
+    const beat = beatForStyle(base, deckStyle);
+    const match = takeFirstMatch(beat.kinds);
+    const cover = idx === 0 && ['title', 'cover'].includes(beat.kind);
+    const allowed = !beat.layouts.length || beat.layouts.includes(match?.layout);
+    const layout = match?.layout && allowed ? match.layout : beat.layout;
 
     // Create safe placeholders if missing (editor pass will polish messaging)
     const safe = {
-      kind: baseKind,
-      section: s.name,
+      ...(match || {}),
+      kind: beat.kind,
+      section: beat.name,
       layout,
-      title: match?.title || (baseKind === 'title' ? title : s.name),
-      subtitle: match?.subtitle || (baseKind === 'title' ? subtitle : ''),
+      title: match?.title || (cover ? title : beat.name),
+      subtitle: match?.subtitle || (cover ? subtitle : beat.subtitle),
       bullets: Array.isArray(match?.bullets) ? match.bullets : [],
-      stat: match?.stat ?? null,
-      quote: match?.quote ?? null,
       image_prompt: typeof match?.image_prompt === 'string'
         ? match.image_prompt
-        : (defaultImagePromptByKind[baseKind] || 'High-contrast abstract campaign key visual, premium editorial lighting, minimal, no text'),
+        : (beat.image_prompt || 'Abstract premium background related to the slide topic, minimal, no text'),
       speaker_notes: match?.speaker_notes || '',
       setup_line: match?.setup_line || '',
       takeaway: match?.takeaway || '',
-      bridge_line: match?.bridge_line || (idx === AGENCY_CREATIVE_10.length - 1 ? '' : 'Next:')
+      bridge_line: match?.bridge_line || (idx === recipe.beats.length - 1 ? '' : 'Next:')
     };
-
-    // Force creative concept slide behavior: short punchy line as title
-    if (baseKind === 'creative_concept') {
-      safe.subtitle = safe.subtitle || 'The big idea in one line.';
-      safe.bullets = safe.bullets?.slice(0, 3);
-    }
-
-    // Agency typographic mode: keep slides sparse (big type, short subhead, minimal support lines)
-    if (typographic) {
-      const maxBullets = (baseKind === 'communication_pillars' || baseKind === 'current_audience' || baseKind === 'opportunity') ? 3 : 2;
-      safe.bullets = Array.isArray(safe.bullets) ? safe.bullets.slice(0, maxBullets) : [];
-    }
+    if (beat.max_bullets != null) safe.bullets = safe.bullets.slice(0, beat.max_bullets);
     return safe;
   });
 
   return {
     ...deckPlan,
-    deck_type: 'ad_agency',
+    deck_type: recipe.deck_type || deckPlan?.deck_type,
     deck_title: title,
     deck_subtitle: subtitle,
-    recommended_slide_count: 10,
+    recommended_slide_count: slides.length,
     slides
   };
 }
+
+// Locked beats, spelled out for the assemble / edit prompts.
+function recipeBeatList(recipe) {
+  return recipe.beats.map((b, i) => `${i + 1}) ${b.name} (kind "${b.kind}"${b.layouts.length ? `, layout ${b.layouts.join(' or ')}` : ''})`).join(' ');
+}
+
 /**
  * --- Agency concept quality pass ---
  * We keep this *very* scoped: only touches the Creative Concept slide messaging.
@@ -455,7 +299,7 @@ function buildAgencyConceptUserPrompt({ briefText, extractJson, narrativeJson, m
   ].join('\n');
 }
 
-async function refineAgencyConceptWithOpenAI(briefText, extractJson, narrativeJson, messagingMap, deckPlan, options = {}) {
+async function refineAgencyConcept(briefText, extractJson, narrativeJson, messagingMap, deckPlan, options = {}) {
   const slides = Array.isArray(deckPlan?.slides) ? deckPlan.slides : [];
   const idx = slides.findIndex(s => ['creative_concept','big_idea'].includes((s?.kind || '').toString().toLowerCase()));
   if (idx < 0) return deckPlan;
@@ -464,67 +308,11 @@ async function refineAgencyConceptWithOpenAI(briefText, extractJson, narrativeJs
   const currentLine = (current.title || '').toString();
   const needsHelp = isWeakAgencyConceptLine(currentLine, briefText);
 
-  const client = getOpenAIClient();
-  const { text: model } = getModels();
   const schema = buildAgencyConceptSchema();
   const system = buildAgencyConceptSystemPrompt({ language: asStr(options.language || 'English', 80) });
   const user = buildAgencyConceptUserPrompt({ briefText, extractJson, narrativeJson, messagingMap, currentConceptSlide: current });
 
-  const completion = await client.chat.completions.create({
-    model,
-    messages: [
-      { role: 'system', content: system },
-      { role: 'user', content: user }
-    ],
-    response_format: { type: 'json_schema', json_schema: schema },
-    temperature: 0.6
-  });
-
-  const content = completion.choices?.[0]?.message?.content;
-  if (!content) return deckPlan;
-
-  const out = JSON.parse(content);
-  const conceptLine = (out.concept_line || '').toString().trim();
-  const keep = !!out.keep_existing;
-
-  const finalLine = (keep && !needsHelp) ? currentLine : conceptLine;
-  const patchedLine = isWeakAgencyConceptLine(finalLine, briefText) ? (conceptLine || currentLine) : finalLine;
-
-  const nextSlides = slides.map((s, i) => {
-    if (i !== idx) return s;
-    return {
-      ...(s || {}),
-      title: patchedLine || currentLine || 'Big idea',
-      subtitle: (out.supporting_line || s.subtitle || '').toString(),
-      bullets: Array.isArray(out.proof_points) ? out.proof_points.filter(Boolean) : (Array.isArray(s.bullets) ? s.bullets : [])
-    };
-  });
-
-  return { ...(deckPlan || {}), slides: nextSlides };
-}
-
-async function refineAgencyConceptWithGemini(briefText, extractJson, narrativeJson, messagingMap, deckPlan, options = {}) {
-  const slides = Array.isArray(deckPlan?.slides) ? deckPlan.slides : [];
-  const idx = slides.findIndex(s => ['creative_concept','big_idea'].includes((s?.kind || '').toString().toLowerCase()));
-  if (idx < 0) return deckPlan;
-
-  const current = slides[idx] || {};
-  const currentLine = (current.title || '').toString();
-  const needsHelp = isWeakAgencyConceptLine(currentLine, briefText);
-
-  const { gemini_text: model } = getModels();
-  const schema = buildAgencyConceptSchema();
-
-  const system = buildAgencyConceptSystemPrompt({ language: asStr(options.language || 'English', 80) });
-  const user = buildAgencyConceptUserPrompt({ briefText, extractJson, narrativeJson, messagingMap, currentConceptSlide: current });
-
-  const out = await geminiGenerateJson({
-    model,
-    system,
-    user,
-    jsonSchema: schema.schema,
-    temperature: 0.6
-  });
+  const out = await generateStageJson('refine', options, { system, user, schema, temperature: 0.6 });
 
   const conceptLine = (out?.concept_line || '').toString().trim();
   const keep = !!out?.keep_existing;
@@ -551,9 +339,14 @@ function clampInt(n, lo, hi, fallback) {
 }
 
 
-function extractExplicitOutlineSignals(briefText = '') {
+function extractExplicitOutlineSignals(briefText = '', headings = []) {
   const text = (briefText || '').toString();
-  const lines = text.split(/\r?\n/);
+  // Structured headings (Markdown/HTML/RTF/ODT briefs) go first so they win over body-text matches.
+  // Markdown heading / list markers are stripped so "## Slide 3: Pricing" reads as "Slide 3: Pricing".
+  const lines = [
+    ...(Array.isArray(headings) ? headings.map(h => (h?.text || '').toString()) : []),
+    ...text.split(/\r?\n/).map(ln => ln.replace(/^\s{0,3}#{1,6}\s+/, '').replace(/^\s*[-*+•]\s+(?=(slide|page)\b)/i, ''))
+  ];
   const items = [];
   // Slide markers like: "Slide 1:", "Slide 1 -", "Page 3 —", "SLIDE 4 •"
   const re1 = /^\s*(slide|page)\s*(\d{1,3})\s*[:\-–•]\s*(.+?)\s*$/i;
@@ -592,11 +385,16 @@ function asStr(v, max = 200) {
   return (v ?? '').toString().slice(0, max);
 }
 
+// Voice id from the request; unknown ids (e.g. a deleted house voice) fall back to the default.
 function resolveVoiceProfile(options = {}) {
-  const raw = asStr(options.voiceProfile || options.voice_profile || options.voice || 'witty_agency', 40)
+  const raw = asStr(options.voiceProfile || options.voice_profile || options.voice || DEFAULT_VOICE, 40)
     .toLowerCase()
     .trim();
-  return VOICE_PROFILES.includes(raw) ? raw : 'witty_agency';
+  return getVoice(raw) ? raw : DEFAULT_VOICE;
+}
+
+function voiceRules(voiceProfile) {
+  return getVoice(voiceProfile) || getVoice(DEFAULT_VOICE);
 }
 
 function buildExtractSchema() {
@@ -725,6 +523,39 @@ function buildExtractSchema() {
           }
         },
 
+        // Hard requirements, traced to the document they came from
+        requirements: {
+          type: 'array',
+          maxItems: 15,
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              requirement: { type: 'string' },
+              source: { type: 'string', description: 'Filename of the document that states it (or "brief" for a single pasted brief).' },
+              page: { type: ['integer', 'null'], description: 'Page from the nearest preceding [Page N] marker, or null.' }
+            },
+            required: ['requirement', 'source', 'page']
+          }
+        },
+
+        // Meeting transcripts: what was decided / asked / ruled out, and by whom
+        transcript_points: {
+          type: 'array',
+          maxItems: 15,
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              kind: { type: 'string', enum: ['decision', 'ask', 'constraint'] },
+              text: { type: 'string' },
+              speaker: { type: 'string', description: 'Speaker label exactly as in the transcript.' },
+              timestamp: { type: 'string', description: 'HH:MM:SS of the transcript line.' }
+            },
+            required: ['kind', 'text', 'speaker', 'timestamp']
+          }
+        },
+
         // Missing info
         missing_info: { type: 'array', items: { type: 'string' }, maxItems: 12 },
         source_summary: { type: 'string' }
@@ -755,6 +586,8 @@ function buildExtractSchema() {
         'status_items',
         'pricing',
         'team',
+        'requirements',
+        'transcript_points',
         'missing_info',
         'source_summary'
       ]
@@ -828,7 +661,7 @@ function buildMessagingSchema() {
       type: 'object',
       additionalProperties: false,
       properties: {
-        voice_profile: { type: 'string', enum: VOICE_PROFILES },
+        voice_profile: { type: 'string', enum: listVoices().map(v => v.id) },
         anchors: {
           type: 'array',
           minItems: 1,
@@ -1226,13 +1059,29 @@ function buildDeckSchema() {
                 }
               },
 
+              // Spreadsheet source for chart / table / kpis blocks (cells are filled server-side)
+              data_ref: {
+                type: ['object', 'null'],
+                additionalProperties: false,
+                properties: {
+                  sheet: { type: 'string' },
+                  range: { type: 'string', description: 'A1 range including the header row, e.g. "A1:C8".' },
+                  label_column: { type: 'string' },
+                  value_columns: { type: 'array', items: { type: 'string' }, maxItems: 4 }
+                },
+                required: ['sheet', 'range', 'label_column', 'value_columns']
+              },
+
+              // Image embedded in the brief (assets[].id) used instead of a generated image
+              asset_id: { type: ['string', 'null'] },
+
               image_prompt: {
                 type: 'string',
                 description: 'Prompt to generate a supporting background/illustration. Use empty string or "NONE" if no image is needed.'
               },
               speaker_notes: { type: 'string' }
             },
-            required: ['kind', 'layout', 'section', 'setup_line', 'takeaway', 'bridge_line', 'title', 'subtitle', 'bullets', 'stat', 'quote', 'agenda_items', 'cards', 'timeline_items', 'kpis', 'status_items', 'table', 'pricing', 'matrix', 'steps', 'people', 'logo_items', 'cta', 'swot', 'funnel', 'now_next_later', 'okrs', 'case_study', 'diagram', 'icons', 'chart', 'org_chart', 'faq', 'image_prompt', 'speaker_notes']
+            required: ['kind', 'layout', 'section', 'setup_line', 'takeaway', 'bridge_line', 'title', 'subtitle', 'bullets', 'stat', 'quote', 'agenda_items', 'cards', 'timeline_items', 'kpis', 'status_items', 'table', 'pricing', 'matrix', 'steps', 'people', 'logo_items', 'cta', 'swot', 'funnel', 'now_next_later', 'okrs', 'case_study', 'diagram', 'icons', 'chart', 'org_chart', 'faq', 'data_ref', 'asset_id', 'image_prompt', 'speaker_notes']
           }
         }
       },
@@ -1241,23 +1090,34 @@ function buildDeckSchema() {
   };
 }
 
-function buildExtractSystemPrompt({ vibe, audience, language }) {
+function buildExtractSystemPrompt({ vibe, audience, language, multiSource, chunk, hasTranscript }) {
   return [
     `You are a senior strategist. Extract structured facts from a messy brief so another model can build a deck.`,
     `Be faithful to the brief. Do NOT invent specific numbers, dates, or claims. Use placeholders if missing.`,
+    chunk
+      ? `You are reading excerpt ${chunk.n} of ${chunk.total} of a long brief; the excerpts are merged afterwards. Extract only what this excerpt states. Leave fields this excerpt does not cover as empty strings / empty arrays (pricing: null) instead of placeholders, and do not list missing_info that other parts of the brief may cover.`
+      : '',
+    multiSource
+      ? `The brief arrives as several labelled documents. Respect each document's role: RFP/brief documents state requirements and scope; brand books state constraints on tone and visuals; notes and reference material are background, not commitments. Only list a requirement if a document states it, and set requirements[].source to that document's filename.`
+      : `List explicit requirements with source "brief".`,
+    hasTranscript
+      ? `Lines like "[00:14:32] Client CMO: …" are a meeting transcript. Separate substance from chatter: list what was agreed in transcript_points as "decision", what a speaker requested from us as "ask", and limits (budget, dates, mandatories, no-gos) as "constraint", each with the speaker label and timestamp of the line that states it. Skip greetings, small talk, thinking aloud and ideas nobody agreed to. Also copy constraints into constraints and asks into requirements (source = the transcript file).`
+      : `Set transcript_points to [].`,
+    `Page markers like [Page 4] show where text sits in the original document: set requirements[].page from them (null when there are none). Markdown tables (| a | b |) are tables from the document; read requirements and evaluation criteria from their rows.`,
     `Output MUST match the JSON schema strictly.`,
     `Keep text short and usable.`,
     `Language: ${language}. Audience: ${audience}. Desired vibe: ${vibe}.`
-  ].join(' ');
+  ].filter(Boolean).join(' ');
 }
 
-function buildNarrativeSystemPrompt({ vibe, audience, language, voiceProfile, requestedDeckType }) {
+function buildNarrativeSystemPrompt({ vibe, audience, language, voiceProfile, requestedDeckType, recipe, angle }) {
   // Keep this prompt deterministic: it produces the *journey blueprint*.
-  const recipeNames = Object.keys(DECK_RECIPES);
-  const recipeLines = recipeNames
-    .map((k) => `${k}: ${DECK_RECIPES[k].join(' → ')}`)
+  const recipes = listRecipes();
+  const recipeNames = recipes.map(r => r.id);
+  const recipeLines = recipes
+    .map((r) => `${r.id}: ${r.beats.map(b => b.kind).join(' → ')}`)
     .join(' | ');
-  const voice = VOICE_RULES[voiceProfile] || VOICE_RULES.witty_agency;
+  const voice = voiceRules(voiceProfile);
   return [
     `You are a senior strategist and narrative director. Your job is to create the messaging journey for a deck.`,
     `Input: extracted brief JSON (facts). Output: a narrative_plan that ensures slide-to-slide flow (no random jumps).`,
@@ -1265,14 +1125,20 @@ function buildNarrativeSystemPrompt({ vibe, audience, language, voiceProfile, re
     `Choose a recipe_name from: ${recipeNames.join(', ')}.`,
     `Recipe sequences: ${recipeLines}`,
     `Recipes are story templates (order of ideas), not visual templates.`,
-    `IMPORTANT: If the deck_type is "ad_agency" (or the user requested ad_agency), you MUST use recipe_name "agency_creative_10" and create EXACTLY 10 sections matching these beats in this exact order: 1) Title 2) Current Audience 3) About the Brand 4) The Challenge/The Problem 5) The Opportunity 6) Communication Pillars/Media Types 7) Creative Concept (one punchy campaign line / big idea) 8) Visual Identity (proposed design style) 9) Execution Example 10) Thank You.`,
+    recipe?.locked
+      ? `IMPORTANT: you MUST use recipe_name "${recipe.id}" and create EXACTLY ${recipe.beats.length} sections matching these beats in this exact order: ${recipe.beats.map((b, i) => `${i + 1}) ${b.name}${b.goal ? ` (${b.goal})` : ''}`).join(' ')}. Use the beat's kind in slide_kinds.`
+      : recipe
+        ? `The user chose recipe_name "${recipe.id}": follow its beats in order, adapting them to the brief.`
+        : null,
+    // Variants mode (variants.js): the same brief told from different angles.
+    angle ? `Story angle: ${angle} Let it decide what the deck opens on and the order of the sections.` : null,
     `For marketing case studies, follow this proven arc: proof of signal → brand alignment → challenge → reframe to opportunity → pillars → platform → visual system → executions → measurement → next steps → close.`,
     `Write crisp, declarative key_message lines. Each section must end with a transition_to_next that tees up the next beat.`,
     `Voice profile: ${voice.name}. ${voice.tagline}`,
     `Headline discipline: ${voice.headline_rules.join(' ')} `,
     requestedDeckType ? `Requested deck type (if any): ${requestedDeckType}.` : `No explicit deck type requested.`,
     `Language: ${language}. Audience: ${audience}. Vibe: ${vibe}.`
-  ].join(' ');
+  ].filter(Boolean).join(' ');
 }
 
 function buildNarrativeUserPrompt(extractJson) {
@@ -1284,8 +1150,8 @@ function buildNarrativeUserPrompt(extractJson) {
   ].join('\n\n');
 }
 
-function buildAssembleSystemPrompt({ vibe, audience, language, requestedDeckType, requestedSlides, voiceProfile }) {
-  const voice = VOICE_RULES[voiceProfile] || VOICE_RULES.witty_agency;
+function buildAssembleSystemPrompt({ vibe, audience, language, requestedDeckType, requestedSlides, voiceProfile, hasData, hasDocTables, hasAssets, hasTranscript, recipe }) {
+  const voice = voiceRules(voiceProfile);
   return [
     `You are a senior creative director and presentation architect.`,
     `Task: assemble a coherent slide-by-slide PowerPoint plan from: (1) extracted brief JSON (facts) and (2) narrative_plan (journey).`,
@@ -1293,8 +1159,8 @@ function buildAssembleSystemPrompt({ vibe, audience, language, requestedDeckType
     `CRITICAL: Follow narrative_plan.sections in order. Do not shuffle beats. Do not introduce new topics late.`,
     `CRITICAL: Use narrative_plan.lexicon.prefer_terms and avoid narrative_plan.lexicon.avoid_terms to keep terminology consistent.`,
     `CRITICAL: Fill slide.section, slide.setup_line, slide.takeaway, slide.bridge_line to create smooth continuity.`,
-    requestedDeckType === 'ad_agency'
-      ? `AGENCY MODE (STRICT): Output EXACTLY 10 slides, in this exact order, with these slide.kind values: title, current_audience, about_brand, challenge, opportunity, communication_pillars, creative_concept, visual_identity, execution_example, thank_you. Do NOT add or remove slides. Do NOT rename kinds. Each slide.section should match the human-friendly page name.`
+    recipe
+      ? `LOCKED STRUCTURE (STRICT, recipe "${recipe.id}"): Output EXACTLY ${recipe.beats.length} slides, in this exact order: ${recipeBeatList(recipe)}. Do NOT add or remove slides. Do NOT rename kinds. Each slide.section should match the beat name.`
       : ``,
     `Prefer the new business layouts when appropriate: timeline, kpi_dashboard, traffic_light, table, pricing, comparison_matrix, process_steps, team_grid, logo_wall, agenda, section_header, swot, funnel, now_next_later, okr, case_study, chart_bar, chart_line, org_chart, faq, infographic_3.`,
     `Avoid filler. Make it crisp and executive-ready.`,
@@ -1312,15 +1178,37 @@ function buildAssembleSystemPrompt({ vibe, audience, language, requestedDeckType
     `Diction rules: ${voice.diction_rules.join(' ')} `,
     `Make slide variety: alternate layouts, include at least one data-style slide when relevant.`,
     `If data is missing, use safe placeholders and explain missing inputs in speaker_notes.`,
+    hasData
+      ? `DATA TABLES: extracted brief JSON has data_tables (spreadsheet sheets with ranges, columns and preview rows). For every chart, table or kpis slide built from them, set slide.data_ref to { sheet, range (A1, include the header row), label_column, value_columns (header names) }. Cell values are filled in from the spreadsheet afterwards, so do not invent figures; set data_ref to null on every other slide.`
+      : `Set slide.data_ref to null (no spreadsheet data was provided).`,
+    hasDocTables
+      ? `DOCUMENT TABLES: extracted brief JSON has document_tables (tables from the brief, with page numbers). Turn requirement, specification and criteria tables into "table" slides (copy headers and cell text verbatim, at most 6 columns x 12 rows); tables of options vs. criteria with yes/no/✓ cells become "comparison_matrix" slides. Cite the table's page in speaker_notes (e.g. "Source: p. 4").`
+      : null,
+    hasAssets
+      ? `BRIEF IMAGES: extracted brief JSON has assets (images embedded in the client's files, with where they appeared). When a product shot or campaign photo fits an image-led slide, set slide.asset_id to its id and image_prompt to "NONE" instead of describing a new image. Never use kind "logo" assets as slide visuals. Otherwise set asset_id to null.`
+      : `Set slide.asset_id to null.`,
+    hasTranscript
+      ? `MEETING TRANSCRIPT: extracted brief JSON has transcript_points (decisions, asks and constraints from a recorded call). Build on decisions, answer every ask somewhere in the deck, and never contradict a constraint. When a slide relies on a point, cite it in speaker_notes as "per <speaker> at <timestamp>" (e.g. "per Client CMO at 00:14:32"), using the speaker and timestamp verbatim.`
+      : null,
     requestedDeckType ? `Requested deck type: ${requestedDeckType} (respect unless clearly wrong).` : `Deck type: infer from extracted brief.`,
     requestedSlides ? `Target slides: ${requestedSlides} (soft target; keep structure coherent).` : `Choose 5–18 slides as needed.`,
     `Language: ${language}. Audience: ${audience}. Vibe: ${vibe}.`,
     `Image prompts: visually specific, no logos, no copyrighted characters, NEVER ask for text/words in images. For data/table slides, you may set image_prompt to "NONE".`
-  ].join(' ');
+  ].filter(Boolean).join(' ');
 }
 
-function buildUserPrompt(briefText) {
-  return `Brief (may include messy notes; extract intent, facts, and structure):\n\n${briefText}`;
+function buildUserPrompt(briefText, sources = []) {
+  if (!Array.isArray(sources) || !sources.length) {
+    return `Brief (may include messy notes; extract intent, facts, and structure):\n\n${briefText}`;
+  }
+  const docs = sources.map((src, i) => [
+    `=== Document ${i + 1}: ${src.filename} (role: ${src.role}) ===`,
+    src.text || '(no text extracted)'
+  ].join('\n'));
+  return [
+    `Brief documents (${sources.length}). Each is labelled with its filename and role; keep track of which document a fact comes from.`,
+    ...docs
+  ].join('\n\n');
 }
 
 function buildAssembleUserPrompt(extractJson, narrativeJson, messagingMap) {
@@ -1336,7 +1224,7 @@ function buildAssembleUserPrompt(extractJson, narrativeJson, messagingMap) {
 }
 
 function buildMessagingSystemPrompt({ vibe, audience, language, voiceProfile }) {
-  const voice = VOICE_RULES[voiceProfile] || VOICE_RULES.witty_agency;
+  const voice = voiceRules(voiceProfile);
   return [
     `You are a creative director and narrative copy editor. Your job is to define the "agency brain" messaging constraints for this deck so the copy feels authored (not random).`,
     `Input: extracted brief JSON and narrative_plan JSON. Output: messaging_map JSON per schema.`,
@@ -1364,13 +1252,13 @@ function buildMessagingUserPrompt(extractJson, narrativeJson, voiceProfile) {
   ].join('\n\n');
 }
 
-function buildEditSystemPrompt({ vibe, audience, language, voiceProfile, requestedDeckType }) {
-  const voice = VOICE_RULES[voiceProfile] || VOICE_RULES.witty_agency;
+function buildEditSystemPrompt({ vibe, audience, language, voiceProfile, recipe }) {
+  const voice = voiceRules(voiceProfile);
   return [
     `You are the final creative director pass ("deck editor"). Your job is to rewrite ONLY the messaging so the deck reads as one authored journey.`,
     `Input: extracted brief JSON, narrative_plan JSON, messaging_map JSON, and an initial deck_plan JSON. Output: an improved deck_plan JSON matching the SAME schema exactly.`,
-    requestedDeckType === 'ad_agency'
-      ? `AGENCY MODE (STRICT): Keep the deck at EXACTLY 10 slides. Do NOT merge, split, add, or remove slides. Only rewrite the messaging.`
+    recipe
+      ? `LOCKED STRUCTURE (STRICT): Keep the deck at EXACTLY ${recipe.beats.length} slides with their kinds and order. Do NOT merge, split, add, or remove slides. Only rewrite the messaging.`
       : `DO NOT change the deck structure unless needed for flow: you may merge or split slides ONLY if absolutely necessary; prefer rewriting instead. Keep slide count within 5–18.`,
     `DO NOT invent new facts, numbers, dates, client names, results. If unknown, keep placeholders in speaker_notes.`,
     `CRITICAL RULES (must pass):`,
@@ -1381,6 +1269,8 @@ function buildEditSystemPrompt({ vibe, audience, language, voiceProfile, request
     `5) Consistent lexicon: prefer narrative_plan.lexicon.prefer_terms; avoid narrative_plan.lexicon.avoid_terms + messaging_map.buzzwords_to_avoid.`,
     `6) Bullet density: rewrite any bullet that is shorter than 6 words or feels generic. Every bullet should be specific, insightful, and self-contained.`,
     `7) Two-column slides: ensure the first half are KEY POINTS and the second half are MORE DETAIL elaborations. No single-word bullets.`,
+    `8) Keep every slide.data_ref and slide.asset_id exactly as given (they point at spreadsheet cells and brief images).`,
+    `9) Keep source citations in speaker_notes (e.g. "Source: p. 4", "per Client CMO at 00:14:32") exactly as written.`,
     `Voice profile: ${voice.name}. ${voice.tagline}`,
     `Diction rules: ${voice.diction_rules.join(' ')} `,
     `Language: ${language}. Audience: ${audience}. Vibe: ${vibe}.`
@@ -1401,91 +1291,53 @@ function buildEditUserPrompt(extractJson, narrativeJson, messagingMap, deckPlan)
   ].join('\n\n');
 }
 
-async function extractBriefWithOpenAI(briefText, options = {}) {
-  const client = getOpenAIClient();
-  const { text: model } = getModels();
-
+async function extractBriefJson(briefText, options = {}, sources = [], chunk = null) {
   const vibe = asStr(options.vibe || 'Modern, premium', 120);
   const audience = asStr(options.audience || 'general', 120);
   const language = asStr(options.language || 'English', 80);
 
   const schema = buildExtractSchema();
-  const system = buildExtractSystemPrompt({ vibe, audience, language });
-  const user = buildUserPrompt(briefText);
-
-  const completion = await client.chat.completions.create({
-    model,
-    messages: [
-      { role: 'system', content: system },
-      { role: 'user', content: user }
-    ],
-    response_format: { type: 'json_schema', json_schema: schema },
-    temperature: 0.4
-  });
+  const hasTranscript = hasTranscriptLines(briefText) || sources.some(src => hasTranscriptLines(src.text));
+  const system = buildExtractSystemPrompt({ vibe, audience, language, multiSource: sources.length > 0, chunk, hasTranscript });
+  const user = buildUserPrompt(briefText, sources);
 
-  const content = completion.choices?.[0]?.message?.content;
-  if (!content) throw new Error('No extract returned from model.');
-  return JSON.parse(content);
+  return generateStageJson('extract', options, { system, user, schema, temperature: 0.4 });
 }
 
-async function extractBriefWithGemini(briefText, options = {}) {
-  const { gemini_text: defaultGeminiTextModel } = getModels();
+const EXTRACT_CONCURRENCY = 3;
 
-  const vibe = asStr(options.vibe || 'Modern, premium', 120);
-  const audience = asStr(options.audience || 'general', 120);
-  const language = asStr(options.language || 'English', 80);
-
-  const schema = buildExtractSchema();
-  const system = buildExtractSystemPrompt({ vibe, audience, language });
-  const user = buildUserPrompt(briefText);
-
-  return geminiGenerateJson({
-    model: defaultGeminiTextModel,
-    system,
-    user,
-    jsonSchema: schema.schema,
-    temperature: 0.4
-  });
+function shouldChunkExtract(briefText, sources = [], options = {}) {
+  if (typeof options.chunkedExtract === 'boolean') return options.chunkedExtract;
+  const chars = sources.length ? sources.reduce((n, src) => n + (src.text || '').length, 0) : (briefText || '').length;
+  return chars > LONG_BRIEF_CHARS;
 }
 
-async function planNarrativeWithOpenAI(extractJson, options = {}) {
-  const client = getOpenAIClient();
-  const { text: model } = getModels();
-
-  const voiceProfile = resolveVoiceProfile(options);
-
-  const vibe = asStr(options.vibe || extractJson?.vibe || 'Modern, premium', 120);
-  const audience = asStr(options.audience || extractJson?.audience || 'general', 120);
-  const language = asStr(options.language || extractJson?.language || 'English', 80);
-
-  const schema = buildNarrativeSchema();
-  const system = buildNarrativeSystemPrompt({
-    vibe,
-    audience,
-    language,
-    voiceProfile,
-    requestedDeckType: asStr(options.deckType || options.deck_type || '', 80).trim() || null
-  });
-  const user = buildNarrativeUserPrompt(extractJson);
-
-  const completion = await client.chat.completions.create({
-    model,
-    messages: [
-      { role: 'system', content: system },
-      { role: 'user', content: user }
-    ],
-    response_format: { type: 'json_schema', json_schema: schema },
-    temperature: 0.35
-  });
-
-  const content = completion.choices?.[0]?.message?.content;
-  if (!content) throw new Error('No narrative_plan returned from model.');
-  return JSON.parse(content);
+/**
+ * Map-reduce extract for long briefs: split by section, run brief_extract per chunk, merge.
+ * Returns { extract, chunking: { chunks: [{ id, source, heading, pages, chars }], trace } }.
+ */
+async function extractBriefChunked(briefText, options = {}, sources = []) {
+  const docs = sources.length
+    ? sources.map(src => ({ text: src.text, source: src.filename, role: src.role }))
+    : [{ text: briefText }];
+  const chunks = splitBriefChunks(docs);
+  const limit = pLimit(EXTRACT_CONCURRENCY);
+  const results = await Promise.all(chunks.map((chunk, i) => limit(() => {
+    // Multi-document briefs: each chunk is shown as an excerpt of its own labelled document.
+    const chunkSources = chunk.source ? [{ filename: chunk.source, role: chunk.role, text: chunk.text }] : [];
+    return extractBriefJson(chunk.text, options, chunkSources, { n: i + 1, total: chunks.length });
+  })));
+
+  const props = buildExtractSchema().schema.properties;
+  const limits = Object.fromEntries(Object.entries(props).filter(([, p]) => p.maxItems).map(([k, p]) => [k, p.maxItems]));
+  const { extract, trace } = mergeExtracts(results, chunks, limits);
+  return {
+    extract,
+    chunking: { chunks: chunks.map(({ text, ...meta }) => meta), trace }
+  };
 }
 
-async function planNarrativeWithGemini(extractJson, options = {}) {
-  const { gemini_text: defaultGeminiTextModel } = getModels();
-
+async function planNarrative(extractJson, options = {}) {
   const voiceProfile = resolveVoiceProfile(options);
 
   const vibe = asStr(options.vibe || extractJson?.vibe || 'Modern, premium', 120);
@@ -1498,23 +1350,16 @@ async function planNarrativeWithGemini(extractJson, options = {}) {
     audience,
     language,
     voiceProfile,
-    requestedDeckType: asStr(options.deckType || options.deck_type || '', 80).trim() || null
+    requestedDeckType: asStr(options.deckType || options.deck_type || '', 80).trim() || null,
+    recipe: resolveRecipe(extractJson, options),
+    angle: asStr(options.angle || '', 300).trim() || null
   });
   const user = buildNarrativeUserPrompt(extractJson);
 
-  return geminiGenerateJson({
-    model: defaultGeminiTextModel,
-    system,
-    user,
-    jsonSchema: schema.schema,
-    temperature: 0.35
-  });
+  return generateStageJson('narrative', options, { system, user, schema, temperature: 0.35 });
 }
 
-async function planMessagingWithOpenAI(extractJson, narrativeJson, options = {}) {
-  const client = getOpenAIClient();
-  const { text: model } = getModels();
-
+async function planMessaging(extractJson, narrativeJson, options = {}) {
   const voiceProfile = resolveVoiceProfile(options);
   const vibe = asStr(options.vibe || extractJson?.vibe || 'Modern, premium', 120);
   const audience = asStr(options.audience || extractJson?.audience || 'general', 120);
@@ -1524,138 +1369,32 @@ async function planMessagingWithOpenAI(extractJson, narrativeJson, options = {})
   const system = buildMessagingSystemPrompt({ vibe, audience, language, voiceProfile });
   const user = buildMessagingUserPrompt(extractJson, narrativeJson, voiceProfile);
 
-  const completion = await client.chat.completions.create({
-    model,
-    messages: [
-      { role: 'system', content: system },
-      { role: 'user', content: user }
-    ],
-    response_format: { type: 'json_schema', json_schema: schema },
-    temperature: 0.35
-  });
-
-  const content = completion.choices?.[0]?.message?.content;
-  if (!content) throw new Error('No messaging_map returned from model.');
-  return JSON.parse(content);
-}
-
-async function planMessagingWithGemini(extractJson, narrativeJson, options = {}) {
-  const { gemini_text: defaultGeminiTextModel } = getModels();
-
-  const voiceProfile = resolveVoiceProfile(options);
-  const vibe = asStr(options.vibe || extractJson?.vibe || 'Modern, premium', 120);
-  const audience = asStr(options.audience || extractJson?.audience || 'general', 120);
-  const language = asStr(options.language || extractJson?.language || 'English', 80);
-
-  const schema = buildMessagingSchema();
-  const system = buildMessagingSystemPrompt({ vibe, audience, language, voiceProfile });
-  const user = buildMessagingUserPrompt(extractJson, narrativeJson, voiceProfile);
-
-  return geminiGenerateJson({
-    model: defaultGeminiTextModel,
-    system,
-    user,
-    jsonSchema: schema.schema,
-    temperature: 0.35
-  });
-}
-
-async function assembleDeckWithOpenAI(extractJson, narrativeJson, messagingMap, options = {}) {
-  const client = getOpenAIClient();
-  const { text: model } = getModels();
-
-  const nSlides = clampInt(options.nSlides ?? 10, 5, SAFE_MAX_SLIDES, 10);
-  const voiceProfile = resolveVoiceProfile(options);
-  const vibe = asStr(options.vibe || 'Modern, premium', 120);
-  const audience = asStr(options.audience || 'general', 120);
-  const language = asStr(options.language || 'English', 80);
-  const requestedDeckTypeRaw = asStr(options.deckType || options.deck_type || '', 80).trim() || null;
-  const lockAgency = shouldLockAgency10(extractJson, options);
-  const requestedDeckType = lockAgency ? 'ad_agency' : requestedDeckTypeRaw;
-  const requestedSlides = lockAgency ? 10 : nSlides;
-
-  const schema = buildDeckSchema();
-  const system = buildAssembleSystemPrompt({ vibe, audience, language, requestedDeckType, requestedSlides, voiceProfile });
-  const user = buildAssembleUserPrompt(extractJson, narrativeJson, messagingMap);
-
-  const completion = await client.chat.completions.create({
-    model,
-    messages: [
-      { role: 'system', content: system },
-      { role: 'user', content: user }
-    ],
-    response_format: { type: 'json_schema', json_schema: schema },
-    temperature: 0.7
-  });
-
-  const content = completion.choices?.[0]?.message?.content;
-  if (!content) throw new Error('No plan returned from model.');
-  return JSON.parse(content);
+  return generateStageJson('messaging', options, { system, user, schema, temperature: 0.35 });
 }
 
-async function assembleDeckWithGemini(extractJson, narrativeJson, messagingMap, options = {}) {
-  const { gemini_text: defaultGeminiTextModel } = getModels();
-
+async function assembleDeck(extractJson, narrativeJson, messagingMap, options = {}) {
   const nSlides = clampInt(options.nSlides ?? 10, 5, SAFE_MAX_SLIDES, 10);
   const voiceProfile = resolveVoiceProfile(options);
   const vibe = asStr(options.vibe || 'Modern, premium', 120);
   const audience = asStr(options.audience || 'general', 120);
   const language = asStr(options.language || 'English', 80);
   const requestedDeckTypeRaw = asStr(options.deckType || options.deck_type || '', 80).trim() || null;
-  const lockAgency = shouldLockAgency10(extractJson, options);
-  const requestedDeckType = lockAgency ? 'ad_agency' : requestedDeckTypeRaw;
-  const requestedSlides = lockAgency ? 10 : nSlides;
+  const recipe = lockedRecipe(extractJson, options);
+  const requestedDeckType = recipe?.deck_type || requestedDeckTypeRaw;
+  const requestedSlides = recipe ? recipe.beats.length : nSlides;
 
   const schema = buildDeckSchema();
-  const system = buildAssembleSystemPrompt({ vibe, audience, language, requestedDeckType, requestedSlides, voiceProfile });
+  const hasData = Array.isArray(extractJson?.data_tables) && extractJson.data_tables.length > 0;
+  const hasDocTables = Array.isArray(extractJson?.document_tables) && extractJson.document_tables.length > 0;
+  const hasAssets = Array.isArray(extractJson?.assets) && extractJson.assets.length > 0;
+  const hasTranscript = Array.isArray(extractJson?.transcript_points) && extractJson.transcript_points.length > 0;
+  const system = buildAssembleSystemPrompt({ vibe, audience, language, requestedDeckType, requestedSlides, voiceProfile, hasData, hasDocTables, hasAssets, hasTranscript, recipe });
   const user = buildAssembleUserPrompt(extractJson, narrativeJson, messagingMap);
 
-  return geminiGenerateJson({
-    model: defaultGeminiTextModel,
-    system,
-    user,
-    jsonSchema: schema.schema,
-    temperature: 0.7
-  });
-}
-
-async function editDeckWithOpenAI(extractJson, narrativeJson, messagingMap, deckPlan, options = {}) {
-  const client = getOpenAIClient();
-  const { text: model } = getModels();
-
-  const voiceProfile = resolveVoiceProfile(options);
-  const vibe = asStr(options.vibe || 'Modern, premium', 120);
-  const audience = asStr(options.audience || 'general', 120);
-  const language = asStr(options.language || 'English', 80);
-
-  const schema = buildDeckSchema();
-  const system = buildEditSystemPrompt({
-    vibe,
-    audience,
-    language,
-    voiceProfile,
-    requestedDeckType: shouldLockAgency10(extractJson, options) ? 'ad_agency' : null
-  });
-  const user = buildEditUserPrompt(extractJson, narrativeJson, messagingMap, deckPlan);
-
-  const completion = await client.chat.completions.create({
-    model,
-    messages: [
-      { role: 'system', content: system },
-      { role: 'user', content: user }
-    ],
-    response_format: { type: 'json_schema', json_schema: schema },
-    temperature: 0.35
-  });
-
-  const content = completion.choices?.[0]?.message?.content;
-  if (!content) throw new Error('No edited deck_plan returned from model.');
-  return JSON.parse(content);
+  return generateStageJson('assemble', options, { system, user, schema, temperature: 0.7 });
 }
 
-async function editDeckWithGemini(extractJson, narrativeJson, messagingMap, deckPlan, options = {}) {
-  const { gemini_text: defaultGeminiTextModel } = getModels();
-
+async function editDeck(extractJson, narrativeJson, messagingMap, deckPlan, options = {}) {
   const voiceProfile = resolveVoiceProfile(options);
   const vibe = asStr(options.vibe || 'Modern, premium', 120);
   const audience = asStr(options.audience || 'general', 120);
@@ -1667,95 +1406,421 @@ async function editDeckWithGemini(extractJson, narrativeJson, messagingMap, deck
     audience,
     language,
     voiceProfile,
-    requestedDeckType: shouldLockAgency10(extractJson, options) ? 'ad_agency' : null
+    recipe: lockedRecipe(extractJson, options)
   });
   const user = buildEditUserPrompt(extractJson, narrativeJson, messagingMap, deckPlan);
 
-  return geminiGenerateJson({
-    model: defaultGeminiTextModel,
-    system,
-    user,
-    jsonSchema: schema.schema,
-    temperature: 0.35
-  });
+  return generateStageJson('edit', options, { system, user, schema, temperature: 0.35 });
 }
 
 // -------- Public API --------
 
 /**
  * Two-pass planning (extract → assemble). Default ON.
- * options.provider: 'openai' | 'gemini'
+ * options.provider: default provider for every stage ('openai' | 'gemini' | 'anthropic' | 'azure' | 'openai_compatible').
+ * options.providers: per-stage overrides, e.g. { extract: 'openai_compatible', images: 'gemini' } (see providers/index.js).
  * options.twoPass: boolean (default true)
+ * ctx.tables: typed spreadsheet tables (see sheets.js); chart/table/kpis slides are filled from them.
+ * ctx.blocks: structured brief blocks (see blocks.js); headings feed explicit outline detection and
+ *   document tables are handed to assembly for table / comparison_matrix slides.
+ * ctx.sources: [{ filename, role, text }] — extracted separately and shown to the extract step as labelled documents.
+ * ctx.assets: images embedded in the brief (see assets.js); assembly may put them on slides via slide.asset_id.
+ * options.chunkedExtract: true / false forces map-reduce extraction on / off; by default it runs for briefs
+ *   over LONG_BRIEF_CHARS (see chunks.js). The chunk list and per-fact trace land on plan._extract.chunking.
+ * ctx.onStage({ stage, status, ms, error? }): progress per PLAN_STAGES entry (see runStage).
+ * ctx.signal: AbortSignal; aborting cancels the in-flight provider call and throws err.code === 'cancelled'.
+ * ctx.stopAfter: 'messaging' returns { stoppedAfter, _extract, _narrative, _messaging } instead of a deck;
+ *   'extract' returns { stoppedAfter, _extract, completeness } (see completeness.js).
  */
-export async function planDeck(briefText, options = {}) {
-  const provider = (options.provider || 'openai').toString().toLowerCase();
-  const outlineSignals = extractExplicitOutlineSignals(briefText);
+export async function planDeck(briefText, options = {}, ctx = {}) {
+  const outlineSignals = extractExplicitOutlineSignals(briefText, blocksToHeadings(ctx.blocks));
+  const partial = {};
+  // Provider calls see the cancel signal through options (generateStageJson aborts in-flight requests).
+  const callOptions = ctx.signal ? { ...options, signal: ctx.signal } : options;
+  // ctx.resume (see replanDeck): stages before resume.from hand back the plan's artifacts instead of calling a model.
+  const resumeAt = ctx.resume ? STAGE_IDS.indexOf(ctx.resume.from) : -1;
+  const reused = (name) => STAGE_IDS.indexOf(name) < resumeAt;
+  const stage = (name, fn) => (reused(name)
+    ? reuseStage(name, ctx, resumedArtifact(ctx.resume.plan, name))
+    : runStage(name, ctx, partial, fn));
 
   const twoPass = options.twoPass !== false;
 
-  if (!twoPass) {
+  if (!twoPass && !ctx.resume) {
     // Fallback to the old one-pass behavior (still works, but less reliable).
     // We keep it for debugging.
-    return planDeckOnePass(briefText, options);
+    const plan = await stage('plan', () => planDeckOnePass(briefText, callOptions));
+    plan.slides = citeSlides(Array.isArray(plan.slides) ? plan.slides : [], briefText);
+    return plan;
   }
 
-  const extract = provider === 'gemini'
-    ? await extractBriefWithGemini(briefText, options)
-    : await extractBriefWithOpenAI(briefText, options);
+  const sources = Array.isArray(ctx.sources) ? ctx.sources : [];
+  let chunking = reused('extract') ? (ctx.resume.plan?._extract?.chunking || null) : null;
+  const extract = await stage('extract', async () => {
+    if (!shouldChunkExtract(briefText, sources, options)) return extractBriefJson(briefText, callOptions, sources);
+    const out = await extractBriefChunked(briefText, callOptions, sources);
+    chunking = out.chunking;
+    return out.extract;
+  });
+
+  // A reused extract already carries the hints below from the run that produced it.
+  if (sources.length && !reused('extract')) {
+    extract.sources = sources.map(src => ({ filename: src.filename, role: src.role }));
+  }
 
   // Attach explicit slide-by-slide outline hints if present (used to expand naturally; not hard-enforced)
-  if (outlineSignals?.outline?.length) {
+  if (outlineSignals?.outline?.length && !reused('extract')) {
     extract.explicit_outline = outlineSignals.outline;
   }
-  if (outlineSignals?.range) {
+  if (outlineSignals?.range && !reused('extract')) {
     extract.slide_count_range_hint = outlineSignals.range;
   }
+  const tables = Array.isArray(ctx.tables) ? ctx.tables : [];
+  if (tables.length) {
+    extract.data_tables = summarizeTables(tables);
+  }
+  const documentTables = blocksToTables(ctx.blocks);
+  if (documentTables.length) {
+    extract.document_tables = documentTables;
+  }
+  const assets = Array.isArray(ctx.assets) ? ctx.assets : [];
+  if (assets.length && !reused('extract')) {
+    extract.assets = assets.map(a => ({
+      id: a.id,
+      kind: a.kind,
+      source: a.source,
+      context: a.context,
+      orientation: a.width >= a.height * 1.2 ? 'landscape' : (a.height >= a.width * 1.2 ? 'portrait' : 'square')
+    }));
+  }
+  // The chunk trace stays out of the prompts below; it is for the UI / debugging only.
+  partial._extract = chunking ? { ...extract, chunking } : extract;
 
-  // New: narrative blueprint step (enforces journey + cohesion)
-  const narrative = provider === 'gemini'
-    ? await planNarrativeWithGemini(extract, options)
-    : await planNarrativeWithOpenAI(extract, options);
+  // Chosen (or auto-matched) recipe; only a locked one constrains the structure below.
+  const recipe = resolveRecipe(extract, options);
+
+  // Clarify mode: stop here with the brief scored against what the deck type needs; the answers are merged
+  // into the extract (applyAnswers) and replanDeck(…, 'narrative') continues.
+  if (ctx.stopAfter === 'extract') {
+    const deckType = asStr(options.deckType || options.deck_type || '', 80).trim() || recipe?.deck_type || extract.deck_type_suggestion;
+    return { stoppedAfter: 'extract', _extract: partial._extract, completeness: assessBrief(extract, deckType) };
+  }
 
-  // Hard-lock agency creative decks to the requested 10-slide structure.
-  const narrativeLocked = shouldLockAgency10(extract, options)
-    ? lockNarrativeToAgency10(narrative, extract)
-    : narrative;
+  // New: narrative blueprint step (enforces journey + cohesion)
+  const narrativeLocked = await stage('narrative', async () => {
+    const narrative = await planNarrative(extract, callOptions);
+    // Hard-lock decks on a locked recipe (e.g. the 10-slide agency creative story) to its beats.
+    return recipe?.locked ? lockNarrativeToRecipe(narrative, extract, recipe) : narrative;
+  });
+  partial._narrative = narrativeLocked;
 
   // New: copy constraints step ("agency brain": anchors, section concepts, bridges)
-  const messaging = provider === 'gemini'
-    ? await planMessagingWithGemini(extract, narrativeLocked, options)
-    : await planMessagingWithOpenAI(extract, narrativeLocked, options);
-
-  const draftPlan = provider === 'gemini'
-    ? await assembleDeckWithGemini(extract, narrativeLocked, messaging, options)
-    : await assembleDeckWithOpenAI(extract, narrativeLocked, messaging, options);
-
-  const useEditorPass = options.editorPass !== false;
-  const plan = useEditorPass
-    ? (provider === 'gemini'
-      ? await editDeckWithGemini(extract, narrativeLocked, messaging, draftPlan, options)
-      : await editDeckWithOpenAI(extract, narrativeLocked, messaging, draftPlan, options))
-    : draftPlan;
-
-  // Final enforcement: exactly 10 slides in the required order for agency creative decks.
-let planLocked = shouldLockAgency10(extract, options)
-  ? lockDeckPlanToAgency10(plan, extract, options)
-  : plan;
-
-// Agency-only: refine concept line quality (no structure changes)
-if (shouldLockAgency10(extract, options)) {
-  planLocked = provider === 'gemini'
-    ? await refineAgencyConceptWithGemini(briefText, extract, narrativeLocked, messaging, planLocked, options)
-    : await refineAgencyConceptWithOpenAI(briefText, extract, narrativeLocked, messaging, planLocked, options);
-}
+  const messaging = await stage('messaging', () => planMessaging(extract, narrativeLocked, callOptions));
+  partial._messaging = messaging;
+
+  // Approval mode: stop here so a strategist can review the story; replanDeck(…, 'assemble') continues.
+  if (ctx.stopAfter === 'messaging') {
+    return { stoppedAfter: 'messaging', _extract: partial._extract, _narrative: narrativeLocked, _messaging: messaging };
+  }
+
+  const draftPlan = await stage('assemble', () => assembleDeck(extract, narrativeLocked, messaging, callOptions));
+  partial.plan = draftPlan;
+
+  const plan = options.editorPass !== false || reused('edit')
+    ? await stage('edit', () => editDeck(extract, narrativeLocked, messaging, draftPlan, callOptions))
+    : skipStage('edit', ctx, draftPlan);
+  partial.plan = plan;
+
+  // Final enforcement: locked recipes get exactly their beats, in order.
+  let planLocked = recipe?.locked
+    ? lockDeckPlanToRecipe(plan, extract, recipe, options)
+    : plan;
+  if (recipe) {
+    planLocked._recipe = { id: recipe.id, name: recipe.name, locked: recipe.locked };
+  }
+
+  // Locked recipes with a concept beat: refine concept line quality (no structure changes)
+  if (recipe?.locked && hasConceptBeat(recipe)) {
+    // This prompt quotes the brief verbatim; a long brief is cut to what one call can hold.
+    const conceptBrief = chunking ? briefText.slice(0, LONG_BRIEF_CHARS) : briefText;
+    partial.plan = planLocked;
+    planLocked = await stage('refine', () => refineAgencyConcept(conceptBrief, extract, narrativeLocked, messaging, planLocked, callOptions));
+  } else {
+    skipStage('refine', ctx);
+  }
+
+  // Spreadsheet briefs: replace model-written chart/table/kpis values with the referenced cells
+  if (tables.length) {
+    planLocked.slides = applyDataRefs(planLocked.slides, tables);
+  }
 
-// Attach extract for debugging / UI JSON edit (safe)
-  planLocked._extract = extract;
+  if (assets.length) {
+    planLocked.assets = assets;
+  }
+
+  // Which brief passages back each bullet, stat, quote and KPI (offsets into briefText; see citations.js).
+  planLocked.slides = citeSlides(Array.isArray(planLocked.slides) ? planLocked.slides : [], briefText);
+
+  // Attach extract for debugging / UI JSON edit (safe)
+  planLocked._extract = partial._extract;
   planLocked._narrative = narrativeLocked;
   planLocked._messaging = messaging;
   return planLocked;
 }
 
+/**
+ * Re-run planning from one stage with the artifacts on an existing plan (typically edited in the UI):
+ * from 'narrative' reuses plan._extract, 'messaging' also plan._narrative, 'assemble' also plan._messaging,
+ * 'edit' takes the current slides as the draft and 'refine' only redoes the agency concept line.
+ * Upstream stages are reported as 'reused' and cost no model call.
+ * ctx.briefText: the brief (the concept refine quotes it); falls back to the extract's source_summary.
+ * ctx.tables / ctx.assets: the brief's spreadsheet tables and images, when still at hand (plan.assets otherwise).
+ * ctx.onStage / ctx.signal as for planDeck.
+ */
+export async function replanDeck(plan, from, options = {}, ctx = {}) {
+  const at = STAGE_IDS.indexOf(from);
+  if (at < 1) throw new Error(`Can't re-run from "${from}". Use one of: ${STAGE_IDS.slice(1).join(', ')}.`);
+  const needs = { _extract: 1, _narrative: 2, _messaging: 3 };
+  for (const [key, stageAt] of Object.entries(needs)) {
+    if (at >= stageAt && !plan?.[key]) throw new Error(`The plan has no ${key.slice(1)} to reuse; generate it again from the brief.`);
+  }
+
+  const extract = plan._extract;
+  // The strategist's corrected extract wins over the form defaults for who the deck is for.
+  const opts = {
+    ...options,
+    audience: asStr(extract.audience || '', 120).trim() || options.audience,
+    language: asStr(extract.language || '', 80).trim() || options.language
+  };
+  const briefText = (ctx.briefText || '').toString().trim() || asStr(extract.source_summary || '', 4000);
+  const resumed = at >= 3 ? { ...plan, _messaging: alignMessagingToNarrative(plan._messaging, plan._narrative) } : plan;
+  return planDeck(briefText, opts, { ...ctx, assets: ctx.assets || plan.assets || [], resume: { from, plan: resumed } });
+}
+
+/**
+ * Keep messaging.section_concepts in step with an edited narrative: same order as narrative.sections,
+ * concepts whose section is gone (deleted in review) dropped.
+ */
+export function alignMessagingToNarrative(messaging, narrative) {
+  const sections = Array.isArray(narrative?.sections) ? narrative.sections : [];
+  const concepts = Array.isArray(messaging?.section_concepts) ? messaging.section_concepts : [];
+  if (!sections.length || !concepts.length) return messaging;
+  const ids = sections.map(sec => sec?.id);
+  const known = concepts.filter(c => ids.includes(c?.section_id));
+  // Nothing matches by id (model used other ids): leave the map alone rather than empty it.
+  if (!known.length) return messaging;
+  known.sort((a, b) => ids.indexOf(a.section_id) - ids.indexOf(b.section_id));
+  return { ...messaging, section_concepts: known };
+}
+
+// -------- Single-slide regeneration --------
+
+/**
+ * Rewrite one slide of a finished plan from a natural-language instruction ("make this a comparison matrix
+ * against the two competitors", "punchier headline"), keeping it inside the deck's story: same section,
+ * the section's messaging concept, anchors verbatim, and setup / bridge lines that still connect to the
+ * neighbouring slides. The rest of the deck is left alone.
+ * Returns { slide, headline_alternatives } — slide normalized, alternatives are other titles to choose from.
+ * ctx.tables: spreadsheet tables, to refill a data_ref'd slide from its cells.
+ */
+export async function regenerateSlide(plan, index, instruction, options = {}, ctx = {}) {
+  const slides = Array.isArray(plan?.slides) ? plan.slides : [];
+  const idx = Number(index);
+  if (!Number.isInteger(idx) || idx < 0 || idx >= slides.length) {
+    throw new Error(`Slide ${Number(index) + 1} does not exist (the deck has ${slides.length} slides).`);
+  }
+  const ask = asStr(instruction || '', 600).trim() || 'Make this slide sharper without changing what it says.';
+  const current = slides[idx];
+
+  const extract = plan._extract || {};
+  const lockedKind = !!plan._recipe?.locked;
+  const system = buildRegenerateSystemPrompt({
+    vibe: asStr(options.vibe || 'Modern, premium', 120),
+    audience: asStr(extract.audience || options.audience || 'general', 120),
+    language: asStr(extract.language || options.language || 'English', 80),
+    voiceProfile: resolveVoiceProfile(options),
+    lockedKind,
+    hasData: !!current?.data_ref?.sheet,
+    hasAssets: Array.isArray(plan.assets) && plan.assets.length > 0
+  });
+  const user = buildRegenerateUserPrompt(plan, idx, ask);
+
+  const out = await generateStageJson('slide', options, { system, user, schema: buildRegenerateSchema(), temperature: 0.6 });
+
+  const assetIds = new Set((plan.assets || []).filter(a => a?.id).map(a => a.id));
+  let slide = normalizeSlide(out?.slide || {}, idx, assetIds);
+  // The story around the slide is fixed: its section (and, on a locked recipe, its beat's kind) stay put.
+  slide.section = asStr(current?.section || '', 80) || slide.section;
+  if (lockedKind && current?.kind) slide.kind = current.kind;
+  if (slide.data_ref && Array.isArray(ctx.tables) && ctx.tables.length) {
+    [slide] = applyDataRefs([slide], ctx.tables);
+  }
+
+  const seen = new Set([slide.title.toLowerCase()]);
+  const alternatives = (Array.isArray(out?.headline_alternatives) ? out.headline_alternatives : [])
+    .map(h => asStr(h, 140).trim())
+    .filter(h => h && !seen.has(h.toLowerCase()) && seen.add(h.toLowerCase()));
+
+  return { slide, headline_alternatives: alternatives };
+}
+
+/**
+ * JSON schema of one deck slide (as in the assemble / edit output), for stages that write single slides.
+ */
+export function buildSlideSchema() {
+  return buildDeckSchema().schema.properties.slides.items;
+}
+
+function buildRegenerateSchema() {
+  return {
+    name: 'slide_regeneration',
+    strict: true,
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        slide: buildSlideSchema(),
+        headline_alternatives: {
+          type: 'array',
+          minItems: 3,
+          maxItems: 5,
+          items: { type: 'string' },
+          description: 'Other headlines for the rewritten slide, each a declarative claim from a different angle.'
+        }
+      },
+      required: ['slide', 'headline_alternatives']
+    }
+  };
+}
+
+function buildRegenerateSystemPrompt({ vibe, audience, language, voiceProfile, lockedKind, hasData, hasAssets }) {
+  const voice = voiceRules(voiceProfile);
+  return [
+    `You are a senior creative director rewriting ONE slide of an otherwise finished deck.`,
+    `Input: the deck's extracted brief, the narrative section and messaging constraints for this slide, its neighbours, the current slide JSON and the user's instruction. Output: JSON per schema.`,
+    `Do what the instruction asks. Everything it does not mention keeps its intent.`,
+    `CRITICAL: Keep slide.section exactly as given. The slide must still carry its section's concept (messaging_map.section_concepts) and key_message.`,
+    `CRITICAL: Anchors are repeated verbatim where the slide uses them (no paraphrases). Avoid the buzzwords listed.`,
+    `CRITICAL: setup_line must follow from the previous slide's takeaway / bridge_line; bridge_line must tee up the next slide.`,
+    lockedKind
+      ? `LOCKED RECIPE (STRICT): the deck follows a fixed beat structure, so keep slide.kind unchanged; you may change the layout only if the instruction asks for it.`
+      : `If the instruction asks for another format (comparison matrix, timeline, chart …), change slide.layout and slide.kind and fill the matching field; set fields the new layout does not use to null.`,
+    `DO NOT invent new facts, numbers, dates, client or competitor names. Use only what the brief and current slide contain; if something is missing, say so in speaker_notes.`,
+    hasData
+      ? `slide.data_ref points at spreadsheet cells: keep it (and the figures) unless the instruction asks for a different data view.`
+      : `Set slide.data_ref to null.`,
+    hasAssets ? `Keep slide.asset_id unless the instruction asks for a different visual.` : `Set slide.asset_id to null.`,
+    `Keep source citations in speaker_notes exactly as written.`,
+    `headline_alternatives: 3–5 other headlines for the rewritten slide (not the one you used), each a declarative claim from a different angle.`,
+    `Voice profile: ${voice.name}. ${voice.tagline}`,
+    `Headline rules: ${voice.headline_rules.join(' ')} `,
+    `Diction rules: ${voice.diction_rules.join(' ')} `,
+    `Language: ${language}. Audience: ${audience}. Vibe: ${vibe}.`,
+    `Image prompts: visually specific, no logos, NEVER ask for text in images; "NONE" for data slides.`
+  ].filter(Boolean).join(' ');
+}
+
+function buildRegenerateUserPrompt(plan, idx, instruction) {
+  const slides = plan.slides;
+  const slide = slides[idx];
+  const sectionKey = (slide?.section || '').toString().trim().toLowerCase();
+  const sections = Array.isArray(plan._narrative?.sections) ? plan._narrative.sections : [];
+  const section = sectionKey
+    ? sections.find(sec => [sec?.id, sec?.name].some(v => (v || '').toString().trim().toLowerCase() === sectionKey))
+    : null;
+  const messaging = plan._messaging || {};
+  const concept = section && Array.isArray(messaging.section_concepts)
+    ? messaging.section_concepts.find(c => c?.section_id === section.id)
+    : null;
+  const neighbour = (s) => (s ? { section: s.section, title: s.title, setup_line: s.setup_line, takeaway: s.takeaway, bridge_line: s.bridge_line } : null);
+
+  return [
+    `Extracted brief JSON (facts):`,
+    JSON.stringify(plan._extract || { deck_title: plan.deck_title }, null, 2),
+    `\nNarrative thesis: ${plan._narrative?.thesis || '(none)'}`,
+    `\nNarrative section for this slide:`,
+    JSON.stringify(section || { name: slide?.section || '(unknown)' }, null, 2),
+    `\nMessaging constraints:`,
+    JSON.stringify({
+      anchors: messaging.anchors || [],
+      locked_phrases: messaging.locked_phrases || [],
+      buzzwords_to_avoid: messaging.buzzwords_to_avoid || [],
+      section_concept: concept || null
+    }, null, 2),
+    `\nPrevious slide (${idx}):`,
+    JSON.stringify(neighbour(slides[idx - 1]), null, 2),
+    `\nNext slide (${idx + 2}):`,
+    JSON.stringify(neighbour(slides[idx + 1]), null, 2),
+    `\nCurrent slide ${idx + 1} of ${slides.length}:`,
+    JSON.stringify(slide, null, 2),
+    `\nInstruction: ${instruction}`
+  ].join('\n\n');
+}
+
+// -------- Stage tracking --------
+
+/**
+ * Stages planDeck reports through ctx.onStage, in pipeline order.
+ */
+export const PLAN_STAGES = [
+  { id: 'extract', label: 'Extract brief' },
+  { id: 'narrative', label: 'Narrative' },
+  { id: 'messaging', label: 'Messaging' },
+  { id: 'assemble', label: 'Assemble slides' },
+  { id: 'edit', label: 'Editor pass' },
+  { id: 'refine', label: 'Concept refine' }
+];
+const STAGE_IDS = PLAN_STAGES.map(st => st.id);
+
+/**
+ * Run one stage: reports { stage, status: 'running' | 'done' | 'failed', ms } through ctx.onStage and stops
+ * before starting when ctx.signal is aborted. A failure carries err.stage and err.partial (the artifacts of
+ * the stages that finished: _extract, _narrative, _messaging, plan).
+ */
+async function runStage(name, ctx, partial, fn) {
+  const started = Date.now();
+  try {
+    if (ctx.signal?.aborted) throw cancelledError(ctx.signal);
+    ctx.onStage?.({ stage: name, status: 'running' });
+    const out = await fn();
+    // A cancel that lands while the last call returns still counts as cancelled.
+    if (ctx.signal?.aborted) throw cancelledError(ctx.signal);
+    ctx.onStage?.({ stage: name, status: 'done', ms: Date.now() - started });
+    return out;
+  } catch (err) {
+    const e = err instanceof Error ? err : new Error(String(err));
+    if (!e.stage) {
+      e.stage = name;
+      e.partial = { ...partial };
+      ctx.onStage?.({ stage: name, status: e.code === 'cancelled' ? 'cancelled' : 'failed', ms: Date.now() - started, error: e.message });
+    }
+    throw e;
+  }
+}
+
+function reuseStage(name, ctx, value) {
+  ctx.onStage?.({ stage: name, status: 'reused', ms: 0 });
+  return value;
+}
+
+// What a resumed plan hands back for a stage it doesn't re-run.
+function resumedArtifact(plan, name) {
+  if (name === 'extract') {
+    // The chunk trace is UI-only; keep it out of the prompts (planDeck re-attaches it).
+    const { chunking, ...extract } = plan._extract || {};
+    return extract;
+  }
+  if (name === 'narrative') return plan._narrative;
+  if (name === 'messaging') return plan._messaging;
+  // assemble / edit: the current slides are the draft.
+  return Object.fromEntries(Object.entries(plan).filter(([k]) => !k.startsWith('_')));
+}
+
+function skipStage(name, ctx, value) {
+  ctx.onStage?.({ stage: name, status: 'skipped', ms: 0 });
+  return value;
+}
+
 // ----- One-pass (legacy) -----
 
 function buildLegacyDeckSchema() {
@@ -1832,7 +1897,6 @@ function buildLegacySystemPrompt({ vibe, audience, language, requestedDeckType,
 }
 
 async function planDeckOnePass(briefText, options = {}) {
-  const provider = (options.provider || 'openai').toString().toLowerCase();
   const nSlides = clampInt(options.nSlides ?? 10, 5, SAFE_MAX_SLIDES, 10);
   const vibe = asStr(options.vibe || 'Modern, premium', 120);
   const audience = asStr(options.audience || 'general', 120);
@@ -1843,30 +1907,7 @@ async function planDeckOnePass(briefText, options = {}) {
   const system = buildLegacySystemPrompt({ vibe, audience, language, requestedDeckType, requestedSlides: nSlides });
   const user = buildUserPrompt(briefText);
 
-  if (provider === 'gemini') {
-    return geminiGenerateJson({
-      model: getModels().gemini_text,
-      system,
-      user,
-      jsonSchema: schema.schema,
-      temperature: 0.7
-    });
-  }
-
-  const client = getOpenAIClient();
-  const { text: model } = getModels();
-  const completion = await client.chat.completions.create({
-    model,
-    messages: [
-      { role: 'system', content: system },
-      { role: 'user', content: user }
-    ],
-    response_format: { type: 'json_schema', json_schema: schema },
-    temperature: 0.7
-  });
-  const content = completion.choices?.[0]?.message?.content;
-  if (!content) throw new Error('No plan returned from model.');
-  return JSON.parse(content);
+  return generateStageJson('plan', options, { system, user, schema, temperature: 0.7 });
 }
 
 // -------- Normalization (safe for renderer) --------
@@ -1916,6 +1957,8 @@ function defaultSlide(idx) {
     chart: null,
     org_chart: null,
     faq: null,
+    data_ref: null,
+    asset_id: null,
     image_prompt: 'Abstract premium background related to the slide topic',
     speaker_notes: ''
   };
@@ -1949,8 +1992,10 @@ function inferLayoutFromKind(kind) {
 }
 
 export function normalizePlan(plan, options = {}) {
+  // A locked recipe already fixed the slide list: keep every beat.
+  const recipe = plan?._recipe?.id ? { id: asStr(plan._recipe.id, 40), name: asStr(plan._recipe.name || '', 80), locked: !!plan._recipe.locked } : null;
   const requestedSlides = clampInt(
-    options.nSlides ?? plan?.recommended_slide_count ?? (Array.isArray(plan?.slides) ? plan.slides.length : 10),
+    (recipe?.locked && Array.isArray(plan?.slides) ? plan.slides.length : null) ?? options.nSlides ?? plan?.recommended_slide_count ?? (Array.isArray(plan?.slides) ? plan.slides.length : 10),
     5,
     SAFE_MAX_SLIDES,
     10
@@ -1963,90 +2008,16 @@ export function normalizePlan(plan, options = {}) {
   const theme = { ...defaultTheme(), ...(plan.theme || {}) };
   if (options.deckStyle && !theme.deck_style) theme.deck_style = options.deckStyle;
 
-  let slides = (plan.slides || []).map((s, idx) => {
-    const base = defaultSlide(idx);
-    const kind = asStr(s?.kind || base.kind, 60);
-    const inferred = inferLayoutFromKind(kind);
-    const layoutRaw = asStr(s?.layout || inferred || base.layout, 40);
-    const layout = SLIDE_LAYOUTS.includes(layoutRaw) ? layoutRaw : base.layout;
+  const assets = Array.isArray(plan?.assets) ? plan.assets.filter(a => a?.id) : [];
+  const assetIds = new Set(assets.map(a => a.id));
 
-    const safe = {
-      ...base,
-      kind,
-      layout,
-      title: asStr(s?.title || base.title, 140),
-      subtitle: asStr(s?.subtitle || '', 240),
-      bullets: Array.isArray(s?.bullets) ? s.bullets.slice(0, 8).map(v => asStr(v, 180)).filter(Boolean) : [],
-      stat: s?.stat ?? null,
-      quote: s?.quote ?? null,
-      agenda_items: Array.isArray(s?.agenda_items) ? s.agenda_items.slice(0, 10).map(v => asStr(v, 120)).filter(Boolean) : null,
-      cards: Array.isArray(s?.cards) ? s.cards.slice(0, 6).map(c => ({
-        title: asStr(c?.title, 80),
-        body: asStr(c?.body, 220),
-        tag: asStr(c?.tag, 40)
-      })) : null,
-      timeline_items: Array.isArray(s?.timeline_items) ? s.timeline_items.slice(0, 12).map(t => ({
-        date_or_phase: asStr(t?.date_or_phase, 40),
-        label: asStr(t?.label, 80),
-        detail: asStr(t?.detail, 140)
-      })) : null,
-      kpis: Array.isArray(s?.kpis) ? s.kpis.slice(0, 8).map(k => ({
-        label: asStr(k?.label, 60),
-        value: asStr(k?.value, 40),
-        delta: asStr(k?.delta, 30)
-      })) : null,
-      status_items: Array.isArray(s?.status_items) ? s.status_items.slice(0, 12).map(it => ({
-        item: asStr(it?.item, 90),
-        status: ['red','yellow','green'].includes((it?.status || '').toString().toLowerCase()) ? (it.status || '').toString().toLowerCase() : 'yellow',
-        owner: asStr(it?.owner, 40),
-        eta: asStr(it?.eta, 30),
-        blocker: asStr(it?.blocker, 120)
-      })) : null,
-      table: (s?.table && Array.isArray(s.table.headers) && Array.isArray(s.table.rows)) ? {
-        headers: s.table.headers.slice(0, 6).map(h => asStr(h, 40)),
-        rows: s.table.rows.slice(0, 12).map(r => (Array.isArray(r) ? r.slice(0, 6).map(v => asStr(v, 40)) : [])).filter(r => r.length >= 2)
-      } : null,
-      pricing: s?.pricing ?? null,
-      matrix: s?.matrix ?? null,
-      steps: Array.isArray(s?.steps) ? s.steps.slice(0, 8).map(st => ({ title: asStr(st?.title, 70), detail: asStr(st?.detail, 160) })) : null,
-      people: Array.isArray(s?.people) ? s.people.slice(0, 10).map(p => ({ name: asStr(p?.name, 60), role: asStr(p?.role, 60), bio: asStr(p?.bio, 200) })) : null,
-      logo_items: Array.isArray(s?.logo_items) ? s.logo_items.slice(0, 30).map(v => asStr(v, 40)).filter(Boolean) : null,
-      cta: s?.cta ?? null,
-      swot: s?.swot ?? null,
-      funnel: Array.isArray(s?.funnel) ? s.funnel.slice(0, 7).map(st => ({ label: asStr(st?.label, 60), value: asStr(st?.value, 40) })) : null,
-      now_next_later: s?.now_next_later ?? null,
-      okrs: Array.isArray(s?.okrs) ? s.okrs.slice(0, 5).map(o => ({ objective: asStr(o?.objective, 120), key_results: Array.isArray(o?.key_results) ? o.key_results.slice(0, 6).map(v => asStr(v, 160)).filter(Boolean) : [] })) : null,
-      case_study: s?.case_study ?? null,
-      diagram: s?.diagram ? {
-        code: asStr(s.diagram.code || '', 4000),
-        theme: asStr(s.diagram.theme || '', 40)
-      } : null,
-      icons: Array.isArray(s?.icons) ? s.icons.slice(0, 6).map(ic => ({
-        name: asStr(ic?.name || '', 120),
-        label: asStr(ic?.label || '', 80)
-      })) : null,
-      chart: s?.chart ? {
-        chart_type: asStr(s.chart.chart_type || '', 20),
-        labels: Array.isArray(s.chart.labels) ? s.chart.labels.slice(0, 10).map(v => asStr(v, 80)) : [],
-        values: Array.isArray(s.chart.values) ? s.chart.values.slice(0, 10).map(v => Number(v)) : [],
-        value_suffix: asStr(s.chart.value_suffix || '', 20)
-      } : null,
-      org_chart: s?.org_chart ?? null,
-      faq: Array.isArray(s?.faq) ? s.faq.slice(0, 8).map(it => ({ q: asStr(it?.q, 140), a: asStr(it?.a, 220) })) : null,
-      image_prompt: asStr(s?.image_prompt ?? base.image_prompt, 800),
-      speaker_notes: asStr(s?.speaker_notes ?? '', 1600)
-    };
+  let slides = (plan.slides || []).map((s, idx) => normalizeSlide(s, idx, assetIds));
 
-    // For data-heavy slides, default to no image unless explicitly provided.
-    if (['kpi_dashboard','traffic_light','table','pricing','comparison_matrix','process_steps','team_grid','logo_wall','swot','funnel','now_next_later','okr','chart_bar','chart_line','diagram','org_chart','faq','case_study','appendix','infographic_3'].includes(layout)) {
-      const p = (safe.image_prompt || '').trim();
-      if (!p || /^none$/i.test(p)) safe.image_prompt = 'NONE';
-    }
-
-    return safe;
-  });
+  // Imported decks (and user-edited slide lists, options.keepSlideList) keep their own slides: no injected
+  // pillars/quote slides.
+  const imported = plan?._source?.type === 'pptx_import' || options.keepSlideList === true;
 
-  if (deckType !== 'ad_agency') {
+  if (deckType !== 'ad_agency' && !recipe?.locked && !imported) {
     const hasQuote = slides.some(s => s.layout === 'quote' || (s.kind || '').toLowerCase().includes('quote'));
     const hasInfographic = slides.some(s => s.layout === 'infographic_3' || (s.kind || '').toLowerCase().includes('pillar'));
 
@@ -2102,6 +2073,130 @@ export function normalizePlan(plan, options = {}) {
     theme,
     slides,
     brand_logo: plan?.brand_logo || plan?.theme?.brand_logo || null,
-    _extract: plan?._extract || null
+    assets,
+    _extract: plan?._extract || null,
+    _narrative: plan?._narrative || null,
+    _messaging: plan?._messaging || null,
+    _source: plan?._source || null,
+    _recipe: recipe
   };
 }
+
+// Brief spans behind the slide's claims (see citations.js); offsets must be a real range to highlight.
+function normalizeCitations(list) {
+  if (!Array.isArray(list)) return [];
+  const int = (v) => (Number.isInteger(v) && v >= 0 ? v : null);
+  return list.slice(0, 40).map(c => ({
+    field: asStr(c?.field, 40),
+    source: c?.source ? asStr(c.source, 200) : null,
+    page: int(c?.page),
+    slide: int(c?.slide),
+    start: int(c?.start),
+    end: int(c?.end),
+    excerpt: asStr(c?.excerpt, 300)
+  })).filter(c => c.field && c.start !== null && c.end !== null && c.end > c.start);
+}
+
+/**
+ * One slide clamped to the deck schema (layout, list lengths, string lengths). assetIds: brief images a
+ * slide may point at; any other asset_id is dropped.
+ */
+function normalizeSlide(s, idx, assetIds = new Set()) {
+  const base = defaultSlide(idx);
+  const kind = asStr(s?.kind || base.kind, 60);
+  const inferred = inferLayoutFromKind(kind);
+  const layoutRaw = asStr(s?.layout || inferred || base.layout, 40);
+  const layout = SLIDE_LAYOUTS.includes(layoutRaw) ? layoutRaw : base.layout;
+
+  const safe = {
+    ...base,
+    kind,
+    layout,
+    // Continuity lines: kept so single-slide regeneration and the editor pass can stay in the story.
+    section: asStr(s?.section || '', 80),
+    setup_line: asStr(s?.setup_line || '', 240),
+    takeaway: asStr(s?.takeaway || '', 240),
+    bridge_line: asStr(s?.bridge_line || '', 240),
+    title: asStr(s?.title || base.title, 140),
+    subtitle: asStr(s?.subtitle || '', 240),
+    bullets: Array.isArray(s?.bullets) ? s.bullets.slice(0, 8).map(v => asStr(v, 180)).filter(Boolean) : [],
+    stat: s?.stat ?? null,
+    quote: s?.quote ?? null,
+    agenda_items: Array.isArray(s?.agenda_items) ? s.agenda_items.slice(0, 10).map(v => asStr(v, 120)).filter(Boolean) : null,
+    cards: Array.isArray(s?.cards) ? s.cards.slice(0, 6).map(c => ({
+      title: asStr(c?.title, 80),
+      body: asStr(c?.body, 220),
+      tag: asStr(c?.tag, 40)
+    })) : null,
+    timeline_items: Array.isArray(s?.timeline_items) ? s.timeline_items.slice(0, 12).map(t => ({
+      date_or_phase: asStr(t?.date_or_phase, 40),
+      label: asStr(t?.label, 80),
+      detail: asStr(t?.detail, 140)
+    })) : null,
+    kpis: Array.isArray(s?.kpis) ? s.kpis.slice(0, 8).map(k => ({
+      label: asStr(k?.label, 60),
+      value: asStr(k?.value, 40),
+      delta: asStr(k?.delta, 30)
+    })) : null,
+    status_items: Array.isArray(s?.status_items) ? s.status_items.slice(0, 12).map(it => ({
+      item: asStr(it?.item, 90),
+      status: ['red','yellow','green'].includes((it?.status || '').toString().toLowerCase()) ? (it.status || '').toString().toLowerCase() : 'yellow',
+      owner: asStr(it?.owner, 40),
+      eta: asStr(it?.eta, 30),
+      blocker: asStr(it?.blocker, 120)
+    })) : null,
+    table: (s?.table && Array.isArray(s.table.headers) && Array.isArray(s.table.rows)) ? {
+      headers: s.table.headers.slice(0, 6).map(h => asStr(h, 40)),
+      rows: s.table.rows.slice(0, 12).map(r => (Array.isArray(r) ? r.slice(0, 6).map(v => asStr(v, 40)) : [])).filter(r => r.length >= 2)
+    } : null,
+    pricing: s?.pricing ?? null,
+    matrix: s?.matrix ?? null,
+    steps: Array.isArray(s?.steps) ? s.steps.slice(0, 8).map(st => ({ title: asStr(st?.title, 70), detail: asStr(st?.detail, 160) })) : null,
+    people: Array.isArray(s?.people) ? s.people.slice(0, 10).map(p => ({ name: asStr(p?.name, 60), role: asStr(p?.role, 60), bio: asStr(p?.bio, 200) })) : null,
+    logo_items: Array.isArray(s?.logo_items) ? s.logo_items.slice(0, 30).map(v => asStr(v, 40)).filter(Boolean) : null,
+    cta: s?.cta ?? null,
+    swot: s?.swot ?? null,
+    funnel: Array.isArray(s?.funnel) ? s.funnel.slice(0, 7).map(st => ({ label: asStr(st?.label, 60), value: asStr(st?.value, 40) })) : null,
+    now_next_later: s?.now_next_later ?? null,
+    okrs: Array.isArray(s?.okrs) ? s.okrs.slice(0, 5).map(o => ({ objective: asStr(o?.objective, 120), key_results: Array.isArray(o?.key_results) ? o.key_results.slice(0, 6).map(v => asStr(v, 160)).filter(Boolean) : [] })) : null,
+    case_study: s?.case_study ?? null,
+    diagram: s?.diagram ? {
+      code: asStr(s.diagram.code || '', 4000),
+      theme: asStr(s.diagram.theme || '', 40)
+    } : null,
+    icons: Array.isArray(s?.icons) ? s.icons.slice(0, 6).map(ic => ({
+      name: asStr(ic?.name || '', 120),
+      label: asStr(ic?.label || '', 80)
+    })) : null,
+    chart: s?.chart ? {
+      chart_type: asStr(s.chart.chart_type || '', 20),
+      labels: Array.isArray(s.chart.labels) ? s.chart.labels.slice(0, 10).map(v => asStr(v, 80)) : [],
+      values: Array.isArray(s.chart.values) ? s.chart.values.slice(0, 10).map(v => Number(v)) : [],
+      value_suffix: asStr(s.chart.value_suffix || '', 20)
+    } : null,
+    org_chart: s?.org_chart ?? null,
+    faq: Array.isArray(s?.faq) ? s.faq.slice(0, 8).map(it => ({ q: asStr(it?.q, 140), a: asStr(it?.a, 220) })) : null,
+    data_ref: s?.data_ref?.sheet ? {
+      sheet: asStr(s.data_ref.sheet, 120),
+      range: asStr(s.data_ref.range, 40),
+      label_column: asStr(s.data_ref.label_column, 80),
+      value_columns: Array.isArray(s.data_ref.value_columns) ? s.data_ref.value_columns.slice(0, 4).map(v => asStr(v, 80)) : []
+    } : null,
+    asset_id: assetIds.has(s?.asset_id) ? s.asset_id : null,
+    image_prompt: asStr(s?.image_prompt ?? base.image_prompt, 800),
+    speaker_notes: asStr(s?.speaker_notes ?? '', 1600),
+    citations: normalizeCitations(s?.citations)
+  };
+  // A brief image replaces the generated one.
+  if (safe.asset_id) safe.image_prompt = 'NONE';
+  // Bullets past the cap took their citations with them.
+  safe.citations = safe.citations.filter(c => !/^bullets\[\d+\]$/.test(c.field) || Number(c.field.slice(8, -1)) < safe.bullets.length);
+
+  // For data-heavy slides, default to no image unless explicitly provided.
+  if (['kpi_dashboard','traffic_light','table','pricing','comparison_matrix','process_steps','team_grid','logo_wall','swot','funnel','now_next_later','okr','chart_bar','chart_line','diagram','org_chart','faq','case_study','appendix','infographic_3'].includes(layout)) {
+    const p = (safe.image_prompt || '').trim();
+    if (!p || /^none$/i.test(p)) safe.image_prompt = 'NONE';
+  }
+
+  return safe;
+}
@@ -4,9 +4,11 @@ import PptxGenJS from 'pptxgenjs';
 import sharp from 'sharp';
 import { spawn } from 'child_process';
 import { generateImages } from './images.js';
+import { assetPath } from './assets.js';
 import { ensureCleanTmp, getLuminance } from './util.js';
 import { normalizeHex, pickFont, getDeckStylePreset } from './themes.js';
 import { renderChart, renderDiagram, getIcon, toDataUri } from './graphics/index.js';
+import { withSourceNotes } from './citations.js';
 
 const SLIDE_W = 13.333; // inches for LAYOUT_WIDE
 const SLIDE_H = 7.5;
@@ -177,6 +179,17 @@ function addBrandLogoToSlide(slide, logo) {
   });
 }
 
+function addFootnoteToSlide(slide, text, theme) {
+  slide.addText(text, {
+    x: 0.5,
+    y: SLIDE_H - 0.38,
+    w: SLIDE_W - 1,
+    h: 0.28,
+    ...bodyStyle(theme, 8),
+    color: '777777'
+  });
+}
+
 // Cache for resized/cropped image variants so we never stretch images.
 // Keyed by `${src}|${w.toFixed(3)}x${h.toFixed(3)}`.
 async function coverImage(srcPath, targetWIn, targetHIn, tmpDir, cache) {
@@ -268,6 +281,14 @@ export async function exportPptx(plan, options = {}, ctx = {}) {
 
   const imgCropCache = new Map();
 
+  // options.sourcesAppendix: numbered footnotes on cited slides and "Sources" slides at the end.
+  let footnotes = [];
+  if (options.sourcesAppendix) {
+    const notes = withSourceNotes(plan);
+    plan = { ...notes.plan, slides: [...notes.plan.slides, ...notes.appendix] };
+    footnotes = notes.footnotes;
+  }
+
   const pptx = new PptxGenJS();
   pptx.layout = 'LAYOUT_WIDE';
 
@@ -290,13 +311,17 @@ export async function exportPptx(plan, options = {}, ctx = {}) {
   pptx.subject = plan.deck_title || 'Deck';
   pptx.title = plan.deck_title || 'Deck';
 
+  // Slides backed by an image from the brief (slide.asset_id) skip generation.
+  const assetFiles = plan.slides.map(sl => (sl?.asset_id && ctx.assetDir ? assetPath(ctx.assetDir, sl.asset_id) : null));
+
   ctx.onStatus?.({ phase: 'generating_images', message: 'Generating images…' });
-  const imgMap = await generateImages(plan.slides, {
+  const imgMap = await generateImages(plan.slides.map((sl, i) => (assetFiles[i] ? null : sl)), {
     vibe: theme.vibe,
     primary_color: theme.primary,
     secondary_color: theme.secondary
   }, tmpDir, {
     provider: options.provider || 'openai',
+    providers: options.providers,
     imageConcurrency: options.imageConcurrency ?? 2,
     imageSize: options.imageSize ?? "1024x1024",
     imageStyle: options.imageStyle ?? theme.style?.imageHint ?? theme.vibe,
@@ -319,12 +344,15 @@ export async function exportPptx(plan, options = {}, ctx = {}) {
       section: s?.section || ''
     }});
 
-    const imageFile = imgMap?.[i]?.file || null;
+    const imageFile = assetFiles[i] || imgMap?.[i]?.file || null;
     await renderByLayout(pptx, s, plan, theme, imageFile, i, tmpDir, imgCropCache);
     const renderedSlide = pptx._slides?.[pptx._slides.length - 1];
     if (renderedSlide && brandLogo) {
       addBrandLogoToSlide(renderedSlide, brandLogo);
     }
+    if (renderedSlide && footnotes[i]) {
+      addFootnoteToSlide(renderedSlide, footnotes[i], theme);
+    }
 
     // Optional: true live thumbnails via LibreOffice conversion.
     // NOTE: This is intentionally "easy mode" (writes partial PPTX + converts after each slide).
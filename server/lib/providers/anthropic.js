@@ -0,0 +1,57 @@
+import { httpError } from './retry.js';
+
+/**
+ * Anthropic Messages API provider (text only).
+ * Structured output is requested as a forced tool call whose input_schema is the stage's JSON schema.
+ */
+
+const ANTHROPIC_API_BASE = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+export function createAnthropicProvider() {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  const textModel = process.env.ANTHROPIC_TEXT_MODEL || 'claude-sonnet-4-5';
+  const maxTokens = Number(process.env.ANTHROPIC_MAX_TOKENS || 16000);
+
+  return {
+    name: 'anthropic',
+    label: 'Anthropic',
+    configured: !!apiKey,
+    capabilities: { json: true, image: false, strictSchema: true },
+
+    async generateJson({ system, user, schema, temperature = 0.7, model, signal }) {
+      if (!apiKey) throw new Error('Missing ANTHROPIC_API_KEY in server environment (required for provider="anthropic").');
+      const tool = schema?.name || 'output';
+      const res = await fetch(`${ANTHROPIC_API_BASE}/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        },
+        body: JSON.stringify({
+          model: model || textModel,
+          max_tokens: maxTokens,
+          temperature,
+          system,
+          messages: [{ role: 'user', content: user }],
+          tools: [{ name: tool, description: `Return the ${tool} JSON.`, input_schema: schema?.schema || schema }],
+          tool_choice: { type: 'tool', name: tool }
+        }),
+        signal
+      });
+      if (!res.ok) {
+        const txt = await res.text().catch(() => '');
+        throw httpError(`Anthropic API error (${res.status}): ${txt || res.statusText}`, res.status, res.headers);
+      }
+      const out = await res.json();
+      const call = (out?.content || []).find(c => c?.type === 'tool_use' && c.name === tool);
+      if (!call?.input) throw new Error(`No ${tool} returned from anthropic.`);
+      return call.input;
+    },
+
+    async generateImage() {
+      throw new Error('Provider "anthropic" cannot generate images; choose an image provider for the images stage.');
+    }
+  };
+}
@@ -0,0 +1,30 @@
+import { getModels } from '../openai.js';
+import { geminiGenerateJson, geminiGenerateImage } from '../gemini.js';
+
+/**
+ * Gemini provider (structured outputs for text, Nano Banana Pro for images).
+ */
+export function createGeminiProvider() {
+  const { gemini_text: textModel, gemini_image: imageModel } = getModels();
+
+  return {
+    name: 'gemini',
+    label: 'Gemini (Nano Banana Pro)',
+    configured: !!process.env.GEMINI_API_KEY,
+    capabilities: { json: true, image: true, strictSchema: true },
+
+    generateJson({ system, user, schema, temperature = 0.7, model, signal }) {
+      return geminiGenerateJson({ model: model || textModel, system, user, jsonSchema: schema?.schema || schema, temperature, signal });
+    },
+
+    generateImage({ prompt, aspectRatio = '16:9', size, model, signal }) {
+      return geminiGenerateImage({
+        model: model || imageModel,
+        prompt,
+        aspectRatio,
+        imageSize: /^[124]K$/.test(size || '') ? size : '2K',
+        signal
+      });
+    }
+  };
+}
@@ -0,0 +1,202 @@
+import { createOpenAIProvider, createAzureProvider, createCompatibleProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createGeminiProvider } from './gemini.js';
+import { createReplayProvider, createStubProvider } from './replay.js';
+import { callWithRetry, describeError } from './retry.js';
+import { validateJson } from './validate.js';
+
+/**
+ * LLM provider registry.
+ *
+ * A provider is {
+ *   name, label, configured,
+ *   capabilities: { json, image, strictSchema },
+ *   generateJson({ stage, system, user, schema: { name, schema }, temperature, model?, signal }) → object,
+ *   generateImage({ stage, prompt, aspectRatio, size, model?, signal }) → { base64, mimeType }
+ * }
+ * signal is an AbortSignal that fires on timeout. Failed HTTP calls should throw httpError() and unparseable
+ * output invalidJsonError() (retry.js) so the shared retry / repair policy can tell them apart.
+ * Providers are created lazily from env, so a missing key only fails the stage that needs it.
+ *
+ * Each planner stage resolves its own provider, first match wins:
+ *   options.providers[stage] → env LLM_PROVIDER_<STAGE> → options.provider → env LLM_PROVIDER → 'openai'.
+ * A choice is "name" or "name:model" (e.g. "openai_compatible:qwen2.5-32b", "openai:gpt-4o-mini").
+ * Endpoints and keys only ever come from env; requests pick among configured providers.
+ */
+
+export const STAGES = ['extract', 'narrative', 'messaging', 'assemble', 'edit', 'refine', 'plan', 'slide', 'chat', 'voice', 'lint', 'compare', 'images'];
+
+const FACTORIES = new Map([
+  ['openai', createOpenAIProvider],
+  ['gemini', createGeminiProvider],
+  ['anthropic', createAnthropicProvider],
+  ['azure', createAzureProvider],
+  ['openai_compatible', createCompatibleProvider],
+  // Offline: record / replay fixtures around a real provider, or schema-valid placeholders (see replay.js).
+  ['replay', () => createReplayProvider(getProvider)],
+  ['stub', createStubProvider]
+]);
+const instances = new Map();
+
+/**
+ * Add (or replace) a provider. factory() returns a provider object as described above.
+ */
+export function registerProvider(name, factory) {
+  FACTORIES.set(name, factory);
+  instances.delete(name);
+}
+
+export function getProvider(name) {
+  const key = (name || '').toString().trim().toLowerCase();
+  if (!FACTORIES.has(key)) throw new Error(`Unknown provider "${name}". Available: ${Array.from(FACTORIES.keys()).join(', ')}.`);
+  if (!instances.has(key)) instances.set(key, FACTORIES.get(key)());
+  return instances.get(key);
+}
+
+/**
+ * Provider (and optional model override) for a stage. Returns { provider, model }.
+ */
+export function resolveProvider(stage, options = {}) {
+  const choice = [
+    options.providers?.[stage],
+    process.env[`LLM_PROVIDER_${stage.toUpperCase()}`],
+    options.provider,
+    process.env.LLM_PROVIDER,
+    'openai'
+  ].find(c => typeof c === 'string' && c.trim());
+  const [name, ...rest] = choice.trim().split(':');
+  return { provider: getProvider(name), model: rest.join(':') || undefined };
+}
+
+/**
+ * Structured JSON for a planner stage from whichever provider the stage resolves to.
+ * Transient failures are retried (retry.js); output that isn't JSON or misses the schema is sent back to the
+ * model with the problems listed, up to LLM_SCHEMA_REPAIRS times. If the provider still fails, the fallback
+ * provider (options.fallbackProvider / LLM_FALLBACK_PROVIDER) gets one full try. options.signal cancels.
+ */
+export async function generateStageJson(stage, options, { system, user, schema, temperature }) {
+  const primary = resolveProvider(stage, options);
+  const run = ({ provider, model }) => jsonWithRepair(stage, provider, { system, user, schema, temperature, model }, options.signal);
+  try {
+    return await run(primary);
+  } catch (err) {
+    if (err?.code === 'cancelled') throw err;
+    const fallback = resolveFallback(stage, options, primary.provider, 'json');
+    if (!fallback) throw err;
+    console.warn(`[llm] ${stage} via ${primary.provider.name} gave up (${describeError(err)}); falling back to ${fallback.provider.name}`);
+    return run(fallback);
+  }
+}
+
+/**
+ * Image generation for the images stage, with the same retry / fallback policy as generateStageJson.
+ * Throws when the resolved provider can't make images.
+ */
+export async function generateStageImage(options, { prompt, aspectRatio, size }) {
+  const primary = resolveProvider('images', options);
+  if (!primary.provider.capabilities.image) {
+    throw new Error(`Provider "${primary.provider.name}" cannot generate images; set options.providers.images or LLM_PROVIDER_IMAGES.`);
+  }
+  const run = ({ provider, model }) => callWithRetry(
+    signal => provider.generateImage({ stage: 'images', prompt, aspectRatio, size, model, signal }),
+    { ...callPolicy('images', provider), signal: options.signal }
+  );
+  try {
+    return await run(primary);
+  } catch (err) {
+    if (err?.code === 'cancelled') throw err;
+    const fallback = resolveFallback('images', options, primary.provider, 'image');
+    if (!fallback) throw err;
+    console.warn(`[llm] images via ${primary.provider.name} gave up (${describeError(err)}); falling back to ${fallback.provider.name}`);
+    return run(fallback);
+  }
+}
+
+/**
+ * Registered providers for the UI: [{ name, label, configured, capabilities }].
+ */
+export function listProviders() {
+  return Array.from(FACTORIES.keys()).map(name => {
+    const p = getProvider(name);
+    return { name: p.name, label: p.label || p.name, configured: !!p.configured, capabilities: p.capabilities };
+  });
+}
+
+// -------- Resilience --------
+
+const DEFAULT_TIMEOUT_MS = 180000;
+
+async function jsonWithRepair(stage, provider, { system, user, schema, temperature, model }, signal) {
+  const repairs = envInt('LLM_SCHEMA_REPAIRS', 1);
+  let prompt = user;
+  for (let attempt = 0; ; attempt++) {
+    let out;
+    try {
+      out = await callWithRetry(
+        signal => provider.generateJson({ stage, system, user: prompt, schema, temperature, model, signal }),
+        { ...callPolicy(stage, provider), signal }
+      );
+    } catch (err) {
+      if (err?.code !== 'invalid_json' || attempt >= repairs) throw err;
+      console.warn(`[llm] ${stage} via ${provider.name}: invalid JSON; re-prompting (${attempt + 1}/${repairs})`);
+      prompt = repairPrompt(user, err.raw, ['The response was not a valid JSON object.']);
+      continue;
+    }
+
+    const errors = validateJson(schema?.schema || schema, out);
+    if (!errors.length) return out;
+    if (attempt >= repairs) {
+      // Close enough beats failing the whole plan; normalizePlan fills or trims what is left.
+      console.warn(`[llm] ${stage} via ${provider.name}: ${errors.length} schema error(s) left after ${repairs} repair(s); using output as is`);
+      return out;
+    }
+    console.warn(`[llm] ${stage} via ${provider.name}: ${errors.length} schema error(s) (${errors[0]}); re-prompting (${attempt + 1}/${repairs})`);
+    prompt = repairPrompt(user, JSON.stringify(out), errors);
+  }
+}
+
+function repairPrompt(user, previous, errors) {
+  return [
+    user,
+    '',
+    'Your previous answer did not match the required JSON schema:',
+    ...errors.map(e => `- ${e}`),
+    '',
+    'Previous answer:',
+    (previous || '').slice(0, 20000),
+    '',
+    'Return the complete corrected JSON object only.'
+  ].join('\n');
+}
+
+// Timeout: <PROVIDER>_TIMEOUT_MS (e.g. OPENAI_COMPATIBLE_TIMEOUT_MS) → LLM_TIMEOUT_MS → 180s.
+function callPolicy(stage, provider) {
+  return {
+    retries: envInt('LLM_MAX_RETRIES', 3),
+    timeoutMs: envInt(`${provider.name.toUpperCase()}_TIMEOUT_MS`, envInt('LLM_TIMEOUT_MS', DEFAULT_TIMEOUT_MS)),
+    label: `${stage} via ${provider.name}`
+  };
+}
+
+// "auto" picks the first other configured provider that can do the job.
+function resolveFallback(stage, options = {}, primary, capability) {
+  const choice = (options.fallbackProvider || process.env.LLM_FALLBACK_PROVIDER || '').toString().trim();
+  if (!choice || choice === 'none') return null;
+  if (choice === 'auto') {
+    const name = Array.from(FACTORIES.keys()).find(n => {
+      if (n === primary.name || ['replay', 'stub'].includes(n)) return false;
+      const p = getProvider(n);
+      return p.configured && p.capabilities[capability];
+    });
+    return name ? { provider: getProvider(name), model: undefined } : null;
+  }
+  const [name, ...rest] = choice.split(':');
+  const provider = getProvider(name);
+  if (provider === primary || !provider.capabilities[capability]) return null;
+  return { provider, model: rest.join(':') || undefined };
+}
+
+function envInt(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(n) ? Math.max(0, Math.round(n)) : fallback;
+}
@@ -0,0 +1,126 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import { getModels } from '../openai.js';
+import { invalidJsonError } from './retry.js';
+
+/**
+ * OpenAI-protocol providers: OpenAI itself, Azure OpenAI (deployments instead of model names) and any
+ * OpenAI-compatible server (vLLM, llama.cpp, Ollama, LM Studio …) reached through a base URL.
+ *
+ * jsonMode picks how structured output is requested:
+ *   'json_schema' — response_format json_schema (strict schemas; OpenAI, Azure, recent vLLM)
+ *   'json_object' — response_format json_object, schema described in the prompt
+ *   'prompt'      — no response_format at all, schema described in the prompt (most permissive)
+ *
+ * SDK retries are off (maxRetries: 0); retries, backoff and timeouts come from retry.js.
+ */
+
+export function createOpenAIProvider() {
+  const { text, image } = getModels();
+  return openAIProtocol({
+    name: 'openai',
+    label: 'ChatGPT + DALL·E (OpenAI)',
+    configured: !!process.env.OPENAI_API_KEY,
+    client: () => {
+      if (!process.env.OPENAI_API_KEY) throw new Error('Missing OPENAI_API_KEY in server environment');
+      return new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+    },
+    textModel: text,
+    imageModel: image,
+    jsonMode: 'json_schema'
+  });
+}
+
+export function createAzureProvider() {
+  const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
+  const apiKey = process.env.AZURE_OPENAI_API_KEY;
+  return openAIProtocol({
+    name: 'azure',
+    label: 'Azure OpenAI',
+    configured: !!(endpoint && apiKey && process.env.AZURE_OPENAI_TEXT_DEPLOYMENT),
+    client: () => {
+      if (!endpoint || !apiKey) throw new Error('Missing AZURE_OPENAI_ENDPOINT / AZURE_OPENAI_API_KEY in server environment (required for provider="azure").');
+      return new AzureOpenAI({ endpoint, apiKey, apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21', maxRetries: 0 });
+    },
+    // Azure addresses deployments; the deployment name goes where the model name would.
+    textModel: process.env.AZURE_OPENAI_TEXT_DEPLOYMENT || '',
+    imageModel: process.env.AZURE_OPENAI_IMAGE_DEPLOYMENT || '',
+    jsonMode: 'json_schema'
+  });
+}
+
+export function createCompatibleProvider() {
+  const baseURL = process.env.OPENAI_COMPATIBLE_BASE_URL;
+  return openAIProtocol({
+    name: 'openai_compatible',
+    label: 'Self-hosted (OpenAI-compatible)',
+    configured: !!(baseURL && process.env.OPENAI_COMPATIBLE_MODEL),
+    client: () => {
+      if (!baseURL) throw new Error('Missing OPENAI_COMPATIBLE_BASE_URL in server environment (required for provider="openai_compatible").');
+      // Local servers usually ignore the key, but the SDK insists on one.
+      return new OpenAI({ baseURL, apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed', maxRetries: 0 });
+    },
+    textModel: process.env.OPENAI_COMPATIBLE_MODEL || '',
+    imageModel: process.env.OPENAI_COMPATIBLE_IMAGE_MODEL || '',
+    jsonMode: process.env.OPENAI_COMPATIBLE_JSON_MODE || 'json_schema'
+  });
+}
+
+function openAIProtocol({ name, label, configured, client, textModel, imageModel, jsonMode }) {
+  let sdk = null;
+  const getClient = () => (sdk = sdk || client());
+
+  return {
+    name,
+    label,
+    configured,
+    capabilities: { json: true, image: !!imageModel, strictSchema: jsonMode === 'json_schema' },
+
+    async generateJson({ system, user, schema, temperature = 0.7, model, signal }) {
+      if (!(model || textModel)) throw new Error(`No text model configured for provider "${name}".`);
+      const loose = jsonMode !== 'json_schema';
+      const completion = await getClient().chat.completions.create({
+        model: model || textModel,
+        messages: [
+          { role: 'system', content: loose ? `${system}\n\n${describeSchema(schema)}` : system },
+          { role: 'user', content: user }
+        ],
+        ...(jsonMode === 'json_schema' ? { response_format: { type: 'json_schema', json_schema: schema } } : {}),
+        ...(jsonMode === 'json_object' ? { response_format: { type: 'json_object' } } : {}),
+        temperature
+      }, { signal });
+      const content = completion.choices?.[0]?.message?.content;
+      if (!content) throw invalidJsonError(`No ${schema?.name || 'JSON'} returned from ${name}.`, '');
+      return parseJsonText(content, name);
+    },
+
+    async generateImage({ prompt, size, model, signal }) {
+      if (!(model || imageModel)) throw new Error(`Provider "${name}" has no image model configured.`);
+      const result = await getClient().images.generate({
+        model: model || imageModel,
+        prompt,
+        // We'll resize/crop for PPTX anyway.
+        size: /^\d+x\d+$/.test(size || '') ? size : '1024x1024'
+      }, { signal });
+      const base64 = result?.data?.[0]?.b64_json || null;
+      if (!base64) throw new Error(`${name} did not return an image.`);
+      return { base64, mimeType: 'image/png' };
+    }
+  };
+}
+
+function describeSchema(schema) {
+  return `Respond with a single JSON object (no prose, no code fences) that matches this JSON schema:\n${JSON.stringify(schema?.schema || schema)}`;
+}
+
+function parseJsonText(txt, name) {
+  try {
+    return JSON.parse(txt);
+  } catch {
+    // Fallback: models without schema enforcement sometimes wrap the object in prose or fences.
+    const m = txt.match(/\{[\s\S]*\}/);
+    try {
+      if (m) return JSON.parse(m[0]);
+    } catch {}
+    throw invalidJsonError(`${name} returned non-JSON output.`, txt);
+  }
+}
@@ -0,0 +1,140 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { humanize } from '../store.js';
+
+/**
+ * Offline providers for demos and reproducible runs.
+ *
+ * "replay" sits in front of a real provider (REPLAY_UPSTREAM, "name" or "name:model"):
+ *   REPLAY_MODE=record  — every call goes upstream and the response is written to REPLAY_DIR
+ *   REPLAY_MODE=replay  — (default) responses are served from REPLAY_DIR, no network
+ * Fixtures are one JSON file per call, named <stage>_<hash>.json, where the hash covers everything that
+ * shapes the response (prompts, schema, temperature, model / image prompt and size). A call with no fixture
+ * fails, or falls back to the stub when REPLAY_MISSING=stub.
+ *
+ * "stub" needs nothing at all: schema-valid placeholder JSON and solid-color images, same output every run.
+ */
+
+const SERVER_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const DEFAULT_REPLAY_DIR = path.join(SERVER_DIR, 'fixtures', 'replay');
+
+const STUB_COLORS = ['#2A7FFF', '#0B0F1A', '#F97316', '#10B981', '#A855F7', '#EF4444', '#F59E0B', '#0EA5E9'];
+
+export function createReplayProvider(getUpstream) {
+  const mode = (process.env.REPLAY_MODE || 'replay').toLowerCase();
+  const dir = process.env.REPLAY_DIR || DEFAULT_REPLAY_DIR;
+  const upstreamSpec = process.env.REPLAY_UPSTREAM || 'openai';
+  const onMissing = (process.env.REPLAY_MISSING || 'error').toLowerCase();
+  if (!['record', 'replay'].includes(mode)) throw new Error(`REPLAY_MODE must be "record" or "replay" (got "${mode}").`);
+
+  const stub = createStubProvider();
+  const upstream = () => {
+    const [name, ...rest] = upstreamSpec.split(':');
+    return { provider: getUpstream(name), model: rest.join(':') || undefined };
+  };
+
+  async function serve(kind, stage, request, call, fallback) {
+    const key = requestHash(kind, request);
+    const file = path.join(dir, `${stage || kind}_${key}.json`);
+
+    if (mode === 'record') {
+      const response = await call();
+      await fs.outputJson(file, { key, kind, stage: stage || null, upstream: upstreamSpec, recordedAt: new Date().toISOString(), request, response }, { spaces: 2 });
+      return response;
+    }
+
+    if (await fs.pathExists(file)) return (await fs.readJson(file)).response;
+    if (onMissing === 'stub') return fallback();
+    throw new Error(`No replay fixture for ${stage || kind} call ${key} in ${dir}. Record it first with REPLAY_MODE=record.`);
+  }
+
+  return {
+    name: 'replay',
+    label: `Replay (${mode}${mode === 'record' ? ` from ${upstreamSpec}` : ''})`,
+    configured: mode === 'record' ? !!upstream().provider.configured : fs.existsSync(dir) || onMissing === 'stub',
+    capabilities: { json: true, image: true, strictSchema: true },
+
+    generateJson({ stage, system, user, schema, temperature, model, signal }) {
+      const request = { system, user, schema, temperature, model: model || null };
+      return serve('json', stage, request, () => {
+        const { provider, model: upstreamModel } = upstream();
+        return provider.generateJson({ stage, system, user, schema, temperature, model: model || upstreamModel, signal });
+      }, () => stub.generateJson({ stage, system, user, schema }));
+    },
+
+    generateImage({ stage = 'images', prompt, aspectRatio, size, model, signal }) {
+      const request = { prompt, aspectRatio: aspectRatio || null, size: size || null, model: model || null };
+      return serve('image', stage, request, () => {
+        const { provider, model: upstreamModel } = upstream();
+        return provider.generateImage({ prompt, aspectRatio, size, model: model || upstreamModel, signal });
+      }, () => stub.generateImage({ prompt, aspectRatio }));
+    }
+  };
+}
+
+export function createStubProvider() {
+  return {
+    name: 'stub',
+    label: 'Offline stub (placeholders)',
+    configured: true,
+    capabilities: { json: true, image: true, strictSchema: true },
+
+    async generateJson({ schema }) {
+      return placeholderFor(schema?.schema || schema, schema?.name || 'value');
+    },
+
+    async generateImage({ prompt, aspectRatio = '16:9' }) {
+      const [w, h] = aspectRatio.split(':').map(Number);
+      const width = 1024;
+      const height = w > 0 && h > 0 ? Math.round(width * h / w) : 576;
+      const color = STUB_COLORS[parseInt(requestHash('image', { prompt }).slice(0, 8), 16) % STUB_COLORS.length];
+      const buf = await sharp({ create: { width, height, channels: 3, background: color } }).png().toBuffer();
+      return { base64: buf.toString('base64'), mimeType: 'image/png' };
+    }
+  };
+}
+
+function requestHash(kind, request) {
+  return crypto.createHash('sha256').update(JSON.stringify({ kind, ...request })).digest('hex').slice(0, 20);
+}
+
+// -------- Placeholder JSON --------
+
+/**
+ * Smallest value that satisfies the schema subset the planner uses (type / enum / properties / items /
+ * min/maxItems / minimum). Strings are readable labels so a stubbed deck still shows where copy would go.
+ */
+function placeholderFor(schema = {}, key = 'value', n = 0) {
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[n % schema.enum.length];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type || (schema.properties ? 'object' : 'string')];
+  const type = types.find(t => t !== 'null') || 'null';
+
+  switch (type) {
+    case 'object': {
+      const out = {};
+      for (const [k, sub] of Object.entries(schema.properties || {})) out[k] = placeholderFor(sub, k, n);
+      return out;
+    }
+    case 'array': {
+      const count = Math.min(Math.max(schema.minItems || 0, 1), schema.maxItems ?? 3);
+      return Array.from({ length: count }, (_, i) => placeholderFor(schema.items || {}, singular(key), i));
+    }
+    case 'integer':
+    case 'number':
+      return Math.max(schema.minimum ?? 0, Math.min(schema.maximum ?? 1, 1));
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      if (/colou?r/i.test(key)) return STUB_COLORS[n % STUB_COLORS.length];
+      return `${humanize(key)}${n ? ` ${n + 1}` : ''}`;
+  }
+}
+
+function singular(key) {
+  return key.replace(/ies$/, 'y').replace(/s$/, '');
+}
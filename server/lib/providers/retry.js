@@ -0,0 +1,137 @@
+/**
+ * Shared call middleware for provider calls: per-call timeout, exponential backoff with jitter and
+ * Retry-After support. Providers report failures with the helpers below so the policy lives in one place.
+ *
+ * Retried: 408 / 409 / 425 / 429 / 5xx, timeouts and network errors. Everything else (auth, bad request,
+ * unknown model …) fails at once.
+ */
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+// A server asking for more than this is effectively down; stop waiting and let the fallback take over.
+const MAX_RETRY_AFTER_MS = 120000;
+
+/**
+ * Error for a non-2xx HTTP response. headers may be a fetch Headers object or a plain record.
+ */
+export function httpError(message, status, headers) {
+  const err = new Error(message);
+  err.status = status;
+  err.retryAfterMs = parseRetryAfter(readHeader(headers, 'retry-after-ms'), readHeader(headers, 'retry-after'));
+  return err;
+}
+
+/**
+ * Error for output that could not be parsed as JSON; raw keeps the text for the repair prompt.
+ */
+export function invalidJsonError(message, raw) {
+  const err = new Error(message);
+  err.code = 'invalid_json';
+  err.raw = (raw || '').toString();
+  return err;
+}
+
+/**
+ * Run fn(signal) with a timeout, retrying transient failures.
+ * opts: { retries, timeoutMs, label, log, signal } — log(message) is called before every retry; aborting
+ * signal (a caller's cancel) stops the call and any pending retry with err.code === 'cancelled'.
+ */
+export async function callWithRetry(fn, { retries = 3, timeoutMs = 180000, label = 'call', log = console.warn, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(fn, timeoutMs, label, signal);
+    } catch (err) {
+      if (signal?.aborted) throw cancelledError(signal);
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const delay = retryDelay(err, attempt);
+      if (delay == null) throw err;
+      log(`[llm] ${label} failed (${describeError(err)}); retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay, signal);
+      if (signal?.aborted) throw cancelledError(signal);
+    }
+  }
+}
+
+/**
+ * Error for a call stopped by the caller (not retried, no fallback).
+ */
+export function cancelledError(signal) {
+  if (signal?.reason?.code === 'cancelled') return signal.reason;
+  const err = new Error('Cancelled.');
+  err.code = 'cancelled';
+  return err;
+}
+
+export function isRetryable(err) {
+  if (err?.code === 'cancelled') return false;
+  if (err?.code === 'timeout') return true;
+  const status = Number(err?.status);
+  if (status) return [408, 409, 425, 429].includes(status) || status >= 500;
+  if (err?.code === 'invalid_json' || err?.name === 'AbortError') return false;
+  // No status: connection reset, DNS, "fetch failed" and SDK connection errors.
+  return /fetch failed|network|socket|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|connection/i.test(`${err?.message} ${err?.code || ''} ${err?.cause?.code || ''}`);
+}
+
+export function describeError(err) {
+  if (err?.code === 'timeout') return 'timeout';
+  const msg = (err?.message || String(err)).replace(/\s+/g, ' ').slice(0, 160);
+  return err?.status && !msg.includes(String(err.status)) ? `${err.status}: ${msg}` : msg;
+}
+
+function retryDelay(err, attempt) {
+  const retryAfter = err?.retryAfterMs ?? parseRetryAfter(readHeader(err?.headers, 'retry-after-ms'), readHeader(err?.headers, 'retry-after'));
+  if (retryAfter != null) return retryAfter > MAX_RETRY_AFTER_MS ? null : retryAfter;
+  const exp = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(exp / 2 + Math.random() * exp / 2);
+}
+
+async function withTimeout(fn, timeoutMs, label, outer) {
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${Math.round(timeoutMs / 1000)}s`);
+      err.code = 'timeout';
+      controller.abort(err);
+      reject(err);
+    }, timeoutMs);
+    onAbort = () => {
+      const err = cancelledError(outer);
+      controller.abort(err);
+      reject(err);
+    };
+    if (outer?.aborted) onAbort();
+    else outer?.addEventListener('abort', onAbort, { once: true });
+  });
+  try {
+    // Racing as well as aborting: a provider that ignores the signal still can't hang the stage.
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+    outer?.removeEventListener('abort', onAbort);
+  }
+}
+
+function readHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+// Retry-After is seconds or an HTTP date; OpenAI also sends retry-after-ms.
+function parseRetryAfter(ms, value) {
+  if (ms != null && ms !== '' && Number.isFinite(Number(ms))) return Math.max(0, Number(ms));
+  if (value == null || value === '') return null;
+  if (Number.isFinite(Number(value))) return Math.max(0, Number(value) * 1000);
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : Math.max(0, t - Date.now());
+}
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const onAbort = () => { clearTimeout(t); resolve(); };
+    const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
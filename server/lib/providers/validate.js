@@ -0,0 +1,66 @@
+/**
+ * Minimal JSON-schema check for provider output. Covers the subset the planner schemas use:
+ * type (incl. ["object", "null"]), enum, properties, required, additionalProperties: false, items,
+ * minItems / maxItems, minimum / maximum. Returns a list of "path: problem" strings (empty when valid).
+ */
+export function validateJson(schema, value, { maxErrors = 20 } = {}) {
+  const errors = [];
+  check(schema || {}, value, '$', errors, maxErrors);
+  return errors;
+}
+
+function check(schema, value, at, errors, maxErrors) {
+  if (errors.length >= maxErrors) return;
+  const types = schema.type ? (Array.isArray(schema.type) ? schema.type : [schema.type]) : null;
+
+  if (types && !types.some(t => isType(t, value))) {
+    errors.push(`${at}: expected ${types.join(' or ')}, got ${typeName(value)}`);
+    return;
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items, got ${value.length}`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items, got ${value.length}`);
+    if (schema.items) value.forEach((v, i) => check(schema.items, v, `${at}[${i}]`, errors, maxErrors));
+    return;
+  }
+
+  if (value && typeof value === 'object') {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key}: is required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) check(props[key], v, `${at}.${key}`, errors, maxErrors);
+      else if (schema.additionalProperties === false) errors.push(`${at}.${key}: is not allowed`);
+    }
+  }
+}
+
+function isType(type, value) {
+  switch (type) {
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+function typeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
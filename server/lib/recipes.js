@@ -0,0 +1,215 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonStore, humanize, ID_RE } from './store.js';
+
+/**
+ * Narrative recipes: ordered story beats a deck follows (story-first, not visual templates).
+ *
+ * A recipe is
+ *   { id, name, description, deck_type, locked, auto, beats: [beat] }
+ *   beat: { id, name, kind, kinds, layout, layouts, goal, image_prompt, subtitle, max_bullets, styles }
+ * - kinds: slide kinds that count as this beat (kind first); layouts: allowed layouts (empty = any);
+ *   layout: the layout used when the slide has none of them (default: the first allowed, else "split");
+ *   styles: per deck style overrides, e.g. { agency_typographic: { layout: 'agency_center', max_bullets: 2 } }.
+ * - locked: the deck is forced to exactly these beats, in order (planner.js lockNarrativeToRecipe /
+ *   lockDeckPlanToRecipe). Unlocked recipes only guide the narrative step.
+ * - auto: applied whenever the requested or suggested deck type is deck_type (otherwise only when chosen
+ *   with options.recipe).
+ *
+ * Built-in recipes live below, example recipes in server/examples/recipes (read-only); house recipes are JSON
+ * files in RECIPES_DIR (default server/data/recipes, git-ignored), one recipe per file, and can also be
+ * managed through /api/recipes. A house recipe with a built-in's id replaces it.
+ */
+
+const SERVER_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+// House recipes saved through the API; git-ignored so API writes and deletes never touch the source tree.
+export const RECIPES_DIR = process.env.RECIPES_DIR || path.join(SERVER_DIR, 'data', 'recipes');
+// Example recipes shipped with the app: loaded read-only, like the built-ins.
+const EXAMPLES_DIR = path.join(SERVER_DIR, 'examples', 'recipes');
+
+const MAX_BEATS = 30;
+
+// Story beats by kind only; names are derived from the kind.
+const SIMPLE_RECIPES = {
+  // The exact arc your MDLBEAST case study reference follows:
+  // proof of signal → align to brand → articulate challenge → reframe to opportunity → pillars → platform → visual system → executions → objectives → next steps → close
+  marketing_case_study: ['cover', 'proof_or_current_state', 'brand_alignment', 'challenge', 'insight_or_reframe', 'strategy_pillars', 'creative_platform', 'visual_direction', 'execution_examples', 'rollout_or_system', 'measurement_objectives', 'next_steps', 'close'],
+  investor_pitch: ['cover', 'problem', 'solution', 'market', 'product', 'business_model', 'traction', 'go_to_market', 'competition', 'team', 'ask', 'close'],
+  sales_deck: ['cover', 'customer_pain', 'why_now', 'solution', 'how_it_works', 'benefits', 'proof', 'pricing', 'implementation', 'cta', 'close'],
+  business_proposal: ['cover', 'context', 'objectives', 'scope', 'approach', 'deliverables', 'timeline', 'investment', 'team', 'risks', 'next_steps', 'close'],
+  marketing_strategy: ['cover', 'context', 'audience', 'insights', 'strategy_pillars', 'big_idea', 'channel_plan', 'content_system', 'measurement', 'timeline', 'next_steps', 'close'],
+  qbr: ['cover', 'agenda', 'kpi_dashboard', 'wins', 'losses', 'insights', 'pipeline', 'priorities_next_quarter', 'asks', 'close'],
+  product_roadmap: ['cover', 'vision', 'now_next_later', 'timeline', 'themes', 'milestones', 'dependencies_risks', 'asks', 'close'],
+  company_profile: ['cover', 'who_we_are', 'mission_vision', 'capabilities', 'proof_clients', 'case_study', 'team', 'process', 'cta', 'close'],
+  training_workshop: ['cover', 'objectives', 'agenda', 'concepts', 'steps', 'exercise', 'quiz', 'summary', 'cta', 'close'],
+  project_status_update: ['cover', 'agenda', 'traffic_light', 'progress', 'blockers', 'timeline', 'decisions', 'next_steps', 'close'],
+  keynote_thought_leadership: ['cover', 'hook', 'tension', 'insight', 'big_idea', 'proof', 'implications', 'call_to_action', 'close']
+};
+
+// Fixed 10-slide agency creative story. Intentionally *rigid*: agency decks need a reliable client-friendly narrative.
+// Title → Current Audience → About the Brand → Challenge → Opportunity → Communication Pillars/Media Types → Creative Concept → Visual Identity → Execution Example → Thank You
+const AGENCY_CREATIVE_10 = {
+  id: 'agency_creative_10',
+  name: 'Agency creative (10 slides)',
+  description: 'Fixed 10-slide creative story for ad-agency decks.',
+  deck_type: 'ad_agency',
+  locked: true,
+  auto: true,
+  beats: [
+    { id: 's1_title', name: 'Title', kind: 'title', kinds: ['title', 'cover'], layout: 'hero', styles: { agency_typographic: { layout: 'agency_center', max_bullets: 2 } }, image_prompt: 'High-contrast abstract campaign key visual, premium editorial lighting, minimal, no text' },
+    { id: 's2_current_audience', name: 'Current Audience', kind: 'current_audience', kinds: ['current_audience', 'audience'], layout: 'cards', styles: { agency_typographic: { layout: 'agency_infographic', max_bullets: 3 } }, image_prompt: 'Modern editorial audience collage, diverse silhouettes, premium lighting, minimal, no text' },
+    { id: 's3_about_brand', name: 'About the Brand', kind: 'about_brand', kinds: ['about_brand', 'brand'], layout: 'split', styles: { agency_typographic: { layout: 'agency_half', max_bullets: 2 } }, image_prompt: 'Premium brand essence key visual, clean minimal composition, no text' },
+    { id: 's4_challenge', name: 'The Challenge / The Problem', kind: 'challenge', kinds: ['challenge', 'problem'], layout: 'full_bleed', styles: { agency_typographic: { layout: 'agency_half', max_bullets: 2 } }, image_prompt: 'Dramatic abstract tension visual, high contrast, minimal, no text' },
+    { id: 's5_opportunity', name: 'The Opportunity', kind: 'opportunity', kinds: ['opportunity', 'insight_or_reframe'], layout: 'two_column', styles: { agency_typographic: { layout: 'agency_infographic', max_bullets: 3 } }, image_prompt: 'Optimistic breakthrough abstract visual, premium lighting, minimal, no text' },
+    { id: 's6_pillars', name: 'Communication Pillars / Media Types', kind: 'communication_pillars', kinds: ['communication_pillars', 'strategy_pillars'], layout: 'process_steps', styles: { agency_typographic: { layout: 'agency_infographic', max_bullets: 3 } }, image_prompt: 'Minimal bento-style abstract icons and shapes, premium, high contrast, no text' },
+    { id: 's7_concept', name: 'Creative Concept', kind: 'creative_concept', kinds: ['creative_concept', 'big_idea'], layout: 'hero', subtitle: 'The big idea in one line.', max_bullets: 3, styles: { agency_typographic: { layout: 'agency_center', max_bullets: 2 } }, image_prompt: 'Signature campaign platform key visual, iconic, bold, minimal, no text' },
+    { id: 's8_visual_identity', name: 'Visual Identity', kind: 'visual_identity', kinds: ['visual_identity', 'visual_direction'], layout: 'image_caption', styles: { agency_typographic: { layout: 'agency_half', max_bullets: 2 } }, image_prompt: 'Design system moodboard: materials, textures, color swatches, minimal, no text' },
+    { id: 's9_execution', name: 'Execution Example', kind: 'execution_example', kinds: ['execution_example', 'execution_examples'], layout: 'full_bleed', styles: { agency_typographic: { layout: 'full_bleed', max_bullets: 2 } }, image_prompt: 'Cinematic outdoor advertising mockup scene, generic, premium lighting, no logos, no text' },
+    { id: 's10_thanks', name: 'Thank You', kind: 'thank_you', kinds: ['thank_you', 'close'], layout: 'hero', styles: { agency_typographic: { layout: 'agency_center', max_bullets: 2 } }, image_prompt: 'Soft gradient background, premium minimal, no text' }
+  ]
+};
+
+const BUILTIN_RECIPES = [
+  AGENCY_CREATIVE_10,
+  ...Object.entries(SIMPLE_RECIPES).map(([id, kinds]) => ({
+    id,
+    name: humanize(id),
+    description: '',
+    deck_type: id === 'marketing_case_study' ? 'marketing_strategy' : id,
+    locked: false,
+    auto: false,
+    beats: kinds.map(kind => ({ kind, name: humanize(kind) }))
+  }))
+].map(r => ({ ...validateRecipe(r), builtin: true }));
+
+const store = createJsonStore({ label: 'recipes', dir: RECIPES_DIR, examplesDir: EXAMPLES_DIR, builtins: BUILTIN_RECIPES, validate: validateRecipe });
+
+/**
+ * Read every *.json recipe in dir. Invalid files are skipped with a warning, never fatal.
+ * layouts / deckTypes: allowed slide layouts and deck types (planner SLIDE_LAYOUTS / DECK_TYPES) to check against.
+ */
+export function loadRecipes(dir = RECIPES_DIR, { layouts, deckTypes } = {}) {
+  return store.load(dir, { layouts, deckTypes });
+}
+
+/**
+ * Built-in and house recipes; a house recipe with a built-in's id replaces it.
+ */
+export function listRecipes() {
+  return store.list();
+}
+
+export function getRecipe(id) {
+  return store.get(id);
+}
+
+/**
+ * The recipe a deck follows: options.recipe when set (unknown ids throw), otherwise an auto recipe for the
+ * requested deck type or, when none was requested, for the type the extract suggests. null = no recipe
+ * (the model picks one).
+ */
+export function resolveRecipe(extractJson, options = {}) {
+  const wanted = (options.recipe || '').toString().trim();
+  if (wanted) {
+    const recipe = getRecipe(wanted);
+    if (!recipe) throw new Error(`Unknown recipe "${wanted}".`);
+    return recipe;
+  }
+  const type = (options.deckType || options.deck_type || extractJson?.deck_type_suggestion || extractJson?.deck_type || '')
+    .toString().trim().toLowerCase();
+  if (!type) return null;
+  return listRecipes().find(r => r.auto && r.deck_type === type) || null;
+}
+
+/**
+ * Validate and save a house recipe as <id>.json. Returns the stored recipe.
+ */
+export function saveRecipe(raw, { dir = RECIPES_DIR, layouts, deckTypes } = {}) {
+  return store.save(raw, { dir, layouts, deckTypes });
+}
+
+/**
+ * Delete a house recipe (see store.js). Returns false if there was no such house recipe.
+ */
+export function deleteRecipe(id, { dir = RECIPES_DIR } = {}) {
+  return store.remove(id, { dir });
+}
+
+/**
+ * Normalize a recipe or throw an Error listing what is wrong with it.
+ */
+export function validateRecipe(raw, { layouts, deckTypes } = {}) {
+  const problems = [];
+  const r = raw && typeof raw === 'object' ? raw : {};
+  const id = (r.id || '').toString().trim();
+  if (!ID_RE.test(id)) problems.push('id must be 3–40 lowercase letters, digits or underscores');
+  // An auto recipe only applies to a deck type the extract can suggest or the client can pick.
+  const deckType = (r.deck_type || '').toString().trim().toLowerCase().slice(0, 40);
+  if (deckType && deckTypes && !deckTypes.includes(deckType)) problems.push(`unknown deck_type "${deckType}"`);
+
+  const beats = Array.isArray(r.beats) ? r.beats : [];
+  if (!beats.length || beats.length > MAX_BEATS) problems.push(`beats must list 1–${MAX_BEATS} beats`);
+
+  const seen = new Set();
+  const normBeats = beats.slice(0, MAX_BEATS).map((b, i) => {
+    const kind = (b?.kind || '').toString().trim().toLowerCase();
+    if (!kind) problems.push(`beats[${i}].kind is required`);
+    const beatId = (b?.id || `s${i + 1}_${kind}`).toString().trim();
+    if (seen.has(beatId)) problems.push(`beats[${i}].id "${beatId}" is used twice`);
+    seen.add(beatId);
+    const beatLayouts = list(b?.layouts);
+    const styles = Object.fromEntries(Object.entries(b?.styles && typeof b.styles === 'object' ? b.styles : {})
+      .map(([style, o]) => [style, { layout: (o?.layout || '').toString().trim(), layouts: list(o?.layouts), max_bullets: count(o?.max_bullets) }]));
+    const layout = (b?.layout || '').toString().trim() || beatLayouts[0] || 'split';
+    for (const l of [layout, ...beatLayouts, ...Object.values(styles).flatMap(o => [o.layout, ...o.layouts]).filter(Boolean)]) {
+      if (layouts && !layouts.includes(l)) problems.push(`beats[${i}]: unknown layout "${l}"`);
+    }
+    return {
+      id: beatId,
+      name: (b?.name || humanize(kind)).toString().trim().slice(0, 80),
+      kind,
+      kinds: [kind, ...list(b?.kinds).map(k => k.toLowerCase()).filter(k => k !== kind)],
+      layout,
+      layouts: beatLayouts,
+      goal: (b?.goal || '').toString().slice(0, 300),
+      image_prompt: (b?.image_prompt || '').toString().slice(0, 400),
+      subtitle: (b?.subtitle || '').toString().slice(0, 200),
+      max_bullets: count(b?.max_bullets),
+      styles
+    };
+  });
+
+  if (problems.length) throw new Error(`Invalid recipe: ${problems.join('; ')}.`);
+  return {
+    id,
+    name: (r.name || humanize(id)).toString().trim().slice(0, 80),
+    description: (r.description || '').toString().slice(0, 400),
+    deck_type: deckType,
+    locked: r.locked === true,
+    auto: r.auto === true,
+    beats: normBeats
+  };
+}
+
+/**
+ * A beat with its deck-style override applied (styles[deckStyle] layout / layouts / max_bullets).
+ */
+export function beatForStyle(beat, deckStyle) {
+  const o = beat?.styles?.[deckStyle];
+  if (!o) return beat;
+  return {
+    ...beat,
+    layout: o.layout || o.layouts[0] || beat.layout,
+    layouts: o.layouts.length ? o.layouts : beat.layouts,
+    max_bullets: o.max_bullets ?? beat.max_bullets
+  };
+}
+
+function count(v) {
+  const n = Number(v);
+  return v != null && v !== '' && Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+function list(v) {
+  return (Array.isArray(v) ? v : []).map(x => (x || '').toString().trim()).filter(Boolean);
+}
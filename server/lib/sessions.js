@@ -0,0 +1,62 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { nanoid } from 'nanoid';
+import { ensureCleanTmp } from './util.js';
+
+/**
+ * Paused planning sessions: the state a strategist reviews between messaging and assembly (approval mode), or
+ * the extract waiting for answers to the clarifying questions (clarify mode).
+ *
+ * One JSON file per session in the session directory, so a review survives a server restart and can be
+ * reopened from another tab. A session is
+ *   { id, status: 'awaiting_answers' | 'answered' | 'awaiting_approval' | 'resumed', createdAt, updatedAt, options,
+ *     briefText, summary, tables, assets, _extract, _narrative, _messaging, completeness }
+ * and expires SESSION_TTL_MINUTES after its last change.
+ */
+
+const SESSION_TTL_MINUTES = 24 * 60;
+
+export async function createSession(sessionDir, data) {
+  await ensureCleanTmp(sessionDir, SESSION_TTL_MINUTES);
+  const now = new Date().toISOString();
+  const session = { id: nanoid(12), status: 'awaiting_approval', createdAt: now, updatedAt: now, ...data };
+  await fs.writeJson(sessionFile(sessionDir, session.id), session);
+  return session;
+}
+
+/**
+ * The stored session, or null if it is unknown, expired or unreadable (a truncated or corrupt file).
+ */
+export async function loadSession(sessionDir, id) {
+  const file = sessionFile(sessionDir, id);
+  if (!file || !(await fs.pathExists(file))) return null;
+  const session = await fs.readJson(file).catch(() => null);
+  if (!session) return null;
+  // The directory sweep only runs when a session is created; an idle server can hold expired files.
+  if (Date.now() - Date.parse(session.updatedAt) > SESSION_TTL_MINUTES * 60 * 1000) return null;
+  return session;
+}
+
+/**
+ * Merge patch into a stored session and return the updated session (null if it is gone).
+ */
+export async function updateSession(sessionDir, id, patch) {
+  const session = await loadSession(sessionDir, id);
+  if (!session) return null;
+  const next = { ...session, ...patch, id: session.id, updatedAt: new Date().toISOString() };
+  await fs.writeJson(sessionFile(sessionDir, id), next);
+  return next;
+}
+
+/**
+ * What the review screen needs: no tables / assets (the brief text only as summary.briefText).
+ */
+export function sessionView(session) {
+  const { id, status, createdAt, updatedAt, summary, _extract, _narrative, _messaging, completeness = null } = session;
+  return { id, status, createdAt, updatedAt, summary, _extract, _narrative, _messaging, completeness };
+}
+
+function sessionFile(sessionDir, id) {
+  if (!/^[A-Za-z0-9_-]{12}$/.test(id || '')) return null;
+  return path.join(sessionDir, `${id}.json`);
+}
@@ -0,0 +1,434 @@
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+
+// Keep parsed sheets bounded: briefs are not data warehouses, and every row
+// we keep ends up (previewed) in a prompt.
+const MAX_ROWS = 500;
+const MAX_COLS = 26;
+const PREVIEW_ROWS = 20;
+
+// Built-in Excel number formats that render as dates / percentages.
+const DATE_FMT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+const PERCENT_FMT_IDS = new Set([9, 10]);
+
+/**
+ * Extract typed tables from an XLSX workbook (one table per non-empty sheet).
+ * Returns [{ sheet, range, origin: { row, col }, headers, columns: [{ name, type }], rows }]
+ * where rows hold typed cell values (number | string | boolean | null).
+ */
+export async function extractXlsxTables(xlsxPath) {
+  const buf = fs.readFileSync(xlsxPath);
+  const zip = await JSZip.loadAsync(buf);
+
+  const workbookXml = await readZipText(zip, 'xl/workbook.xml');
+  if (!workbookXml) throw new Error('Invalid XLSX: missing xl/workbook.xml.');
+  const relsXml = await readZipText(zip, 'xl/_rels/workbook.xml.rels');
+  const sharedStrings = parseSharedStrings(await readZipText(zip, 'xl/sharedStrings.xml'));
+  const styleKinds = parseStyleKinds(await readZipText(zip, 'xl/styles.xml'));
+
+  const targets = new Map();
+  for (const m of relsXml.matchAll(/<Relationship\b([^>]*)\/?>/gi)) {
+    const id = attr(m[1], 'Id');
+    const target = attr(m[1], 'Target');
+    if (id && target) targets.set(id, target.replace(/^\/?(xl\/)?/, 'xl/'));
+  }
+
+  const tables = [];
+  for (const m of workbookXml.matchAll(/<sheet\b([^>]*)\/?>/gi)) {
+    const name = decodeXml(attr(m[1], 'name') || `Sheet${tables.length + 1}`);
+    const target = targets.get(attr(m[1], 'r:id'));
+    const sheetXml = target ? await readZipText(zip, target) : '';
+    if (!sheetXml) continue;
+
+    const cells = parseSheetCells(sheetXml, sharedStrings, styleKinds);
+    const table = buildTable(name, cells);
+    if (table) tables.push(table);
+  }
+  return tables;
+}
+
+/**
+ * Extract a single typed table from a CSV/TSV file.
+ * The delimiter is sniffed from the first line; the sheet name is the file's base name.
+ */
+export function extractCsvTables(csvPath, originalName = '') {
+  const text = fs.readFileSync(csvPath, 'utf8').replace(/^\uFEFF/, '');
+  const grid = parseCsv(text, sniffDelimiter(text));
+
+  const cells = [];
+  grid.slice(0, MAX_ROWS + 1).forEach((row, r) => {
+    row.slice(0, MAX_COLS).forEach((raw, c) => {
+      const cell = coerceText(raw);
+      if (cell) cells.push({ row: r + 1, col: c + 1, ...cell });
+    });
+  });
+
+  const name = path.basename(originalName || csvPath, path.extname(originalName || csvPath)) || 'Sheet1';
+  const table = buildTable(name, cells);
+  return table ? [table] : [];
+}
+
+/**
+ * Render tables as plain text so the extract step (and the UI) can read them.
+ */
+export function tablesToText(tables = []) {
+  return (tables || []).map((t) => {
+    const head = `Sheet "${t.sheet}" (${t.range}; ${t.rows.length} rows)`;
+    const lines = [t.headers, ...t.rows].map((r, i) =>
+      r.map((v, c) => (i === 0 ? v : formatCell(v, t.columns[c]?.type))).join(' | ')
+    );
+    return [head, ...lines].join('\n');
+  }).join('\n\n---\n\n');
+}
+
+/**
+ * Compact table descriptions for prompts: headers, column types and a row preview.
+ */
+export function summarizeTables(tables = []) {
+  return (tables || []).map((t) => ({
+    sheet: t.sheet,
+    range: t.range,
+    header_row: t.origin.row,
+    columns: t.columns.map(c => ({ name: c.name, letter: c.letter, type: c.type })),
+    row_count: t.rows.length,
+    preview_rows: t.rows.slice(0, PREVIEW_ROWS).map(r => r.map((v, c) => formatCell(v, t.columns[c]?.type)))
+  }));
+}
+
+/**
+ * Fill chart / table / kpis blocks from spreadsheet cells for every slide that carries a data_ref.
+ * data_ref: { sheet, range, label_column, value_columns }. Unresolvable refs are dropped and noted
+ * in speaker_notes so nobody mistakes model values for spreadsheet values.
+ */
+export function applyDataRefs(slides = [], tables = []) {
+  if (!Array.isArray(slides) || !tables?.length) return slides;
+
+  return slides.map((slide) => {
+    const ref = slide?.data_ref;
+    if (!ref || !ref.sheet) return slide;
+
+    const table = tables.find(t => t.sheet.toLowerCase() === ref.sheet.toString().trim().toLowerCase());
+    const slice = table ? sliceTable(table, ref.range) : null;
+    if (!slice || !slice.rows.length) {
+      const note = `Data reference ${ref.sheet}!${ref.range || ''} could not be resolved; figures on this slide are not from the spreadsheet.`;
+      return { ...slide, data_ref: null, speaker_notes: [slide.speaker_notes, note].filter(Boolean).join('\n\n') };
+    }
+
+    const labelIdx = pickColumn(slice, ref.label_column, c => c.type === 'text' || c.type === 'date') ?? 0;
+    const wanted = Array.isArray(ref.value_columns) ? ref.value_columns : [];
+    let valueIdxs = wanted.map(n => pickColumn(slice, n)).filter(i => i !== null && i !== labelIdx);
+    if (!valueIdxs.length) {
+      valueIdxs = slice.columns.map((c, i) => i).filter(i => i !== labelIdx && isNumericType(slice.columns[i].type));
+    }
+
+    const next = { ...slide };
+    const layout = (slide.layout || '').toString();
+
+    if (slide.chart || layout === 'chart_bar' || layout === 'chart_line') {
+      const vi = valueIdxs[0];
+      if (vi !== undefined) {
+        const type = slice.columns[vi].type;
+        const rows = slice.rows.filter(r => typeof r[vi] === 'number').slice(0, 10);
+        next.chart = {
+          chart_type: slide.chart?.chart_type || (layout === 'chart_line' ? 'line' : 'bar'),
+          labels: rows.map(r => formatCell(r[labelIdx], slice.columns[labelIdx].type)),
+          values: rows.map(r => (type === 'percent' ? round(r[vi] * 100) : r[vi])),
+          value_suffix: type === 'percent' ? '%' : (slide.chart?.value_suffix || '')
+        };
+      }
+    }
+
+    if (slide.table || layout === 'table') {
+      const cols = [labelIdx, ...valueIdxs.filter(i => i !== labelIdx)];
+      const use = (cols.length >= 2 ? cols : slice.columns.map((c, i) => i)).slice(0, 6);
+      next.table = {
+        headers: use.map(i => slice.columns[i].name),
+        rows: slice.rows.slice(0, 12).map(r => use.map(i => formatCell(r[i], slice.columns[i].type)))
+      };
+    }
+
+    if (slide.kpis || layout === 'kpi_dashboard') {
+      const [vi, di] = valueIdxs;
+      if (vi !== undefined) {
+        next.kpis = slice.rows.slice(0, 8).map(r => ({
+          label: formatCell(r[labelIdx], slice.columns[labelIdx].type),
+          value: formatCell(r[vi], slice.columns[vi].type),
+          delta: di !== undefined ? formatCell(r[di], slice.columns[di].type) : ''
+        }));
+      }
+    }
+
+    next.data_ref = {
+      sheet: table.sheet,
+      range: slice.range,
+      label_column: slice.columns[labelIdx]?.name || '',
+      value_columns: valueIdxs.map(i => slice.columns[i].name)
+    };
+    return next;
+  });
+}
+
+// -------- Ranges --------
+
+function colToIndex(letters = '') {
+  return letters.toUpperCase().split('').reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0);
+}
+
+function indexToCol(n) {
+  let s = '';
+  for (let x = n; x > 0; x = Math.floor((x - 1) / 26)) s = String.fromCharCode(65 + ((x - 1) % 26)) + s;
+  return s;
+}
+
+function parseA1Range(range = '') {
+  const m = range.toString().replace(/^.*!/, '').replace(/\$/g, '').trim()
+    .match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+  if (!m) return null;
+  const c1 = colToIndex(m[1]), r1 = parseInt(m[2], 10);
+  const c2 = m[3] ? colToIndex(m[3]) : c1, r2 = m[4] ? parseInt(m[4], 10) : r1;
+  return { c1: Math.min(c1, c2), r1: Math.min(r1, r2), c2: Math.max(c1, c2), r2: Math.max(r1, r2) };
+}
+
+/**
+ * Cut a table down to an A1 range (sheet-absolute). Headers always come from the table's header row.
+ * An empty range means the whole table.
+ */
+function sliceTable(table, range) {
+  const width = table.columns.length;
+  const full = { c1: table.origin.col, r1: table.origin.row, c2: table.origin.col + width - 1, r2: table.origin.row + table.rows.length };
+  const r = range ? parseA1Range(range) : full;
+  if (!r) return null;
+
+  const c1 = Math.max(r.c1, full.c1), c2 = Math.min(r.c2, full.c2);
+  const r1 = Math.max(r.r1, full.r1 + 1), r2 = Math.min(r.r2, full.r2);
+  if (c1 > c2 || r1 > r2) return null;
+
+  const cols = [];
+  for (let c = c1; c <= c2; c++) cols.push(c - full.c1);
+  return {
+    range: `${indexToCol(c1)}${Math.max(r.r1, full.r1)}:${indexToCol(c2)}${r2}`,
+    columns: cols.map(i => table.columns[i]),
+    rows: table.rows.slice(r1 - full.r1 - 1, r2 - full.r1).map(row => cols.map(i => row[i] ?? null))
+  };
+}
+
+function pickColumn(slice, name, fallbackTest) {
+  const n = (name || '').toString().trim().toLowerCase();
+  if (n) {
+    const byName = slice.columns.findIndex(c => c.name.toLowerCase() === n);
+    if (byName >= 0) return byName;
+    const byLetter = /^[a-z]{1,2}$/.test(n) ? slice.columns.findIndex(c => c.letter.toLowerCase() === n) : -1;
+    if (byLetter >= 0) return byLetter;
+  }
+  if (!fallbackTest) return null;
+  const i = slice.columns.findIndex(fallbackTest);
+  return i >= 0 ? i : null;
+}
+
+// -------- Table building --------
+
+function buildTable(sheet, cells) {
+  if (!cells.length) return null;
+  // A loop, not Math.min(...cells): spreading a large sheet overflows the call stack.
+  let minRow = Infinity, minCol = Infinity, lastRow = -Infinity, lastCol = -Infinity;
+  for (const c of cells) {
+    if (c.row < minRow) minRow = c.row;
+    if (c.col < minCol) minCol = c.col;
+    if (c.row > lastRow) lastRow = c.row;
+    if (c.col > lastCol) lastCol = c.col;
+  }
+  const maxRow = Math.min(lastRow, minRow + MAX_ROWS);
+  const maxCol = Math.min(lastCol, minCol + MAX_COLS - 1);
+
+  const width = maxCol - minCol + 1;
+  const grid = Array.from({ length: maxRow - minRow + 1 }, () => Array(width).fill(null));
+  const kinds = Array.from({ length: maxRow - minRow + 1 }, () => Array(width).fill(null));
+  for (const c of cells) {
+    if (c.row > maxRow || c.col > maxCol) continue;
+    grid[c.row - minRow][c.col - minCol] = c.value;
+    kinds[c.row - minRow][c.col - minCol] = c.type;
+  }
+
+  const headers = grid[0].map((v, i) => (v === null || v === '' ? `Column ${indexToCol(minCol + i)}` : String(v).trim()));
+  const body = grid.slice(1);
+  const bodyKinds = kinds.slice(1);
+  // Drop fully empty trailing rows (common in exported sheets).
+  while (body.length && body[body.length - 1].every(v => v === null || v === '')) { body.pop(); bodyKinds.pop(); }
+
+  const columns = headers.map((name, i) => ({ name, letter: indexToCol(minCol + i), type: dominantType(bodyKinds.map(r => r[i])) }));
+  return {
+    sheet,
+    range: `${indexToCol(minCol)}${minRow}:${indexToCol(maxCol)}${minRow + body.length}`,
+    origin: { row: minRow, col: minCol },
+    headers,
+    columns,
+    rows: body
+  };
+}
+
+function dominantType(types) {
+  const counts = new Map();
+  for (const t of types) if (t) counts.set(t, (counts.get(t) || 0) + 1);
+  if (!counts.size) return 'text';
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  // Mixed columns (e.g. "n/a" among numbers) stay numeric as long as numbers dominate.
+  const numeric = ranked.filter(([k]) => isNumericType(k));
+  const numericCount = numeric.reduce((a, [, n]) => a + n, 0);
+  if (numericCount && numericCount >= (counts.get('text') || 0)) return numeric[0][0];
+  return ranked[0][0];
+}
+
+function isNumericType(t) {
+  return t === 'number' || t === 'percent' || t === 'currency';
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function formatCell(value, type) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'number') return String(value);
+  if (type === 'percent') return `${round(value * 100)}%`;
+  return Number.isInteger(value) ? value.toLocaleString('en-US') : round(value).toLocaleString('en-US');
+}
+
+// -------- CSV --------
+
+function sniffDelimiter(text) {
+  const first = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map(d => [d, first.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+function parseCsv(text, delim) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delim) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+/**
+ * Type a raw text cell: "12%" → percent 0.12, "$1,200" → currency 1200, "2024-03-01" → date.
+ */
+function coerceText(raw) {
+  const s = (raw ?? '').toString().trim();
+  if (!s) return null;
+  const pct = s.match(/^(-?[\d,]*\.?\d+)\s*%$/);
+  if (pct) return { value: parseFloat(pct[1].replace(/,/g, '')) / 100, type: 'percent' };
+  const cur = s.match(/^(-?)[$€£¥]\s?(-?[\d,]*\.?\d+)$/);
+  if (cur) return { value: parseFloat(`${cur[1]}${cur[2].replace(/,/g, '')}`), type: 'currency' };
+  if (/^-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/.test(s)) return { value: parseFloat(s.replace(/,/g, '')), type: 'number' };
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) return { value: s, type: 'date' };
+  if (/^(true|false)$/i.test(s)) return { value: /^true$/i.test(s), type: 'boolean' };
+  return { value: s, type: 'text' };
+}
+
+// -------- XLSX XML --------
+
+async function readZipText(zip, name) {
+  const f = zip.file(name);
+  return f ? f.async('string') : '';
+}
+
+function attr(attrs, name) {
+  const m = attrs.match(new RegExp(`\\s${name.replace(':', '\\:')}="([^"]*)"`, 'i'));
+  return m ? m[1] : '';
+}
+
+function decodeXml(s = '') {
+  return s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(parseInt(n, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function textRuns(xml = '') {
+  return Array.from(xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/gi)).map(m => decodeXml(m[1])).join('');
+}
+
+function parseSharedStrings(xml) {
+  if (!xml) return [];
+  return Array.from(xml.matchAll(/<si>([\s\S]*?)<\/si>/gi)).map(m => textRuns(m[1]));
+}
+
+/**
+ * Map each cellXfs style index to 'date' | 'percent' | null using its number format.
+ */
+function parseStyleKinds(xml) {
+  if (!xml) return [];
+  const custom = new Map();
+  for (const m of xml.matchAll(/<numFmt\b([^>]*)\/?>/gi)) {
+    custom.set(parseInt(attr(m[1], 'numFmtId'), 10), decodeXml(attr(m[1], 'formatCode')));
+  }
+  const xfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/i)?.[1] || '';
+  return Array.from(xfs.matchAll(/<xf\b([^>]*)\/?>/gi)).map((m) => {
+    const id = parseInt(attr(m[1], 'numFmtId') || '0', 10);
+    if (DATE_FMT_IDS.has(id)) return 'date';
+    if (PERCENT_FMT_IDS.has(id)) return 'percent';
+    const code = (custom.get(id) || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (code.includes('%')) return 'percent';
+    if (/[dy]/i.test(code) || /m{3,}/i.test(code)) return 'date';
+    return null;
+  });
+}
+
+function excelSerialToIso(serial) {
+  const ms = Math.round((serial - 25569) * 86400 * 1000);
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function parseSheetCells(xml, sharedStrings, styleKinds) {
+  const cells = [];
+  const re = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/gi;
+  let m;
+  while ((m = re.exec(xml)) !== null) {
+    const ref = attr(m[1], 'r').match(/^([A-Z]+)(\d+)$/i);
+    if (!ref) continue;
+    const row = parseInt(ref[2], 10);
+    const col = colToIndex(ref[1]);
+    if (col > MAX_COLS * 4) continue;
+
+    const t = attr(m[1], 't');
+    const body = m[2] || '';
+    const v = body.match(/<v>([\s\S]*?)<\/v>/i)?.[1];
+
+    let cell = null;
+    if (t === 's') cell = coerceText(sharedStrings[parseInt(v, 10)] ?? '');
+    else if (t === 'inlineStr') cell = coerceText(textRuns(body));
+    else if (t === 'str') cell = coerceText(decodeXml(v ?? ''));
+    else if (t === 'b') cell = v === undefined ? null : { value: v === '1', type: 'boolean' };
+    else if (t === 'e') cell = null;
+    else if (v !== undefined && v !== '') {
+      const n = parseFloat(v);
+      const kind = styleKinds[parseInt(attr(m[1], 's') || '0', 10)];
+      if (!Number.isFinite(n)) cell = coerceText(v);
+      else if (kind === 'date') cell = { value: excelSerialToIso(n), type: 'date' };
+      else cell = { value: n, type: kind === 'percent' ? 'percent' : 'number' };
+    }
+    if (cell) cells.push({ row, col, ...cell });
+  }
+  return cells;
+}
@@ -0,0 +1,73 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * House definitions kept as JSON files (recipes, copy voices): one <id>.json per item in a directory, on top
+ * of built-ins. A file with a built-in's id replaces the built-in; deleting it brings the built-in back.
+ *
+ * createJsonStore({ label, dir, examplesDir?, builtins, validate }) → { load, list, get, save, remove }
+ *   examplesDir: shipped example files, loaded as read-only built-ins (the API never writes or deletes there).
+ *   validate(raw, opts) normalizes an item or throws; opts are passed through from load / save.
+ */
+
+export const ID_RE = /^[a-z0-9_]{3,40}$/;
+
+export function createJsonStore({ label, dir: defaultDir, examplesDir = null, builtins, validate }) {
+  // House items by id (loaded from the directory, or saved through the API).
+  const custom = new Map();
+  // Built-ins plus the shipped examples (an example with a built-in's id replaces it).
+  let shipped = builtins;
+
+  const list = () => [...shipped.filter(item => !custom.has(item.id)), ...custom.values()];
+
+  // Every valid *.json file in dir; invalid files are skipped with a warning, never fatal.
+  async function readDir(dir, opts) {
+    if (!dir || !(await fs.pathExists(dir))) return [];
+    const items = [];
+    for (const file of (await fs.readdir(dir)).filter(f => f.endsWith('.json')).sort()) {
+      try {
+        items.push(validate(await fs.readJson(path.join(dir, file)), opts));
+      } catch (err) {
+        console.warn(`[${label}] ${file} skipped: ${err.message}`);
+      }
+    }
+    return items;
+  }
+
+  return {
+    list,
+
+    get: (id) => custom.get(id) || shipped.find(item => item.id === id) || null,
+
+    async load(dir = defaultDir, opts = {}) {
+      const examples = (await readDir(examplesDir, opts)).map(item => ({ ...item, builtin: true }));
+      shipped = [...builtins.filter(item => !examples.some(e => e.id === item.id)), ...examples];
+      custom.clear();
+      for (const item of await readDir(dir, opts)) custom.set(item.id, item);
+      return list();
+    },
+
+    async save(raw, { dir = defaultDir, ...opts } = {}) {
+      const item = validate(raw, opts);
+      await fs.outputJson(path.join(dir, `${item.id}.json`), item, { spaces: 2 });
+      custom.set(item.id, item);
+      return item;
+    },
+
+    // false if there was no such house item (built-ins can't be deleted).
+    async remove(id, { dir = defaultDir } = {}) {
+      if (!custom.has(id)) return false;
+      await fs.remove(path.join(dir, `${id}.json`));
+      custom.delete(id);
+      return true;
+    }
+  };
+}
+
+/**
+ * "business_model" → "Business model".
+ */
+export function humanize(key) {
+  const s = key.replace(/[_-]+/g, ' ').trim();
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
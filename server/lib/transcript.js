@@ -0,0 +1,150 @@
+/**
+ * Meeting transcripts: WebVTT, SRT and plain-text exports (Zoom, Otter, Teams / Meet copy-paste).
+ *
+ * Cues are parsed into utterance blocks { type: 'utterance', speaker, time: 'HH:MM:SS', text } (see blocks.js);
+ * consecutive cues from the same speaker are merged so each block is one turn in the conversation.
+ * blocksToText renders them as "[00:14:32] Client CMO: …" lines, which the planner cites in speaker notes.
+ */
+
+const CUE_TIME_RE = /^((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\s*-->\s*((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)/;
+const TIME = '(\\d{1,2}:\\d{2}(?::\\d{2})?)(?:[.,]\\d{1,3})?';
+const SPEAKER = '([^\\s:\\[\\]][^:\\[\\]]{0,60}?)';
+// "[00:14:32] Jane Doe: text" / "00:14:32 Jane Doe: text"
+const INLINE_RE = new RegExp(`^\\[?${TIME}\\]?\\s+${SPEAKER}:\\s+(.+)$`);
+// "[Jane Doe] 14:02:11" (Zoom) / "Jane Doe  0:14" (Otter) / "Jane Doe (00:14:32)", text on the following lines
+const HEADER_RE = new RegExp(`^(?:\\[${SPEAKER}\\]|${SPEAKER})\\s+[([]?${TIME}[)\\]]?$`);
+// Spoken text that names its speaker: "Jane Doe: text" / "- Jane Doe: text" / "[Jane Doe] text". The label must look
+// like a name — up to four capitalised words (name particles allowed) or "Speaker 2" — so "So the question is: …"
+// stays text.
+const NAME = "(?:Speaker \\d{1,3}|[A-Z][\\w'’.&-]*(?:\\s+(?:[A-Z][\\w'’.&-]*|de|da|van|von|der|la|le|del)){0,3})";
+const SPOKEN_RE = new RegExp(`^(?:-\\s*)?(?:\\[(${NAME})\\]\\s*|(${NAME}):\\s+)(.+)$`);
+// Capitalised words that make a label a sentence ("This Is: …", "Next Steps Are: …").
+const LABEL_VERBS = new Set(['is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did', 'has', 'have', 'had', 'will', 'would', 'can', 'could', 'should', 'must', 'may', 'might', 'says', 'said', 'means', 'think', 'thinks']);
+
+const MAX_TURN_CHARS = 800; // long monologues are split so a citation points near the quote
+const TRANSCRIPT_LINE_RE = /^\[\d{2}:\d{2}:\d{2}\] [^:\n]{1,80}: /m;
+
+/**
+ * Parse a transcript file's text into utterance blocks. ext: '.vtt' | '.srt' | '.txt'.
+ */
+export function parseTranscript(raw = '', ext = '.txt') {
+  const text = (raw || '').replace(/\r\n?/g, '\n').replace(/^\uFEFF/, '');
+  const cues = ext === '.vtt' || ext === '.srt' || /^WEBVTT\b/.test(text) ? parseCues(text) : parseTextExport(text);
+  return mergeTurns(cues);
+}
+
+/**
+ * True when a .txt file is a timestamped transcript export rather than free-form notes.
+ */
+export function isTranscriptText(raw = '') {
+  const lines = (raw || '').replace(/\r\n?/g, '\n').split('\n').map(l => l.trim()).filter(Boolean);
+  if (/^WEBVTT\b/.test(lines[0] || '')) return true;
+  const stamped = lines.filter(l => INLINE_RE.test(l) || HEADER_RE.test(l) || CUE_TIME_RE.test(l)).length;
+  return stamped >= 3 && stamped >= lines.length * 0.2;
+}
+
+/**
+ * True when brief text contains rendered transcript lines ("[HH:MM:SS] Speaker: …").
+ */
+export function hasTranscriptLines(text = '') {
+  return TRANSCRIPT_LINE_RE.test(text || '');
+}
+
+/**
+ * One-line summary (speakers and time span) that heads the rendered transcript.
+ */
+export function transcriptSummary(blocks = []) {
+  const turns = blocks.filter(b => b.type === 'utterance');
+  if (!turns.length) return '';
+  const speakers = Array.from(new Set(turns.map(b => b.speaker).filter(Boolean)));
+  const span = `${turns[0].time || '?'}–${turns[turns.length - 1].time || '?'}`;
+  return `Meeting transcript (${turns.length} turn${turns.length === 1 ? '' : 's'}, ${span}). Speakers: ${speakers.join(', ') || 'unlabelled'}.`;
+}
+
+// -------- Formats --------
+
+// WebVTT and SRT: blank-line separated cues with a "start --> end" line.
+function parseCues(text) {
+  const raw = [];
+  for (const chunk of text.split(/\n{2,}/)) {
+    const lines = chunk.split('\n');
+    const at = lines.findIndex(l => CUE_TIME_RE.test(l.trim()));
+    if (at < 0) continue; // WEBVTT header, NOTE / STYLE / REGION blocks
+    const time = normalizeTime(lines[at].trim().match(CUE_TIME_RE)[1]);
+    const body = lines.slice(at + 1).join('\n').trim();
+    if (!body) continue;
+    // <v Speaker> voice spans (WebVTT); other tags are styling.
+    const voice = body.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+    raw.push({ time, voice: voice?.[1], body: body.replace(/<[^>]+>/g, '').replace(/\s*\n\s*/g, ' ').trim() });
+  }
+
+  // A label only counts as a speaker when it names one more than once in the transcript.
+  const seen = new Map();
+  for (const c of raw) {
+    const label = c.voice ? null : spokenLabel(c.body)?.speaker;
+    if (label) seen.set(label, (seen.get(label) || 0) + 1);
+  }
+
+  const cues = [];
+  let speaker = '';
+  for (const c of raw) {
+    const spoken = c.voice ? null : spokenLabel(c.body);
+    const named = spoken && seen.get(spoken.speaker) > 1 ? spoken : null;
+    // Captions usually name the speaker only when it changes.
+    speaker = (c.voice || named?.speaker || speaker).trim();
+    cues.push({ time: c.time, speaker, text: decodeEntities(named ? named.text : c.body) });
+  }
+  return cues;
+}
+
+// "Jane Doe: text" → { speaker, text }, or null when the line doesn't open on a name-like label.
+function spokenLabel(body) {
+  const m = body.match(SPOKEN_RE);
+  if (!m) return null;
+  const speaker = (m[1] || m[2]).trim();
+  if (speaker.split(/\s+/).some(w => LABEL_VERBS.has(w.toLowerCase()))) return null;
+  return { speaker, text: m[3] };
+}
+
+function parseTextExport(text) {
+  const cues = [];
+  let cur = null;
+  for (const line of text.split('\n').map(l => l.trim())) {
+    if (!line) continue;
+    let m;
+    if ((m = line.match(INLINE_RE))) {
+      cur = { time: normalizeTime(m[1]), speaker: m[2].trim(), text: m[3] };
+      cues.push(cur);
+    } else if ((m = line.match(HEADER_RE))) {
+      cur = { time: normalizeTime(m[3]), speaker: (m[1] || m[2]).trim(), text: '' };
+      cues.push(cur);
+    } else if (cur) {
+      cur.text = cur.text ? `${cur.text} ${line}` : line;
+    }
+  }
+  return cues.filter(c => c.text.trim());
+}
+
+function mergeTurns(cues) {
+  const blocks = [];
+  for (const c of cues) {
+    const last = blocks[blocks.length - 1];
+    if (last && last.speaker === c.speaker && last.text.length + c.text.length < MAX_TURN_CHARS) {
+      last.text = `${last.text} ${c.text}`.replace(/\s+/g, ' ');
+    } else {
+      blocks.push({ type: 'utterance', speaker: c.speaker, time: c.time, text: c.text.replace(/\s+/g, ' ').trim() });
+    }
+  }
+  return blocks;
+}
+
+// "0:14" / "14:32.120" / "1:02:03,500" → "HH:MM:SS"
+function normalizeTime(t = '') {
+  const parts = t.replace(/[.,]\d+$/, '').split(':').map(n => parseInt(n, 10) || 0);
+  while (parts.length < 3) parts.unshift(0);
+  return parts.map(n => String(n).padStart(2, '0')).join(':');
+}
+
+function decodeEntities(s = '') {
+  return s.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ').replace(/&#39;|&apos;/g, "'").replace(/&quot;/g, '"');
+}
@@ -0,0 +1,177 @@
+import { generateStageJson } from './providers/index.js';
+import { planDeck, replanDeck } from './planner.js';
+import { listRecipes, resolveRecipe } from './recipes.js';
+
+/**
+ * Variants mode: two to four alternative outlines of one brief, each with a different recipe or story angle,
+ * to compare side by side before committing to one.
+ *
+ * The brief is extracted once; every variant runs narrative → refine on that extract (replanDeck), so a
+ * variant costs the same as a re-run from the narrative. A final 'compare' call writes each variant's rationale.
+ *
+ * planVariants(briefText, options, ctx) → { _extract, variants: [variant] }
+ *   variant: { id, label, angle, recipe, rationale, summary, plan }
+ *   summary: the narrative in one line (thesis, then section names); plan: the raw plan (normalize it).
+ */
+
+export const MIN_VARIANTS = 2;
+export const MAX_VARIANTS = 4;
+
+// Story angles per deck type, in the order they are tried; "other" covers everything else.
+const ANGLES = {
+  investor_pitch: [
+    { id: 'problem_led', label: 'Problem-led', angle: 'Open on the problem and what it costs today; the product arrives as the answer.' },
+    { id: 'vision_led', label: 'Vision-led', angle: 'Open on the future the company is building; the problem is why that future has to exist.' },
+    { id: 'traction_led', label: 'Traction-led', angle: 'Open on the strongest proof — growth, customers, revenue — then explain what drives it.' },
+    { id: 'market_led', label: 'Market-led', angle: 'Open on the market shift that makes this the moment; the company is how to ride it.' }
+  ],
+  sales_deck: [
+    { id: 'pain_led', label: 'Pain-led', angle: 'Open on the buyer’s pain in their own words; the solution arrives as relief.' },
+    { id: 'outcome_led', label: 'Outcome-led', angle: 'Open on the result the buyer gets; work backwards to how.' },
+    { id: 'proof_led', label: 'Proof-led', angle: 'Open on a customer story with numbers; generalise it to the buyer.' }
+  ],
+  other: [
+    { id: 'problem_led', label: 'Problem-led', angle: 'Open on the problem or tension the audience feels; the recommendation resolves it.' },
+    { id: 'outcome_led', label: 'Outcome-led', angle: 'Open on the outcome and why it matters; the rest of the deck shows how to get there.' },
+    { id: 'story_led', label: 'Story-led', angle: 'Open on one concrete story or example; widen it into the argument.' },
+    { id: 'proof_led', label: 'Proof-led', angle: 'Open on the strongest evidence in the brief; build the case from it.' }
+  ]
+};
+
+/**
+ * Which variants to plan: the recipe the planner would choose first, other recipes for the same deck type,
+ * then story angles on the default recipe. options.recipe pins the recipe, so only angles vary.
+ */
+export function pickVariants(extract, options = {}, count = 3) {
+  const n = clampCount(count);
+  const deckType = (options.deckType || options.deck_type || extract?.deck_type_suggestion || '').toString();
+  const angles = ANGLES[deckType] || ANGLES.other;
+  const base = resolveRecipe(extract, options);
+
+  const picks = [{ id: 'v1', label: angles[0].label, angle: angles[0].angle, recipe: base?.id || null }];
+  if (!options.recipe) {
+    for (const r of listRecipes().filter(r => r.deck_type === deckType && r.id !== base?.id)) {
+      picks.push({ id: `v${picks.length + 1}`, label: r.name, angle: '', recipe: r.id });
+    }
+  }
+  for (const a of angles.slice(1)) {
+    picks.push({ id: `v${picks.length + 1}`, label: a.label, angle: a.angle, recipe: base?.id || null });
+  }
+  return picks.slice(0, n);
+}
+
+// variantCount as asked for, within MIN_VARIANTS…MAX_VARIANTS (default 3).
+function clampCount(count) {
+  return Math.min(MAX_VARIANTS, Math.max(MIN_VARIANTS, Number(count) || 3));
+}
+
+/**
+ * Plan several variants of one brief. ctx as for planDeck; ctx.onStage sees 'extract', one stage per variant
+ * (ids v1…v4; ids past the picks made are reported skipped) and 'compare'.
+ */
+export async function planVariants(briefText, options = {}, ctx = {}) {
+  const { signal } = ctx;
+  const callOptions = signal ? { ...options, signal } : options;
+  const paused = await planDeck(briefText, options, { ...ctx, stopAfter: 'extract' });
+  const extract = paused._extract;
+  const picks = pickVariants(extract, options, options.variantCount);
+  // The job lists variantCount stages up front; fewer recipes / angles than asked for leaves the rest unused.
+  for (let i = picks.length + 1; i <= clampCount(options.variantCount); i++) {
+    ctx.onStage?.({ stage: `v${i}`, status: 'skipped', ms: 0 });
+  }
+
+  const variants = [];
+  for (const pick of picks) {
+    // An angle only steers the narrative; the recipe is passed as the user's pick.
+    const opts = { ...options, angle: pick.angle, ...(pick.recipe ? { recipe: pick.recipe } : {}) };
+    const plan = await step(pick.id, ctx, () => replanDeck({ _extract: extract, assets: ctx.assets }, 'narrative', opts, {
+      briefText,
+      tables: ctx.tables,
+      assets: ctx.assets,
+      signal
+    }));
+    variants.push({ ...pick, summary: narrativeSummary(plan._narrative), plan });
+  }
+
+  // The outlines are the expensive part: a failed compare call leaves them with their angle / summary as rationale.
+  const rationales = await step('compare', ctx, () => compareVariants(extract, variants, callOptions)).catch((e) => {
+    if (e.code === 'cancelled') throw e;
+    console.warn(`[variants] compare failed: ${e.message}`);
+    return {};
+  });
+
+  return {
+    _extract: extract,
+    variants: variants.map(v => ({ ...v, rationale: rationales[v.id] || v.angle || v.summary || '' }))
+  };
+}
+
+// Progress for one variant (or the compare call) in the shape runStage reports; inner stages stay quiet.
+async function step(id, ctx, fn) {
+  const started = Date.now();
+  ctx.onStage?.({ stage: id, status: 'running' });
+  try {
+    const out = await fn();
+    ctx.onStage?.({ stage: id, status: 'done', ms: Date.now() - started });
+    return out;
+  } catch (e) {
+    ctx.onStage?.({ stage: id, status: e.code === 'cancelled' ? 'cancelled' : 'failed', ms: Date.now() - started, error: e.message });
+    e.stage = id;
+    throw e;
+  }
+}
+
+// One call for all rationales, so each can say how it differs from the others.
+async function compareVariants(extract, variants, options) {
+  const out = await generateStageJson('compare', options, {
+    system: [
+      `You are a strategy director choosing between alternative outlines of the same deck.`,
+      `For each variant write one paragraph (3–4 sentences): what it leads with, who it will land best with, and what it trades away compared to the others.`,
+      `Be concrete about this brief; do not praise. Use the variant ids you are given.`
+    ].join(' '),
+    user: [
+      `Brief (extracted):`,
+      JSON.stringify({
+        objective: extract?.objective,
+        audience: extract?.audience,
+        ask_or_cta: extract?.ask_or_cta,
+        deck_type_suggestion: extract?.deck_type_suggestion
+      }, null, 2),
+      `Variants:`,
+      ...variants.map(v => `${v.id} — ${v.label}${v.recipe ? ` (recipe ${v.recipe})` : ''}${v.angle ? `\nAngle: ${v.angle}` : ''}\nStory: ${v.summary}\nSlides: ${(v.plan.slides || []).map(s => s?.title).filter(Boolean).join(' | ')}`)
+    ].join('\n\n'),
+    schema: {
+      name: 'variant_rationales',
+      strict: true,
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          variants: {
+            type: 'array',
+            minItems: variants.length,
+            maxItems: variants.length,
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                id: { type: 'string', enum: variants.map(v => v.id) },
+                rationale: { type: 'string' }
+              },
+              required: ['id', 'rationale']
+            }
+          }
+        },
+        required: ['variants']
+      }
+    },
+    temperature: 0.4
+  });
+  return Object.fromEntries((out?.variants || []).map(r => [r.id, (r.rationale || '').toString().trim().slice(0, 1200)]));
+}
+
+function narrativeSummary(narrative) {
+  const sections = (Array.isArray(narrative?.sections) ? narrative.sections : []).map(sec => sec?.name).filter(Boolean);
+  const thesis = (narrative?.thesis || '').toString().trim();
+  return [thesis, sections.join(' → ')].filter(Boolean).join(' — ');
+}
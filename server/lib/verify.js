@@ -0,0 +1,206 @@
+/**
+ * Figure check: every number, percentage, currency amount, date and proper noun on the slides, matched
+ * against the brief text. Deterministic (no model call), so it can re-run after every edit.
+ *
+ * An issue is { slide, path, text, kind, reason, message, related }:
+ *   kind   number | percent | currency | date | name
+ *   reason unsupported  — the brief never states it
+ *          inconsistent — the same figure (same label or unit noun) reads differently on another slide;
+ *                         related lists those slides (0-based)
+ * path is where the figure sits on the slide ("bullets[2]", "kpis[0].value", "chart.values[3]").
+ * Rounding is allowed: "43%" is supported by "42.7%", "$1.2M" by "$1,234,000" — but never by more than 5%
+ * ("$3M" is not "$2.5M").
+ */
+
+// Slide fields the audience never sees, or that hold ids and enums rather than copy.
+const SKIP_KEYS = new Set([
+  'kind', 'layout', 'section', 'setup_line', 'takeaway', 'bridge_line', 'image_prompt', 'speaker_notes',
+  'asset_id', 'data_ref', 'icons', 'icon', 'tag', 'status', 'color', 'type', 'id', 'citations'
+]);
+
+const SCALES = { k: 1e3, thousand: 1e3, m: 1e6, mn: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_RE = new RegExp([
+  `\\b${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b`,
+  `\\b\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH}(?:,?\\s+\\d{4})?\\b`,
+  `\\b${MONTH}\\s+\\d{4}\\b`,
+  `\\bq[1-4]\\s*(?:fy\\s*)?'?\\d{2,4}\\b`,
+  `\\bh[12]\\s+\\d{4}\\b`,
+  `\\b\\d{1,2}/\\d{1,2}/\\d{2,4}\\b`,
+  `\\b(?:19|20)\\d{2}\\b(?![,.]?\\d|\\s*%)`
+].join('|'), 'gi');
+const NUMBER_RE = /([$€£¥]|\b(?:USD|EUR|GBP|SAR|AED)\s?)?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?:\s?(%|percent\b|k\b|m\b|mn\b|bn\b|b\b|thousand\b|million\b|billion\b))?/gi;
+const NAME_RE = /\b[A-Z][\w&'’-]*(?:\s+(?:of|de|the|&)?\s*[A-Z][\w&'’-]*)*/g;
+
+// Capitalized words that are not names worth checking.
+const COMMON_CAPS = new Set([
+  'i', 'we', 'our', 'you', 'your', 'the', 'a', 'an', 'this', 'that', 'it', 'they', 'and', 'or', 'but', 'for', 'with',
+  'roi', 'kpi', 'kpis', 'cta', 'b2b', 'b2c', 'ai', 'ceo', 'cfo', 'cmo', 'cto', 'coo', 'fy', 'yoy', 'mom', 'qoq', 'ux', 'ui',
+  'api', 'saas', 'usd', 'eur', 'gbp', 'sar', 'aed', 'q1', 'q2', 'q3', 'q4', 'h1', 'h2', 'tbd', 'faq', 'okr', 'okrs', 'swot',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'
+]);
+const STOP = new Set(['a', 'an', 'the', 'to', 'of', 'in', 'on', 'by', 'for', 'at', 'and', 'or', 'with', 'from', 'up', 'over', 'than', 'per', 'is', 'are', 'was', 'were', 'be']);
+
+/**
+ * Check the plan's figures against briefText.
+ * Returns { issues, checked, counts: { unsupported, inconsistent } } — checked is the number of figures found.
+ */
+export function verifyPlan(plan, briefText = '') {
+  const slides = Array.isArray(plan?.slides) ? plan.slides : [];
+  const brief = indexBrief(briefText);
+  // Campaign lines are invented on purpose; their words are not names to verify.
+  const anchors = (plan?._messaging?.anchors || []).join(' ').toLowerCase();
+
+  const figures = [];
+  slides.forEach((slide, idx) => {
+    walk(slide, '', (value, path, label) => {
+      if (typeof value === 'number') {
+        if (Number.isFinite(value)) figures.push({ slide: idx, path, text: String(value), kind: 'number', value, tolerance: tolerance(String(value), value), key: keyFor(label) });
+        return;
+      }
+      for (const f of figuresIn(value, label)) figures.push({ slide: idx, path, ...f });
+    });
+  });
+
+  const issues = [];
+  for (const f of figures) {
+    const supported = f.kind === 'date'
+      ? brief.text.includes(normalizeDate(f.text)) || (/^\d{4}$/.test(f.text) && brief.years.has(f.text))
+      : f.kind === 'name'
+        ? anchors.includes(f.text.toLowerCase()) || nameInBrief(f.text, brief.text)
+        : brief.numbers.some(n => Math.abs(n - f.value) <= f.tolerance + 1e-9);
+    if (!supported) {
+      issues.push(issue(f, 'unsupported', `${describe(f.kind)} “${f.text}” does not appear in the brief.`));
+    }
+  }
+
+  // Same key (KPI label or the noun after the number) on different slides, written differently.
+  const byKey = new Map();
+  for (const f of figures.filter(f => f.key && f.kind !== 'date' && f.kind !== 'name')) {
+    const key = `${f.kind}:${f.key}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(f);
+  }
+  for (const group of byKey.values()) {
+    for (const f of group) {
+      const others = group.filter(g => g.slide !== f.slide && g.text.replace(/\s+/g, '') !== f.text.replace(/\s+/g, ''));
+      if (!others.length) continue;
+      const related = [...new Set(others.map(g => g.slide))];
+      issues.push(issue(
+        f,
+        'inconsistent',
+        `“${f.text}” (${f.key}) reads ${others.map(g => `“${g.text}” on slide ${g.slide + 1}`).join(', ')}.`,
+        related
+      ));
+    }
+  }
+
+  const counts = { unsupported: 0, inconsistent: 0 };
+  for (const i of issues) counts[i.reason]++;
+  return { issues, checked: figures.length, counts };
+}
+
+function issue(f, reason, message, related = []) {
+  return { slide: f.slide, path: f.path, text: f.text, kind: f.kind, reason, message, related };
+}
+
+// Visit every string / number on a slide; label is the nearest sibling label (KPI "label", card "title").
+function walk(node, path, visit, label = '') {
+  if (node == null) return;
+  if (typeof node === 'string' || typeof node === 'number') return visit(node, path, label);
+  if (Array.isArray(node)) return node.forEach((v, i) => walk(v, `${path}[${i}]`, visit, label));
+  if (typeof node !== 'object') return;
+  const own = (node.label || node.metric || node.name || node.title || '').toString();
+  for (const [k, v] of Object.entries(node)) {
+    if (SKIP_KEYS.has(k)) continue;
+    walk(v, path ? `${path}.${k}` : k, visit, ['value', 'values', 'number', 'amount', 'price'].includes(k) ? own : label);
+  }
+}
+
+/**
+ * Figures in one string: dates first (so "2025" is a year, not a number), then numbers, then names.
+ */
+function figuresIn(text, label = '') {
+  const out = [];
+  let rest = text.replace(DATE_RE, (m) => {
+    out.push({ text: m, kind: 'date', key: '' });
+    return ' '.repeat(m.length);
+  });
+
+  rest = rest.replace(NUMBER_RE, (m, cur, int, dec, unit, offset) => {
+    const unitKey = (unit || '').toLowerCase();
+    const isPercent = unitKey === '%' || unitKey === 'percent';
+    const scale = SCALES[unitKey] || 1;
+    const raw = Number(`${int.replace(/,/g, '')}${dec ? `.${dec}` : ''}`);
+    // Bare small integers are counts ("3 pillars", "Step 2"), not claims.
+    if (!cur && !unit && !dec && raw <= 10) return m;
+    out.push({
+      text: m.trim(),
+      kind: cur ? 'currency' : isPercent ? 'percent' : 'number',
+      value: raw * scale,
+      tolerance: tolerance(`${int}${dec ? `.${dec}` : ''}`, raw) * scale,
+      key: keyFor(label) || nounAfter(text, offset + m.length)
+    });
+    return ' '.repeat(m.length);
+  });
+
+  // Names: capitalized runs that don't start a sentence, in copy that isn't Title Case throughout.
+  const words = text.split(/\s+/).filter(w => /[a-z]/i.test(w));
+  const capitalized = words.filter(w => /^[A-Z]/.test(w)).length;
+  if (words.length < 3 || capitalized / words.length < 0.6) {
+    for (const m of rest.matchAll(NAME_RE)) {
+      const name = m[0].trim();
+      const before = rest.slice(0, m.index).trimEnd();
+      if (!before || /[.!?:;•–—\-(]$/.test(before)) continue;
+      if (name.split(/\s+/).every(w => COMMON_CAPS.has(w.toLowerCase()))) continue;
+      out.push({ text: name, kind: 'name', key: '' });
+    }
+  }
+  return out;
+}
+
+function indexBrief(briefText) {
+  const text = normalizeDate(briefText || '');
+  const numbers = [];
+  for (const m of (briefText || '').matchAll(NUMBER_RE)) {
+    const raw = Number(`${m[2].replace(/,/g, '')}${m[3] ? `.${m[3]}` : ''}`);
+    const scale = SCALES[(m[4] || '').toLowerCase()] || 1;
+    numbers.push(raw, raw * scale);
+  }
+  const years = new Set((briefText || '').match(/\b(?:19|20)\d{2}\b/g) || []);
+  return { text, numbers, years };
+}
+
+function nameInBrief(name, briefLower) {
+  const n = name.toLowerCase();
+  if (briefLower.includes(n)) return true;
+  const parts = n.split(/\s+/).filter(w => w.length >= 3 && !STOP.has(w));
+  return parts.length > 0 && parts.every(w => briefLower.includes(w));
+}
+
+function normalizeDate(s) {
+  return s.toLowerCase().replace(/(\d)(st|nd|rd|th)\b/g, '$1').replace(/,/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Half of the last written digit ("43" → 0.5, "1.25" → 0.005), capped at 5% of the value: the brief may
+// say it more precisely, but not differently.
+function tolerance(written, value) {
+  const dec = (written.split('.')[1] || '').length;
+  return Math.min(0.5 * 10 ** -dec, Math.abs(value) * 0.05);
+}
+
+function keyFor(label) {
+  return (label || '').toString().toLowerCase().replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 60);
+}
+
+// The noun a number counts ("1.2M users" → "user"), skipping filler words.
+function nounAfter(text, from) {
+  const words = text.slice(from).toLowerCase().match(/[a-z][a-z-]*/g) || [];
+  const noun = words.slice(0, 3).find(w => !STOP.has(w) && !SCALES[w] && w !== 'percent');
+  return noun ? noun.replace(/s$/, '') : '';
+}
+
+function describe(kind) {
+  return { number: 'Number', percent: 'Percentage', currency: 'Amount', date: 'Date', name: 'Name' }[kind] || 'Figure';
+}
@@ -0,0 +1,223 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateStageJson } from './providers/index.js';
+import { createJsonStore, humanize, ID_RE } from './store.js';
+
+/**
+ * Copy voice profiles ("agency brain" constraints live here).
+ * These are *writing* constraints (headlines, transitions, diction), not visual style.
+ *
+ * A voice is
+ *   { id, name, tagline, headline_rules, subhead_rules, section_rules, diction_rules, forbidden_terms }
+ * (rules are lists of sentences, forbidden_terms a list of words the copy must not use).
+ *
+ * Built-in voices live below; house voices (a client's tone of voice guide) are JSON files in VOICES_DIR
+ * (default server/data/voices, git-ignored), one voice per file, managed through /api/voices. inferVoice
+ * drafts one from sample copy.
+ */
+
+const SERVER_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const VOICES_DIR = process.env.VOICES_DIR || path.join(SERVER_DIR, 'data', 'voices');
+
+export const DEFAULT_VOICE = 'witty_agency';
+
+const RULE_LISTS = ['headline_rules', 'subhead_rules', 'section_rules', 'diction_rules'];
+const MAX_RULES = 12;
+const MAX_TERMS = 40;
+// Sample copy sent to the model when inferring a voice; enough to read the tone, not a whole deck.
+const MAX_SAMPLE_CHARS = 20000;
+
+const BUILTIN_RULES = {
+  witty_agency: {
+    name: 'Witty Agency',
+    tagline: 'Clever, confident, punchy. Feels like a CD wrote it the night before the client pitch — tight, not try-hard.',
+    headline_rules: [
+      'Every slide headline must be a declarative claim (no labels like “The Challenge”, “Objectives”, “Strategy”).',
+      'One idea per headline. Avoid “and”.',
+      'Keep headlines short (3–9 words), high-contrast, a little surprising.',
+      'Prefer contrast and reframes (e.g., “Not X. Y.” / “From __ to __”).'
+    ],
+    subhead_rules: [
+      'Subhead (subtitle) explains the headline in one sentence. No new concept introduced here.',
+      'If you need more context, put it in bullets or speaker notes, not a second thesis.'
+    ],
+    section_rules: [
+      'Each narrative section introduces ONE new concept only. Everything else in the section is proof, implication, or example.',
+      'Every section must end with a bridge line that tees up the next section.',
+      'Callbacks: pick 1–3 anchor lines (platform phrases) and repeat them verbatim later (no paraphrases).'
+    ],
+    diction_rules: [
+      'Avoid corporate filler and buzzwords. No “synergy”, “leverage”, “stakeholders”, “robust”, “seamless”, “omnichannel” unless the brief explicitly wants corporate tone.',
+      'No cringe jokes, no slang, no memes. Witty = smart and minimal.',
+      'Use specific nouns/verbs; limit adjectives.'
+    ],
+    forbidden_terms: ['synergy', 'leverage', 'stakeholders', 'robust', 'seamless', 'omnichannel', 'best-in-class', 'world-class'],
+  },
+  cinematic_minimal: {
+    name: 'Cinematic Minimal',
+    tagline: 'Sparse, visual, emotionally driven. Big claims, few words.',
+    headline_rules: ['3–7 words, declarative, cinematic.'],
+    subhead_rules: ['Optional. If used, 6–12 words max.'],
+    section_rules: ['One new concept per section. Strong bridges.'],
+    diction_rules: ['No jargon. No jokes.'],
+    forbidden_terms: []
+  },
+  corporate_clear: {
+    name: 'Corporate Clear',
+    tagline: 'Executive clarity, structured, direct. Less personality, more proof.',
+    headline_rules: ['Declarative, specific, no hype.'],
+    subhead_rules: ['Explain claim, quantify where possible.'],
+    section_rules: ['One new concept per section. Strong bridges.'],
+    diction_rules: ['Avoid fluff.'],
+    forbidden_terms: ['game-changer', 'revolutionary']
+  },
+  academic_formal: {
+    name: 'Academic Formal',
+    tagline: 'Neutral tone, careful claims, definitions first.',
+    headline_rules: ['Declarative, precise, no punchlines.'],
+    subhead_rules: ['Define terms, state assumptions.'],
+    section_rules: ['One new concept per section. Clear bridges.'],
+    diction_rules: ['No jokes. No hype.'],
+    forbidden_terms: []
+  }
+};
+
+const BUILTIN_VOICES = Object.entries(BUILTIN_RULES)
+  .map(([id, v]) => ({ ...validateVoice({ id, ...v }), builtin: true }));
+
+const store = createJsonStore({ label: 'voices', dir: VOICES_DIR, builtins: BUILTIN_VOICES, validate: validateVoice });
+
+/**
+ * Read every *.json voice in dir. Invalid files are skipped with a warning, never fatal.
+ */
+export function loadVoices(dir = VOICES_DIR) {
+  return store.load(dir);
+}
+
+/**
+ * Built-in and house voices; a house voice with a built-in's id replaces it.
+ */
+export function listVoices() {
+  return store.list();
+}
+
+export function getVoice(id) {
+  return store.get(id);
+}
+
+/**
+ * Validate and save a house voice as <id>.json. Returns the stored voice.
+ */
+export function saveVoice(raw, { dir = VOICES_DIR } = {}) {
+  return store.save(raw, { dir });
+}
+
+/**
+ * Delete a house voice (see store.js). Returns false if there was no such house voice.
+ */
+export function deleteVoice(id, { dir = VOICES_DIR } = {}) {
+  return store.remove(id, { dir });
+}
+
+/**
+ * Normalize a voice or throw an Error listing what is wrong with it.
+ */
+export function validateVoice(raw) {
+  const problems = [];
+  const v = raw && typeof raw === 'object' ? raw : {};
+  const id = (v.id || '').toString().trim();
+  if (!ID_RE.test(id)) problems.push('id must be 3–40 lowercase letters, digits or underscores');
+  const name = (v.name || humanize(id)).toString().trim().slice(0, 80);
+  if (!name) problems.push('name is required');
+
+  const rules = Object.fromEntries(RULE_LISTS.map(key => [key, lines(v[key]).slice(0, MAX_RULES).map(r => r.slice(0, 300))]));
+  if (!rules.headline_rules.length) problems.push('headline_rules must have at least one rule');
+
+  if (problems.length) throw new Error(`Invalid voice: ${problems.join('; ')}.`);
+  return {
+    id,
+    name,
+    tagline: (v.tagline || '').toString().trim().slice(0, 300),
+    ...rules,
+    forbidden_terms: lines(v.forbidden_terms, /[\n,]/).map(t => t.slice(0, 60)).slice(0, MAX_TERMS)
+  };
+}
+
+/**
+ * Draft a voice from sample copy (pasted text or the text of a previous deck). The draft is not saved:
+ * the client shows it for editing first. Returns a voice without an id unless one is given.
+ */
+export async function inferVoice(sample, options = {}) {
+  const text = (sample || '').toString().trim();
+  if (text.length < 80) throw new Error('Paste at least a few sentences of sample copy.');
+
+  const out = await generateStageJson('voice', options, {
+    system: buildInferSystemPrompt(),
+    user: `Sample copy:\n\n${text.slice(0, MAX_SAMPLE_CHARS)}`,
+    schema: buildInferSchema(),
+    temperature: 0.3
+  });
+
+  const name = (options.name || out?.name || 'House voice').toString().trim().slice(0, 80);
+  return {
+    id: (options.id || '').toString().trim() || freeId(slugify(name), name),
+    name,
+    tagline: (out?.tagline || '').toString().trim().slice(0, 300),
+    ...Object.fromEntries(RULE_LISTS.map(key => [key, lines(out?.[key]).slice(0, MAX_RULES)])),
+    forbidden_terms: lines(out?.forbidden_terms).slice(0, MAX_TERMS)
+  };
+}
+
+function buildInferSchema() {
+  const rules = { type: 'array', maxItems: MAX_RULES, items: { type: 'string' } };
+  return {
+    name: 'voice_profile',
+    strict: true,
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', description: 'Short name for this voice, e.g. "Calm Expert".' },
+        tagline: { type: 'string', description: 'One sentence describing how the copy sounds.' },
+        headline_rules: { ...rules, minItems: 1 },
+        subhead_rules: rules,
+        section_rules: rules,
+        diction_rules: rules,
+        forbidden_terms: { type: 'array', maxItems: MAX_TERMS, items: { type: 'string' } }
+      },
+      required: ['name', 'tagline', 'headline_rules', 'subhead_rules', 'section_rules', 'diction_rules', 'forbidden_terms']
+    }
+  };
+}
+
+function buildInferSystemPrompt() {
+  return [
+    `You are a copy chief writing a tone of voice guide for presentation copy.`,
+    `Read the sample and describe how it is written so another writer can match it: headline shape and length, how subheads relate to headlines, how sections open and hand off, sentence length, person (we / you), formality, punctuation and word choice.`,
+    `Write every rule as a short imperative a writer can follow ("Headlines are 4–8 word claims, no question marks."). Base each rule on what the sample actually does; do not add generic best practice.`,
+    `forbidden_terms: words the sample clearly avoids or that would break this voice (jargon, hype). Leave it empty when the sample gives no signal.`,
+    `Rules describe style only: never copy facts, names or numbers from the sample into them.`
+  ].join(' ');
+}
+
+function lines(v, sep = /\n/) {
+  const items = Array.isArray(v) ? v : (typeof v === 'string' ? v.split(sep) : []);
+  return items.map(x => (x || '').toString().trim()).filter(Boolean);
+}
+
+// A suggested id that doesn't collide with another voice ("voice_house" → "voice_house_2"), so saving the
+// draft can't overwrite a different house voice.
+function freeId(id, name) {
+  const taken = (candidate) => {
+    const voice = getVoice(candidate);
+    return voice && voice.name !== name;
+  };
+  let next = id;
+  for (let n = 2; taken(next); n++) next = `${id.slice(0, 36)}_${n}`;
+  return next;
+}
+
+function slugify(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+  return slug.length >= 3 ? slug : `voice_${slug || 'house'}`;
+}